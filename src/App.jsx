@@ -13,16 +13,27 @@ import { Routes, Route, NavLink } from 'react-router-dom';
 import StudioPage from './components/StudioPage.jsx';
 import PreviewPage from './components/PreviewPage.jsx';
 import SchedulePage from './components/SchedulePage.jsx';
+import ReviewPage from './components/ReviewPage.jsx';
+import HistoryPage from './components/HistoryPage.jsx';
 import SettingsPanel from './components/SettingsPanel.jsx';
 import DemoPage from './components/DemoPage.jsx';
 import { validateConfiguration, getConfigSummary } from './utils/config.js';
+import { startPublishRunner, registerPublishWorker } from './utils/publishing.js';
 import { ProfilerWrapper, useRenderPerformance } from './utils/performance.jsx';
 
 const App = () => {
   const [configStatus, setConfigStatus] = useState('loading');
   const [configError, setConfigError] = useState(null);
   const [generatedImage, setGeneratedImage] = useState(null);
+  // Native renders keyed by aspect ratio (e.g. { '9:16': dataUrl })
+  const [imageVariants, setImageVariants] = useState({});
   const [altText, setAltText] = useState('');
+  // History record ID of the current image (layouts and other per-image data are keyed by it)
+  const [currentImageId, setCurrentImageId] = useState(null);
+  // Finished creatives exported from Preview, keyed by platform preset name
+  const [creatives, setCreatives] = useState({});
+  // Captions keyed by network (e.g. { Instagram: { caption, hashtags, cta } })
+  const [captions, setCaptions] = useState({});
   
   // Performance monitoring for the main App component
   useRenderPerformance('App', [configStatus, configError, generatedImage]);
@@ -44,6 +55,23 @@ const App = () => {
     initializeApp();
   }, [initializeApp]);
 
+  // Publish due posts while the app is open, whatever page is showing
+  useEffect(() => {
+    if (configStatus !== 'ready') return undefined;
+    const stopRunner = startPublishRunner();
+    // Keeps publishing once every tab is closed, where the browser supports it
+    const stopWorker = registerPublishWorker();
+    return () => {
+      stopRunner();
+      stopWorker();
+    };
+  }, [configStatus]);
+
+  // Creatives belong to one image; drop them when the image changes
+  useEffect(() => {
+    setCreatives({});
+  }, [currentImageId]);
+
   // Show loading state while validating configuration
   if (configStatus === 'loading') {
     return (
@@ -126,6 +154,8 @@ const App = () => {
               <NavLink to="/" className={navLinkClasses} end>Studio</NavLink>
               <NavLink to="/preview" className={navLinkClasses}>Preview</NavLink>
               <NavLink to="/schedule" className={navLinkClasses}>Schedule</NavLink>
+              <NavLink to="/review" className={navLinkClasses}>Review</NavLink>
+              <NavLink to="/history" className={navLinkClasses}>History</NavLink>
               <NavLink to="/settings" className={navLinkClasses}>Settings</NavLink>
               <NavLink to="/demo" className={navLinkClasses}>Demo</NavLink>
             </nav>
@@ -141,15 +171,25 @@ const App = () => {
                     element={<StudioPage
                       generatedImage={generatedImage}
                       setGeneratedImage={setGeneratedImage}
+                      imageVariants={imageVariants}
+                      setImageVariants={setImageVariants}
                       altText={altText}
                       setAltText={setAltText}
+                      captions={captions}
+                      setCaptions={setCaptions}
+                      setCurrentImageId={setCurrentImageId}
                     />}
                   />
                   <Route
                     path="/preview"
                     element={<PreviewPage
                       generatedImage={generatedImage}
+                      imageVariants={imageVariants}
                       altText={altText}
+                      currentImageId={currentImageId}
+                      captions={captions}
+                      creatives={creatives}
+                      setCreatives={setCreatives}
                     />}
                   />
                   <Route
@@ -157,6 +197,21 @@ const App = () => {
                     element={<SchedulePage
                       generatedImage={generatedImage}
                       altText={altText}
+                      captions={captions}
+                      setCaptions={setCaptions}
+                      creatives={creatives}
+                      currentImageId={currentImageId}
+                    />}
+                  />
+                  <Route path="/review" element={<ReviewPage />} />
+                  <Route
+                    path="/history"
+                    element={<HistoryPage
+                      setGeneratedImage={setGeneratedImage}
+                      setImageVariants={setImageVariants}
+                      setAltText={setAltText}
+                      setCaptions={setCaptions}
+                      setCurrentImageId={setCurrentImageId}
                     />}
                   />
                   <Route path="/settings" element={<SettingsPanel />} />
@@ -0,0 +1,131 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { suggestPostingTimes, importEngagementCsv } from '../utils/bestTimes';
+import { loadEngagementStats, saveEngagementStats } from '../utils/dataStorage';
+import { formatScheduledTime } from '../utils/scheduler';
+import { useError } from '../utils/errorContext';
+import { Lightbulb, Upload, Trash2 } from 'lucide-react';
+
+const SOURCE_STYLES = {
+  history: 'border-green-300 bg-green-50 text-green-800',
+  default: 'border-gray-300 bg-white text-gray-700'
+};
+
+/**
+ * BestTimeSuggestions offers publish slots for the networks a post reaches,
+ * from imported engagement history or per-network defaults, each with the
+ * reason it was suggested. Picking a slot fills in the datetime picker.
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.platforms - Selected preset names
+ * @param {string} props.timeZone - Zone of the datetime picker
+ * @param {string} props.value - Current picker value ('YYYY-MM-DDTHH:mm')
+ * @param {Function} props.onPick - Called with (dateTime) in the picker's zone
+ * @param {boolean} props.disabled - Disable picking while saving
+ */
+const BestTimeSuggestions = React.memo(({ platforms, timeZone, value, onPick, disabled }) => {
+  const [stats, setStats] = useState(null);
+  const fileInputRef = useRef(null);
+  const { showError, showSuccess, showWarning } = useError();
+
+  useEffect(() => {
+    loadEngagementStats().then(setStats);
+  }, []);
+
+  const suggestions = useMemo(
+    () => (stats ? suggestPostingTimes(platforms, { stats, timeZone }) : []),
+    [platforms, stats, timeZone]
+  );
+
+  const importedPosts = stats
+    ? Object.values(stats.networks).reduce((sum, entry) => sum + entry.posts, 0)
+    : 0;
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const result = await importEngagementCsv(await file.text(), { timeZone });
+      setStats(result.stats);
+      if (result.imported > 0) {
+        showSuccess(`Imported metrics for ${result.imported} post${result.imported === 1 ? '' : 's'}.`);
+      }
+      if (result.replaced.length > 0) {
+        showWarning(`Earlier ${result.replaced.join(', ')} data used a different metric and was replaced.`);
+      }
+      if (result.errors.length > 0) {
+        const details = result.errors.slice(0, 3).map(({ row, message }) => `row ${row}: ${message}`).join('; ');
+        showWarning(`Skipped ${result.errors.length} row${result.errors.length === 1 ? '' : 's'} (${details}${result.errors.length > 3 ? '; ...' : ''}).`);
+      }
+    } catch (error) {
+      showError(error.message);
+    }
+  };
+
+  const handleClear = async () => {
+    if (!confirm('Remove all imported engagement data?')) return;
+    const empty = { timeZone: null, networks: {}, importedAt: null };
+    if (await saveEngagementStats(empty)) setStats(empty);
+  };
+
+  if (platforms.length === 0) return null;
+
+  return (
+    <div className="mt-4 p-3 border border-gray-200 rounded-md">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+        <h4 className="inline-flex items-center text-sm font-semibold text-gray-700">
+          <Lightbulb className="w-4 h-4 mr-1 text-amber-500" />
+          Suggested times
+        </h4>
+        <div className="flex items-center gap-3 text-xs">
+          <span className="text-gray-500">
+            {importedPosts > 0 ? `Based on ${importedPosts} imported post${importedPosts === 1 ? '' : 's'}` : 'No engagement data imported'}
+          </span>
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            title="CSV columns: Date, Network, and Engagement Rate or Engagements (optionally with Impressions)"
+            className="inline-flex items-center text-gray-600 hover:text-blue-600"
+          >
+            <Upload className="w-3 h-3 mr-1" />
+            Import metrics CSV
+          </button>
+          {importedPosts > 0 && (
+            <button onClick={handleClear} className="inline-flex items-center text-gray-600 hover:text-red-600">
+              <Trash2 className="w-3 h-3 mr-1" />
+              Clear
+            </button>
+          )}
+          <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+        </div>
+      </div>
+      <div className="space-y-3">
+        {suggestions.map(({ network, slots }) => (
+          <div key={network}>
+            <p className="text-xs font-medium text-gray-600 mb-1">{network}</p>
+            <ul className="space-y-1">
+              {slots.map((slot, index) => (
+                <li key={slot.scheduledAt} className="flex items-start gap-2">
+                  <button
+                    onClick={() => onPick(slot.dateTime)}
+                    disabled={disabled}
+                    aria-pressed={value === slot.dateTime}
+                    className={`shrink-0 px-2 py-0.5 text-xs rounded border ${SOURCE_STYLES[slot.source]} ${value === slot.dateTime ? 'ring-2 ring-blue-500' : ''} hover:border-blue-400 disabled:opacity-50`}
+                  >
+                    {formatScheduledTime({ scheduledAt: slot.scheduledAt, timeZone })}
+                  </button>
+                  {/* Default slots share one reason; show it once */}
+                  {slot.reason !== slots[index - 1]?.reason && <span className="text-xs text-gray-500">{slot.reason}</span>}
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+});
+
+// Display name for debugging
+BestTimeSuggestions.displayName = 'BestTimeSuggestions';
+
+export default BestTimeSuggestions;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import { ASSET_KINDS, LOGO_VARIANTS, addBrandAsset, listBrandAssets, removeBrandAsset } from '../utils/brandAssets';
+import { useImageUpload } from '../hooks/useImageUpload';
+import { useError } from '../utils/errorContext';
+import { Image as ImageIcon, Upload, X } from 'lucide-react';
+
+/**
+ * BrandAssetLibrary uploads and lists a brand kit's logos, icons and approved
+ * product photos. Uploads are checked by useImageUpload and saved to IndexedDB.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.brandKitId - Kit whose library is shown
+ * @param {boolean} props.disabled - Disable changes (e.g. for archived kits)
+ */
+const BrandAssetLibrary = React.memo(({ brandKitId, disabled }) => {
+  const [assets, setAssets] = useState([]);
+  const [kind, setKind] = useState(ASSET_KINDS[0].id);
+  const [variant, setVariant] = useState(LOGO_VARIANTS[0].id);
+  const { showError } = useError();
+  // Uploads are moved into the library as soon as they pass validation
+  const uploads = useImageUpload({ onUpload: (images) => handleUploaded(images) });
+
+  useEffect(() => {
+    let cancelled = false;
+    listBrandAssets(brandKitId)
+      .then((loaded) => {
+        if (!cancelled) setAssets(loaded);
+      })
+      .catch(() => showError('Failed to load brand assets.'));
+    return () => {
+      cancelled = true;
+    };
+  }, [brandKitId, showError]);
+
+  const handleUploaded = async (images) => {
+    try {
+      for (const image of images) {
+        await addBrandAsset(brandKitId, image.file, { kind, variant });
+      }
+    } catch (error) {
+      showError(`${error.message}.`);
+    } finally {
+      images.forEach((image) => uploads.removeImage(image.id));
+      setAssets(await listBrandAssets(brandKitId));
+    }
+  };
+
+  const handleRemove = async (asset) => {
+    if (!confirm(`Remove ${asset.name} from this brand kit?`)) return;
+    try {
+      await removeBrandAsset(asset.id);
+      setAssets((prev) => prev.filter((candidate) => candidate.id !== asset.id));
+    } catch (error) {
+      showError(`${error.message}.`);
+    }
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <h3 className="flex items-center text-xl font-semibold mb-4 text-gray-700">
+        <ImageIcon className="w-5 h-5 mr-2" />
+        Brand Assets
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Logos, icons and approved product photos. Logos can be placed on exported creatives in Preview, and any asset can be sent with a generation in the Studio.
+      </p>
+
+      {!disabled && (
+        <div className="flex flex-wrap items-end gap-3 mb-4">
+          <div>
+            <label htmlFor="assetKind" className="block text-sm font-medium text-gray-600 mb-1">Type</label>
+            <select
+              id="assetKind"
+              value={kind}
+              onChange={(e) => setKind(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+            >
+              {ASSET_KINDS.map((entry) => (
+                <option key={entry.id} value={entry.id}>{entry.label}</option>
+              ))}
+            </select>
+          </div>
+          {kind === 'logo' && (
+            <div>
+              <label htmlFor="assetVariant" className="block text-sm font-medium text-gray-600 mb-1">Variant</label>
+              <select
+                id="assetVariant"
+                value={variant}
+                onChange={(e) => setVariant(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              >
+                {LOGO_VARIANTS.map((entry) => (
+                  <option key={entry.id} value={entry.id}>{entry.label} ({entry.description})</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <label
+            onDrop={uploads.handleDrop}
+            onDragOver={uploads.handleDragOver}
+            className="flex-1 min-w-48 flex items-center justify-center p-3 border-2 border-dashed border-gray-300 rounded-md cursor-pointer hover:bg-gray-50 text-sm text-gray-500"
+          >
+            <Upload className="w-5 h-5 mr-2" />
+            {uploads.isUploading ? 'Uploading...' : 'Drop images here, or click to browse'}
+            <input
+              type="file"
+              accept={uploads.acceptedTypes.join(',')}
+              multiple
+              className="hidden"
+              onChange={uploads.handleFileInput}
+            />
+          </label>
+        </div>
+      )}
+
+      {assets.length === 0 ? (
+        <p className="text-sm text-gray-400">No assets in this kit yet.</p>
+      ) : (
+        ASSET_KINDS.map((entry) => {
+          const ofKind = assets.filter((asset) => asset.kind === entry.id);
+          if (ofKind.length === 0) return null;
+          return (
+            <div key={entry.id} className="mb-3">
+              <p className="text-sm font-medium text-gray-600 mb-2">{entry.label}s</p>
+              <div className="flex flex-wrap gap-3">
+                {ofKind.map((asset) => (
+                  <div key={asset.id} className="relative w-24 text-center">
+                    {/* Light logos are shown on a dark tile so they stay visible */}
+                    <div className={`h-24 w-24 flex items-center justify-center rounded border p-1 ${asset.variant === 'light' ? 'bg-gray-800' : 'bg-white'}`}>
+                      <img src={asset.image} alt={asset.name} className="max-h-full max-w-full object-contain" />
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500 truncate" title={asset.name}>
+                      {asset.variant ? `${asset.variant} · ` : ''}{asset.name}
+                    </p>
+                    {!disabled && (
+                      <button
+                        type="button"
+                        onClick={() => handleRemove(asset)}
+                        className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-600 hover:text-red-600"
+                        aria-label={`Remove ${asset.name}`}
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+});
+
+// Display name for debugging
+BrandAssetLibrary.displayName = 'BrandAssetLibrary';
+
+export default BrandAssetLibrary;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect } from 'react';
+import { loadBrandKitVersions, diffBrandKits } from '../utils/brandKits';
+import { useError } from '../utils/errorContext';
+import { History, RotateCcw, ArrowRight } from 'lucide-react';
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/**
+ * One side of a change: a swatch for colors, the text otherwise
+ * @param {Object} props - Component props
+ * @param {string} props.field - Changed field
+ * @param {string} props.value - Value on this side
+ */
+const ChangeValue = ({ field, value }) => {
+  if (!value) return <span className="italic text-gray-400">empty</span>;
+  if (field === 'colors') {
+    return (
+      <span className="inline-flex items-center gap-1">
+        <span className="inline-block w-4 h-4 rounded border border-gray-300" style={{ backgroundColor: value }} />
+        <code className="text-xs">{value}</code>
+      </span>
+    );
+  }
+  return <span>{value}</span>;
+};
+
+/**
+ * BrandKitHistory lists the saved versions of a brand kit, shows what changed
+ * between any two of them and rolls the kit back to an earlier one.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.kitId - Kit whose history is shown
+ * @param {number} props.currentVersion - Kit's current version; the list reloads when it changes
+ * @param {Function} props.onRestore - Called with (version) to roll back
+ * @param {boolean} props.disabled - Disable rolling back
+ */
+const BrandKitHistory = React.memo(({ kitId, currentVersion, onRestore, disabled }) => {
+  const [versions, setVersions] = useState([]);
+  const [fromVersion, setFromVersion] = useState(null);
+  const [toVersion, setToVersion] = useState(null);
+  const { showError } = useError();
+
+  useEffect(() => {
+    loadBrandKitVersions(kitId)
+      .then((loaded) => {
+        setVersions(loaded);
+        // Start with the latest save against the one before it
+        setToVersion(loaded[loaded.length - 1]?.version ?? null);
+        setFromVersion(loaded[loaded.length - 2]?.version ?? null);
+      })
+      .catch(() => showError('Failed to load brand kit history.'));
+  }, [kitId, currentVersion, showError]);
+
+  const showChanges = (version) => {
+    const index = versions.findIndex((entry) => entry.version === version);
+    setToVersion(version);
+    setFromVersion(versions[index - 1]?.version ?? null);
+  };
+
+  const from = versions.find((entry) => entry.version === fromVersion);
+  const to = versions.find((entry) => entry.version === toVersion);
+  const changes = from && to ? diffBrandKits(from.fields, to.fields) : [];
+
+  if (versions.length === 0) return null;
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <h3 className="flex items-center text-xl font-semibold mb-2 text-gray-700">
+        <History className="w-5 h-5 mr-2" />
+        Version History
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Every save is kept. Images in History show the kit version they were generated with.
+      </p>
+
+      {versions.length > 1 && (
+        <div className="mb-4 p-3 bg-gray-50 rounded-md">
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 mb-3">
+            Compare
+            <select
+              aria-label="Older version"
+              value={fromVersion ?? ''}
+              onChange={(e) => setFromVersion(Number(e.target.value))}
+              className="p-1 border border-gray-300 rounded-md text-sm"
+            >
+              {versions.map((entry) => (
+                <option key={entry.version} value={entry.version}>v{entry.version}</option>
+              ))}
+            </select>
+            <ArrowRight className="w-4 h-4" />
+            <select
+              aria-label="Newer version"
+              value={toVersion ?? ''}
+              onChange={(e) => setToVersion(Number(e.target.value))}
+              className="p-1 border border-gray-300 rounded-md text-sm"
+            >
+              {versions.map((entry) => (
+                <option key={entry.version} value={entry.version}>v{entry.version}</option>
+              ))}
+            </select>
+          </div>
+          {changes.length === 0 ? (
+            <p className="text-sm text-gray-500">No differences.</p>
+          ) : (
+            <ul className="space-y-2 text-sm">
+              {changes.map((change) => (
+                <li key={change.label} className="flex flex-wrap items-center gap-2">
+                  <span className="w-32 font-medium text-gray-600">{change.label}</span>
+                  {change.field === 'styleKeywords' ? (
+                    <span className="flex flex-wrap gap-1">
+                      {change.removed.map((keyword) => (
+                        <span key={`-${keyword}`} className="px-2 py-0.5 rounded bg-red-50 text-red-700 line-through">{keyword}</span>
+                      ))}
+                      {change.added.map((keyword) => (
+                        <span key={`+${keyword}`} className="px-2 py-0.5 rounded bg-green-50 text-green-700">{keyword}</span>
+                      ))}
+                    </span>
+                  ) : (
+                    <>
+                      <ChangeValue field={change.field} value={change.before} />
+                      <ArrowRight className="w-3 h-3 text-gray-400" />
+                      <ChangeValue field={change.field} value={change.after} />
+                    </>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <ul className="divide-y border rounded-md max-h-72 overflow-y-auto">
+        {[...versions].reverse().map((entry) => (
+          <li key={entry.version} className="flex flex-wrap items-center justify-between gap-2 p-3 text-sm">
+            <div>
+              <span className="font-semibold text-gray-800">v{entry.version}</span>
+              <span className="text-gray-500"> · {formatDate(entry.savedAt)} · {entry.author}</span>
+              {entry.version === currentVersion && <span className="ml-2 text-green-700">current</span>}
+              {entry.note && <p className="text-gray-600 italic">{entry.note}</p>}
+            </div>
+            <div className="flex items-center gap-3">
+              {entry.version !== versions[0].version && (
+                <button type="button" onClick={() => showChanges(entry.version)} className="text-gray-700 hover:text-blue-600">
+                  Show changes
+                </button>
+              )}
+              {entry.version !== currentVersion && (
+                <button
+                  type="button"
+                  onClick={() => onRestore(entry.version)}
+                  disabled={disabled}
+                  className="inline-flex items-center text-gray-700 hover:text-amber-600 disabled:opacity-50"
+                >
+                  <RotateCcw className="w-4 h-4 mr-1" />Restore
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+});
+
+// Display name for debugging
+BrandKitHistory.displayName = 'BrandKitHistory';
+
+export default BrandKitHistory;
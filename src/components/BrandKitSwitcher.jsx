@@ -0,0 +1,48 @@
+import React from 'react';
+import { NavLink } from 'react-router-dom';
+import { Palette } from 'lucide-react';
+
+/**
+ * BrandKitSwitcher picks the brand kit the Studio generates with. Archived kits
+ * are left out; they are managed in Settings.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.kits - All brand kits
+ * @param {string} props.activeId - Active kit ID
+ * @param {Function} props.onChange - Called with (kitId)
+ * @param {boolean} props.disabled - Disable switching while a request runs
+ */
+const BrandKitSwitcher = React.memo(({ kits, activeId, onChange, disabled }) => {
+  const usable = kits.filter((kit) => !kit.archived);
+
+  if (usable.length === 0) {
+    return (
+      <NavLink to="/settings" className="inline-flex items-center text-sm text-blue-600 hover:underline">
+        <Palette className="w-4 h-4 mr-1" />
+        Set up a brand kit
+      </NavLink>
+    );
+  }
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+      <Palette className="w-4 h-4" />
+      <span className="sr-only">Brand kit</span>
+      <select
+        value={activeId || ''}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+        className="p-1 border border-gray-300 rounded-md text-sm"
+      >
+        {usable.map((kit) => (
+          <option key={kit.id} value={kit.id}>{kit.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+});
+
+// Display name for debugging
+BrandKitSwitcher.displayName = 'BrandKitSwitcher';
+
+export default BrandKitSwitcher;
@@ -0,0 +1,102 @@
+import React, { useState, useRef } from 'react';
+import { SOCIAL_PLATFORMS, getNetworksForPlatforms } from '../constants/platforms';
+import { EXPORT_FORMATS, toICalendar, toBulkUploadCsv } from '../utils/calendarExport';
+import { downloadBlob } from '../utils/blobManager';
+import { useError } from '../utils/errorContext';
+import { Download, Upload } from 'lucide-react';
+
+const ALL_NETWORKS = getNetworksForPlatforms(SOCIAL_PLATFORMS.map((platform) => platform.name));
+
+const FORMAT_LABELS = {
+  [EXPORT_FORMATS.ICAL]: 'iCalendar (.ics)',
+  [EXPORT_FORMATS.BUFFER]: 'Buffer CSV',
+  [EXPORT_FORMATS.HOOTSUITE]: 'Hootsuite CSV'
+};
+
+/**
+ * CalendarTransfer exports the queue as an .ics calendar or a Buffer/Hootsuite
+ * bulk-upload CSV for one network, and imports a CSV of planned posts.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.posts - Post records
+ * @param {string} props.timeZone - Zone bulk-upload times are written in
+ * @param {Function} props.onImport - Called with (csvText) when a CSV file is picked
+ * @param {boolean} props.disabled - Disable the controls while an import runs
+ */
+const CalendarTransfer = React.memo(({ posts, timeZone, onImport, disabled }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS.ICAL);
+  const [network, setNetwork] = useState(ALL_NETWORKS[0]);
+  const fileInputRef = useRef(null);
+  const { showError, showSuccess } = useError();
+
+  const handleExport = () => {
+    const date = new Date().toISOString().slice(0, 10);
+    if (format === EXPORT_FORMATS.ICAL) {
+      const timed = posts.filter((post) => post.scheduledAt).length;
+      if (timed === 0) {
+        showError('There are no posts with a publish time to export.');
+        return;
+      }
+      downloadBlob(new Blob([toICalendar(posts)], { type: 'text/calendar' }), `content-calendar-${date}.ics`);
+      showSuccess(`Exported ${timed} post${timed === 1 ? '' : 's'} to the calendar file.`);
+      return;
+    }
+
+    const { csv, count } = toBulkUploadCsv(posts, { format, network, timeZone });
+    if (count === 0) {
+      showError(`No upcoming scheduled posts reach ${network}.`);
+      return;
+    }
+    const slug = network.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadBlob(new Blob([csv], { type: 'text/csv' }), `${format}-${slug}-${date}.csv`);
+    showSuccess(`Exported ${count} ${network} post${count === 1 ? '' : 's'}; times are in ${timeZone}.`);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) onImport(await file.text());
+  };
+
+  const inputClass = 'p-1 border border-gray-300 rounded-md text-xs';
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+      <select aria-label="Export format" value={format} onChange={(e) => setFormat(e.target.value)} className={inputClass}>
+        {Object.values(EXPORT_FORMATS).map((value) => (
+          <option key={value} value={value}>{FORMAT_LABELS[value]}</option>
+        ))}
+      </select>
+      {format !== EXPORT_FORMATS.ICAL && (
+        <select aria-label="Network" value={network} onChange={(e) => setNetwork(e.target.value)} className={inputClass}>
+          {ALL_NETWORKS.map((name) => (
+            <option key={name} value={name}>{name}</option>
+          ))}
+        </select>
+      )}
+      <button
+        onClick={handleExport}
+        disabled={disabled}
+        className="inline-flex items-center px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        <Download className="w-3 h-3 mr-1" />
+        Export
+      </button>
+      <button
+        onClick={() => fileInputRef.current?.click()}
+        disabled={disabled}
+        title="Columns: Text, Hashtags, Posting Time (YYYY-MM-DD HH:mm), Platforms (separated by ;), Image URL, Time Zone"
+        className="inline-flex items-center px-2 py-1 border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+      >
+        <Upload className="w-3 h-3 mr-1" />
+        Import CSV as drafts
+      </button>
+      <input ref={fileInputRef} type="file" accept=".csv,text/csv" onChange={handleFileChange} className="hidden" />
+    </div>
+  );
+});
+
+// Display name for debugging
+CalendarTransfer.displayName = 'CalendarTransfer';
+
+export default CalendarTransfer;
@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import { loadCampaigns, saveCampaign, deleteCampaign } from '../utils/brandKits';
+import { useError } from '../utils/errorContext';
+import { Megaphone, Plus, Trash2 } from 'lucide-react';
+
+/**
+ * CampaignManager lists the campaigns and the brand kit each one generates
+ * with. Picking a campaign in the Studio uses its kit instead of the active one.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.kits - All brand kits; archived kits cannot be assigned
+ * @param {boolean} props.disabled - Disable changes while the settings save
+ */
+const CampaignManager = React.memo(({ kits, disabled }) => {
+  const [campaigns, setCampaigns] = useState([]);
+  const { showError, showSuccess } = useError();
+  const assignableKits = kits.filter((kit) => !kit.archived);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCampaigns()
+      .then((loaded) => {
+        if (!cancelled) setCampaigns(loaded.campaigns);
+      })
+      .catch(() => showError('Failed to load campaigns.'));
+    return () => {
+      cancelled = true;
+    };
+  }, [showError]);
+
+  /**
+   * Save a campaign change and show the result
+   * @param {Function} action - Async action returning campaigns from utils/brandKits
+   * @param {string} message - Success message
+   */
+  const runCampaignAction = async (action, message) => {
+    try {
+      setCampaigns((await action()).campaigns);
+      showSuccess(message);
+    } catch (error) {
+      showError(`${error.message}.`);
+    }
+  };
+
+  const handleNew = () => {
+    const name = prompt('Name of the new campaign (e.g. Summer Sale):');
+    if (name === null) return;
+    runCampaignAction(() => saveCampaign({ name, brandKitId: assignableKits[0]?.id }), `Created "${name.trim()}".`);
+  };
+
+  const handleRename = (campaign, name) => {
+    if (name.trim() === campaign.name) return;
+    runCampaignAction(() => saveCampaign({ ...campaign, name }), `Renamed to "${name.trim()}".`);
+  };
+
+  const handleDelete = (campaign) => {
+    if (!confirm(`Delete the campaign "${campaign.name}"? Images and posts keep its name.`)) return;
+    runCampaignAction(() => deleteCampaign(campaign.id), `Deleted "${campaign.name}".`);
+  };
+
+  return (
+    <div className="mt-8 pt-6 border-t">
+      <h3 className="flex items-center text-xl font-semibold mb-4 text-gray-700">
+        <Megaphone className="w-5 h-5 mr-2" />
+        Campaigns
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Assign a brand kit to each campaign. While a campaign is picked in the Studio, its kit is used instead of the active one, and images and posts record the campaign.
+      </p>
+
+      {campaigns.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {campaigns.map((campaign) => (
+            <li key={campaign.id} className="flex flex-wrap items-center gap-3">
+              <input
+                type="text"
+                aria-label="Campaign name"
+                defaultValue={campaign.name}
+                onBlur={(e) => handleRename(campaign, e.target.value)}
+                disabled={disabled}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              />
+              <select
+                aria-label={`Brand kit for ${campaign.name}`}
+                value={campaign.brandKitId}
+                onChange={(e) => runCampaignAction(
+                  () => saveCampaign({ ...campaign, brandKitId: e.target.value }),
+                  `"${campaign.name}" now uses ${kits.find((kit) => kit.id === e.target.value)?.name}.`
+                )}
+                disabled={disabled}
+                className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              >
+                {/* A kit archived after it was assigned stays listed; the Studio falls back to the active kit */}
+                {kits.filter((kit) => !kit.archived || kit.id === campaign.brandKitId).map((kit) => (
+                  <option key={kit.id} value={kit.id}>{kit.name}{kit.archived ? ' (archived)' : ''}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => handleDelete(campaign)}
+                disabled={disabled}
+                className="inline-flex items-center text-sm text-gray-700 hover:text-red-600"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button
+        type="button"
+        onClick={handleNew}
+        disabled={disabled || assignableKits.length === 0}
+        title={assignableKits.length === 0 ? 'Save a brand kit first' : undefined}
+        className="inline-flex items-center text-sm text-gray-700 hover:text-blue-600 disabled:text-gray-400"
+      >
+        <Plus className="w-4 h-4 mr-1" />New campaign
+      </button>
+    </div>
+  );
+});
+
+// Display name for debugging
+CampaignManager.displayName = 'CampaignManager';
+
+export default CampaignManager;
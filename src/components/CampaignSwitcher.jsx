@@ -0,0 +1,40 @@
+import React from 'react';
+import { Megaphone } from 'lucide-react';
+
+/**
+ * CampaignSwitcher picks the campaign the Studio generates for. A campaign
+ * brings its own brand kit (assigned in Settings), so the kit switcher is
+ * locked while one is picked. Hidden until a campaign exists.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.campaigns - All campaigns
+ * @param {string} props.activeId - Picked campaign ID, null for none
+ * @param {Function} props.onChange - Called with (campaignId), null for none
+ * @param {boolean} props.disabled - Disable switching while a request runs
+ */
+const CampaignSwitcher = React.memo(({ campaigns, activeId, onChange, disabled }) => {
+  if (campaigns.length === 0) return null;
+
+  return (
+    <label className="inline-flex items-center gap-2 text-sm text-gray-600">
+      <Megaphone className="w-4 h-4" />
+      <span className="sr-only">Campaign</span>
+      <select
+        value={activeId || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        disabled={disabled}
+        className="p-1 border border-gray-300 rounded-md text-sm"
+      >
+        <option value="">No campaign</option>
+        {campaigns.map((campaign) => (
+          <option key={campaign.id} value={campaign.id}>{campaign.name}</option>
+        ))}
+      </select>
+    </label>
+  );
+});
+
+// Display name for debugging
+CampaignSwitcher.displayName = 'CampaignSwitcher';
+
+export default CampaignSwitcher;
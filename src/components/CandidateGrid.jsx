@@ -0,0 +1,68 @@
+import React from 'react';
+import { Star, CheckCircle } from 'lucide-react';
+
+/**
+ * CandidateGrid renders the candidate images of one generation side by side
+ * so the user can pick a winner and star alternatives worth keeping.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.candidates - Candidates ({ id, variants, starred })
+ * @param {string} props.selectedId - ID of the currently chosen candidate
+ * @param {Function} props.onSelect - Called with the candidate chosen as winner
+ * @param {Function} props.onToggleStar - Called with the candidate to star/unstar
+ * @param {boolean} props.disabled - Disable interaction while a request is running
+ */
+const CandidateGrid = React.memo(({ candidates, selectedId, onSelect, onToggleStar, disabled }) => {
+  if (!candidates || candidates.length < 2) return null;
+
+  return (
+    <div className="w-full mb-4">
+      <h3 className="text-sm font-medium text-gray-700 mb-2">
+        Candidates <span className="text-gray-400 font-normal">(pick a winner, star the ones to keep)</span>
+      </h3>
+      <div className="grid grid-cols-2 gap-3">
+        {candidates.map((candidate, index) => {
+          const isSelected = candidate.id === selectedId;
+          return (
+            <div
+              key={candidate.id}
+              className={`relative rounded-lg border-2 overflow-hidden ${isSelected ? 'border-blue-600' : 'border-transparent'}`}
+            >
+              <button
+                onClick={() => onSelect(candidate)}
+                disabled={disabled}
+                className="block w-full"
+                title="Use this candidate"
+              >
+                <img
+                  src={candidate.variants[0].image}
+                  alt={`Candidate ${index + 1}`}
+                  className="w-full h-32 object-cover bg-gray-100"
+                />
+              </button>
+              <button
+                onClick={() => onToggleStar(candidate)}
+                disabled={disabled}
+                className="absolute top-1 right-1 p-1 rounded-full bg-white/80 hover:bg-white"
+                title={candidate.starred ? 'Unstar' : 'Star'}
+              >
+                <Star className={`w-4 h-4 ${candidate.starred ? 'fill-yellow-400 text-yellow-500' : 'text-gray-500'}`} />
+              </button>
+              {isSelected && (
+                <span className="absolute bottom-1 left-1 inline-flex items-center px-2 py-0.5 rounded bg-blue-600 text-white text-xs">
+                  <CheckCircle className="w-3 h-3 mr-1" />
+                  Winner
+                </span>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+});
+
+// Display name for debugging
+CandidateGrid.displayName = 'CandidateGrid';
+
+export default CandidateGrid;
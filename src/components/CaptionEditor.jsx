@@ -0,0 +1,73 @@
+import React from 'react';
+import { createEmptyCaption, getCaptionStats } from '../utils/captions';
+
+/**
+ * CaptionEditor shows one editable caption, CTA and hashtag list per network,
+ * with a live character count against that network's limits.
+ *
+ * @param {Object} props - Component props
+ * @param {string[]} props.networks - Networks to show (e.g. ['Instagram', 'X/Twitter'])
+ * @param {Object} props.captions - Captions keyed by network ({ caption, hashtags, cta })
+ * @param {Function} props.onChange - Called with (network, updatedCaption)
+ * @param {Function} props.onBlur - Optional; called when a field loses focus (e.g. to persist edits)
+ * @param {boolean} props.disabled - Disable editing while a request is running
+ */
+const CaptionEditor = React.memo(({ networks, captions, onChange, onBlur, disabled }) => {
+  if (!networks || networks.length === 0) return null;
+
+  return (
+    <div className="space-y-4">
+      {networks.map((network) => {
+        const entry = captions[network] || createEmptyCaption();
+        const stats = getCaptionStats(entry, network);
+        const update = (updates) => onChange(network, { ...entry, ...updates });
+
+        return (
+          <div key={network} className={`p-3 border rounded-md ${stats.overLimit ? 'border-red-400 bg-red-50' : 'border-gray-200'}`}>
+            <div className="flex justify-between items-center mb-2 text-sm">
+              <span className="font-medium text-gray-700">{network}</span>
+              <span className={stats.overLimit ? 'text-red-600 font-semibold' : 'text-gray-500'}>
+                {stats.length}{Number.isFinite(stats.maxChars) ? ` / ${stats.maxChars}` : ''} chars
+                {Number.isFinite(stats.maxHashtags) && ` · ${stats.hashtagCount} / ${stats.maxHashtags} hashtags`}
+              </span>
+            </div>
+            <textarea
+              rows="3"
+              aria-label={`${network} caption`}
+              className="w-full p-2 border border-gray-300 rounded-md shadow-sm text-sm"
+              value={entry.caption}
+              onChange={(e) => update({ caption: e.target.value })}
+              onBlur={onBlur}
+              disabled={disabled}
+            />
+            <input
+              type="text"
+              aria-label={`${network} call to action`}
+              placeholder="Call to action"
+              className="w-full mt-2 p-2 border border-gray-300 rounded-md shadow-sm text-sm"
+              value={entry.cta}
+              onChange={(e) => update({ cta: e.target.value })}
+              onBlur={onBlur}
+              disabled={disabled}
+            />
+            <input
+              type="text"
+              aria-label={`${network} hashtags`}
+              placeholder="#hashtags separated by spaces"
+              className="w-full mt-2 p-2 border border-gray-300 rounded-md shadow-sm text-sm"
+              value={entry.hashtags.join(' ')}
+              onChange={(e) => update({ hashtags: e.target.value.split(/\s+/) })}
+              onBlur={onBlur}
+              disabled={disabled}
+            />
+          </div>
+        );
+      })}
+    </div>
+  );
+});
+
+// Display name for debugging
+CaptionEditor.displayName = 'CaptionEditor';
+
+export default CaptionEditor;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { getImageHistoryPage, getVariantSet, deleteVariantSet, deleteGeneratedImage } from '../utils/dataStorage';
+import { fromStoredImage } from '../utils/imageData';
+import { useError } from '../utils/errorContext';
+import { errorHandlers } from '../utils/errorHandling';
+import { Search, Trash2, RotateCcw, Star, ChevronLeft, ChevronRight } from 'lucide-react';
+
+const PAGE_SIZE = 12;
+
+const HistoryPage = ({ setGeneratedImage, setImageVariants, setAltText, setCaptions, setCurrentImageId }) => {
+  const [entries, setEntries] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [query, setQuery] = useState('');
+  const [searchText, setSearchText] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const { showError, showSuccess } = useError();
+  const navigate = useNavigate();
+
+  const loadPage = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await getImageHistoryPage({ offset: page * PAGE_SIZE, limit: PAGE_SIZE, query });
+      // Resolve stored blobs to displayable URLs for the thumbnails
+      const withImages = await Promise.all(result.items.map(async (record) => ({
+        ...record,
+        displayUrl: await fromStoredImage(record)
+      })));
+      setEntries(withImages);
+      setTotal(result.total);
+    } catch (error) {
+      errorHandlers.storage.indexedDB(error, showError, 'load history');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [page, query, showError]);
+
+  useEffect(() => {
+    loadPage();
+  }, [loadPage]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(0);
+    setQuery(searchText);
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm('Delete this generation and all of its platform variants?')) return;
+
+    const deleted = entry.variantSetId
+      ? await deleteVariantSet(entry.variantSetId)
+      : await deleteGeneratedImage(entry.id);
+
+    if (deleted) {
+      showSuccess('Generation deleted.');
+      // Step back if the last item on this page was removed
+      if (entries.length === 1 && page > 0) {
+        setPage(page - 1);
+      } else {
+        loadPage();
+      }
+    } else {
+      showError('Failed to delete generation.');
+    }
+  };
+
+  const handleRestore = async (entry) => {
+    try {
+      const variants = entry.variantSetId ? await getVariantSet(entry.variantSetId) : [entry];
+      const resolved = (await Promise.all(variants.map(async (variant) => ({
+        id: variant.id,
+        ratio: variant.ratio || '1:1',
+        platforms: variant.platforms || [],
+        image: await fromStoredImage(variant)
+      })))).filter((variant) => variant.image);
+
+      setGeneratedImage(entry.displayUrl);
+      setImageVariants(Object.fromEntries(resolved.map((variant) => [variant.ratio, variant.image])));
+      setAltText(entry.altText || '');
+      setCaptions(entry.captions || {});
+      setCurrentImageId(entry.id);
+      // The Studio picks the generation up as its selected candidate, as if it had just been generated
+      navigate('/', {
+        state: {
+          restoredPrompt: entry.prompt,
+          restoredPlatforms: entry.targetPlatforms || [],
+          restoredCandidate: {
+            id: entry.variantSetId || entry.id,
+            variants: resolved.map(({ ratio, platforms, image }) => ({ ratio, platforms, image })),
+            imageIds: resolved.map((variant) => variant.id),
+            timings: entry.timings || {},
+            starred: Boolean(entry.starred)
+          }
+        }
+      });
+    } catch (error) {
+      errorHandlers.storage.retrieval(error, showError, 'restore generation');
+    }
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="max-w-7xl mx-auto p-4">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-3xl font-bold text-gray-800">Generation History</h2>
+        <form onSubmit={handleSearch} className="flex gap-2">
+          <input
+            type="search"
+            value={searchText}
+            onChange={(e) => setSearchText(e.target.value)}
+            placeholder="Search by prompt"
+            className="w-64 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            className="inline-flex items-center px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-md hover:bg-blue-700"
+          >
+            <Search className="w-4 h-4 mr-2" />
+            Search
+          </button>
+        </form>
+      </div>
+
+      {isLoading && <div className="text-center p-8 text-gray-600">Loading history...</div>}
+
+      {!isLoading && entries.length === 0 && (
+        <div className="text-center p-8 bg-white rounded-lg shadow-md text-gray-600">
+          {query ? `No generations match "${query}".` : 'No generations yet. Images you generate in the Studio are saved here automatically.'}
+        </div>
+      )}
+
+      {!isLoading && entries.length > 0 && (
+        <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-6">
+          {entries.map((entry) => (
+            <div key={entry.id} className="bg-white rounded-lg shadow-lg overflow-hidden flex flex-col">
+              <div className="relative bg-gray-100">
+                {entry.displayUrl && (
+                  <img src={entry.displayUrl} alt={entry.altText || entry.prompt} className="w-full h-48 object-contain" />
+                )}
+                {entry.starred && (
+                  <Star className="absolute top-2 right-2 w-5 h-5 fill-yellow-400 text-yellow-500" />
+                )}
+                {entry.status === 'rejected' && (
+                  <span className="absolute top-2 left-2 px-2 py-0.5 rounded bg-gray-700 text-white text-xs">Not picked</span>
+                )}
+              </div>
+              <div className="p-4 flex-1 flex flex-col">
+                <p className="text-sm text-gray-800 line-clamp-3 mb-2" title={entry.prompt}>{entry.prompt}</p>
+                <p className="text-xs text-gray-500 mb-4">
+                  {new Date(entry.createdAt).toLocaleString()}
+                  {entry.imageModel && ` · ${entry.imageModel}`}
+                  {entry.brandKit?.name && ` · ${entry.brandKit.name}${entry.brandKitVersion ? ` v${entry.brandKitVersion}` : ''}`}
+                  {entry.campaign && ` · ${entry.campaign.name}`}
+                  {entry.timings?.generationMs > 0 && ` · ${(entry.timings.generationMs / 1000).toFixed(1)}s`}
+                </p>
+                <div className="mt-auto flex gap-2">
+                  <button
+                    onClick={() => handleRestore(entry)}
+                    className="flex-1 inline-flex items-center justify-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                  >
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Restore to Studio
+                  </button>
+                  <button
+                    onClick={() => handleDelete(entry)}
+                    className="px-3 py-2 text-sm rounded-md border border-gray-300 text-gray-600 hover:bg-red-50 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex items-center justify-center gap-4 mt-8">
+          <button
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+          >
+            <ChevronLeft className="w-4 h-4 mr-1" />
+            Previous
+          </button>
+          <span className="text-sm text-gray-600">Page {page + 1} of {pageCount}</span>
+          <button
+            onClick={() => setPage(page + 1)}
+            disabled={page + 1 >= pageCount}
+            className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-md text-sm disabled:opacity-50"
+          >
+            Next
+            <ChevronRight className="w-4 h-4 ml-1" />
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HistoryPage;
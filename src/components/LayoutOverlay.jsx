@@ -0,0 +1,83 @@
+import React from 'react';
+
+const toPercent = (value) => `${value * 100}%`;
+
+/**
+ * LayoutOverlay draws the headline, CTA and logo placement of a layout on top
+ * of a platform preview frame. Sizes scale with the frame width (container units),
+ * so the same layout reads correctly on every thumbnail size.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.layout - Layout from the layout engine (fractions of the frame)
+ * @param {string} props.headline - Headline text
+ * @param {string} props.cta - Call-to-action text
+ * @param {string[]} props.brandColors - Brand kit colors; the first is used for the CTA button
+ * @param {string} props.logo - Logo image drawn in the logo box; a placeholder is shown without one
+ */
+const LayoutOverlay = React.memo(({ layout, headline, cta, brandColors = [], logo }) => {
+  if (!layout) return null;
+
+  const accent = brandColors[0] || '#2563eb';
+  const scrimSide = layout.headline.y < 0.5 ? 'to bottom' : 'to top';
+
+  return (
+    <div className="absolute inset-0 pointer-events-none" style={{ containerType: 'inline-size' }}>
+      {layout.scrim && (
+        <div
+          className="absolute inset-0"
+          style={{ background: `linear-gradient(${scrimSide}, rgba(0,0,0,0.45), rgba(0,0,0,0) 45%)` }}
+        />
+      )}
+      {headline && (
+        <p
+          className="absolute font-bold leading-tight"
+          style={{
+            left: toPercent(layout.headline.x),
+            top: toPercent(layout.headline.y),
+            width: toPercent(layout.headline.width),
+            textAlign: layout.headline.align,
+            color: layout.textColor,
+            fontSize: '7cqw'
+          }}
+        >
+          {headline}
+        </p>
+      )}
+      {cta && (
+        <div
+          className="absolute"
+          style={{
+            left: toPercent(layout.cta.x),
+            top: toPercent(layout.cta.y),
+            width: toPercent(layout.cta.width),
+            textAlign: layout.cta.align
+          }}
+        >
+          <span
+            className="inline-block rounded-full font-semibold text-white"
+            style={{ backgroundColor: accent, fontSize: '4cqw', padding: '1.5cqw 4cqw' }}
+          >
+            {cta}
+          </span>
+        </div>
+      )}
+      <div
+        className={`absolute flex items-center justify-center ${logo ? '' : 'rounded-md border border-white/70 bg-white/30 text-white font-semibold'}`}
+        style={{
+          left: toPercent(layout.logo.x),
+          top: toPercent(layout.logo.y),
+          width: toPercent(layout.logo.size),
+          aspectRatio: 1,
+          fontSize: '2.5cqw'
+        }}
+      >
+        {logo ? <img src={logo} alt="" className="max-w-full max-h-full object-contain" /> : 'LOGO'}
+      </div>
+    </div>
+  );
+});
+
+// Display name for debugging
+LayoutOverlay.displayName = 'LayoutOverlay';
+
+export default LayoutOverlay;
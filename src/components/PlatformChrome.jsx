@@ -0,0 +1,203 @@
+import React from 'react';
+import {
+  Heart, MessageCircle, Send, Bookmark, Share2, Music, Ellipsis, ArrowBigUp, ArrowBigDown
+} from 'lucide-react';
+
+const toPercent = (value) => `${value * 100}%`;
+
+// Placeholder account shown in the mock platform UI
+const HANDLE = 'yourbrand';
+
+const Avatar = ({ className = 'w-6 h-6' }) => (
+  <span className={`${className} inline-block shrink-0 rounded-full bg-gradient-to-br from-pink-400 to-yellow-300 border border-white`} />
+);
+
+/**
+ * Profile row shown above feed-style posts
+ */
+const FeedHeader = ({ chrome }) => (
+  <div className="flex items-center gap-2 py-1.5 text-xs text-gray-800">
+    <Avatar />
+    <span className="font-semibold">{chrome === 'forum' ? `r/${HANDLE}` : HANDLE}</span>
+    {chrome === 'ad' && <span className="text-gray-500">· Sponsored</span>}
+    <Ellipsis className="w-4 h-4 ml-auto text-gray-500" />
+  </div>
+);
+
+/**
+ * Action row and caption shown below feed-style posts
+ */
+const FeedFooter = ({ chrome, caption }) => {
+  if (chrome === 'forum') {
+    return (
+      <div className="flex items-center gap-3 py-1.5 text-xs text-gray-600">
+        <span className="inline-flex items-center gap-1"><ArrowBigUp className="w-4 h-4" />1.2k<ArrowBigDown className="w-4 h-4" /></span>
+        <span className="inline-flex items-center gap-1"><MessageCircle className="w-4 h-4" />86</span>
+        <span className="inline-flex items-center gap-1"><Share2 className="w-4 h-4" />Share</span>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-1.5 text-xs text-gray-800">
+      <div className="flex items-center gap-3">
+        <Heart className="w-4 h-4" />
+        <MessageCircle className="w-4 h-4" />
+        {chrome === 'card' ? <Share2 className="w-4 h-4" /> : <Send className="w-4 h-4" />}
+        <Bookmark className="w-4 h-4 ml-auto" />
+      </div>
+      {chrome === 'ad' && (
+        <div className="mt-1.5 px-2 py-1 bg-gray-100 rounded font-semibold text-blue-700">Learn more</div>
+      )}
+      {caption && (
+        <p className="mt-1 line-clamp-2"><span className="font-semibold">{HANDLE}</span> {caption}</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * UI drawn on top of the image itself (Stories, short video, thumbnails, pins)
+ */
+const InFrameChrome = ({ chrome, caption }) => {
+  if (chrome === 'story') {
+    return (
+      <>
+        <div className="absolute inset-x-0 top-0 p-[3cqw] bg-gradient-to-b from-black/40 to-transparent text-white" style={{ height: '13%' }}>
+          <div className="flex gap-[1cqw]">
+            {[1, 0.4, 0].map((progress, index) => (
+              <span key={index} className="h-[0.8cqw] flex-1 rounded-full bg-white/40 overflow-hidden">
+                <span className="block h-full bg-white" style={{ width: toPercent(progress) }} />
+              </span>
+            ))}
+          </div>
+          <div className="mt-[2.5cqw] flex items-center gap-[2cqw]" style={{ fontSize: '4cqw' }}>
+            <Avatar className="w-[8cqw] h-[8cqw]" />
+            <span className="font-semibold">{HANDLE}</span>
+            <span className="opacity-70">2h</span>
+          </div>
+        </div>
+        <div className="absolute inset-x-0 bottom-0 flex items-center gap-[3cqw] px-[4cqw] text-white" style={{ height: '18%' }}>
+          <span className="flex-1 rounded-full border border-white/80 px-[4cqw] py-[2cqw]" style={{ fontSize: '4cqw' }}>Send message</span>
+          <Heart className="w-[7cqw] h-[7cqw]" />
+          <Send className="w-[7cqw] h-[7cqw]" />
+        </div>
+      </>
+    );
+  }
+
+  if (chrome === 'short-video') {
+    return (
+      <>
+        <div className="absolute inset-x-0 top-0 flex items-center justify-center gap-[5cqw] text-white" style={{ height: '8%', fontSize: '4.5cqw' }}>
+          <span className="opacity-70">Following</span>
+          <span className="font-semibold border-b-2 border-white">For You</span>
+        </div>
+        <div className="absolute flex flex-col items-center justify-around text-white" style={{ left: '85%', top: '35%', width: '15%', height: '45%', fontSize: '3cqw' }}>
+          <Avatar className="w-[10cqw] h-[10cqw]" />
+          {[[Heart, '24.1K'], [MessageCircle, '512'], [Bookmark, '2K'], [Share2, '890']].map(([Icon, count]) => (
+            <span key={count} className="flex flex-col items-center">
+              <Icon className="w-[8cqw] h-[8cqw]" />
+              {count}
+            </span>
+          ))}
+        </div>
+        <div className="absolute inset-x-0 bottom-0 px-[4cqw] pb-[4cqw] flex flex-col justify-end bg-gradient-to-t from-black/40 to-transparent text-white" style={{ height: '20%', fontSize: '3.5cqw' }}>
+          <span className="font-semibold">@{HANDLE}</span>
+          <span className="line-clamp-2">{caption || 'Your caption and #hashtags appear here'}</span>
+          <span className="inline-flex items-center gap-[1.5cqw] mt-[1cqw]"><Music className="w-[3.5cqw] h-[3.5cqw]" />original sound</span>
+        </div>
+      </>
+    );
+  }
+
+  if (chrome === 'video') {
+    return (
+      <span
+        className="absolute flex items-center justify-center rounded bg-black/80 text-white font-semibold"
+        style={{ left: '80%', top: '84%', width: '18%', height: '12%', fontSize: '4cqw' }}
+      >
+        12:34
+      </span>
+    );
+  }
+
+  if (chrome === 'pin') {
+    return (
+      <span
+        className="absolute flex items-center justify-center rounded-full bg-red-600 text-white font-semibold"
+        style={{ left: '70%', top: '2%', width: '28%', height: '8%', fontSize: '5cqw' }}
+      >
+        Save
+      </span>
+    );
+  }
+
+  return null;
+};
+
+const FRAME_ONLY = ['story', 'short-video'];
+
+/**
+ * PlatformChrome renders a preview frame wrapped in a mock of the platform's
+ * own UI (profile header, action buttons, caption bar, Story progress bar),
+ * and can outline the preset's safe zones with any layout element that
+ * falls under them.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.platform - SOCIAL_PLATFORMS entry
+ * @param {string} props.caption - Caption text shown in the mock UI
+ * @param {boolean} props.showChrome - Draw the platform UI
+ * @param {boolean} props.showSafeZones - Outline safe zones and violations
+ * @param {Object[]} props.violations - Safe-zone violations ({ element, zone }) from the platform validator
+ * @param {React.ReactNode} props.children - Frame contents (image and layout overlay)
+ */
+const PlatformChrome = React.memo(({ platform, caption, showChrome, showSafeZones, violations = [], children }) => {
+  const chrome = platform.chrome;
+  const outsideFrame = showChrome && chrome && !FRAME_ONLY.includes(chrome);
+  const violatedZones = new Set(violations.map(({ zone }) => zone.name));
+  const violatingElements = [...new Map(violations.map(({ element }) => [element.name, element])).values()];
+
+  return (
+    <div className={outsideFrame ? 'border border-gray-200 rounded-md px-2 bg-white' : ''}>
+      {outsideFrame && <FeedHeader chrome={chrome} />}
+      <div
+        className="relative w-full bg-gray-200 rounded-md overflow-hidden"
+        style={{ aspectRatio: platform.thumbnailRatio }}
+      >
+        {children}
+        {showChrome && (
+          <div className="absolute inset-0 pointer-events-none" style={{ containerType: 'inline-size' }}>
+            <InFrameChrome chrome={chrome} caption={caption} />
+          </div>
+        )}
+        {showSafeZones && (
+          <div className="absolute inset-0 pointer-events-none">
+            {(platform.safeZones || []).map((zone) => (
+              <div
+                key={zone.name}
+                title={zone.name}
+                className={`absolute border-2 border-dashed ${violatedZones.has(zone.name) ? 'border-red-500 bg-red-500/25' : 'border-amber-300 bg-amber-300/10'}`}
+                style={{ left: toPercent(zone.x), top: toPercent(zone.y), width: toPercent(zone.width), height: toPercent(zone.height) }}
+              />
+            ))}
+            {violatingElements.map((element) => (
+              <div
+                key={element.name}
+                title={`${element.name} is covered by platform UI`}
+                className="absolute border-2 border-red-600"
+                style={{ left: toPercent(element.x), top: toPercent(element.y), width: toPercent(element.width), height: toPercent(element.height) }}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+      {outsideFrame && <FeedFooter chrome={chrome} caption={caption} />}
+    </div>
+  );
+});
+
+// Display name for debugging
+PlatformChrome.displayName = 'PlatformChrome';
+
+export default PlatformChrome;
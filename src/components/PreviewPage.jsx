@@ -1,8 +1,131 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { NavLink } from 'react-router-dom';
 import { SOCIAL_PLATFORMS } from '../constants/platforms';
+import { loadActiveBrandKit, loadBrandKitById } from '../utils/brandKits';
+import { listBrandAssets, LOGO_VARIANTS } from '../utils/brandAssets';
+import { getLayoutsForImage, loadGeneratedImage } from '../utils/dataStorage';
+import { generateLayouts, LAYOUT_SOURCES, DEFAULT_LAYOUT } from '../utils/layoutEngine';
+import { exportComposite, getExportFileName, getExportSize, EXPORT_FORMATS } from '../utils/compositor';
+import { downloadBlob } from '../utils/blobManager';
+import { blobToDataUrl } from '../utils/imageData';
+import { measureAsset, validateCreative, findSafeZoneViolations } from '../utils/platformValidator';
+import { composeCaption } from '../utils/captions';
+import {
+  detectFocalPoint,
+  resolveFocalPoint,
+  getFocalObjectPosition,
+  frameToImagePoint,
+  imageToFramePoint,
+  saveImageFocalPoint,
+  savePlatformFocalPoint,
+  FOCAL_SOURCES
+} from '../utils/smartCrop';
+import LayoutOverlay from './LayoutOverlay';
+import PlatformChrome from './PlatformChrome';
+import ValidationReport from './ValidationReport';
+import { useError } from '../utils/errorContext';
+import { errorHandlers } from '../utils/errorHandling';
+import { isAbortError } from '../utils/fetchWithRetry';
+import { LayoutTemplate, RefreshCw, Download, Crosshair, ScanEye } from 'lucide-react';
+
+// Focus target that sets the image focal point rather than a platform override
+const IMAGE_FOCUS = 'image';
+
+const PreviewPage = ({ generatedImage, imageVariants = {}, altText, currentImageId, captions = {}, creatives = {}, setCreatives }) => {
+  const [layouts, setLayouts] = useState({});
+  const [headline, setHeadline] = useState('');
+  const [cta, setCta] = useState(() => Object.values(captions).find((entry) => entry?.cta)?.cta || '');
+  const [showOverlay, setShowOverlay] = useState(true);
+  const [showChrome, setShowChrome] = useState(false);
+  const [showSafeZones, setShowSafeZones] = useState(false);
+  const [isOptimizing, setIsOptimizing] = useState(false);
+  const [brandColors, setBrandColors] = useState([]);
+  const [logoAssets, setLogoAssets] = useState([]);
+  // Logo from the kit's library drawn on exported creatives; '' for none
+  const [logoId, setLogoId] = useState('');
+  const [exportFormat, setExportFormat] = useState('png');
+  const [exportingPlatform, setExportingPlatform] = useState(null);
+  const [assets, setAssets] = useState({});
+  const [imageFocalPoint, setImageFocalPoint] = useState(null);
+  const [focalOverrides, setFocalOverrides] = useState({});
+  const [focusTarget, setFocusTarget] = useState(null);
+  const [isDetectingFocus, setIsDetectingFocus] = useState(false);
+  const [imageSizes, setImageSizes] = useState({});
+  const { showError, showSuccess } = useError();
+  const abortControllerRef = useRef(null);
+
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  // Brand colors and logos come from the kit the image was generated with, else the active kit
+  useEffect(() => {
+    let cancelled = false;
+    const loadBrand = async () => {
+      const record = currentImageId ? await loadGeneratedImage(currentImageId) : null;
+      const kit = (record?.brandKitId && await loadBrandKitById(record.brandKitId)) || await loadActiveBrandKit();
+      const assets = await listBrandAssets(kit?.id);
+      if (!cancelled) {
+        setBrandColors(kit?.colors || []);
+        setLogoAssets(assets.filter((asset) => asset.kind === 'logo'));
+      }
+    };
+    loadBrand().catch(() => {
+      if (!cancelled) {
+        setBrandColors([]);
+        setLogoAssets([]);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentImageId]);
+
+  // Saved layouts (and the text they were made for) and focal points are restored for the current image
+  useEffect(() => {
+    if (!currentImageId) return;
+    let cancelled = false;
+    Promise.all([getLayoutsForImage(currentImageId), loadGeneratedImage(currentImageId)]).then(([saved, record]) => {
+      if (cancelled) return;
+      setImageFocalPoint(record?.focalPoint || null);
+      // Records holding only a focal point override have no layout yet
+      const placed = saved.filter((layout) => layout.headline);
+      setLayouts(Object.fromEntries(placed.map((layout) => [layout.platform, layout])));
+      setFocalOverrides(Object.fromEntries(saved.filter((layout) => layout.focalPoint).map((layout) => [layout.platform, layout.focalPoint])));
+      if (placed[0]?.headlineText) setHeadline(placed[0].headlineText);
+      if (placed[0]?.ctaText) setCta(placed[0].ctaText);
+    }).catch((error) => {
+      if (!cancelled) errorHandlers.storage.indexedDB(error, showError, 'load the saved layouts');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currentImageId, showError]);
+
+  // Measure what would be posted to each platform: the exported creative, else the raw render
+  useEffect(() => {
+    if (!generatedImage) return;
+    let cancelled = false;
+    const measured = new Map();
+    const measure = (src) => {
+      if (!measured.has(src)) {
+        measured.set(src, measureAsset(src).catch(() => null));
+      }
+      return measured.get(src);
+    };
+    Promise.all(SOCIAL_PLATFORMS.map(async (platform) => [
+      platform.name,
+      await measure(creatives[platform.name] || imageVariants[platform.ratio] || generatedImage)
+    ])).then((entries) => {
+      if (!cancelled) setAssets(Object.fromEntries(entries));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [generatedImage, imageVariants, creatives]);
+
+  const logo = logoAssets.find((asset) => asset.id === logoId)?.image;
 
-const PreviewPage = ({ generatedImage, altText }) => {
   if (!generatedImage) {
     return (
       <div className="text-center p-8 bg-white rounded-lg shadow-md">
@@ -20,29 +143,367 @@ const PreviewPage = ({ generatedImage, altText }) => {
     );
   }
 
+  const handleOptimizeLayouts = async () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    setIsOptimizing(true);
+    try {
+      const results = await generateLayouts({
+        imageId: currentImageId,
+        generatedImage,
+        imageVariants,
+        headline,
+        cta,
+        imageFocalPoint,
+        signal: abortControllerRef.current.signal
+      });
+      setLayouts(results);
+      setShowOverlay(true);
+      showSuccess('Layouts optimized for every platform!');
+    } catch (error) {
+      if (!isAbortError(error)) {
+        errorHandlers.api.layoutGeneration(error, showError);
+      }
+    } finally {
+      setIsOptimizing(false);
+    }
+  };
+
+  /**
+   * Render the finished creative for one platform, download it and keep it for scheduling
+   * @param {object} platform - SOCIAL_PLATFORMS entry
+   */
+  const exportPlatform = async (platform) => {
+    const blob = await exportComposite({
+      image: imageVariants[platform.ratio] || generatedImage,
+      platform,
+      layout: layouts[platform.name],
+      headline,
+      cta,
+      brandColors,
+      logo,
+      focalPoint: resolveFocalPoint(platform.name, { imageFocalPoint, overrides: focalOverrides })
+    }, exportFormat);
+    downloadBlob(blob, getExportFileName(platform, exportFormat));
+    const creative = await blobToDataUrl(blob);
+    setCreatives((prev) => ({ ...prev, [platform.name]: creative }));
+  };
+
+  const handleDetectFocus = async () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    setIsDetectingFocus(true);
+    try {
+      const { focalPoint, source } = await detectFocalPoint({ image: generatedImage, signal: abortControllerRef.current.signal });
+      setImageFocalPoint(focalPoint);
+      if (currentImageId) {
+        await saveImageFocalPoint(currentImageId, focalPoint, source);
+      }
+      showSuccess(source === FOCAL_SOURCES.VISION ? 'Subject found - crops now follow it.' : 'Focal point estimated from image detail.');
+    } catch (error) {
+      errorHandlers.api.focalPointDetection(error, showError);
+    } finally {
+      setIsDetectingFocus(false);
+    }
+  };
+
+  /**
+   * Run a focal point save and report it if storage refuses or fails
+   * @param {Function} save - Resolves truthy once the focal point is stored
+   */
+  const persistFocalPoint = async (save) => {
+    try {
+      if (!(await save())) showError('Failed to save the focal point. It applies until you leave this page.');
+    } catch (error) {
+      errorHandlers.storage.indexedDB(error, showError, 'save the focal point');
+    }
+  };
+
+  /**
+   * Set the image focal point, or a platform override, from a click on a preview frame
+   * @param {object} platform - SOCIAL_PLATFORMS entry that was clicked
+   * @param {MouseEvent} event - Click on the frame image
+   */
+  const handleFrameClick = async (platform, event) => {
+    if (focusTarget !== IMAGE_FOCUS && focusTarget !== platform.name) return;
+    const rect = event.currentTarget.getBoundingClientRect();
+    const src = imageVariants[platform.ratio] || generatedImage;
+    const focalPoint = frameToImagePoint(
+      imageSizes[src],
+      platform.thumbnailRatio,
+      resolveFocalPoint(platform.name, { imageFocalPoint, overrides: focalOverrides }),
+      { x: (event.clientX - rect.left) / rect.width, y: (event.clientY - rect.top) / rect.height }
+    );
+    setFocusTarget(null);
+
+    if (focusTarget === IMAGE_FOCUS) {
+      setImageFocalPoint(focalPoint);
+      if (currentImageId) {
+        await persistFocalPoint(() => saveImageFocalPoint(currentImageId, focalPoint));
+      }
+    } else {
+      setFocalOverrides((prev) => ({ ...prev, [platform.name]: focalPoint }));
+      if (currentImageId) {
+        await persistFocalPoint(() => savePlatformFocalPoint(currentImageId, platform, focalPoint));
+      }
+    }
+  };
+
+  const handleResetCrop = async (platform) => {
+    setFocalOverrides(({ [platform.name]: _removed, ...rest }) => rest);
+    if (currentImageId) {
+      await persistFocalPoint(() => savePlatformFocalPoint(currentImageId, platform, null));
+    }
+  };
+
+  const handleExport = async (platform) => {
+    setExportingPlatform(platform.name);
+    try {
+      await exportPlatform(platform);
+    } catch (error) {
+      errorHandlers.file.export(error, showError);
+    } finally {
+      setExportingPlatform(null);
+    }
+  };
+
+  const handleExportAll = async () => {
+    setExportingPlatform('all');
+    try {
+      for (const platform of SOCIAL_PLATFORMS) {
+        await exportPlatform(platform);
+      }
+      showSuccess(`Exported ${SOCIAL_PLATFORMS.length} creatives - they will be used when scheduling.`);
+    } catch (error) {
+      errorHandlers.file.export(error, showError);
+    } finally {
+      setExportingPlatform(null);
+    }
+  };
+
   return (
     <div className="p-4">
       <h2 className="text-3xl font-bold mb-6 text-center text-gray-800">Multi-Platform Preview</h2>
+
+      <div className="max-w-4xl mx-auto mb-8 bg-white p-4 rounded-lg shadow-lg grid grid-cols-1 md:grid-cols-3 gap-4 items-end">
+        <div>
+          <label htmlFor="headline" className="block text-sm font-medium text-gray-700 mb-1">Headline</label>
+          <input
+            id="headline"
+            type="text"
+            value={headline}
+            onChange={(e) => setHeadline(e.target.value)}
+            placeholder="e.g., New Season, New You"
+            className="w-full p-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+        <div>
+          <label htmlFor="cta" className="block text-sm font-medium text-gray-700 mb-1">Call to Action</label>
+          <input
+            id="cta"
+            type="text"
+            value={cta}
+            onChange={(e) => setCta(e.target.value)}
+            placeholder="e.g., Shop now"
+            className="w-full p-2 border border-gray-300 rounded-md shadow-sm"
+          />
+        </div>
+        <div className="flex flex-col gap-2">
+          <button
+            onClick={handleOptimizeLayouts}
+            disabled={isOptimizing || !currentImageId}
+            title={currentImageId ? undefined : 'Layouts are saved with history; generate or restore an image first.'}
+            className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400"
+          >
+            {isOptimizing
+              ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" />
+              : <LayoutTemplate className="w-4 h-4 mr-2" />}
+            {isOptimizing ? 'Optimizing...' : 'Optimize Layouts'}
+          </button>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="h-4 w-4 mr-2"
+              checked={showOverlay}
+              onChange={(e) => setShowOverlay(e.target.checked)}
+            />
+            Show text overlay
+          </label>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="h-4 w-4 mr-2"
+              checked={showChrome}
+              onChange={(e) => setShowChrome(e.target.checked)}
+            />
+            Show platform UI
+          </label>
+          <label className="inline-flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="h-4 w-4 mr-2"
+              checked={showSafeZones}
+              onChange={(e) => setShowSafeZones(e.target.checked)}
+            />
+            Show safe zones
+          </label>
+        </div>
+        <div className="md:col-span-3 flex flex-wrap items-center gap-2 border-t pt-4 text-sm text-gray-700">
+          <span className="inline-flex items-center mr-auto">
+            <Crosshair className="w-4 h-4 mr-2" />
+            Focal point: {imageFocalPoint ? `${Math.round(imageFocalPoint.x * 100)}% × ${Math.round(imageFocalPoint.y * 100)}%` : 'center'}
+          </span>
+          <button
+            onClick={handleDetectFocus}
+            disabled={isDetectingFocus}
+            className="inline-flex items-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            {isDetectingFocus ? <RefreshCw className="w-3 h-3 mr-1 animate-spin" /> : <ScanEye className="w-3 h-3 mr-1" />}
+            {isDetectingFocus ? 'Detecting...' : 'Auto-detect'}
+          </button>
+          <button
+            onClick={() => setFocusTarget(focusTarget === IMAGE_FOCUS ? null : IMAGE_FOCUS)}
+            className={`px-3 py-1.5 border text-xs font-medium rounded-md ${focusTarget === IMAGE_FOCUS ? 'border-purple-500 bg-purple-50 text-purple-700' : 'border-gray-300 text-gray-700 bg-white hover:bg-gray-50'}`}
+          >
+            {focusTarget === IMAGE_FOCUS ? 'Click a preview to set it' : 'Set by clicking'}
+          </button>
+        </div>
+        <div className="md:col-span-3 flex flex-wrap items-center justify-end gap-2 border-t pt-4">
+          {logoAssets.length > 0 && (
+            <>
+              <label htmlFor="logo" className="text-sm text-gray-700">Logo</label>
+              <select
+                id="logo"
+                value={logoId}
+                onChange={(e) => setLogoId(e.target.value)}
+                className="p-2 border border-gray-300 rounded-md text-sm"
+              >
+                <option value="">None</option>
+                {logoAssets.map((asset) => (
+                  <option key={asset.id} value={asset.id}>
+                    {asset.name} ({LOGO_VARIANTS.find((variant) => variant.id === asset.variant)?.description || asset.variant})
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
+          <label htmlFor="exportFormat" className="text-sm text-gray-700">Export as</label>
+          <select
+            id="exportFormat"
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            className="p-2 border border-gray-300 rounded-md text-sm"
+          >
+            {Object.keys(EXPORT_FORMATS).map((format) => (
+              <option key={format} value={format}>{format.toUpperCase()}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleExportAll}
+            disabled={Boolean(exportingPlatform)}
+            className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400"
+          >
+            <Download className="w-4 h-4 mr-2" />
+            {exportingPlatform === 'all' ? 'Exporting...' : 'Export All Creatives'}
+          </button>
+        </div>
+      </div>
+
       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-8">
-        {SOCIAL_PLATFORMS.map((platform) => (
-          <div key={platform.name} className="bg-white p-4 rounded-lg shadow-lg flex flex-col">
-            <h3 className="text-lg font-semibold mb-2 text-gray-700">{platform.name} {platform.icon}</h3>
-            <p className="text-sm text-gray-500 mb-3">Ratio: {platform.ratio}</p>
-            <div
-              className="w-full bg-gray-200 rounded-md overflow-hidden"
-              style={{ aspectRatio: platform.thumbnailRatio }}
-            >
-              <img
-                src={generatedImage}
-                alt={altText || `Preview for ${platform.name}`}
-                className="w-full h-full object-cover"
-              />
+        {SOCIAL_PLATFORMS.map((platform) => {
+          const layout = layouts[platform.name];
+          const { width, height } = getExportSize(platform);
+          const report = validateCreative({
+            asset: assets[platform.name],
+            layout: layout || DEFAULT_LAYOUT,
+            headline,
+            cta,
+            logo
+          }, platform);
+          const violations = showSafeZones ? findSafeZoneViolations({ layout: layout || DEFAULT_LAYOUT, headline, cta, logo }, platform) : [];
+          const captionEntry = platform.platforms.map((network) => captions[network]).find(Boolean);
+          const src = imageVariants[platform.ratio] || generatedImage;
+          const focalPoint = resolveFocalPoint(platform.name, { imageFocalPoint, overrides: focalOverrides });
+          const isPicking = focusTarget === IMAGE_FOCUS || focusTarget === platform.name;
+          const marker = imageToFramePoint(imageSizes[src], platform.thumbnailRatio, focalPoint);
+          return (
+            <div key={platform.name} className="bg-white p-4 rounded-lg shadow-lg flex flex-col">
+              <h3 className="text-lg font-semibold mb-2 text-gray-700">{platform.name} {platform.icon}</h3>
+              <p className="text-sm text-gray-500 mb-3">
+                Ratio: {platform.ratio}
+                <span className={`ml-2 text-xs ${imageVariants[platform.ratio] ? 'text-green-600' : 'text-gray-400'}`}>
+                  {imageVariants[platform.ratio] ? 'Native render' : 'Cropped'}
+                </span>
+                {layout && (
+                  <span className="ml-2 text-xs text-purple-600">
+                    {layout.source === LAYOUT_SOURCES.VISION ? 'AI layout' : layout.source === LAYOUT_SOURCES.HEURISTIC ? 'Auto layout' : 'Default layout'}
+                  </span>
+                )}
+              </p>
+              <PlatformChrome
+                platform={platform}
+                caption={captionEntry ? composeCaption(captionEntry) : ''}
+                showChrome={showChrome}
+                showSafeZones={showSafeZones}
+                violations={violations}
+              >
+                <img
+                  src={src}
+                  alt={altText || `Preview for ${platform.name}`}
+                  className={`w-full h-full object-cover ${isPicking ? 'cursor-crosshair' : ''}`}
+                  style={{ objectPosition: getFocalObjectPosition(imageSizes[src], platform.thumbnailRatio, focalPoint) }}
+                  onLoad={(e) => {
+                    const { naturalWidth, naturalHeight } = e.currentTarget;
+                    setImageSizes((prev) => (prev[src] ? prev : { ...prev, [src]: { width: naturalWidth, height: naturalHeight } }));
+                  }}
+                  onClick={(e) => handleFrameClick(platform, e)}
+                />
+                {showOverlay && (
+                  <LayoutOverlay layout={layout || DEFAULT_LAYOUT} headline={headline} cta={cta} brandColors={brandColors} logo={logo} />
+                )}
+                {isPicking && (
+                  <span
+                    className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full border-2 border-white bg-purple-600/70 shadow pointer-events-none"
+                    style={{ left: `${marker.x * 100}%`, top: `${marker.y * 100}%` }}
+                  />
+                )}
+              </PlatformChrome>
+              <div className="mt-2 flex items-center justify-between text-xs">
+                <button
+                  onClick={() => setFocusTarget(focusTarget === platform.name ? null : platform.name)}
+                  className={focusTarget === platform.name ? 'text-purple-700 font-semibold' : 'text-gray-500 hover:text-gray-700'}
+                >
+                  {focusTarget === platform.name ? 'Click the image to set the crop' : 'Adjust crop'}
+                </button>
+                {focalOverrides[platform.name] && (
+                  <button onClick={() => handleResetCrop(platform)} className="text-gray-500 hover:text-gray-700">
+                    Reset crop
+                  </button>
+                )}
+              </div>
+              <button
+                onClick={() => handleExport(platform)}
+                disabled={Boolean(exportingPlatform)}
+                className="mt-3 inline-flex items-center justify-center px-3 py-1.5 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+              >
+                <Download className="w-3 h-3 mr-1" />
+                {exportingPlatform === platform.name ? 'Exporting...' : `Export ${width}×${height} ${exportFormat.toUpperCase()}`}
+              </button>
+              {creatives[platform.name] && (
+                <span className="mt-1 text-xs text-green-600 text-center">Finished creative ready for scheduling</span>
+              )}
+              <div className="mt-3 border-t pt-2">
+                <p className="text-xs font-medium text-gray-500 mb-1">
+                  {creatives[platform.name] ? 'Exported creative' : 'Raw render'} check
+                </p>
+                <ValidationReport issues={report.issues} isChecking={!(platform.name in assets)} />
+              </div>
             </div>
-          </div>
-        ))}
+          );
+        })}
       </div>
     </div>
   );
 };
 
-export default PreviewPage;
\ No newline at end of file
+export default PreviewPage;
@@ -0,0 +1,336 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FREQUENCIES, WEEKDAYS, parseRRule, formatRRule, describeRule, getOccurrences } from '../utils/recurrence';
+import { PROMPT_TEMPLATE_VARIABLES } from '../utils/series';
+import { formatScheduledTime } from '../utils/scheduler';
+import { Repeat, AlertTriangle } from 'lucide-react';
+
+const CUSTOM = 'custom';
+const NONE = 'none';
+const PREVIEW_COUNT = 5;
+const WEEKDAY_LABELS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+const ORDINAL_LABELS = ['first', 'second', 'third', 'fourth', 'fifth'];
+
+// Weekday code and week-of-month of a wall-clock 'YYYY-MM-DDTHH:mm'
+const getStartDay = (start) => {
+  const date = new Date(`${start.slice(0, 10)}T00:00:00Z`);
+  return { weekday: WEEKDAYS[date.getUTCDay()], ordinal: Math.ceil(date.getUTCDate() / 7), day: date.getUTCDate() };
+};
+
+/**
+ * Form fields for a saved rule; rules the simple form cannot show open as custom
+ * @param {string} rule - RRULE string or null
+ * @returns {object} Form state
+ */
+const toForm = (rule) => {
+  const form = { mode: NONE, interval: 1, weekdays: [], monthlyBy: 'day', ends: 'never', count: 10, until: '', custom: rule || '' };
+  if (!rule) return form;
+  let parsed;
+  try {
+    parsed = parseRRule(rule);
+  } catch {
+    return { ...form, mode: CUSTOM };
+  }
+  const ordinals = parsed.byDay.map(({ ordinal }) => ordinal);
+  const simple = (parsed.freq === FREQUENCIES.DAILY && parsed.byDay.length === 0)
+    || (parsed.freq === FREQUENCIES.WEEKLY && ordinals.every((ordinal) => ordinal === null))
+    || (parsed.freq === FREQUENCIES.MONTHLY && (parsed.byDay.length === 0 || (parsed.byDay.length === 1 && ordinals[0] !== null)));
+  if (!simple || (parsed.until && parsed.until.length !== 8)) {
+    return { ...form, mode: CUSTOM };
+  }
+  return {
+    ...form,
+    mode: parsed.freq,
+    interval: parsed.interval,
+    weekdays: parsed.freq === FREQUENCIES.WEEKLY ? parsed.byDay.map(({ weekday }) => weekday) : [],
+    monthlyBy: parsed.byDay.length === 0 ? 'day' : ordinals[0] === -1 ? 'last' : 'weekday',
+    ends: parsed.count ? 'count' : parsed.until ? 'until' : 'never',
+    count: parsed.count || 10,
+    until: parsed.until ? `${parsed.until.slice(0, 4)}-${parsed.until.slice(4, 6)}-${parsed.until.slice(6, 8)}` : ''
+  };
+};
+
+/**
+ * RRULE string for the form
+ * @param {object} form - Form state
+ * @param {string} start - First possible occurrence, wall-clock 'YYYY-MM-DDTHH:mm' (may be empty)
+ * @returns {string|null} Rule, null if the post does not repeat
+ * @throws {Error} If a custom rule does not parse
+ */
+const fromForm = (form, start) => {
+  if (form.mode === NONE) return null;
+  if (form.mode === CUSTOM) return formatRRule(parseRRule(form.custom));
+  const startDay = start ? getStartDay(start) : null;
+  let byDay = [];
+  if (form.mode === FREQUENCIES.WEEKLY) {
+    byDay = WEEKDAYS.filter((weekday) => form.weekdays.includes(weekday)).map((weekday) => ({ weekday, ordinal: null }));
+  } else if (form.mode === FREQUENCIES.MONTHLY && form.monthlyBy !== 'day' && startDay) {
+    byDay = [{ weekday: startDay.weekday, ordinal: form.monthlyBy === 'last' ? -1 : startDay.ordinal }];
+  }
+  return formatRRule({
+    freq: form.mode,
+    interval: Math.max(1, Math.floor(form.interval) || 1),
+    byDay,
+    count: form.ends === 'count' ? Math.max(1, Math.floor(form.count) || 1) : null,
+    until: form.ends === 'until' && form.until ? form.until.replace(/-/g, '') : null
+  });
+};
+
+/**
+ * RecurrenceEditor sets how a post repeats (daily, weekly, monthly or a custom
+ * RRULE), whether each occurrence gets a freshly rendered image, and previews
+ * the next occurrences. Remount it (via `key`) to load a different post.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.initialRule - RRULE string of the post being edited
+ * @param {string} props.initialPromptTemplate - Saved prompt template of the post being edited
+ * @param {string} props.defaultPromptTemplate - Template offered when regeneration is switched on (e.g. the image's prompt)
+ * @param {string} props.start - Picked publish time, wall-clock 'YYYY-MM-DDTHH:mm'
+ * @param {string} props.timeZone - IANA time zone of the picked time
+ * @param {Function} props.onChange - Called with ({ rule, promptTemplate, error, occurrences })
+ * @param {boolean} props.disabled - Disable editing while saving
+ */
+const RecurrenceEditor = React.memo(({
+  initialRule = null,
+  initialPromptTemplate = null,
+  defaultPromptTemplate = '',
+  start,
+  timeZone,
+  onChange,
+  disabled
+}) => {
+  const [form, setForm] = useState(() => toForm(initialRule));
+  const [regenerate, setRegenerate] = useState(Boolean(initialPromptTemplate));
+  const [promptTemplate, setPromptTemplate] = useState(initialPromptTemplate || '');
+
+  const result = useMemo(() => {
+    try {
+      const rule = fromForm(form, start);
+      const occurrences = rule && start ? getOccurrences(rule, start, timeZone, { limit: PREVIEW_COUNT }) : [];
+      if (rule && start && occurrences.length === 0) {
+        return { rule, occurrences, error: 'This rule has no occurrences after the picked time.' };
+      }
+      return { rule, occurrences, error: null };
+    } catch (error) {
+      return { rule: null, occurrences: [], error: error.message };
+    }
+  }, [form, start, timeZone]);
+
+  const template = regenerate && result.rule ? promptTemplate.trim() : '';
+  const templateError = regenerate && result.rule && !template ? 'Enter a prompt template or switch off fresh images.' : null;
+
+  useEffect(() => {
+    onChange({
+      rule: result.rule,
+      promptTemplate: template || null,
+      error: result.error || templateError,
+      occurrences: result.occurrences
+    });
+  }, [result, template, templateError, onChange]);
+
+  const update = (updates) => setForm((prev) => ({ ...prev, ...updates }));
+
+  const handleModeChange = (mode) => {
+    const startDay = start ? getStartDay(start) : null;
+    update({
+      mode,
+      weekdays: mode === FREQUENCIES.WEEKLY && form.weekdays.length === 0 && startDay ? [startDay.weekday] : form.weekdays,
+      custom: mode === CUSTOM && !form.custom ? (fromForm({ ...form, mode: form.mode === NONE ? FREQUENCIES.WEEKLY : form.mode }, start) || '') : form.custom
+    });
+  };
+
+  const handleRegenerateToggle = (checked) => {
+    setRegenerate(checked);
+    if (checked && !promptTemplate) setPromptTemplate(defaultPromptTemplate);
+  };
+
+  const toggleWeekday = (weekday) => update({
+    weekdays: form.weekdays.includes(weekday) ? form.weekdays.filter((day) => day !== weekday) : [...form.weekdays, weekday]
+  });
+
+  const startDay = start ? getStartDay(start) : null;
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[form.mode];
+  const inputClass = 'p-1 border border-gray-300 rounded-md text-sm';
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Repeat className="w-4 h-4 text-gray-500" />
+        <select
+          aria-label="Repeat"
+          value={form.mode}
+          onChange={(e) => handleModeChange(e.target.value)}
+          disabled={disabled}
+          className={inputClass}
+        >
+          <option value={NONE}>Does not repeat</option>
+          <option value={FREQUENCIES.DAILY}>Daily</option>
+          <option value={FREQUENCIES.WEEKLY}>Weekly</option>
+          <option value={FREQUENCIES.MONTHLY}>Monthly</option>
+          <option value={CUSTOM}>Custom (RRULE)</option>
+        </select>
+        {unit && (
+          <label className="inline-flex items-center gap-1 text-sm text-gray-600">
+            every
+            <input
+              type="number"
+              min="1"
+              aria-label="Repeat interval"
+              value={form.interval}
+              onChange={(e) => update({ interval: Number(e.target.value) })}
+              disabled={disabled}
+              className={`${inputClass} w-16`}
+            />
+            {unit}{form.interval > 1 ? 's' : ''}
+          </label>
+        )}
+      </div>
+
+      {form.mode === FREQUENCIES.WEEKLY && (
+        <div className="flex flex-wrap gap-1" role="group" aria-label="Repeat on">
+          {['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'].map((weekday) => (
+            <button
+              key={weekday}
+              type="button"
+              onClick={() => toggleWeekday(weekday)}
+              disabled={disabled}
+              aria-pressed={form.weekdays.includes(weekday)}
+              className={`px-2 py-1 text-xs rounded border ${form.weekdays.includes(weekday) ? 'bg-blue-600 text-white border-blue-600' : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
+            >
+              {WEEKDAY_LABELS[weekday]}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {form.mode === FREQUENCIES.MONTHLY && (
+        <select
+          aria-label="Monthly on"
+          value={form.monthlyBy}
+          onChange={(e) => update({ monthlyBy: e.target.value })}
+          disabled={disabled}
+          className={inputClass}
+        >
+          <option value="day">On day {startDay ? startDay.day : 'of the picked date'}</option>
+          <option value="weekday">
+            On the {startDay ? `${ORDINAL_LABELS[startDay.ordinal - 1]} ${WEEKDAY_LABELS[startDay.weekday]}` : 'same weekday of the month'}
+          </option>
+          <option value="last">On the last {startDay ? WEEKDAY_LABELS[startDay.weekday] : 'weekday of the month'}</option>
+        </select>
+      )}
+
+      {form.mode === CUSTOM && (
+        <input
+          type="text"
+          aria-label="Custom rule"
+          placeholder="FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+          value={form.custom}
+          onChange={(e) => update({ custom: e.target.value })}
+          disabled={disabled}
+          className={`${inputClass} w-full font-mono`}
+        />
+      )}
+
+      {unit && (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+          <span>Ends</span>
+          <select
+            aria-label="Ends"
+            value={form.ends}
+            onChange={(e) => update({ ends: e.target.value })}
+            disabled={disabled}
+            className={inputClass}
+          >
+            <option value="never">never</option>
+            <option value="count">after</option>
+            <option value="until">on</option>
+          </select>
+          {form.ends === 'count' && (
+            <label className="inline-flex items-center gap-1">
+              <input
+                type="number"
+                min="1"
+                aria-label="Number of occurrences"
+                value={form.count}
+                onChange={(e) => update({ count: Number(e.target.value) })}
+                disabled={disabled}
+                className={`${inputClass} w-16`}
+              />
+              occurrences
+            </label>
+          )}
+          {form.ends === 'until' && (
+            <input
+              type="date"
+              aria-label="Last date"
+              value={form.until}
+              onChange={(e) => update({ until: e.target.value })}
+              disabled={disabled}
+              className={inputClass}
+            />
+          )}
+        </div>
+      )}
+
+      {result.rule && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={regenerate}
+              onChange={(e) => handleRegenerateToggle(e.target.checked)}
+              disabled={disabled}
+              className="h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            Render a fresh image for each occurrence
+          </label>
+          {regenerate && (
+            <div>
+              <textarea
+                rows="3"
+                aria-label="Prompt template"
+                value={promptTemplate}
+                onChange={(e) => setPromptTemplate(e.target.value)}
+                disabled={disabled}
+                className="w-full p-2 border border-gray-300 rounded-md shadow-sm text-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Refined with the brand kit saved at the time and rendered as soon as each occurrence is queued, so there is time to approve it. An occurrence not approved by its time is skipped.
+                Placeholders: {PROMPT_TEMPLATE_VARIABLES.join(' ')}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {(result.error || templateError) && (
+        <p className="flex items-start text-xs text-red-600">
+          <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 shrink-0" />
+          {result.error || templateError}
+        </p>
+      )}
+
+      {result.rule && !result.error && (
+        <div className="text-sm">
+          <p className="text-gray-700">{describeRule(parseRRule(result.rule))}</p>
+          {result.occurrences.length > 0 ? (
+            <>
+              <p className="text-xs text-gray-500 mt-2">Next {result.occurrences.length} occurrence{result.occurrences.length === 1 ? '' : 's'}:</p>
+              <ol className="mt-1 text-xs text-gray-600 list-decimal list-inside">
+                {result.occurrences.map((scheduledAt) => (
+                  <li key={scheduledAt}>{formatScheduledTime({ scheduledAt, timeZone })}</li>
+                ))}
+              </ol>
+            </>
+          ) : (
+            <p className="text-xs text-gray-500 mt-1">Pick a publish time to preview the occurrences.</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+// Display name for debugging
+RecurrenceEditor.displayName = 'RecurrenceEditor';
+
+export default RecurrenceEditor;
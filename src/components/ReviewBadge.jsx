@@ -0,0 +1,30 @@
+import React from 'react';
+import { REVIEW_STATUS, getReviewStatus } from '../utils/scheduler';
+import { REVIEW_LABELS } from '../utils/reviews';
+
+const REVIEW_STYLES = {
+  [REVIEW_STATUS.DRAFT]: 'border-gray-300 text-gray-600',
+  [REVIEW_STATUS.IN_REVIEW]: 'border-purple-300 text-purple-700',
+  [REVIEW_STATUS.APPROVED]: 'border-green-300 text-green-700',
+  [REVIEW_STATUS.CHANGES_REQUESTED]: 'border-orange-300 text-orange-700'
+};
+
+/**
+ * ReviewBadge shows where a post is in review.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Post record
+ */
+const ReviewBadge = React.memo(({ post }) => {
+  const status = getReviewStatus(post);
+  return (
+    <span className={`px-2 py-0.5 rounded-full border text-xs font-medium ${REVIEW_STYLES[status]}`}>
+      {REVIEW_LABELS[status]}
+    </span>
+  );
+});
+
+// Display name for debugging
+ReviewBadge.displayName = 'ReviewBadge';
+
+export default ReviewBadge;
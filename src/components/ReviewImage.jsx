@@ -0,0 +1,105 @@
+import React, { useState, useRef } from 'react';
+
+// Drags smaller than this (as a fraction of the image) count as a click and clear the selection
+const MIN_REGION_SIZE = 0.02;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+/**
+ * Box between two points, in fractions of the image
+ * @param {{x: number, y: number}} from - Start point
+ * @param {{x: number, y: number}} to - End point
+ * @returns {{x: number, y: number, width: number, height: number}} Region rounded to 4 decimals
+ */
+const toRegion = (from, to) => {
+  const round = (value) => Math.round(value * 10000) / 10000;
+  return {
+    x: round(Math.min(from.x, to.x)),
+    y: round(Math.min(from.y, to.y)),
+    width: round(Math.abs(to.x - from.x)),
+    height: round(Math.abs(to.y - from.y))
+  };
+};
+
+const regionStyle = ({ x, y, width, height }) => ({
+  left: `${x * 100}%`,
+  top: `${y * 100}%`,
+  width: `${width * 100}%`,
+  height: `${height * 100}%`
+});
+
+/**
+ * ReviewImage shows a post's image with the regions reviewers pinned comments
+ * to, and lets the reviewer drag out a new region.
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.src - Image to review
+ * @param {string} props.alt - Alt text
+ * @param {Object[]} props.comments - Comments with a region on this image, each with its list `number`
+ * @param {Object} props.region - Region being drawn for a new comment, or null
+ * @param {Function} props.onRegionChange - Called with (region) after a drag, or (null) after a click
+ * @param {string} props.activeCommentId - Comment to highlight
+ * @param {boolean} props.disabled - Disable drawing
+ */
+const ReviewImage = React.memo(({ src, alt, comments, region, onRegionChange, activeCommentId, disabled }) => {
+  const [dragRegion, setDragRegion] = useState(null);
+  const containerRef = useRef(null);
+  const startRef = useRef(null);
+
+  const toPoint = (e) => {
+    const rect = containerRef.current.getBoundingClientRect();
+    return { x: clamp((e.clientX - rect.left) / rect.width), y: clamp((e.clientY - rect.top) / rect.height) };
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled || e.button !== 0) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    startRef.current = toPoint(e);
+    setDragRegion(toRegion(startRef.current, startRef.current));
+  };
+
+  const handlePointerMove = (e) => {
+    if (startRef.current) setDragRegion(toRegion(startRef.current, toPoint(e)));
+  };
+
+  const handlePointerUp = (e) => {
+    if (!startRef.current) return;
+    const drawn = toRegion(startRef.current, toPoint(e));
+    startRef.current = null;
+    setDragRegion(null);
+    onRegionChange(drawn.width >= MIN_REGION_SIZE && drawn.height >= MIN_REGION_SIZE ? drawn : null);
+  };
+
+  const shownRegion = dragRegion || region;
+
+  return (
+    <div
+      ref={containerRef}
+      onPointerDown={handlePointerDown}
+      onPointerMove={handlePointerMove}
+      onPointerUp={handlePointerUp}
+      className={`relative select-none touch-none ${disabled ? '' : 'cursor-crosshair'}`}
+    >
+      <img src={src} alt={alt} draggable={false} className="block w-full rounded border" />
+      {comments.map((comment) => (
+        <div
+          key={comment.id}
+          style={regionStyle(comment.region)}
+          className={`absolute pointer-events-none border-2 ${comment.resolved ? 'border-dashed border-gray-400' : 'border-orange-500'} ${comment.id === activeCommentId ? 'bg-orange-400/30' : ''}`}
+        >
+          <span className={`absolute -top-2.5 -left-2.5 w-5 h-5 rounded-full text-xs font-bold text-white flex items-center justify-center ${comment.resolved ? 'bg-gray-400' : 'bg-orange-500'}`}>
+            {comment.number}
+          </span>
+        </div>
+      ))}
+      {shownRegion && (
+        <div style={regionStyle(shownRegion)} className="absolute pointer-events-none border-2 border-blue-500 bg-blue-400/20" />
+      )}
+    </div>
+  );
+});
+
+// Display name for debugging
+ReviewImage.displayName = 'ReviewImage';
+
+export default ReviewImage;
@@ -0,0 +1,414 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { REVIEW_STATUS, getReviewStatus, isPastDue, resolvePostAssets, formatScheduledTime } from '../utils/scheduler';
+import {
+  REVIEW_LABELS,
+  listReviewQueue,
+  canChangeReviewStatus,
+  changeReviewStatus,
+  addReviewComment,
+  setReviewCommentResolved
+} from '../utils/reviews';
+import { composeCaption } from '../utils/captions';
+import { fromStoredImage } from '../utils/imageData';
+import { loadAppPreferences, saveAppPreferences } from '../utils/dataStorage';
+import ReviewImage from './ReviewImage';
+import ReviewBadge from './ReviewBadge';
+import { useError } from '../utils/errorContext';
+import { errorHandlers } from '../utils/errorHandling';
+import { ClipboardCheck, CheckCircle, MessageSquare, Send, RotateCcw, ImageOff, History, Square, X } from 'lucide-react';
+
+// Tabs in the order a reviewer works through them
+const TABS = [
+  REVIEW_STATUS.IN_REVIEW,
+  REVIEW_STATUS.CHANGES_REQUESTED,
+  REVIEW_STATUS.APPROVED,
+  REVIEW_STATUS.DRAFT
+];
+
+const formatDate = (iso) => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+const ReviewPage = () => {
+  const [groups, setGroups] = useState(null);
+  const [tab, setTab] = useState(REVIEW_STATUS.IN_REVIEW);
+  // Post open for review: { post, sources } with sources keyed by preset name
+  const [selected, setSelected] = useState(null);
+  const [platform, setPlatform] = useState(null);
+  const [region, setRegion] = useState(null);
+  const [commentText, setCommentText] = useState('');
+  const [note, setNote] = useState('');
+  const [activeCommentId, setActiveCommentId] = useState(null);
+  const [reviewerName, setReviewerName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { showError, showSuccess } = useError();
+  const requestedId = searchParams.get('post');
+
+  const loadQueue = useCallback(async () => {
+    try {
+      const result = await listReviewQueue();
+      const withThumbnails = await Promise.all(Object.entries(result).map(async ([status, posts]) => [
+        status,
+        await Promise.all(posts.map(async (post) => {
+          const first = post.assets?.[post.platforms[0]];
+          return { ...post, thumbnail: first ? await fromStoredImage(first) : null };
+        }))
+      ]));
+      setGroups(Object.fromEntries(withThumbnails));
+    } catch (error) {
+      errorHandlers.storage.indexedDB(error, showError, 'load the review queue');
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  useEffect(() => {
+    loadAppPreferences().then((preferences) => setReviewerName(preferences?.reviewerName || ''));
+  }, []);
+
+  const openPost = useCallback(async (post) => {
+    setSelected({ post, sources: await resolvePostAssets(post) });
+    setPlatform(post.platforms[0]);
+    setRegion(null);
+    setCommentText('');
+    setNote('');
+    setActiveCommentId(null);
+    setSearchParams({ post: post.id }, { replace: true });
+  }, [setSearchParams]);
+
+  // Open the post linked from the queue (/review?post=<id>)
+  useEffect(() => {
+    if (!groups || !requestedId || selected?.post.id === requestedId) return;
+    const post = Object.values(groups).flat().find((candidate) => candidate.id === requestedId);
+    if (post) {
+      setTab(getReviewStatus(post));
+      openPost(post);
+    }
+  }, [groups, requestedId, selected, openPost]);
+
+  const handleReviewerNameBlur = async () => {
+    const preferences = await loadAppPreferences();
+    await saveAppPreferences({ ...preferences, reviewerName: reviewerName.trim() });
+  };
+
+  /**
+   * Run a review action on the open post, then show it where it now belongs
+   * @param {Function} action - Async action returning the saved post
+   * @param {string} message - Success message
+   * @returns {Promise<boolean>} True if the action succeeded
+   */
+  const runAction = async (action, message) => {
+    setIsBusy(true);
+    try {
+      const saved = await action();
+      setSelected((prev) => ({ ...prev, post: saved }));
+      setTab(getReviewStatus(saved));
+      if (message) showSuccess(message);
+      await loadQueue();
+      return true;
+    } catch (error) {
+      if (error.status === 409) {
+        showError(`${error.message}.`);
+      } else {
+        errorHandlers.storage.indexedDB(error, showError, 'save the review');
+      }
+      return false;
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleStatusChange = async (status, message) => {
+    const done = await runAction(() => changeReviewStatus(selected.post.id, status, { note }), message);
+    if (done) setNote('');
+  };
+
+  const handleAddComment = async () => {
+    const done = await runAction(() => addReviewComment(selected.post.id, {
+      text: commentText,
+      platform: region ? platform : null,
+      region
+    }));
+    if (done) {
+      setCommentText('');
+      setRegion(null);
+    }
+  };
+
+  const handleResolve = (comment) => runAction(() => setReviewCommentResolved(selected.post.id, comment.id, !comment.resolved));
+
+  const handleCommentClick = (comment) => {
+    setActiveCommentId(comment.id);
+    if (comment.platform) setPlatform(comment.platform);
+  };
+
+  const posts = groups?.[tab] || [];
+  const post = selected?.post;
+  const comments = (post?.review?.comments || []).map((comment, index) => ({ ...comment, number: index + 1 }));
+  const openComments = comments.filter((comment) => !comment.resolved).length;
+  const history = post?.review?.history || [];
+
+  const actionButtonClass = 'inline-flex items-center px-3 py-2 text-sm font-medium rounded-md disabled:opacity-50';
+
+  return (
+    <div className="max-w-6xl mx-auto p-4 space-y-6">
+      <div className="bg-white p-6 rounded-lg shadow-lg">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h2 className="text-2xl font-bold inline-flex items-center">
+            <ClipboardCheck className="w-6 h-6 mr-2" />
+            Review Queue
+          </h2>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Reviewing as
+            <input
+              type="text"
+              value={reviewerName}
+              onChange={(e) => setReviewerName(e.target.value)}
+              onBlur={handleReviewerNameBlur}
+              placeholder="Your name"
+              className="p-1 border border-gray-300 rounded-md text-sm"
+            />
+          </label>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Posts move from draft to review, then are approved or sent back with changes. Only approved posts can be scheduled.
+        </p>
+        <div className="flex flex-wrap gap-2 border-b border-gray-200">
+          {TABS.map((status) => (
+            <button
+              key={status}
+              onClick={() => setTab(status)}
+              className={`px-3 py-2 text-sm font-medium border-b-2 -mb-px ${tab === status ? 'border-blue-600 text-blue-700' : 'border-transparent text-gray-600 hover:text-gray-800'}`}
+            >
+              {REVIEW_LABELS[status]}
+              <span className="ml-1 text-xs text-gray-500">({groups?.[status]?.length ?? 0})</span>
+            </button>
+          ))}
+        </div>
+        <ul className="divide-y divide-gray-200">
+          {groups && posts.length === 0 && (
+            <li className="py-3 text-sm text-gray-500">No posts here.</li>
+          )}
+          {posts.map((item) => (
+            <li key={item.id}>
+              <button
+                onClick={() => openPost(item)}
+                className={`w-full py-2 flex items-center gap-3 text-left ${post?.id === item.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+              >
+                {item.thumbnail ? (
+                  <img src={item.thumbnail} alt={item.altText || 'Post'} className="w-12 h-12 object-cover rounded border shrink-0" />
+                ) : (
+                  <span className="w-12 h-12 flex items-center justify-center rounded border bg-gray-50 text-gray-400 shrink-0">
+                    <ImageOff className="w-4 h-4" />
+                  </span>
+                )}
+                <span className="flex-1 min-w-0">
+                  <span className="block text-sm text-gray-800 truncate">{item.platforms.join(', ')}</span>
+                  <span className="block text-xs text-gray-500">
+                    {item.scheduledAt ? formatScheduledTime(item) : 'No time set'}
+                    {isPastDue(item) && <span className="text-red-600 font-medium"> · past due</span>}
+                    {item.review?.comments?.some((comment) => !comment.resolved) && ' · open comments'}
+                  </span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {post && (
+        <div className="grid grid-cols-1 md:grid-cols-5 gap-6">
+          {/* Left: image with pinned comments */}
+          <div className="md:col-span-3 bg-white p-6 rounded-lg shadow-lg">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+              <div className="flex flex-wrap gap-1">
+                {post.platforms.map((name) => (
+                  <button
+                    key={name}
+                    onClick={() => {
+                      setPlatform(name);
+                      setRegion(null);
+                    }}
+                    className={`px-2 py-1 text-xs rounded border ${platform === name ? 'bg-blue-600 text-white border-blue-600' : 'border-gray-300 text-gray-700 hover:bg-gray-50'}`}
+                  >
+                    {name}
+                  </button>
+                ))}
+              </div>
+              <ReviewBadge post={post} />
+            </div>
+            {selected.sources[platform] ? (
+              <ReviewImage
+                src={selected.sources[platform]}
+                alt={post.altText || `${platform} image`}
+                comments={comments.filter((comment) => comment.region && comment.platform === platform)}
+                region={region}
+                onRegionChange={setRegion}
+                activeCommentId={activeCommentId}
+                disabled={isBusy}
+              />
+            ) : (
+              <p className="p-8 text-center text-sm text-gray-500 border border-dashed rounded">No image for {platform} yet.</p>
+            )}
+            <p className="text-xs text-gray-500 mt-2">Drag on the image to pin a comment to an area.</p>
+            {post.altText && <p className="text-sm text-gray-600 mt-2 italic">{post.altText}</p>}
+            {Object.entries(post.captions || {}).map(([network, caption]) => (
+              <div key={network} className="mt-3">
+                <p className="text-xs font-medium text-gray-600">{network}</p>
+                <p className="text-sm text-gray-800 whitespace-pre-wrap">{composeCaption(caption)}</p>
+              </div>
+            ))}
+          </div>
+
+          {/* Right: comments, decision and history */}
+          <div className="md:col-span-2 space-y-6">
+            <div className="bg-white p-6 rounded-lg shadow-lg">
+              <h3 className="text-lg font-semibold mb-3 inline-flex items-center">
+                <MessageSquare className="w-5 h-5 mr-2" />
+                Comments
+                {openComments > 0 && <span className="ml-2 text-xs font-normal text-orange-600">{openComments} open</span>}
+              </h3>
+              <ul className="space-y-2 mb-4">
+                {comments.length === 0 && <li className="text-sm text-gray-500">No comments yet.</li>}
+                {comments.map((comment) => (
+                  <li
+                    key={comment.id}
+                    onMouseEnter={() => setActiveCommentId(comment.id)}
+                    onMouseLeave={() => setActiveCommentId(null)}
+                    className={`p-2 rounded border text-sm ${comment.id === activeCommentId ? 'border-orange-300 bg-orange-50' : 'border-gray-200'} ${comment.resolved ? 'opacity-60' : ''}`}
+                  >
+                    <button onClick={() => handleCommentClick(comment)} className="w-full text-left">
+                      <span className="text-xs text-gray-500">
+                        {`#${comment.number} · ${comment.author} · ${formatDate(comment.createdAt)}`}
+                        {comment.platform && ` · ${comment.platform}`}
+                      </span>
+                      <span className={`block text-gray-800 ${comment.resolved ? 'line-through' : ''}`}>{comment.text}</span>
+                    </button>
+                    <button
+                      onClick={() => handleResolve(comment)}
+                      disabled={isBusy}
+                      className="mt-1 inline-flex items-center text-xs text-gray-600 hover:text-green-600 disabled:opacity-50"
+                    >
+                      <CheckCircle className="w-3 h-3 mr-1" />
+                      {comment.resolved ? 'Reopen' : 'Resolve'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <textarea
+                aria-label="New comment"
+                value={commentText}
+                onChange={(e) => setCommentText(e.target.value)}
+                rows={3}
+                placeholder="Add a comment..."
+                className="w-full p-2 border border-gray-300 rounded-md text-sm"
+              />
+              <div className="mt-2 flex items-center justify-between gap-2">
+                {region ? (
+                  <span className="inline-flex items-center text-xs text-blue-700">
+                    <Square className="w-3 h-3 mr-1" />
+                    Pinned to the marked area on {platform}
+                    <button onClick={() => setRegion(null)} aria-label="Unpin" className="ml-1 text-gray-500 hover:text-gray-700">
+                      <X className="w-3 h-3" />
+                    </button>
+                  </span>
+                ) : (
+                  <span className="text-xs text-gray-500">On the whole post</span>
+                )}
+                <button
+                  onClick={handleAddComment}
+                  disabled={isBusy || !commentText.trim()}
+                  className="px-3 py-1 text-sm font-medium rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+                >
+                  Comment
+                </button>
+              </div>
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-lg">
+              <h3 className="text-lg font-semibold mb-3">Decision</h3>
+              <textarea
+                aria-label="Review note"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={2}
+                placeholder="Note (required when requesting changes)"
+                className="w-full p-2 border border-gray-300 rounded-md text-sm mb-3"
+              />
+              <div className="flex flex-wrap gap-2">
+                {canChangeReviewStatus(post, REVIEW_STATUS.IN_REVIEW) && (
+                  <button
+                    onClick={() => handleStatusChange(REVIEW_STATUS.IN_REVIEW, 'Sent for review.')}
+                    disabled={isBusy}
+                    className={`${actionButtonClass} bg-purple-600 text-white hover:bg-purple-700`}
+                  >
+                    <Send className="w-4 h-4 mr-1" />
+                    Submit for review
+                  </button>
+                )}
+                {canChangeReviewStatus(post, REVIEW_STATUS.APPROVED) && (
+                  <button
+                    onClick={() => handleStatusChange(REVIEW_STATUS.APPROVED, 'Approved. The post can now be scheduled.')}
+                    disabled={isBusy}
+                    className={`${actionButtonClass} bg-green-600 text-white hover:bg-green-700`}
+                  >
+                    <CheckCircle className="w-4 h-4 mr-1" />
+                    Approve
+                  </button>
+                )}
+                {canChangeReviewStatus(post, REVIEW_STATUS.CHANGES_REQUESTED) && (
+                  <button
+                    onClick={() => handleStatusChange(REVIEW_STATUS.CHANGES_REQUESTED, 'Changes requested.')}
+                    disabled={isBusy || !note.trim()}
+                    title={note.trim() ? undefined : 'Add a note saying what needs to change'}
+                    className={`${actionButtonClass} bg-orange-500 text-white hover:bg-orange-600`}
+                  >
+                    <MessageSquare className="w-4 h-4 mr-1" />
+                    Request changes
+                  </button>
+                )}
+                {canChangeReviewStatus(post, REVIEW_STATUS.DRAFT) && (
+                  <button
+                    onClick={() => handleStatusChange(REVIEW_STATUS.DRAFT, 'Moved back to drafts.')}
+                    disabled={isBusy}
+                    className={`${actionButtonClass} border border-gray-300 text-gray-700 hover:bg-gray-50`}
+                  >
+                    <RotateCcw className="w-4 h-4 mr-1" />
+                    Back to draft
+                  </button>
+                )}
+              </div>
+              {getReviewStatus(post) === REVIEW_STATUS.APPROVED && (
+                <p className="text-xs text-gray-500 mt-2">Withdrawing approval takes a scheduled post out of the queue.</p>
+              )}
+            </div>
+
+            <div className="bg-white p-6 rounded-lg shadow-lg">
+              <h3 className="text-lg font-semibold mb-3 inline-flex items-center">
+                <History className="w-5 h-5 mr-2" />
+                History
+              </h3>
+              {history.length === 0 ? (
+                <p className="text-sm text-gray-500">No review activity yet.</p>
+              ) : (
+                <ol className="space-y-2 border-l border-gray-200 pl-3">
+                  {[...history].reverse().map((entry) => (
+                    <li key={`${entry.at}-${entry.status}`} className="text-sm">
+                      <span className="font-medium text-gray-800">{REVIEW_LABELS[entry.status]}</span>
+                      <span className="text-xs text-gray-500">{` · ${entry.by} · ${formatDate(entry.at)}`}</span>
+                      {entry.note && <p className="text-gray-600">{entry.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPage;
@@ -0,0 +1,275 @@
+import React, { useState } from 'react';
+import { getPlatformByName } from '../constants/platforms';
+import { isPostEditable } from '../utils/scheduler';
+import {
+  CALENDAR_VIEWS,
+  getViewDays,
+  shiftViewDate,
+  moveToSlot,
+  groupPostsByDay,
+  isSameDay,
+  startOfDay,
+  describeConflicts
+} from '../utils/calendar';
+import { ChevronLeft, ChevronRight, AlertTriangle, Repeat } from 'lucide-react';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+const MONTH_CHIPS = 3;
+
+const timeLabel = (iso) => new Date(iso).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+const hourLabel = (hour) => new Date(2000, 0, 1, hour).toLocaleTimeString(undefined, { hour: 'numeric' });
+
+/**
+ * One post in the calendar: thumbnail, time and a color dot per platform
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.post - Post record with a resolved `thumbnail`
+ * @param {Object[]} props.conflicts - Clashing posts from findConflicts
+ * @param {number} props.conflictWindow - Conflict window in minutes
+ * @param {boolean} props.draggable - Whether the post can be moved
+ * @param {boolean} props.compact - Hide the thumbnail (month view)
+ * @param {Function} props.onSelect - Called with (post)
+ */
+const CalendarPost = React.memo(({ post, conflicts, conflictWindow, draggable, compact, onSelect }) => {
+  const conflictMessage = conflicts ? describeConflicts(conflicts, conflictWindow) : null;
+  return (
+    <button
+      type="button"
+      draggable={draggable}
+      onDragStart={(e) => {
+        e.dataTransfer.setData('text/plain', post.id);
+        e.dataTransfer.effectAllowed = 'move';
+      }}
+      onClick={() => onSelect(post)}
+      title={`${post.platforms.join(', ')}${conflictMessage ? ` - ${conflictMessage}` : ''}`}
+      className={`w-full flex items-center gap-1 p-1 rounded border text-left text-xs bg-white hover:bg-gray-50 ${
+        conflictMessage ? 'border-amber-400' : 'border-gray-200'
+      } ${draggable ? 'cursor-grab' : 'cursor-pointer opacity-70'}`}
+    >
+      {!compact && post.thumbnail && (
+        <img src={post.thumbnail} alt="" className="w-8 h-8 object-cover rounded shrink-0" />
+      )}
+      <span className="flex-1 min-w-0">
+        <span className="block truncate text-gray-800">{timeLabel(post.scheduledAt)}</span>
+        <span className="flex gap-0.5 mt-0.5">
+          {post.platforms.map((name) => (
+            <span
+              key={name}
+              className="w-2 h-2 rounded-full"
+              style={{ backgroundColor: getPlatformByName(name)?.color }}
+            />
+          ))}
+        </span>
+      </span>
+      {post.recurrence && <Repeat className="w-3 h-3 text-gray-400 shrink-0" aria-label="Repeats" />}
+      {conflictMessage && <AlertTriangle className="w-3 h-3 text-amber-500 shrink-0" aria-label={conflictMessage} />}
+    </button>
+  );
+});
+
+// Display name for debugging
+CalendarPost.displayName = 'CalendarPost';
+
+/**
+ * ScheduleCalendar shows the queue in month, week or day view. Editable posts can
+ * be dragged to another day (keeping their time) or, in the week and day views,
+ * to another hour (keeping their minutes).
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.posts - Post records, each with a resolved `thumbnail`
+ * @param {Object} props.conflicts - Conflicts keyed by post ID, from findConflicts
+ * @param {number} props.conflictWindow - Conflict window in minutes
+ * @param {Function} props.onConflictWindowChange - Called with the new window in minutes
+ * @param {string} props.busyPostId - Post with an update in flight
+ * @param {Function} props.onMove - Called with (post, scheduledAt) when a post is dropped on a slot
+ * @param {Function} props.onSelect - Called with (post) when a post is clicked
+ */
+const ScheduleCalendar = ({ posts, conflicts, conflictWindow, onConflictWindowChange, busyPostId, onMove, onSelect }) => {
+  const [view, setView] = useState(CALENDAR_VIEWS.WEEK);
+  const [date, setDate] = useState(() => new Date());
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const days = getViewDays(view, date);
+  const postsByDay = groupPostsByDay(posts);
+  const unscheduled = posts.filter((post) => !post.scheduledAt).length;
+  const today = new Date();
+
+  const title = view === CALENDAR_VIEWS.MONTH
+    ? date.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : view === CALENDAR_VIEWS.WEEK
+      ? `${days[0].toLocaleDateString(undefined, { month: 'short', day: 'numeric' })} - ${days[6].toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : date.toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' });
+
+  /**
+   * Drag-and-drop handlers for a slot
+   * @param {Date} day - Day of the slot
+   * @param {number} [hour] - Hour of the slot; whole-day slots keep the post's time
+   * @returns {Object} Props for the slot element
+   */
+  const slotProps = (day, hour) => {
+    const key = `${day.getTime()}-${hour ?? 'day'}`;
+    return {
+      onDragOver: (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        if (dropTarget !== key) setDropTarget(key);
+      },
+      onDragLeave: () => setDropTarget((current) => (current === key ? null : current)),
+      onDrop: (e) => {
+        e.preventDefault();
+        setDropTarget(null);
+        const post = posts.find((entry) => entry.id === e.dataTransfer.getData('text/plain'));
+        if (!post) return;
+        const scheduledAt = moveToSlot(post.scheduledAt, day, hour);
+        if (scheduledAt !== new Date(post.scheduledAt).toISOString()) onMove(post, scheduledAt);
+      },
+      className: dropTarget === key ? 'bg-blue-50 ring-2 ring-inset ring-blue-300' : ''
+    };
+  };
+
+  const renderPost = (post, compact = false) => (
+    <CalendarPost
+      key={post.id}
+      post={post}
+      conflicts={conflicts[post.id]}
+      conflictWindow={conflictWindow}
+      draggable={isPostEditable(post) && busyPostId !== post.id}
+      compact={compact}
+      onSelect={onSelect}
+    />
+  );
+
+  const renderMonth = () => (
+    <div className="grid grid-cols-7 border-t border-l border-gray-200 text-xs">
+      {days.slice(0, 7).map((day) => (
+        <div key={day.getTime()} className="p-1 border-r border-b border-gray-200 bg-gray-50 font-medium text-gray-600 text-center">
+          {day.toLocaleDateString(undefined, { weekday: 'short' })}
+        </div>
+      ))}
+      {days.map((day) => {
+        const dayPosts = postsByDay.get(day.getTime()) || [];
+        const { className, ...handlers } = slotProps(day);
+        return (
+          <div
+            key={day.getTime()}
+            {...handlers}
+            className={`min-h-[6rem] p-1 border-r border-b border-gray-200 space-y-1 ${
+              day.getMonth() === date.getMonth() ? '' : 'bg-gray-50 text-gray-400'
+            } ${className}`}
+          >
+            <button
+              type="button"
+              onClick={() => {
+                setDate(day);
+                setView(CALENDAR_VIEWS.DAY);
+              }}
+              className={`w-6 h-6 rounded-full ${isSameDay(day, today) ? 'bg-blue-600 text-white' : 'hover:bg-gray-100'}`}
+            >
+              {day.getDate()}
+            </button>
+            {dayPosts.slice(0, MONTH_CHIPS).map((post) => renderPost(post, true))}
+            {dayPosts.length > MONTH_CHIPS && (
+              <button
+                type="button"
+                onClick={() => {
+                  setDate(day);
+                  setView(CALENDAR_VIEWS.DAY);
+                }}
+                className="text-gray-500 hover:text-blue-600"
+              >
+                +{dayPosts.length - MONTH_CHIPS} more
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  const renderTimeGrid = () => (
+    <div className="max-h-[32rem] overflow-y-auto border border-gray-200 rounded text-xs">
+      <div className="grid sticky top-0 z-10 bg-gray-50 border-b border-gray-200" style={{ gridTemplateColumns: `4rem repeat(${days.length}, minmax(0, 1fr))` }}>
+        <div />
+        {days.map((day) => (
+          <div key={day.getTime()} className={`p-1 text-center font-medium ${isSameDay(day, today) ? 'text-blue-600' : 'text-gray-600'}`}>
+            {day.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+          </div>
+        ))}
+      </div>
+      {HOURS.map((hour) => (
+        <div key={hour} className="grid border-b border-gray-100" style={{ gridTemplateColumns: `4rem repeat(${days.length}, minmax(0, 1fr))` }}>
+          <div className="p-1 text-right text-gray-400">{hourLabel(hour)}</div>
+          {days.map((day) => {
+            const hourPosts = (postsByDay.get(day.getTime()) || [])
+              .filter((post) => new Date(post.scheduledAt).getHours() === hour);
+            const { className, ...handlers } = slotProps(day, hour);
+            return (
+              <div key={day.getTime()} {...handlers} className={`min-h-[2.5rem] p-0.5 border-l border-gray-100 space-y-0.5 ${className}`}>
+                {hourPosts.map((post) => renderPost(post))}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-3">
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          {Object.values(CALENDAR_VIEWS).map((option) => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={`px-3 py-1 capitalize ${view === option ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+        <div className="inline-flex items-center gap-1">
+          <button type="button" aria-label="Previous" onClick={() => setDate(shiftViewDate(view, date, -1))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronLeft className="w-4 h-4" />
+          </button>
+          <button type="button" onClick={() => setDate(startOfDay(new Date()))} className="px-2 py-1 text-sm rounded border border-gray-300 hover:bg-gray-50">
+            Today
+          </button>
+          <button type="button" aria-label="Next" onClick={() => setDate(shiftViewDate(view, date, 1))} className="p-1 rounded hover:bg-gray-100">
+            <ChevronRight className="w-4 h-4" />
+          </button>
+        </div>
+        <span className="font-semibold text-gray-800">{title}</span>
+        <label className="ml-auto inline-flex items-center gap-2 text-sm text-gray-600">
+          Conflict window
+          <input
+            type="number"
+            min="0"
+            step="15"
+            value={conflictWindow}
+            onChange={(e) => onConflictWindowChange(Math.max(0, Number(e.target.value) || 0))}
+            className="w-20 p-1 border border-gray-300 rounded-md"
+          />
+          min
+        </label>
+      </div>
+
+      {view === CALENDAR_VIEWS.MONTH ? renderMonth() : renderTimeGrid()}
+
+      <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600">
+        {Array.from(new Set(posts.flatMap((post) => post.platforms))).map((name) => (
+          <span key={name} className="inline-flex items-center gap-1">
+            <span className="w-2 h-2 rounded-full" style={{ backgroundColor: getPlatformByName(name)?.color }} />
+            {name}
+          </span>
+        ))}
+        {unscheduled > 0 && (
+          <span className="text-gray-400">{unscheduled} draft{unscheduled === 1 ? '' : 's'} without a time (see the list view)</span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduleCalendar;
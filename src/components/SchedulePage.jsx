@@ -1,31 +1,233 @@
-import React, { useState } from 'react';
+import React, { useState, useCallback, useEffect, useMemo, useRef } from 'react';
 import { NavLink } from 'react-router-dom';
-import { SOCIAL_PLATFORMS } from '../constants/platforms';
+import { SOCIAL_PLATFORMS, getNetworksForPlatforms, getPlatformByName } from '../constants/platforms';
+import { measureAsset, validateCreative } from '../utils/platformValidator';
+import {
+  POST_STATUS,
+  REVIEW_STATUS,
+  getReviewStatus,
+  listScheduledPosts,
+  createScheduledPost,
+  updateScheduledPost,
+  reschedulePost,
+  cancelScheduledPost,
+  removeScheduledPost,
+  buildPostAssets,
+  resolvePostAssets,
+  getLocalTimeZone,
+  getTimeZones,
+  zonedDateTimeToIso,
+  isoToZonedDateTime,
+  formatScheduledTime,
+  isPostEditable,
+  CLEARED_ATTEMPTS
+} from '../utils/scheduler';
+import { findConflicts, findConflictsFor, describeConflicts, DEFAULT_CONFLICT_WINDOW_MINUTES } from '../utils/calendar';
+import { publishScheduledPost, refreshPublicationStatus, subscribeToPublishRunner } from '../utils/publishing';
+import { getPublisher } from '../utils/publishers';
+import { buildSeriesFields, NO_SERIES } from '../utils/series';
+import { describeRule, parseRRule } from '../utils/recurrence';
+import { parsePlannedPostsCsv } from '../utils/calendarExport';
+import { changeReviewStatus, reopenReviewOnEdit, getReviewerName, REVIEW_LABELS } from '../utils/reviews';
+import { downloadOutboxBundle } from '../utils/publishers/localOutboxPublisher';
+import { fromStoredImage } from '../utils/imageData';
+import { loadAppPreferences, saveAppPreferences, loadGeneratedImage } from '../utils/dataStorage';
+import { loadBrandKits } from '../utils/brandKits';
+import CaptionEditor from './CaptionEditor';
+import ValidationReport from './ValidationReport';
+import ScheduleQueue from './ScheduleQueue';
+import ScheduleCalendar from './ScheduleCalendar';
+import RecurrenceEditor from './RecurrenceEditor';
+import CalendarTransfer from './CalendarTransfer';
+import BestTimeSuggestions from './BestTimeSuggestions';
 import { useError } from '../utils/errorContext';
-import { Calendar, Clock, Send } from 'lucide-react';
+import { errorHandlers } from '../utils/errorHandling';
+import { Calendar, CalendarDays, Send, Save, X, ListOrdered, ClipboardCheck } from 'lucide-react';
 
-const SchedulePage = ({ generatedImage, altText }) => {
+const NO_REPEAT = { rule: null, promptTemplate: null, error: null, occurrences: [] };
+
+// Queue filter value for posts made without a brand kit
+const NO_BRAND_KIT = 'none';
+
+const QUEUE_VIEWS = {
+  LIST: 'list',
+  CALENDAR: 'calendar'
+};
+
+const SchedulePage = ({ generatedImage, altText, captions, setCaptions, creatives = {}, currentImageId }) => {
   const [selectedPlatforms, setSelectedPlatforms] = useState([]);
   const [scheduleDate, setScheduleDate] = useState('');
+  const [timeZone, setTimeZone] = useState(getLocalTimeZone);
   const [isScheduling, setIsScheduling] = useState(false);
-  const { showSuccess, showError } = useError();
+  const [assets, setAssets] = useState({});
+  const [posts, setPosts] = useState([]);
+  const [busyPostId, setBusyPostId] = useState(null);
+  // Queued post loaded into the form: { post, sources, captions }
+  const [editing, setEditing] = useState(null);
+  const [queueView, setQueueView] = useState(QUEUE_VIEWS.LIST);
+  const [conflictWindow, setConflictWindow] = useState(DEFAULT_CONFLICT_WINDOW_MINUTES);
+  // Repeat settings from RecurrenceEditor: { rule, promptTemplate, error, occurrences }
+  const [repeat, setRepeat] = useState(NO_REPEAT);
+  // Bumped to give the recurrence editor a fresh start after each save
+  const [formKey, setFormKey] = useState(0);
+  // History record of the image being scheduled: its prompt is offered as the series'
+  // prompt template and its brand kit is recorded on the post
+  const [sourceRecord, setSourceRecord] = useState(null);
+  const [brandKits, setBrandKits] = useState([]);
+  // Queue filter: '' for all posts, NO_BRAND_KIT or a kit ID
+  const [kitFilter, setKitFilter] = useState('');
+  const [isImporting, setIsImporting] = useState(false);
+  const publishControllerRef = useRef(null);
+  const { showSuccess, showError, showWarning, showInfo } = useError();
+  const timeZones = useMemo(getTimeZones, []);
+  const conflicts = useMemo(() => findConflicts(posts, conflictWindow), [posts, conflictWindow]);
 
-  if (!generatedImage) {
-    return (
-      <div className="text-center p-8 bg-white rounded-lg shadow-md">
-        <h2 className="text-2xl font-bold mb-4 text-gray-800">Nothing to Schedule Yet</h2>
-        <p className="text-gray-600 mb-6">
-          Please generate a visual in the Studio before scheduling a post.
-        </p>
-        <NavLink
-          to="/"
-          className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition-colors"
-        >
-          Go to Studio
-        </NavLink>
-      </div>
-    );
-  }
+  const loadQueue = useCallback(async () => {
+    const saved = await listScheduledPosts();
+    const withThumbnails = await Promise.all(saved.map(async (post) => {
+      const first = post.assets?.[post.platforms[0]];
+      return { ...post, thumbnail: first ? await fromStoredImage(first) : null };
+    }));
+    setPosts(withThumbnails);
+  }, []);
+
+  useEffect(() => {
+    loadQueue();
+  }, [loadQueue]);
+
+  // The publish runner (started in App) changes posts in the background
+  useEffect(() => subscribeToPublishRunner(({ published, failed, missed }) => {
+    loadQueue();
+    if (published > 0) {
+      showSuccess(`${published} scheduled post${published === 1 ? ' was' : 's were'} published.`);
+    }
+    if (failed > 0) {
+      showError(`${failed} post${failed === 1 ? '' : 's'} failed to publish. See the queue for details.`);
+    }
+    if (missed > 0) {
+      showError(`${missed} series occurrence${missed === 1 ? ' was' : 's were'} skipped because ${missed === 1 ? 'it was' : 'they were'} not approved in time.`);
+    }
+  }), [loadQueue, showSuccess, showError]);
+
+  // Stop an in-flight publish when leaving the page; the post keeps its previous status
+  useEffect(() => () => publishControllerRef.current?.abort(), []);
+
+  useEffect(() => {
+    loadAppPreferences().then((preferences) => {
+      if (Number.isFinite(preferences?.conflictWindowMinutes)) {
+        setConflictWindow(preferences.conflictWindowMinutes);
+      }
+    });
+  }, []);
+
+  const sourceImageId = editing ? editing.post.imageId : currentImageId;
+  useEffect(() => {
+    let cancelled = false;
+    if (!sourceImageId) {
+      setSourceRecord(null);
+      return undefined;
+    }
+    loadGeneratedImage(sourceImageId).then((record) => {
+      if (!cancelled) setSourceRecord(record);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sourceImageId]);
+  const imagePrompt = sourceRecord?.basePrompt || sourceRecord?.prompt || '';
+
+  useEffect(() => {
+    loadBrandKits().then(({ kits }) => setBrandKits(kits)).catch(() => setBrandKits([]));
+  }, []);
+  const brandKitNames = useMemo(() => Object.fromEntries(brandKits.map((kit) => [kit.id, kit.name])), [brandKits]);
+  const shownPosts = kitFilter
+    ? posts.filter((post) => (post.brandKitId || NO_BRAND_KIT) === kitFilter)
+    : posts;
+
+  const handleConflictWindowChange = async (minutes) => {
+    setConflictWindow(minutes);
+    const preferences = await loadAppPreferences();
+    await saveAppPreferences({ ...preferences, conflictWindowMinutes: minutes });
+  };
+
+  /**
+   * Warn when a post now lands too close to another post for the same platform
+   * @param {object} post - Saved post
+   */
+  const warnAboutConflicts = (post) => {
+    if (post.status === POST_STATUS.DRAFT) return;
+    const clashes = findConflictsFor(post, posts, conflictWindow);
+    if (clashes.length > 0) {
+      showWarning(`Scheduling conflict: ${describeConflicts(clashes, conflictWindow)}.`);
+    }
+  };
+
+  const activeCaptions = editing ? editing.captions : captions;
+
+  const handleCaptionChange = useCallback((network, caption) => {
+    if (editing) {
+      setEditing((prev) => ({ ...prev, captions: { ...prev.captions, [network]: caption } }));
+    } else {
+      setCaptions((prev) => ({ ...prev, [network]: caption }));
+    }
+  }, [editing, setCaptions]);
+
+  // The file each selected platform will receive: the queued post's asset when editing,
+  // else the exported creative or the raw render (which also fills in queued posts
+  // without a file, such as imported drafts)
+  const sources = useMemo(() => {
+    const current = generatedImage
+      ? Object.fromEntries(selectedPlatforms.map((name) => [name, creatives[name] || generatedImage]))
+      : {};
+    return editing ? { ...current, ...editing.sources } : current;
+  }, [editing, generatedImage, creatives, selectedPlatforms]);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all(Object.entries(sources).map(async ([name, src]) => [
+      name,
+      await measureAsset(src).catch(() => null)
+    ])).then((entries) => {
+      if (!cancelled) setAssets(Object.fromEntries(entries));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [sources]);
+
+  const captionNetworks = selectedPlatforms.length > 0 ? getNetworksForPlatforms(selectedPlatforms) : [];
+  const reports = Object.fromEntries(selectedPlatforms.map((name) => [
+    name,
+    validateCreative({ asset: assets[name], captions: activeCaptions }, getPlatformByName(name))
+  ]));
+
+  const postCaptions = Object.fromEntries(captionNetworks
+    .filter((network) => activeCaptions[network])
+    .map((network) => [network, activeCaptions[network]]));
+  // Platforms of the edited post that have no file yet take the current image
+  const missingAssets = editing && generatedImage ? selectedPlatforms.filter((name) => !editing.post.assets?.[name]) : [];
+  const contentChanged = Boolean(editing)
+    && (missingAssets.length > 0 || JSON.stringify(postCaptions) !== JSON.stringify(editing.post.captions || {}));
+  // Only approved posts whose captions and images are unchanged can be scheduled
+  const reviewStatus = editing ? getReviewStatus(editing.post) : REVIEW_STATUS.DRAFT;
+  const canSchedule = reviewStatus === REVIEW_STATUS.APPROVED && !contentChanged;
+
+  const resetForm = () => {
+    setEditing(null);
+    setSelectedPlatforms([]);
+    setScheduleDate('');
+    setTimeZone(getLocalTimeZone());
+    setRepeat(NO_REPEAT);
+    setFormKey((key) => key + 1);
+  };
+
+  const handleQueueError = (error, operation) => {
+    if (error.status === 409) {
+      showError(`${error.message}.`);
+    } else {
+      errorHandlers.storage.indexedDB(error, showError, operation);
+    }
+  };
 
   const handlePlatformToggle = (platformName) => {
     setSelectedPlatforms((prev) =>
@@ -35,88 +237,555 @@ const SchedulePage = ({ generatedImage, altText }) => {
     );
   };
 
-  const handleSchedule = () => {
+  /**
+   * Queue the post (or save the edited one) as scheduled or as a draft
+   * @param {string} status - POST_STATUS.SCHEDULED (approved posts only) or POST_STATUS.DRAFT
+   * @param {object} options - Options
+   * @param {boolean} options.submit - Send the saved draft for review
+   */
+  const handleSave = async (status, { submit = false } = {}) => {
+    const isScheduled = status === POST_STATUS.SCHEDULED;
+    // Scheduling and review both need the finished files
+    const needsAssets = isScheduled || submit;
     if (selectedPlatforms.length === 0) {
       showError('Please select at least one platform.');
       return;
     }
-    if (!scheduleDate) {
+    if (isScheduled && !scheduleDate) {
       showError('Please select a date and time for deployment.');
       return;
     }
+    if (repeat.error) {
+      showError(repeat.error);
+      return;
+    }
+    if (repeat.rule && !scheduleDate) {
+      showError('Please pick the first publish time for a repeating post.');
+      return;
+    }
+    // A repeating post goes out on the rule's first occurrence at or after the picked time
+    const scheduledAt = repeat.rule ? repeat.occurrences[0] : scheduleDate ? zonedDateTimeToIso(scheduleDate, timeZone) : null;
+    if (isScheduled && new Date(scheduledAt) <= new Date()) {
+      showError('Please pick a time in the future.');
+      return;
+    }
+    if (needsAssets) {
+      const withoutImage = selectedPlatforms.filter((name) => !sources[name]);
+      if (withoutImage.length > 0) {
+        showError(`${withoutImage.join(', ')} ${withoutImage.length === 1 ? 'has' : 'have'} no image yet. Generate one in the Studio, then edit this post again.`);
+        return;
+      }
+      if (selectedPlatforms.some((name) => !(name in assets))) {
+        showError('Still checking the files against platform limits. Please try again in a moment.');
+        return;
+      }
+      const failing = selectedPlatforms.filter((name) => !reports[name].valid);
+      if (failing.length > 0) {
+        showError(`${failing.join(', ')} ${failing.length === 1 ? 'does' : 'do'} not meet platform limits. Fix the reported issues first.`);
+        return;
+      }
+    }
+
+    // Changing what an approved post says or shows withdraws the approval
+    const reviewFields = contentChanged ? reopenReviewOnEdit(editing.post, await getReviewerName()) : {};
+
+    const seriesFields = repeat.rule
+      ? buildSeriesFields({
+        rule: repeat.rule,
+        start: scheduleDate,
+        timeZone,
+        promptTemplate: repeat.promptTemplate,
+        existing: editing?.post
+      })
+      : editing ? NO_SERIES : {};
 
     setIsScheduling(true);
-    // Simulate API call for scheduling
-    setTimeout(() => {
+    try {
+      const post = editing
+        ? await updateScheduledPost(editing.post.id, {
+          ...(isScheduled ? CLEARED_ATTEMPTS : {}),
+          ...seriesFields,
+          ...reviewFields,
+          ...(missingAssets.length > 0 ? {
+            assets: { ...buildPostAssets(missingAssets, { creatives, image: generatedImage }), ...editing.post.assets },
+            imageId: editing.post.imageId || currentImageId
+          } : {}),
+          captions: postCaptions,
+          scheduledAt,
+          timeZone,
+          status
+        })
+        : await createScheduledPost({
+          imageId: currentImageId,
+          brandKitId: sourceRecord?.brandKitId || null,
+          campaign: sourceRecord?.campaign || null,
+          altText,
+          platforms: selectedPlatforms,
+          assets: buildPostAssets(selectedPlatforms, { creatives, image: generatedImage }),
+          captions: postCaptions,
+          scheduledAt,
+          timeZone,
+          status,
+          ...seriesFields
+        });
+      if (submit && getReviewStatus(post) !== REVIEW_STATUS.IN_REVIEW) {
+        await changeReviewStatus(post.id, REVIEW_STATUS.IN_REVIEW);
+      }
+      const repeats = post.recurrence ? ` (${describeRule(parseRRule(post.recurrence.rule))})` : '';
+      showSuccess(isScheduled
+        ? `Content scheduled for ${post.platforms.join(', ')} on ${formatScheduledTime(post)}${repeats}`
+        : submit ? 'Sent for review. It can be scheduled once approved.' : 'Draft saved to the queue.');
+      warnAboutConflicts(post);
+      resetForm();
+      await loadQueue();
+    } catch (error) {
+      handleQueueError(error, 'save the scheduled post');
+    } finally {
       setIsScheduling(false);
-      showSuccess(`Content scheduled for ${selectedPlatforms.join(', ')} on ${new Date(scheduleDate).toLocaleString()}`);
-      setSelectedPlatforms([]);
-      setScheduleDate('');
-    }, 1500);
+    }
+  };
+
+  const handleEdit = async (post) => {
+    setEditing({ post, sources: await resolvePostAssets(post), captions: post.captions || {} });
+    setSelectedPlatforms(post.platforms);
+    setTimeZone(post.timeZone || getLocalTimeZone());
+    setScheduleDate(post.scheduledAt ? isoToZonedDateTime(post.scheduledAt, post.timeZone) : '');
+  };
+
+  /**
+   * Run a queue action and reload the list
+   * @param {object} post - Post record
+   * @param {Function} action - Async action
+   * @param {string} operation - Description for error messages
+   * @returns {Promise<boolean>} True if the action succeeded
+   */
+  const runQueueAction = async (post, action, operation) => {
+    setBusyPostId(post.id);
+    try {
+      await action();
+      if (editing?.post.id === post.id) resetForm();
+      await loadQueue();
+      return true;
+    } catch (error) {
+      handleQueueError(error, operation);
+      return false;
+    } finally {
+      setBusyPostId(null);
+    }
+  };
+
+  const handleReschedule = (post, dateTime) => {
+    const scheduledAt = zonedDateTimeToIso(dateTime, post.timeZone);
+    if (new Date(scheduledAt) <= new Date()) {
+      showError('Please pick a time in the future.');
+      return false;
+    }
+    return runQueueAction(post, async () => {
+      const saved = await reschedulePost(post.id, scheduledAt, post.timeZone);
+      showSuccess(`Rescheduled to ${formatScheduledTime(saved)}`);
+      warnAboutConflicts(saved);
+    }, 'reschedule the post');
+  };
+
+  // Dragged in the calendar: drafts keep their status, everything else is (re)scheduled
+  const handleMove = (post, scheduledAt) => {
+    if (new Date(scheduledAt) <= new Date()) {
+      showError('Please pick a time in the future.');
+      return;
+    }
+    runQueueAction(post, async () => {
+      const saved = post.status === POST_STATUS.DRAFT
+        ? await updateScheduledPost(post.id, { scheduledAt })
+        : await reschedulePost(post.id, scheduledAt, post.timeZone);
+      showSuccess(`Moved to ${formatScheduledTime(saved)}`);
+      warnAboutConflicts(saved);
+    }, 'move the post');
   };
 
+  const handleSelect = (post) => {
+    if (isPostEditable(post)) handleEdit(post);
+  };
+
+  const handleCancel = (post) => runQueueAction(post, async () => {
+    await cancelScheduledPost(post.id);
+    showSuccess('Post cancelled and kept as a draft.');
+  }, 'cancel the post');
+
+  /**
+   * Run a publisher call for a post and reload the list
+   * @param {object} post - Post record
+   * @param {Function} action - Async action, called with an AbortSignal
+   */
+  const runPublishAction = async (post, action) => {
+    const controller = new AbortController();
+    publishControllerRef.current = controller;
+    setBusyPostId(post.id);
+    try {
+      await action(controller.signal);
+    } catch (error) {
+      if (error.status === 409) {
+        showError(`${error.message}.`);
+      } else {
+        errorHandlers.api.publishing(error, showError);
+      }
+    }
+    // Unmounted mid-publish: nothing left to update
+    if (controller.signal.aborted) return;
+    publishControllerRef.current = null;
+    if (editing?.post.id === post.id) resetForm();
+    await loadQueue();
+    setBusyPostId(null);
+  };
+
+  const handlePublish = (post) => {
+    if (!confirm(`Publish this post to ${post.platforms.join(', ')} now?`)) return;
+    runPublishAction(post, async (signal) => {
+      const saved = await publishScheduledPost(post.id, { signal });
+      const publisherName = getPublisher(saved.publication.publisherId)?.name;
+      if (saved.status === POST_STATUS.PUBLISHED) {
+        showSuccess(`Published via ${publisherName}.`);
+      } else {
+        showInfo(`Sent to ${publisherName}; it is still processing. Check its status in a moment.`);
+      }
+    });
+  };
+
+  const handleRefreshStatus = (post) => runPublishAction(post, async (signal) => {
+    const saved = await refreshPublicationStatus(post.id, { signal });
+    if (saved.status === POST_STATUS.PUBLISHED) {
+      showSuccess('The post is live.');
+    } else if (saved.status === POST_STATUS.FAILED) {
+      showError(saved.lastError || 'The publisher could not publish this post.');
+    } else {
+      showInfo('Still processing. Check again in a moment.');
+    }
+  });
+
+  const handleDownload = async (post) => {
+    if (!(await downloadOutboxBundle(post.publication.remoteId))) {
+      showError('This post is no longer in the outbox.');
+    }
+  };
+
+  /**
+   * Create drafts from a CSV of planned posts
+   * @param {string} text - CSV text
+   */
+  const handleImport = async (text) => {
+    let parsed;
+    try {
+      parsed = parsePlannedPostsCsv(text, { defaultPlatforms: editing ? [] : selectedPlatforms, timeZone });
+    } catch (error) {
+      showError(error.message);
+      return;
+    }
+    const { posts: planned, errors } = parsed;
+    if (planned.length === 0 && errors.length === 0) {
+      showError('The CSV has no posts.');
+      return;
+    }
+
+    setIsImporting(true);
+    let created = 0;
+    try {
+      for (const post of planned) {
+        await createScheduledPost(post);
+        created++;
+      }
+    } catch (error) {
+      handleQueueError(error, 'import the posts');
+    } finally {
+      setIsImporting(false);
+    }
+    await loadQueue();
+
+    if (created > 0) {
+      showSuccess(`Imported ${created} draft${created === 1 ? '' : 's'}. Edit them in the queue to add images and schedule them.`);
+    }
+    if (errors.length > 0) {
+      const details = errors.slice(0, 3).map(({ row, message }) => `row ${row}: ${message}`).join('; ');
+      showWarning(`Skipped ${errors.length} row${errors.length === 1 ? '' : 's'} (${details}${errors.length > 3 ? '; ...' : ''}).`);
+    }
+  };
+
+  const handleDelete = (post) => {
+    if (!confirm('Delete this post from the queue?')) return;
+    runQueueAction(post, async () => {
+      if (!(await removeScheduledPost(post.id))) {
+        throw new Error('Failed to delete scheduled post');
+      }
+      showSuccess('Post deleted.');
+    }, 'delete the post');
+  };
+
+  const queuePanel = (
+    <div className="bg-white p-6 rounded-lg shadow-lg">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold inline-flex items-center">
+          <ListOrdered className="w-5 h-5 mr-2" />
+          Queue
+        </h3>
+        {brandKits.length > 1 && (
+          <select
+            aria-label="Brand kit"
+            value={kitFilter}
+            onChange={(e) => setKitFilter(e.target.value)}
+            className="ml-auto mr-3 p-1 border border-gray-300 rounded-md text-sm"
+          >
+            <option value="">All brand kits</option>
+            {brandKits.map((kit) => (
+              <option key={kit.id} value={kit.id}>{kit.name}{kit.archived ? ' (archived)' : ''}</option>
+            ))}
+            <option value={NO_BRAND_KIT}>No brand kit</option>
+          </select>
+        )}
+        <div className="inline-flex rounded-md border border-gray-300 overflow-hidden text-sm">
+          <button
+            onClick={() => setQueueView(QUEUE_VIEWS.LIST)}
+            className={`inline-flex items-center px-3 py-1 ${queueView === QUEUE_VIEWS.LIST ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            <ListOrdered className="w-4 h-4 mr-1" />
+            List
+          </button>
+          <button
+            onClick={() => setQueueView(QUEUE_VIEWS.CALENDAR)}
+            className={`inline-flex items-center px-3 py-1 ${queueView === QUEUE_VIEWS.CALENDAR ? 'bg-blue-600 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+          >
+            <CalendarDays className="w-4 h-4 mr-1" />
+            Calendar
+          </button>
+        </div>
+      </div>
+      <CalendarTransfer posts={shownPosts} timeZone={timeZone} onImport={handleImport} disabled={isImporting} />
+      {queueView === QUEUE_VIEWS.CALENDAR ? (
+        <ScheduleCalendar
+          posts={shownPosts}
+          conflicts={conflicts}
+          conflictWindow={conflictWindow}
+          onConflictWindowChange={handleConflictWindowChange}
+          busyPostId={busyPostId}
+          onMove={handleMove}
+          onSelect={handleSelect}
+        />
+      ) : (
+        <ScheduleQueue
+          posts={shownPosts}
+          brandKitNames={brandKitNames}
+          conflicts={conflicts}
+          conflictWindow={conflictWindow}
+          editingPostId={editing?.post.id}
+          busyPostId={busyPostId}
+          onEdit={handleEdit}
+          onReschedule={handleReschedule}
+          onCancel={handleCancel}
+          onPublish={handlePublish}
+          onRefreshStatus={handleRefreshStatus}
+          onDownload={handleDownload}
+          onDelete={handleDelete}
+        />
+      )}
+    </div>
+  );
+
+  if (!generatedImage && !editing) {
+    return (
+      <div className="max-w-6xl mx-auto p-4 space-y-8">
+        <div className="text-center p-8 bg-white rounded-lg shadow-md">
+          <h2 className="text-2xl font-bold mb-4 text-gray-800">Nothing to Schedule Yet</h2>
+          <p className="text-gray-600 mb-6">
+            Please generate a visual in the Studio before scheduling a post.
+          </p>
+          <NavLink
+            to="/"
+            className="px-6 py-2 bg-blue-600 text-white font-semibold rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Go to Studio
+          </NavLink>
+        </div>
+        {queuePanel}
+      </div>
+    );
+  }
+
   const today = new Date().toISOString().slice(0, 16);
+  const previewImage = editing ? Object.values(editing.sources)[0] : generatedImage;
 
   return (
-    <div className="max-w-6xl mx-auto grid grid-cols-1 md:grid-cols-3 gap-8 p-4">
-      {/* Left Panel: Image Preview */}
-      <div className="md:col-span-1 bg-white p-6 rounded-lg shadow-lg">
-        <h3 className="text-xl font-bold mb-4">Content to Schedule</h3>
-        <img src={generatedImage} alt={altText || 'Scheduled content'} className="rounded-lg shadow-md w-full object-contain" />
-        <p className="text-sm text-gray-600 mt-2 italic">{altText}</p>
-      </div>
+    <div className="max-w-6xl mx-auto p-4 space-y-8">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-8">
+        {/* Left Panel: Image Preview */}
+        <div className="md:col-span-1 bg-white p-6 rounded-lg shadow-lg">
+          <h3 className="text-xl font-bold mb-4">{editing ? 'Queued Content' : 'Content to Schedule'}</h3>
+          {previewImage && (
+            <img src={previewImage} alt={(editing ? editing.post.altText : altText) || 'Scheduled content'} className="rounded-lg shadow-md w-full object-contain" />
+          )}
+          <p className="text-sm text-gray-600 mt-2 italic">{editing ? editing.post.altText : altText}</p>
+          {selectedPlatforms.length > 0 && (
+            <div className="mt-4 grid grid-cols-2 gap-3">
+              {selectedPlatforms.map((name) => {
+                const isCreative = editing ? editing.post.assets?.[name]?.isCreative : Boolean(creatives[name]);
+                return (
+                  <div key={name} className="text-xs text-gray-600">
+                    {isCreative ? (
+                      <img src={sources[name]} alt={`${name} creative`} className="rounded border w-full object-contain" />
+                    ) : (
+                      <div className="rounded border border-dashed p-2 text-center text-gray-400">
+                        Raw render - export the finished creative from Preview
+                      </div>
+                    )}
+                    <span className="block mt-1 font-medium">{name}</span>
+                    <ValidationReport issues={reports[name].issues} isChecking={!(name in assets)} />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+
+        {/* Right Panel: Scheduling Options */}
+        <div className="md:col-span-2 bg-white p-6 rounded-lg shadow-lg">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold">{editing ? 'Edit Queued Post' : 'Schedule Deployment'}</h2>
+            {editing && (
+              <button onClick={resetForm} className="inline-flex items-center text-sm text-gray-600 hover:text-gray-800">
+                <X className="w-4 h-4 mr-1" />
+                Stop editing
+              </button>
+            )}
+          </div>
 
-      {/* Right Panel: Scheduling Options */}
-      <div className="md:col-span-2 bg-white p-6 rounded-lg shadow-lg">
-        <h2 className="text-2xl font-bold mb-6">Schedule Deployment</h2>
+          {/* Platform Selection */}
+          <div className="mb-6">
+            <h3 className="text-lg font-semibold mb-3">1. Select Platforms</h3>
+            {editing && (
+              <p className="text-xs text-gray-500 mb-2">Platforms are fixed once a post is queued; create a new post to target others.</p>
+            )}
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              {SOCIAL_PLATFORMS.map((platform) => (
+                <label key={platform.name} className={`flex items-center space-x-3 p-3 border rounded-lg ${editing ? 'opacity-60' : 'cursor-pointer hover:bg-gray-50'}`}>
+                  <input
+                    type="checkbox"
+                    className="h-5 w-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    checked={selectedPlatforms.includes(platform.name)}
+                    onChange={() => handlePlatformToggle(platform.name)}
+                    disabled={Boolean(editing)}
+                  />
+                  <span className="font-medium">{platform.name} {platform.icon}</span>
+                </label>
+              ))}
+            </div>
+          </div>
 
-        {/* Platform Selection */}
-        <div className="mb-6">
-          <h3 className="text-lg font-semibold mb-3">1. Select Platforms</h3>
-          <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
-            {SOCIAL_PLATFORMS.map((platform) => (
-              <label key={platform.name} className="flex items-center space-x-3 p-3 border rounded-lg cursor-pointer hover:bg-gray-50">
+          {/* Captions */}
+          {captionNetworks.length > 0 && (
+            <div className="mb-6">
+              <h3 className="text-lg font-semibold mb-3">2. Review Captions</h3>
+              <CaptionEditor
+                networks={captionNetworks}
+                captions={activeCaptions}
+                onChange={handleCaptionChange}
+                disabled={isScheduling}
+              />
+            </div>
+          )}
+
+          {/* Date & Time Selection */}
+          <div className="mb-8">
+            <h3 className="text-lg font-semibold mb-3">{captionNetworks.length > 0 ? '3' : '2'}. Set Deployment Time</h3>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div className="relative sm:col-span-2">
+                <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                  <Calendar className="h-5 w-5 text-gray-400" />
+                </div>
                 <input
-                  type="checkbox"
-                  className="h-5 w-5 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-                  checked={selectedPlatforms.includes(platform.name)}
-                  onChange={() => handlePlatformToggle(platform.name)}
+                  type="datetime-local"
+                  aria-label="Publish time"
+                  value={scheduleDate}
+                  onChange={(e) => setScheduleDate(e.target.value)}
+                  min={today}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                 />
-                <span className="font-medium">{platform.name} {platform.icon}</span>
-              </label>
-            ))}
-          </div>
-        </div>
-
-        {/* Date & Time Selection */}
-        <div className="mb-8">
-          <h3 className="text-lg font-semibold mb-3">2. Set Deployment Time</h3>
-          <div className="relative">
-            <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-              <Calendar className="h-5 w-5 text-gray-400" />
+              </div>
+              <select
+                aria-label="Time zone"
+                value={timeZone}
+                onChange={(e) => setTimeZone(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded-md shadow-sm"
+              >
+                {timeZones.map((zone) => (
+                  <option key={zone} value={zone}>{zone}</option>
+                ))}
+              </select>
             </div>
-            <input
-              type="datetime-local"
+            <BestTimeSuggestions
+              platforms={selectedPlatforms}
+              timeZone={timeZone}
               value={scheduleDate}
-              onChange={(e) => setScheduleDate(e.target.value)}
-              min={today}
-              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              onPick={setScheduleDate}
+              disabled={isScheduling}
             />
+            <div className="mt-4">
+              <RecurrenceEditor
+                key={editing?.post.id || `new-${formKey}`}
+                initialRule={editing?.post.recurrence?.rule}
+                initialPromptTemplate={editing?.post.regenerate?.promptTemplate}
+                defaultPromptTemplate={imagePrompt}
+                start={scheduleDate}
+                timeZone={timeZone}
+                onChange={setRepeat}
+                disabled={isScheduling}
+              />
+            </div>
           </div>
-        </div>
 
-        {/* Schedule Button */}
-        <button
-          onClick={handleSchedule}
-          disabled={isScheduling}
-          className="w-full inline-flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400"
-        >
-          <Send className="w-5 h-5 mr-3" />
-          {isScheduling ? 'Scheduling...' : `Schedule Post (${selectedPlatforms.length})`}
-        </button>
+          {/* Schedule Buttons */}
+          <div className="flex flex-col sm:flex-row gap-3">
+            <button
+              onClick={() => handleSave(POST_STATUS.DRAFT)}
+              disabled={isScheduling}
+              className="inline-flex items-center justify-center px-6 py-3 border border-gray-300 text-base font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <Save className="w-5 h-5 mr-3" />
+              Save as Draft
+            </button>
+            {canSchedule ? (
+              <button
+                onClick={() => handleSave(POST_STATUS.SCHEDULED)}
+                disabled={isScheduling}
+                className="flex-1 inline-flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-sm text-white bg-green-600 hover:bg-green-700 disabled:bg-gray-400"
+              >
+                <Send className="w-5 h-5 mr-3" />
+                {isScheduling ? 'Scheduling...' : 'Save & Schedule'}
+              </button>
+            ) : (
+              <button
+                onClick={() => handleSave(POST_STATUS.DRAFT, { submit: true })}
+                disabled={isScheduling}
+                className="flex-1 inline-flex items-center justify-center px-6 py-3 border border-transparent text-base font-medium rounded-md shadow-sm text-white bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400"
+              >
+                <ClipboardCheck className="w-5 h-5 mr-3" />
+                {isScheduling ? 'Saving...' : reviewStatus === REVIEW_STATUS.IN_REVIEW ? 'Save for Reviewers' : 'Submit for Review'}
+              </button>
+            )}
+          </div>
+          {!canSchedule && (
+            <p className="text-xs text-gray-500 mt-2">
+              {reviewStatus === REVIEW_STATUS.APPROVED ? (
+                'The captions or images changed since approval, so the post needs another review before it can be scheduled.'
+              ) : (
+                <>
+                  {editing ? `Review status: ${REVIEW_LABELS[reviewStatus].toLowerCase()}. ` : ''}
+                  Posts can be scheduled once approved on the <NavLink to="/review" className="text-blue-600 hover:underline">Review page</NavLink>.
+                </>
+              )}
+            </p>
+          )}
+        </div>
       </div>
+
+      {queuePanel}
     </div>
   );
 };
 
-export default SchedulePage;
\ No newline at end of file
+export default SchedulePage;
@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { POST_STATUS, REVIEW_STATUS, getReviewStatus, isPostEditable, isPastDue, formatScheduledTime, formatCountdown, isoToZonedDateTime } from '../utils/scheduler';
+import { MAX_PUBLISH_ATTEMPTS } from '../utils/publishing';
+import { describeConflicts } from '../utils/calendar';
+import { describeRule, parseRRule } from '../utils/recurrence';
+import { NavLink } from 'react-router-dom';
+import ReviewBadge from './ReviewBadge';
+import { Pencil, Clock, Ban, Trash2, ImageOff, AlertTriangle, XCircle, Send, RefreshCw, Download, ExternalLink, Repeat, ClipboardCheck } from 'lucide-react';
+
+const STATUS_STYLES = {
+  [POST_STATUS.DRAFT]: 'bg-gray-100 text-gray-700',
+  [POST_STATUS.SCHEDULED]: 'bg-blue-100 text-blue-700',
+  [POST_STATUS.PUBLISHING]: 'bg-amber-100 text-amber-700',
+  [POST_STATUS.PUBLISHED]: 'bg-green-100 text-green-700',
+  [POST_STATUS.FAILED]: 'bg-red-100 text-red-700'
+};
+
+/**
+ * What a scheduled post is waiting for
+ * @param {object} post - Post record
+ * @param {number} now - Current time in milliseconds
+ * @returns {{text: string, className: string}|null} Countdown label, null if the post is not waiting
+ */
+const getCountdown = (post, now) => {
+  if (isPastDue(post, now)) {
+    return post.requeueOnApproval
+      ? { text: 'past due, this occurrence will be skipped', className: 'text-red-600' }
+      : { text: 'past due, pick a new time', className: 'text-red-600' };
+  }
+  if (post.status !== POST_STATUS.SCHEDULED || !post.scheduledAt) return null;
+  const untilPublish = formatCountdown(post.scheduledAt, now);
+  if (untilPublish) return { text: `in ${untilPublish}`, className: 'text-blue-600' };
+  const untilRetry = post.nextAttemptAt && formatCountdown(post.nextAttemptAt, now);
+  if (untilRetry) {
+    return {
+      text: `retry ${(post.attempts?.length || 0) + 1} of ${MAX_PUBLISH_ATTEMPTS} in ${untilRetry}`,
+      className: 'text-amber-600'
+    };
+  }
+  return { text: 'publishing shortly', className: 'text-gray-500' };
+};
+
+/**
+ * ScheduleQueue lists queued posts with their status and lets the user edit,
+ * reschedule, cancel (back to draft), publish or delete them. Series posts show
+ * their repeat rule. Only approved posts can be rescheduled or published; the
+ * others link to the review page.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.posts - Post records, each with a resolved `thumbnail`
+ * @param {Object} props.brandKitNames - Brand kit names keyed by ID
+ * @param {Object} props.conflicts - Conflicts keyed by post ID, from findConflicts
+ * @param {number} props.conflictWindow - Conflict window in minutes
+ * @param {string} props.editingPostId - Post currently loaded in the form
+ * @param {string} props.busyPostId - Post with an update in flight
+ * @param {Function} props.onEdit - Called with (post)
+ * @param {Function} props.onReschedule - Called with (post, dateTime) where dateTime is wall-clock time in the post's zone
+ * @param {Function} props.onCancel - Called with (post)
+ * @param {Function} props.onPublish - Called with (post) to publish it now
+ * @param {Function} props.onRefreshStatus - Called with (post) to ask the publisher about a post still processing
+ * @param {Function} props.onDownload - Called with (post) to download its local outbox bundle
+ * @param {Function} props.onDelete - Called with (post)
+ */
+const ScheduleQueue = ({
+  posts,
+  brandKitNames = {},
+  conflicts = {},
+  conflictWindow,
+  editingPostId,
+  busyPostId,
+  onEdit,
+  onReschedule,
+  onCancel,
+  onPublish,
+  onRefreshStatus,
+  onDownload,
+  onDelete
+}) => {
+  const [reschedulingId, setReschedulingId] = useState(null);
+  const [rescheduleValue, setRescheduleValue] = useState('');
+  const [now, setNow] = useState(Date.now);
+
+  // Tick the countdowns
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (posts.length === 0) {
+    return <p className="text-sm text-gray-500">No posts in the queue yet.</p>;
+  }
+
+  const startReschedule = (post) => {
+    setReschedulingId(post.id);
+    setRescheduleValue(post.scheduledAt ? isoToZonedDateTime(post.scheduledAt, post.timeZone) : '');
+  };
+
+  const submitReschedule = async (post) => {
+    if (!rescheduleValue) return;
+    const done = await onReschedule(post, rescheduleValue);
+    if (done) setReschedulingId(null);
+  };
+
+  return (
+    <ul className="divide-y divide-gray-200">
+      {posts.map((post) => {
+        const editable = isPostEditable(post);
+        const approved = getReviewStatus(post) === REVIEW_STATUS.APPROVED;
+        const busy = busyPostId === post.id;
+        const countdown = getCountdown(post, now);
+        const attemptCount = post.attempts?.length || 1;
+        return (
+          <li key={post.id} className={`py-3 flex gap-3 ${editingPostId === post.id ? 'bg-blue-50 -mx-2 px-2 rounded' : ''}`}>
+            {post.thumbnail ? (
+              <img src={post.thumbnail} alt={post.altText || 'Queued post'} className="w-16 h-16 object-cover rounded border shrink-0" />
+            ) : (
+              <span className="w-16 h-16 flex items-center justify-center rounded border bg-gray-50 text-gray-400 shrink-0">
+                <ImageOff className="w-5 h-5" />
+              </span>
+            )}
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[post.status] || STATUS_STYLES[POST_STATUS.DRAFT]}`}>
+                  {post.status}
+                </span>
+                {editable && <ReviewBadge post={post} />}
+                <span className="text-sm text-gray-800">
+                  {post.scheduledAt ? formatScheduledTime(post) : 'No time set'}
+                </span>
+                {countdown && <span className={`text-xs font-medium ${countdown.className}`}>{countdown.text}</span>}
+              </div>
+              <p className="text-xs text-gray-500 truncate mt-1">
+                {post.platforms.join(', ')}
+                {brandKitNames[post.brandKitId] && ` · ${brandKitNames[post.brandKitId]}`}
+                {post.campaign && ` · ${post.campaign.name}`}
+              </p>
+              {post.recurrence && (
+                <p className="inline-flex items-center text-xs text-gray-500 mt-1">
+                  <Repeat className="w-3 h-3 mr-1 shrink-0" />
+                  {`#${(post.occurrence || 0) + 1} · ${describeRule(parseRRule(post.recurrence.rule))}${post.regenerate ? ' · fresh image each time' : ''}`}
+                </p>
+              )}
+              {post.regeneration?.error && post.status === POST_STATUS.SCHEDULED && (
+                <p className="flex items-start text-xs text-amber-600 mt-1">
+                  <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 shrink-0" />
+                  {`Fresh image failed, the previous image will be used: ${post.regeneration.error}`}
+                </p>
+              )}
+              {post.lastError && [POST_STATUS.SCHEDULED, POST_STATUS.FAILED].includes(post.status) && (
+                <p className="flex items-start text-xs text-red-600 mt-1">
+                  <XCircle className="w-3 h-3 mr-1 mt-0.5 shrink-0" />
+                  {post.status === POST_STATUS.FAILED
+                    ? `Failed${post.attempts?.length ? ` after ${attemptCount} attempt${attemptCount === 1 ? '' : 's'}` : ''}: ${post.lastError}`
+                    : `Last try failed: ${post.lastError}`}
+                </p>
+              )}
+              {post.publication?.url && (
+                <a href={post.publication.url} target="_blank" rel="noopener noreferrer" className="inline-flex items-center text-xs text-blue-600 hover:underline mt-1">
+                  <ExternalLink className="w-3 h-3 mr-1" />
+                  View post
+                </a>
+              )}
+              {conflicts[post.id] && (
+                <p className="inline-flex items-center text-xs text-amber-600 mt-1">
+                  <AlertTriangle className="w-3 h-3 mr-1 shrink-0" />
+                  {describeConflicts(conflicts[post.id], conflictWindow)}
+                </p>
+              )}
+
+              {reschedulingId === post.id ? (
+                <div className="mt-2 flex items-center gap-2">
+                  <input
+                    type="datetime-local"
+                    aria-label="New publish time"
+                    value={rescheduleValue}
+                    onChange={(e) => setRescheduleValue(e.target.value)}
+                    className="p-1 border border-gray-300 rounded-md text-xs"
+                  />
+                  <span className="text-xs text-gray-500">{post.timeZone}</span>
+                  <button
+                    onClick={() => submitReschedule(post)}
+                    disabled={busy || !rescheduleValue}
+                    className="px-2 py-1 text-xs font-medium rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+                  >
+                    Save
+                  </button>
+                  <button onClick={() => setReschedulingId(null)} className="text-xs text-gray-500 hover:text-gray-700">
+                    Close
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-2 flex items-center gap-3 text-xs">
+                  {editable && (
+                    <button onClick={() => onEdit(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-50">
+                      <Pencil className="w-3 h-3 mr-1" />Edit
+                    </button>
+                  )}
+                  {editable && !approved && (
+                    <NavLink to={`/review?post=${post.id}`} className="inline-flex items-center text-gray-600 hover:text-purple-600">
+                      <ClipboardCheck className="w-3 h-3 mr-1" />Review
+                    </NavLink>
+                  )}
+                  {editable && approved && (
+                    <button onClick={() => startReschedule(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-50">
+                      <Clock className="w-3 h-3 mr-1" />Reschedule
+                    </button>
+                  )}
+                  {editable && approved && (
+                    <button onClick={() => onPublish(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-green-600 disabled:opacity-50">
+                      <Send className="w-3 h-3 mr-1" />Publish now
+                    </button>
+                  )}
+                  {post.status === POST_STATUS.PUBLISHING && post.publication && (
+                    <button onClick={() => onRefreshStatus(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-50">
+                      <RefreshCw className="w-3 h-3 mr-1" />Check status
+                    </button>
+                  )}
+                  {post.status === POST_STATUS.PUBLISHED && post.publication?.publisherId === 'local-outbox' && (
+                    <button onClick={() => onDownload(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-blue-600 disabled:opacity-50">
+                      <Download className="w-3 h-3 mr-1" />Download bundle
+                    </button>
+                  )}
+                  {post.status === POST_STATUS.SCHEDULED && (
+                    <button onClick={() => onCancel(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-amber-600 disabled:opacity-50">
+                      <Ban className="w-3 h-3 mr-1" />Cancel
+                    </button>
+                  )}
+                  {post.status !== POST_STATUS.PUBLISHING && (
+                    <button onClick={() => onDelete(post)} disabled={busy} className="inline-flex items-center text-gray-600 hover:text-red-600 disabled:opacity-50">
+                      <Trash2 className="w-3 h-3 mr-1" />Delete
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default ScheduleQueue;
@@ -1,45 +1,100 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { getAppConfig } from '../utils/config';
-import { storage, localStorageFallback } from '../utils/storage';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { getGeminiConfig, getPublishingConfig } from '../utils/config';
 import { useError } from '../utils/errorContext';
+import { loadAppPreferences, saveAppPreferences } from '../utils/dataStorage';
+import {
+  COLOR_SLOTS,
+  loadBrandKits,
+  addBrandKit,
+  duplicateBrandKit,
+  updateBrandKit,
+  archiveBrandKit,
+  setActiveBrandKit,
+  restoreBrandKitVersion,
+  importBrandKits
+} from '../utils/brandKits';
+import { toBrandKitFile, parseBrandKitFile } from '../utils/brandKitTransfer';
+import { downloadBlob } from '../utils/blobManager';
+import { listProviders } from '../utils/gemini';
+import { listPublishers } from '../utils/publishers';
+import { configurePublishWorker } from '../utils/publishing';
+import { logError } from '../utils/errorHandling';
+import BrandKitHistory from './BrandKitHistory';
+import BrandAssetLibrary from './BrandAssetLibrary';
+import CampaignManager from './CampaignManager';
+import { Plus, Copy, Archive, ArchiveRestore, CheckCircle, Download, Upload } from 'lucide-react';
+
+const EMPTY_FORM = {
+  name: 'My brand kit',
+  colors: Array(COLOR_SLOTS).fill(''),
+  typography: '',
+  styleKeywords: '',
+  campaignVariable: '',
+};
+
+/**
+ * Editable fields of a kit
+ * @param {object} kit - Brand kit
+ * @returns {object} Form values
+ */
+const toForm = ({ name, colors, typography, styleKeywords, campaignVariable }) => ({
+  name, colors, typography, styleKeywords, campaignVariable
+});
 
 const SettingsPanel = () => {
-  const [brandKit, setBrandKit] = useState({
-    colors: ['', '', '', '', ''],
-    typography: '',
-    styleKeywords: '',
-    campaignVariable: '',
-  });
+  const [kits, setKits] = useState([]);
+  const [activeKitId, setActiveKitId] = useState(null);
+  // Kit open in the form; null until the first kit is saved
+  const [editingKitId, setEditingKitId] = useState(null);
+  const [brandKit, setBrandKit] = useState(EMPTY_FORM);
+  const [showArchived, setShowArchived] = useState(false);
+  // Kept with the version the next save creates
+  const [changeNote, setChangeNote] = useState('');
+  const [authorName, setAuthorName] = useState('');
+  const [aiProvider, setAiProvider] = useState('');
+  const [publisher, setPublisher] = useState('');
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
+  const importInputRef = useRef(null);
   const { showError, showSuccess } = useError();
-  const appId = getAppConfig().appId;
+
+  /**
+   * Show the kits after a change and open one in the form
+   * @param {{kits: object[], activeId: string|null}} result - Kits from utils/brandKits
+   * @param {string} kitId - Kit to open (defaults to the active kit)
+   */
+  const applyKits = useCallback(({ kits: nextKits, activeId }, kitId = activeId) => {
+    setKits(nextKits);
+    setActiveKitId(activeId);
+    const kit = nextKits.find((candidate) => candidate.id === kitId) || nextKits.find((candidate) => candidate.id === activeId);
+    setEditingKitId(kit?.id || null);
+    setBrandKit(kit ? toForm(kit) : EMPTY_FORM);
+  }, []);
 
   const loadSettings = useCallback(async () => {
     try {
-      let config = await storage.loadConfig(appId);
-      if (!config) {
-        config = localStorageFallback.loadConfig(appId);
-      }
-      if (config && config.brandKit) {
-        // Ensure colors array has 5 elements
-        const colors = config.brandKit.colors || [];
-        while (colors.length < 5) {
-          colors.push('');
-        }
-        setBrandKit({ ...config.brandKit, colors: colors.slice(0, 5) });
-      }
+      applyKits(await loadBrandKits());
+      const preferences = await loadAppPreferences();
+      setAiProvider(preferences?.aiProvider || '');
+      setPublisher(preferences?.publisher || '');
+      setAuthorName(preferences?.reviewerName || '');
     } catch (error) {
       showError('Failed to load brand settings. Using defaults.');
     } finally {
       setIsLoading(false);
     }
-  }, [appId, showError]);
+  }, [applyKits, showError]);
 
   useEffect(() => {
     loadSettings();
   }, [loadSettings]);
 
+  const editingKit = kits.find((kit) => kit.id === editingKitId) || null;
+  const isDirty = editingKit
+    ? JSON.stringify(toForm(editingKit)) !== JSON.stringify(brandKit)
+    : JSON.stringify(EMPTY_FORM) !== JSON.stringify(brandKit);
+  const listedKits = kits.filter((kit) => showArchived || !kit.archived || kit.id === editingKitId);
+
   const handleColorChange = (index, value) => {
     const newColors = [...brandKit.colors];
     newColors[index] = value;
@@ -51,17 +106,78 @@ const SettingsPanel = () => {
     setBrandKit({ ...brandKit, [name]: value });
   };
 
+  /**
+   * Run a brand kit library action
+   * @param {Function} action - Async action returning kits from utils/brandKits
+   * @param {string|Function} message - Success message, or a function of the action's result
+   */
+  const runKitAction = async (action, message) => {
+    if (isDirty && !confirm('Discard unsaved changes to this brand kit?')) return;
+    try {
+      const result = await action();
+      applyKits(result, result.kit?.id || editingKitId);
+      showSuccess(typeof message === 'function' ? message(result) : message);
+    } catch (error) {
+      showError(`${error.message}.`);
+    }
+  };
+
+  const handleSelectKit = (kitId) => {
+    if (isDirty && !confirm('Discard unsaved changes to this brand kit?')) return;
+    applyKits({ kits, activeId: activeKitId }, kitId);
+  };
+
+  const handleNewKit = () => {
+    const name = prompt('Name of the new brand kit (e.g. the client):');
+    if (name === null) return;
+    runKitAction(() => addBrandKit({ name }), `Created "${name.trim()}".`);
+  };
+
+  const handleExport = () => {
+    const slug = editingKit.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'kit';
+    const date = new Date().toISOString().slice(0, 10);
+    downloadBlob(new Blob([toBrandKitFile([editingKit])], { type: 'application/json' }), `brand-kit-${slug}-${date}.json`);
+    showSuccess(isDirty ? `Exported the saved version of "${editingKit.name}".` : `Exported "${editingKit.name}".`);
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    let parsed;
+    runKitAction(async () => {
+      parsed = parseBrandKitFile(text, { fileName: file.name });
+      const result = await importBrandKits(parsed.kits, { note: `Imported from ${file.name}` });
+      return { ...result, kit: result.imported[0] };
+    }, ({ imported }) => {
+      const what = imported.length === 1 ? `"${imported[0].name}"` : `${imported.length} brand kits`;
+      const from = parsed.source === 'design-tokens' ? ' from design tokens' : '';
+      return `Imported ${what}${from}${parsed.notes.map((note) => `; ${note}`).join('')}.`;
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsSaving(true);
     try {
-      const configToSave = { brandKit };
-      await storage.saveConfig(appId, configToSave);
-      // Also save to local storage as a fallback
-      localStorageFallback.saveConfig(appId, configToSave);
+      const preferences = await loadAppPreferences();
+      await saveAppPreferences({
+        ...preferences,
+        aiProvider: aiProvider || null,
+        publisher: publisher || null,
+        reviewerName: authorName.trim()
+      });
+      // The publish worker cannot read preferences; a failure only leaves it on the previous publisher
+      configurePublishWorker().catch((error) => logError(error, 'Publish worker settings'));
+      const result = editingKit
+        ? await updateBrandKit(editingKit.id, brandKit, { note: changeNote })
+        : await addBrandKit(brandKit, { activate: true, note: changeNote || 'Created' });
+      applyKits(result, result.kit?.id || editingKitId);
+      setChangeNote('');
       showSuccess('Brand Kit saved successfully!');
     } catch (error) {
-      showError('Failed to save Brand Kit.');
+      showError(error.message ? `Failed to save Brand Kit: ${error.message}.` : 'Failed to save Brand Kit.');
     } finally {
       setIsSaving(false);
     }
@@ -77,7 +193,106 @@ const SettingsPanel = () => {
         Brand Kit & User Settings
       </h2>
 
+      {/* Brand Kit Library */}
+      <div className="mb-8">
+        <h3 className="text-xl font-semibold mb-4 text-gray-700">Brand Kits</h3>
+        <p className="text-sm text-gray-500 mb-4">Keep one kit per client or brand. The active kit is used in the Studio; switch it there or here. Import kits exported from another browser, or colors and fonts from design tokens (W3C or Style Dictionary JSON).</p>
+        <div className="flex flex-wrap items-center gap-3">
+          {kits.length > 0 && (
+            <select
+              aria-label="Brand kit to edit"
+              value={editingKitId || ''}
+              onChange={(e) => handleSelectKit(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+            >
+              {listedKits.map((kit) => (
+                <option key={kit.id} value={kit.id}>
+                  {kit.name}{kit.id === activeKitId ? ' (active)' : ''}{kit.archived ? ' (archived)' : ''}
+                </option>
+              ))}
+            </select>
+          )}
+          <button type="button" onClick={handleNewKit} className="inline-flex items-center text-sm text-gray-700 hover:text-blue-600">
+            <Plus className="w-4 h-4 mr-1" />New
+          </button>
+          {editingKit && (
+            <>
+              <button
+                type="button"
+                onClick={() => runKitAction(() => duplicateBrandKit(editingKit.id), `Duplicated "${editingKit.name}".`)}
+                className="inline-flex items-center text-sm text-gray-700 hover:text-blue-600"
+              >
+                <Copy className="w-4 h-4 mr-1" />Duplicate
+              </button>
+              <button
+                type="button"
+                onClick={() => runKitAction(
+                  () => archiveBrandKit(editingKit.id, !editingKit.archived),
+                  editingKit.archived ? `Restored "${editingKit.name}".` : `Archived "${editingKit.name}".`
+                )}
+                className="inline-flex items-center text-sm text-gray-700 hover:text-amber-600"
+              >
+                {editingKit.archived ? <ArchiveRestore className="w-4 h-4 mr-1" /> : <Archive className="w-4 h-4 mr-1" />}
+                {editingKit.archived ? 'Restore' : 'Archive'}
+              </button>
+              {editingKit.id === activeKitId ? (
+                <span className="inline-flex items-center text-sm text-green-700">
+                  <CheckCircle className="w-4 h-4 mr-1" />Active
+                </span>
+              ) : !editingKit.archived && (
+                <button
+                  type="button"
+                  onClick={() => runKitAction(() => setActiveBrandKit(editingKit.id), `"${editingKit.name}" is now the active brand kit.`)}
+                  className="inline-flex items-center text-sm text-gray-700 hover:text-green-600"
+                >
+                  <CheckCircle className="w-4 h-4 mr-1" />Make active
+                </button>
+              )}
+            </>
+          )}
+          {editingKit && (
+            <button
+              type="button"
+              onClick={handleExport}
+              title="Download this kit as a brand kit JSON file"
+              className="inline-flex items-center text-sm text-gray-700 hover:text-blue-600"
+            >
+              <Download className="w-4 h-4 mr-1" />Export
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() => importInputRef.current?.click()}
+            title="Brand kit JSON files, W3C design tokens or Style Dictionary JSON"
+            className="inline-flex items-center text-sm text-gray-700 hover:text-blue-600"
+          >
+            <Upload className="w-4 h-4 mr-1" />Import
+          </button>
+          <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden" />
+          {kits.some((kit) => kit.archived) && (
+            <label className="inline-flex items-center gap-1 text-sm text-gray-600">
+              <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+              Show archived
+            </label>
+          )}
+        </div>
+      </div>
+
       <form onSubmit={handleSubmit}>
+        {/* Kit Name */}
+        <div className="mb-8">
+          <label htmlFor="name" className="block text-xl font-semibold mb-4 text-gray-700">Kit Name</label>
+          <input
+            type="text"
+            id="name"
+            name="name"
+            value={brandKit.name}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="e.g., Acme Coffee"
+          />
+        </div>
+
         {/* Color Palette Section */}
         <div className="mb-8">
           <h3 className="text-xl font-semibold mb-4 text-gray-700">Color Palette</h3>
@@ -151,8 +366,74 @@ const SettingsPanel = () => {
             />
         </div>
 
+        {/* AI Provider Section */}
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold mb-4 text-gray-700">AI Provider</h3>
+          <label htmlFor="aiProvider" className="block text-sm font-medium text-gray-600 mb-2">
+            Backend used for prompt refinement, image generation and alt text.
+          </label>
+          <select
+            id="aiProvider"
+            value={aiProvider}
+            onChange={(e) => setAiProvider(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Default ({getGeminiConfig().provider})</option>
+            {listProviders().map((provider) => (
+              <option key={provider.id} value={provider.id}>
+                {provider.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Publisher Section */}
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold mb-4 text-gray-700">Publisher</h3>
+          <label htmlFor="publisher" className="block text-sm font-medium text-gray-600 mb-2">
+            Where scheduled posts are sent when they are published.
+          </label>
+          <select
+            id="publisher"
+            value={publisher}
+            onChange={(e) => setPublisher(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">Default ({getPublishingConfig().publisher})</option>
+            {listPublishers().map((entry) => (
+              <option key={entry.id} value={entry.id}>
+                {entry.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Author Section */}
+        <div className="mb-8">
+          <h3 className="text-xl font-semibold mb-4 text-gray-700">Your Name</h3>
+          <label htmlFor="authorName" className="block text-sm font-medium text-gray-600 mb-2">
+            Recorded on the brand kit versions you save and on your review decisions.
+          </label>
+          <input
+            type="text"
+            id="authorName"
+            value={authorName}
+            onChange={(e) => setAuthorName(e.target.value)}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="Anonymous"
+          />
+        </div>
+
         {/* Save Button */}
-        <div className="flex justify-end">
+        <div className="flex flex-wrap justify-end gap-3">
+          <input
+            type="text"
+            aria-label="What changed"
+            value={changeNote}
+            onChange={(e) => setChangeNote(e.target.value)}
+            className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+            placeholder="What changed? (optional, kept in the version history)"
+          />
           <button
             type="submit"
             disabled={isSaving}
@@ -162,6 +443,22 @@ const SettingsPanel = () => {
           </button>
         </div>
       </form>
+
+      {editingKit && <BrandAssetLibrary brandKitId={editingKit.id} disabled={editingKit.archived} />}
+
+      {!isLoading && <CampaignManager kits={kits} disabled={isSaving} />}
+
+      {editingKit && (
+        <BrandKitHistory
+          kitId={editingKit.id}
+          currentVersion={editingKit.version}
+          onRestore={(version) => runKitAction(
+            () => restoreBrandKitVersion(editingKit.id, version),
+            `Restored version ${version} of "${editingKit.name}".`
+          )}
+          disabled={isSaving}
+        />
+      )}
     </div>
   );
 };
@@ -1,37 +1,144 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { refinePrompt, generateImage, generateAltText } from '../utils/gemini';
-import { getAppConfig } from '../utils/config';
-import { storage, localStorageFallback } from '../utils/storage';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useLocation } from 'react-router-dom';
+import { refinePrompt, generateCandidates, generateAltText, generateCaptions, getActiveModelInfo } from '../utils/gemini';
+import { loadBrandKits, pickActiveBrandKit, setActiveBrandKit, loadCampaigns, pickCampaignBrandKit, setActiveCampaign } from '../utils/brandKits';
+import { listBrandAssets, brandAssetToInlineImage, describeBrandAsset } from '../utils/brandAssets';
+import { saveVariantSet, updateGeneratedImages } from '../utils/dataStorage';
+import { parseDataUrl, fileToInlineImage } from '../utils/imageData';
+import { SOCIAL_PLATFORMS, getNetworksForPlatforms } from '../constants/platforms';
+import { IMAGE_MODES, MAX_REFERENCE_IMAGES, getImageMode } from '../constants/imageModes';
+import { useImageUpload } from '../hooks/useImageUpload';
+import CandidateGrid from './CandidateGrid';
+import CaptionEditor from './CaptionEditor';
+import TrendPanel from './TrendPanel';
+import BrandKitSwitcher from './BrandKitSwitcher';
+import CampaignSwitcher from './CampaignSwitcher';
 import { useError } from '../utils/errorContext';
-import { Download, Sparkles, RefreshCw } from 'lucide-react';
+import { errorHandlers } from '../utils/errorHandling';
+import { isAbortError } from '../utils/fetchWithRetry';
+import { Download, Sparkles, RefreshCw, XCircle, Upload, X, MessageSquare } from 'lucide-react';
 
-const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText }) => {
-  const [prompt, setPrompt] = useState('');
+const StudioPage = ({ generatedImage, setGeneratedImage, imageVariants, setImageVariants, altText, setAltText, captions, setCaptions, setCurrentImageId }) => {
+  const location = useLocation();
+  // A history entry restored to the Studio arrives via router state
+  const [prompt, setPrompt] = useState(location.state?.restoredPrompt || '');
+  // Tracks the base prompt and brand kit behind a refinement so they are recorded in history
+  const [refinement, setRefinement] = useState(null);
+  const [targetPlatforms, setTargetPlatforms] = useState(location.state?.restoredPlatforms || []);
+  const [candidateCount, setCandidateCount] = useState(1);
+  const restoredCandidate = location.state?.restoredCandidate;
+  const [candidates, setCandidates] = useState(restoredCandidate ? [restoredCandidate] : []);
+  const [selectedCandidateId, setSelectedCandidateId] = useState(restoredCandidate?.id || null);
   const [isLoading, setIsLoading] = useState(false);
-  const [brandKit, setBrandKit] = useState(null);
-  const { showError, showSuccess } = useError();
-  const appId = getAppConfig().appId;
+  // Brand kits from Settings; the active one refines prompts and is recorded on generations
+  const [brandKits, setBrandKits] = useState({ kits: [], activeId: null });
+  // A picked campaign generates with its own kit instead of the active one, and is recorded on generations
+  const [campaigns, setCampaigns] = useState({ campaigns: [], activeId: null });
+  // The active kit's logos, icons and product photos, and those picked as references
+  const [brandAssets, setBrandAssets] = useState([]);
+  const [selectedAssetIds, setSelectedAssetIds] = useState([]);
+  const [imageMode, setImageMode] = useState('edit');
+  const { showError, showSuccess, showInfo } = useError();
+  const references = useImageUpload();
+  const abortControllerRef = useRef(null);
+  // Captions are written for every network reached by the target platforms
+  const captionNetworks = getNetworksForPlatforms(targetPlatforms);
+
+  // Abort any in-flight AI request when leaving the Studio
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  /**
+   * Start a cancellable AI request, aborting any previous one
+   * @returns {AbortSignal} Signal to pass to the AI call
+   */
+  const beginRequest = () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    return abortControllerRef.current.signal;
+  };
+
+  const handleCancel = () => {
+    abortControllerRef.current?.abort();
+  };
 
   const loadBrandKit = useCallback(async () => {
     try {
-      let config = await storage.loadConfig(appId);
-      if (!config) {
-        config = localStorageFallback.loadConfig(appId);
-      }
-      if (config && config.brandKit) {
-        setBrandKit(config.brandKit);
-      } else {
+      const result = await loadBrandKits();
+      setBrandKits(result);
+      setCampaigns(await loadCampaigns());
+      if (!pickActiveBrandKit(result.kits, result.activeId)) {
         showError("Brand Kit not found. Please configure it in Settings.", "warning");
       }
     } catch (error) {
       showError('Failed to load brand kit.');
     }
-  }, [appId, showError]);
+  }, [showError]);
 
   useEffect(() => {
     loadBrandKit();
   }, [loadBrandKit]);
 
+  const campaign = campaigns.campaigns.find((candidate) => candidate.id === campaigns.activeId) || null;
+  const brandKit = pickCampaignBrandKit(brandKits.kits, brandKits.activeId, campaign);
+  const brandKitId = brandKit?.id;
+  // A campaign whose kit was archived or deleted falls back to the active kit, which can still be switched
+  const isKitSetByCampaign = Boolean(campaign) && campaign.brandKitId === brandKitId;
+
+  useEffect(() => {
+    let cancelled = false;
+    setSelectedAssetIds([]);
+    listBrandAssets(brandKitId)
+      .then((assets) => {
+        if (!cancelled) setBrandAssets(assets);
+      })
+      .catch(() => {
+        if (!cancelled) setBrandAssets([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [brandKitId]);
+
+  const selectedAssets = brandAssets.filter((asset) => selectedAssetIds.includes(asset.id));
+  // Picked brand assets take the first reference slots; uploads fill the rest
+  const uploadSlots = MAX_REFERENCE_IMAGES - selectedAssets.length;
+  const referenceCount = selectedAssets.length + references.imageCount;
+
+  const handleAssetToggle = (assetId) => {
+    setSelectedAssetIds((prev) => (prev.includes(assetId) ? prev.filter((id) => id !== assetId) : [...prev, assetId]));
+  };
+
+  const handleBrandKitChange = useCallback(async (kitId) => {
+    try {
+      setBrandKits(await setActiveBrandKit(kitId));
+    } catch (error) {
+      showError(`${error.message}.`);
+    }
+  }, [showError]);
+
+  const handleCampaignChange = useCallback(async (campaignId) => {
+    try {
+      setCampaigns(await setActiveCampaign(campaignId));
+    } catch (error) {
+      showError(`${error.message}.`);
+    }
+  }, [showError]);
+
+  const handleUseTrendPrompt = useCallback((trendPrompt) => {
+    setPrompt(trendPrompt);
+    setRefinement(null);
+  }, []);
+
+  const handlePlatformToggle = (platformName) => {
+    setTargetPlatforms((prev) =>
+      prev.includes(platformName)
+        ? prev.filter((p) => p !== platformName)
+        : [...prev, platformName]
+    );
+  };
+
   const handleRefinePrompt = async () => {
     if (!prompt) {
       showError('Please enter a base prompt first.');
@@ -42,17 +149,101 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
       return;
     }
     setIsLoading(true);
+    const signal = beginRequest();
     try {
-      const refined = await refinePrompt(prompt, brandKit);
+      const refined = await refinePrompt(prompt, brandKit, { signal });
+      setRefinement({
+        basePrompt: refinement?.refinedPrompt === prompt ? refinement.basePrompt : prompt,
+        refinedPrompt: refined,
+        // The exact kit version the prompt was refined with, even if the kit is edited or switched afterwards
+        brandKit: { ...brandKit },
+        campaign: campaign ? { id: campaign.id, name: campaign.name } : null
+      });
       setPrompt(refined);
       showSuccess('Prompt refined successfully!');
     } catch (error) {
-      showError(`Failed to refine prompt: ${error.message}`);
+      if (isAbortError(error)) {
+        showInfo('Prompt refinement cancelled.');
+      } else {
+        errorHandlers.api.textGeneration(error, showError);
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  /**
+   * Show a candidate's variants as the current image
+   * @param {object} candidate - Candidate ({ id, variants })
+   */
+  const applyCandidate = (candidate) => {
+    setSelectedCandidateId(candidate.id);
+    setCurrentImageId(candidate.imageIds[0] || null);
+    setGeneratedImage(candidate.variants[0].image);
+    setImageVariants(Object.fromEntries(candidate.variants.map((variant) => [variant.ratio, variant.image])));
+  };
+
+  /**
+   * Generate alt text for a candidate's primary image and record it in history
+   * @param {object} candidate - Candidate ({ variants, imageIds, timings })
+   * @param {AbortSignal} signal - Abort signal
+   */
+  const describeImage = async (candidate, signal) => {
+    const startedAt = performance.now();
+    const { base64Data, mimeType } = parseDataUrl(candidate.variants[0].image);
+    const generatedAlt = await generateAltText(base64Data, { mimeType, signal });
+    setAltText(generatedAlt);
+    await updateGeneratedImages(candidate.imageIds, {
+      altText: generatedAlt,
+      timings: { ...candidate.timings, altTextMs: Math.round(performance.now() - startedAt) }
+    });
+  };
+
+  const handleAltTextBlur = async () => {
+    const selected = candidates.find((candidate) => candidate.id === selectedCandidateId);
+    if (selected) {
+      await updateGeneratedImages(selected.imageIds, { altText });
+    }
+  };
+
+  const handleGenerateCaptions = async () => {
+    const selected = candidates.find((candidate) => candidate.id === selectedCandidateId);
+    if (!selected) return;
+    setIsLoading(true);
+    const signal = beginRequest();
+    try {
+      const { base64Data, mimeType } = parseDataUrl(selected.variants[0].image);
+      const generatedCaptions = await generateCaptions(base64Data, {
+        brandKit: brandKit || {},
+        networks: captionNetworks,
+        mimeType,
+        signal
+      });
+      setCaptions(generatedCaptions);
+      await updateGeneratedImages(selected.imageIds, { captions: generatedCaptions });
+      showSuccess('Captions generated!');
+    } catch (error) {
+      if (isAbortError(error)) {
+        showInfo('Caption generation cancelled.');
+      } else {
+        errorHandlers.api.textGeneration(error, showError);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleCaptionChange = useCallback((network, caption) => {
+    setCaptions((prev) => ({ ...prev, [network]: caption }));
+  }, [setCaptions]);
+
+  const handleCaptionBlur = async () => {
+    const selected = candidates.find((candidate) => candidate.id === selectedCandidateId);
+    if (selected) {
+      await updateGeneratedImages(selected.imageIds, { captions });
+    }
+  };
+
   const handleGenerateImage = async () => {
     if (!prompt) {
       showError('Please enter a prompt first.');
@@ -60,29 +251,146 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
     }
     setIsLoading(true);
     setGeneratedImage(null);
+    setImageVariants({});
+    setCandidates([]);
+    setSelectedCandidateId(null);
+    setCurrentImageId(null);
     setAltText('');
+    setCaptions({});
+    const signal = beginRequest();
     try {
-      const imageData = await generateImage(prompt);
-      setGeneratedImage(imageData);
-      showSuccess('Image generated successfully!');
-      // Generate alt text automatically
-      // The imageData can be a data URL, but we handle cases where it might not be.
-      const imageParts = imageData.split(',');
-      const base64Data = imageParts.length > 1 ? imageParts[1] : imageData;
-      const generatedAlt = await generateAltText(base64Data);
-      setAltText(generatedAlt);
+      // Picked brand assets and uploaded reference images are sent inline with every image request
+      const referenceUploads = references.images.slice(0, uploadSlots);
+      const mode = selectedAssets.length + referenceUploads.length > 0 ? imageMode : 'generate';
+      const referenceImages = mode === 'generate' ? [] : [
+        ...selectedAssets.map(brandAssetToInlineImage),
+        ...await Promise.all(referenceUploads.map((upload) => fileToInlineImage(upload.file)))
+      ];
+
+      // Each candidate holds one native render per aspect ratio; the first ratio is the primary image
+      const startedAt = performance.now();
+      const results = await generateCandidates(prompt, targetPlatforms, { count: candidateCount, referenceImages, mode, signal });
+      const timings = { generationMs: Math.round(performance.now() - startedAt) };
+      const candidateSetId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+      const isRefined = refinement?.refinedPrompt === prompt;
+      const usedKit = isRefined ? refinement.brandKit : brandKit;
+      const usedCampaign = isRefined ? refinement.campaign : campaign && { id: campaign.id, name: campaign.name };
+
+      // Every generation is saved to history automatically, including candidates that are not picked
+      const generated = [];
+      for (const result of results) {
+        const saved = await saveVariantSet(result.variants, {
+          prompt,
+          basePrompt: isRefined ? refinement.basePrompt : prompt,
+          refinedPrompt: isRefined ? prompt : null,
+          brandKit: usedKit ? { ...usedKit } : null,
+          brandKitId: usedKit?.id || null,
+          brandKitVersion: usedKit?.version || null,
+          campaign: usedCampaign || null,
+          ...getActiveModelInfo(),
+          targetPlatforms,
+          mode,
+          referenceImageNames: mode === 'generate' ? [] : [...selectedAssets, ...referenceUploads].map((reference) => reference.name),
+          brandAssetIds: mode === 'generate' ? [] : selectedAssets.map((asset) => asset.id),
+          timings,
+          candidateSetId,
+          seed: result.seed,
+          status: results.length > 1 ? 'candidate' : 'selected',
+          starred: false
+        });
+        if (!saved) {
+          showError('Failed to save generation to history.');
+        }
+        generated.push({
+          id: saved?.variantSetId || `${candidateSetId}-${result.seed}`,
+          variants: result.variants,
+          imageIds: saved?.imageIds || [],
+          timings,
+          starred: false
+        });
+      }
+
+      setCandidates(generated);
+      applyCandidate(generated[0]);
+      if (generated.length < candidateCount) {
+        showInfo(`${candidateCount - generated.length} of ${candidateCount} candidates failed to generate.`);
+      }
+      showSuccess(generated.length > 1
+        ? `Generated ${generated.length} candidates - pick your favorite!`
+        : 'Image generated successfully!');
+
+      // Generate alt text automatically; if it fails, the image is still there
+      try {
+        await describeImage(generated[0], signal);
+      } catch (error) {
+        if (!isAbortError(error)) {
+          errorHandlers.api.textGeneration(error, showError);
+        }
+      }
     } catch (error) {
-      showError(`Failed to generate image: ${error.message}`);
+      if (isAbortError(error)) {
+        showInfo('Generation cancelled.');
+      } else {
+        errorHandlers.api.imageGeneration(error, showError);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleSelectCandidate = async (candidate) => {
+    applyCandidate(candidate);
+    setAltText('');
+    setCaptions({});
+
+    // Record the decision: the winner is selected, every other candidate is rejected
+    await Promise.all(candidates.map((item) => updateGeneratedImages(item.imageIds, {
+      status: item.id === candidate.id ? 'selected' : 'rejected'
+    })));
+
+    setIsLoading(true);
+    const signal = beginRequest();
+    try {
+      await describeImage(candidate, signal);
+    } catch (error) {
+      if (!isAbortError(error)) {
+        errorHandlers.api.textGeneration(error, showError);
+      }
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleToggleStar = async (candidate) => {
+    const starred = !candidate.starred;
+    setCandidates((prev) => prev.map((item) => (item.id === candidate.id ? { ...item, starred } : item)));
+    const updated = await updateGeneratedImages(candidate.imageIds, { starred });
+    if (!updated) {
+      showError('Failed to update candidate in history.');
+    }
+  };
+
   return (
     <div className="max-w-7xl mx-auto grid grid-cols-1 md:grid-cols-2 gap-8 p-4">
       {/* Left Panel: Inputs & Controls */}
       <div className="bg-white p-6 rounded-lg shadow-lg">
-        <h2 className="text-2xl font-bold mb-4">Create Your Visual</h2>
+        <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+          <h2 className="text-2xl font-bold">Create Your Visual</h2>
+          <div className="flex flex-wrap items-center gap-3">
+            <CampaignSwitcher
+              campaigns={campaigns.campaigns}
+              activeId={campaign?.id}
+              onChange={handleCampaignChange}
+              disabled={isLoading}
+            />
+            <BrandKitSwitcher
+              kits={brandKits.kits}
+              activeId={brandKit?.id}
+              onChange={handleBrandKitChange}
+              disabled={isLoading || isKitSetByCampaign}
+            />
+          </div>
+        </div>
 
         <div className="space-y-4">
           <div>
@@ -99,6 +407,114 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
             />
           </div>
 
+          <TrendPanel brandKit={brandKit} onUsePrompt={handleUseTrendPrompt} disabled={isLoading} />
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Target Platforms <span className="text-gray-400 font-normal">(one native render per ratio)</span>
+            </span>
+            <div className="grid grid-cols-2 gap-2">
+              {SOCIAL_PLATFORMS.map((platform) => (
+                <label key={platform.name} className="flex items-center space-x-2 p-2 border rounded-md cursor-pointer hover:bg-gray-50 text-sm">
+                  <input
+                    type="checkbox"
+                    className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    checked={targetPlatforms.includes(platform.name)}
+                    onChange={() => handlePlatformToggle(platform.name)}
+                  />
+                  <span>{platform.icon} {platform.name} <span className="text-gray-400">{platform.ratio}</span></span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              Reference Images <span className="text-gray-400 font-normal">(optional, up to {MAX_REFERENCE_IMAGES})</span>
+            </span>
+            {brandAssets.length > 0 && (
+              <div className="mb-2">
+                <span className="block text-xs text-gray-500 mb-1">From {brandKit.name} (click to include)</span>
+                <div className="flex flex-wrap gap-2">
+                  {brandAssets.map((asset) => {
+                    const isSelected = selectedAssetIds.includes(asset.id);
+                    return (
+                      <button
+                        key={asset.id}
+                        type="button"
+                        onClick={() => handleAssetToggle(asset.id)}
+                        disabled={isLoading || (!isSelected && uploadSlots === 0)}
+                        aria-pressed={isSelected}
+                        title={describeBrandAsset(asset)}
+                        className={`h-16 w-16 p-1 rounded border-2 disabled:cursor-not-allowed ${isSelected ? 'border-blue-600' : 'border-gray-200 opacity-60 hover:opacity-100'} ${asset.variant === 'light' ? 'bg-gray-800' : 'bg-white'}`}
+                      >
+                        <img src={asset.image} alt={asset.name} className="h-full w-full object-contain" />
+                      </button>
+                    );
+                  })}
+                </div>
+              </div>
+            )}
+            <label
+              onDrop={references.handleDrop}
+              onDragOver={references.handleDragOver}
+              className="flex flex-col items-center justify-center p-4 border-2 border-dashed border-gray-300 rounded-md cursor-pointer hover:bg-gray-50 text-sm text-gray-500"
+            >
+              <Upload className="w-6 h-6 mb-1" />
+              Drop product shots or logos here, or click to browse
+              <input
+                type="file"
+                accept={references.acceptedTypes.join(',')}
+                multiple
+                className="hidden"
+                onChange={references.handleFileInput}
+                disabled={isLoading}
+              />
+            </label>
+            {references.imageCount > 0 && (
+              <>
+                <div className="mt-2 flex flex-wrap gap-2">
+                  {references.images.map((image, index) => (
+                    <div key={image.id} className={`relative ${index >= uploadSlots ? 'opacity-40' : ''}`}>
+                      <img src={image.url} alt={image.name} className="h-16 w-16 object-cover rounded border" />
+                      <button
+                        onClick={() => references.removeImage(image.id)}
+                        className="absolute -top-2 -right-2 bg-white rounded-full shadow p-0.5 text-gray-600 hover:text-red-600"
+                        aria-label={`Remove ${image.name}`}
+                      >
+                        <X className="w-3 h-3" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                {referenceCount > MAX_REFERENCE_IMAGES && (
+                  <p className="mt-1 text-xs text-yellow-700">
+                    Only {MAX_REFERENCE_IMAGES} images are sent to the model; picked brand assets go first.
+                  </p>
+                )}
+              </>
+            )}
+            {referenceCount > 0 && (
+              <>
+                <label htmlFor="imageMode" className="block text-sm font-medium text-gray-700 mt-3 mb-1">
+                  Reference Mode
+                </label>
+                <select
+                  id="imageMode"
+                  value={imageMode}
+                  onChange={(e) => setImageMode(e.target.value)}
+                  disabled={isLoading}
+                  className="w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {IMAGE_MODES.map((mode) => (
+                    <option key={mode.id} value={mode.id}>{mode.label}</option>
+                  ))}
+                </select>
+                <p className="mt-1 text-xs text-gray-500">{getImageMode(imageMode).description}</p>
+              </>
+            )}
+          </div>
+
           <div className="flex items-center space-x-2">
             <button
               onClick={handleRefinePrompt}
@@ -112,6 +528,20 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
         </div>
 
         <div className="mt-6">
+          <label htmlFor="candidateCount" className="block text-sm font-medium text-gray-700 mb-1">
+            Candidates per prompt
+          </label>
+          <select
+            id="candidateCount"
+            value={candidateCount}
+            onChange={(e) => setCandidateCount(Number(e.target.value))}
+            disabled={isLoading}
+            className="w-full mb-3 p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500"
+          >
+            {[1, 2, 3, 4].map((count) => (
+              <option key={count} value={count}>{count}</option>
+            ))}
+          </select>
           <button
             onClick={handleGenerateImage}
             disabled={isLoading}
@@ -120,6 +550,15 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
             <RefreshCw className={`w-5 h-5 mr-3 ${isLoading ? 'animate-spin' : ''}`} />
             {isLoading ? 'Generating...' : 'Generate Visual'}
           </button>
+          {isLoading && (
+            <button
+              onClick={handleCancel}
+              className="mt-2 w-full inline-flex items-center justify-center px-6 py-2 border border-gray-300 text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <XCircle className="w-5 h-5 mr-2" />
+              Cancel
+            </button>
+          )}
         </div>
       </div>
 
@@ -131,9 +570,30 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
             <p className="mt-4 text-gray-600">Generating your masterpiece...</p>
           </div>
         )}
+        <CandidateGrid
+          candidates={candidates}
+          selectedId={selectedCandidateId}
+          onSelect={handleSelectCandidate}
+          onToggleStar={handleToggleStar}
+          disabled={isLoading}
+        />
         {generatedImage && (
           <div className="w-full">
             <img src={generatedImage} alt={altText || 'AI generated visual'} className="rounded-lg shadow-md w-full object-contain" />
+            {Object.keys(imageVariants).length > 1 && (
+              <div className="mt-4 flex flex-wrap gap-3">
+                {Object.entries(imageVariants).map(([ratio, image]) => (
+                  <button
+                    key={ratio}
+                    onClick={() => setGeneratedImage(image)}
+                    className={`flex flex-col items-center text-xs text-gray-600 ${image === generatedImage ? 'font-semibold text-blue-600' : ''}`}
+                  >
+                    <img src={image} alt={`${ratio} variant`} className="h-20 rounded border object-contain" />
+                    {ratio}
+                  </button>
+                ))}
+              </div>
+            )}
             <div className="mt-4">
               <label htmlFor="altText" className="block text-sm font-medium text-gray-700">
                 Alt Text (for accessibility)
@@ -144,7 +604,30 @@ const StudioPage = ({ generatedImage, setGeneratedImage, altText, setAltText })
                 className="w-full p-2 mt-1 border border-gray-300 rounded-md shadow-sm"
                 value={altText}
                 onChange={(e) => setAltText(e.target.value)}
+                onBlur={handleAltTextBlur}
               />
+              <div className="mt-4">
+                <div className="flex items-center justify-between mb-2">
+                  <span className="block text-sm font-medium text-gray-700">Captions, Hashtags &amp; CTAs</span>
+                  <button
+                    onClick={handleGenerateCaptions}
+                    disabled={isLoading || !selectedCandidateId}
+                    className="inline-flex items-center px-3 py-1.5 border border-transparent text-sm font-medium rounded-md text-white bg-purple-600 hover:bg-purple-700 disabled:bg-gray-400"
+                  >
+                    <MessageSquare className="w-4 h-4 mr-2" />
+                    Generate Captions
+                  </button>
+                </div>
+                {Object.keys(captions).length > 0 && (
+                  <CaptionEditor
+                    networks={Object.keys(captions)}
+                    captions={captions}
+                    onChange={handleCaptionChange}
+                    onBlur={handleCaptionBlur}
+                    disabled={isLoading}
+                  />
+                )}
+              </div>
                <a
                 href={generatedImage}
                 download="ai-generated-visual.png"
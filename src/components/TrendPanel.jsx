@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { suggestTrends, listTrendSources, AUTO_TREND_SOURCE } from '../utils/trends';
+import { useError } from '../utils/errorContext';
+import { errorHandlers } from '../utils/errorHandling';
+import { isAbortError } from '../utils/fetchWithRetry';
+import { TrendingUp, RefreshCw, ExternalLink } from 'lucide-react';
+
+/**
+ * TrendPanel proposes prompt ideas from current trends, filtered by the
+ * brand kit's style keywords and campaign variable.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.brandKit - Brand kit used to filter trends
+ * @param {Function} props.onUsePrompt - Called with a trend's prompt idea
+ * @param {boolean} props.disabled - Disable actions while the Studio is busy
+ */
+const TrendPanel = ({ brandKit, onUsePrompt, disabled }) => {
+  const [sourceId, setSourceId] = useState(AUTO_TREND_SOURCE);
+  const [trends, setTrends] = useState([]);
+  const [usedSourceId, setUsedSourceId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const { showError, showInfo } = useError();
+  const abortControllerRef = useRef(null);
+  const sources = listTrendSources();
+
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort();
+  }, []);
+
+  const handleFetchTrends = async () => {
+    abortControllerRef.current?.abort();
+    abortControllerRef.current = new AbortController();
+    setIsLoading(true);
+    try {
+      const result = await suggestTrends({ brandKit, sourceId, signal: abortControllerRef.current.signal });
+      setTrends(result.trends);
+      setUsedSourceId(result.sourceId);
+      if (result.trends.length === 0) {
+        showInfo('No trends found for this source.');
+      }
+    } catch (error) {
+      if (!isAbortError(error)) {
+        errorHandlers.api.trendSuggestion(error, showError);
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const usedSource = sources.find((source) => source.id === usedSourceId);
+
+  return (
+    <div className="border border-gray-200 rounded-md p-3">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <span className="inline-flex items-center text-sm font-medium text-gray-700">
+          <TrendingUp className="w-4 h-4 mr-2" />
+          Trend Ideas
+        </span>
+        <div className="flex items-center gap-2">
+          <select
+            aria-label="Trend source"
+            value={sourceId}
+            onChange={(e) => setSourceId(e.target.value)}
+            disabled={isLoading}
+            className="p-1 border border-gray-300 rounded-md text-xs"
+          >
+            <option value={AUTO_TREND_SOURCE}>Auto</option>
+            {sources.map((source) => (
+              <option key={source.id} value={source.id}>{source.name}</option>
+            ))}
+          </select>
+          <button
+            onClick={handleFetchTrends}
+            disabled={isLoading || disabled}
+            className="inline-flex items-center px-3 py-1 border border-gray-300 text-xs font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <RefreshCw className={`w-3 h-3 mr-1 ${isLoading ? 'animate-spin' : ''}`} />
+            {trends.length > 0 ? 'Refresh' : 'Suggest'}
+          </button>
+        </div>
+      </div>
+
+      {trends.length > 0 && (
+        <>
+          <ul className="space-y-2 max-h-64 overflow-y-auto">
+            {trends.map((trend) => (
+              <li key={trend.id} className="p-2 bg-gray-50 rounded text-sm">
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {trend.title}
+                      {trend.url && (
+                        <a href={trend.url} target="_blank" rel="noopener noreferrer" className="inline-block ml-1 text-gray-400 hover:text-blue-600" aria-label={`Open source for ${trend.title}`}>
+                          <ExternalLink className="w-3 h-3" />
+                        </a>
+                      )}
+                    </p>
+                    {trend.summary && <p className="text-xs text-gray-600">{trend.summary}</p>}
+                  </div>
+                  <button
+                    onClick={() => onUsePrompt(trend.promptIdea)}
+                    disabled={disabled}
+                    className="shrink-0 px-2 py-1 text-xs font-medium rounded bg-blue-600 text-white hover:bg-blue-700 disabled:bg-gray-400"
+                    title={trend.promptIdea}
+                  >
+                    Use as base prompt
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+          {usedSource && (
+            <p className="mt-2 text-xs text-gray-400">Source: {usedSource.name}</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TrendPanel;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { ISSUE_SEVERITY } from '../utils/platformValidator';
+import { CheckCircle, AlertTriangle, XCircle } from 'lucide-react';
+
+/**
+ * ValidationReport lists the issues the platform validator found for one
+ * creative, errors first.
+ *
+ * @param {Object} props - Component props
+ * @param {Object[]} props.issues - Issues from the platform validator ({ severity, code, message })
+ * @param {boolean} props.isChecking - Show a pending state while the asset is measured
+ */
+const ValidationReport = React.memo(({ issues = [], isChecking }) => {
+  if (isChecking) {
+    return <p className="text-xs text-gray-400">Checking platform limits...</p>;
+  }
+
+  if (issues.length === 0) {
+    return (
+      <p className="inline-flex items-center text-xs text-green-600">
+        <CheckCircle className="w-3 h-3 mr-1" />
+        Meets platform limits
+      </p>
+    );
+  }
+
+  const sorted = [...issues].sort((a, b) => (a.severity === b.severity ? 0 : a.severity === ISSUE_SEVERITY.ERROR ? -1 : 1));
+
+  return (
+    <ul className="space-y-1">
+      {sorted.map((entry) => {
+        const isError = entry.severity === ISSUE_SEVERITY.ERROR;
+        const Icon = isError ? XCircle : AlertTriangle;
+        return (
+          <li key={`${entry.code}-${entry.message}`} className={`flex items-start text-xs ${isError ? 'text-red-600' : 'text-amber-600'}`}>
+            <Icon className="w-3 h-3 mr-1 mt-0.5 shrink-0" />
+            {entry.message}
+          </li>
+        );
+      })}
+    </ul>
+  );
+});
+
+// Display name for debugging
+ValidationReport.displayName = 'ValidationReport';
+
+export default ValidationReport;
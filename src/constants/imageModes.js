@@ -0,0 +1,54 @@
+/**
+ * Image Generation Modes
+ *
+ * How reference images uploaded in the Studio are used by the image model.
+ * The instruction is prepended to the user's prompt when reference images are sent.
+ */
+
+export const IMAGE_MODES = [
+  {
+    id: 'generate',
+    label: 'Text to Image',
+    description: 'Ignore references and generate from the prompt only.',
+    instruction: ''
+  },
+  {
+    id: 'edit',
+    label: 'Edit / Place Product',
+    description: 'Keep the referenced product or logo intact and place it into the described scene.',
+    instruction: 'Using the provided reference image(s), keep the main subject (product, logo or person) exactly as shown - same shape, colors, labels and proportions - and place it into the following scene:'
+  },
+  {
+    id: 'variation',
+    label: 'Variation',
+    description: 'Create a new take on the reference that keeps its overall composition.',
+    instruction: 'Create a variation of the provided reference image(s), keeping the overall composition and subject but applying the following changes:'
+  },
+  {
+    id: 'style-transfer',
+    label: 'Style Transfer',
+    description: 'Use the reference only for its look (palette, lighting, texture).',
+    instruction: 'Use the provided reference image(s) only as a style guide (color palette, lighting, texture and mood) and generate a new image of:'
+  }
+];
+
+// Maximum reference images sent with one request
+export const MAX_REFERENCE_IMAGES = 3;
+
+/**
+ * Look up a mode by ID
+ * @param {string} id - Mode ID
+ * @returns {object} The mode (falls back to 'generate')
+ */
+export const getImageMode = (id) => IMAGE_MODES.find((mode) => mode.id === id) || IMAGE_MODES[0];
+
+/**
+ * Build the text prompt sent alongside reference images
+ * @param {string} prompt - User prompt
+ * @param {string} modeId - Mode ID
+ * @returns {string} Prompt with the mode instruction prepended
+ */
+export const buildModePrompt = (prompt, modeId) => {
+  const { instruction } = getImageMode(modeId);
+  return instruction ? `${instruction} ${prompt}` : prompt;
+};
@@ -2,10 +2,51 @@
  * Social Media Platform Configurations
  *
  * This file contains the configuration data for all supported social media platforms,
- * including their names, aspect ratios, and associated use cases. This data is used
- * throughout the application to generate previews and optimize content for each platform.
+ * including their names, aspect ratios, associated use cases, pixel and file limits,
+ * UI safe zones and caption rules. This data is used throughout the application to
+ * generate previews, optimize content and validate exports for each platform.
  */
 
+/**
+ * Caption rules per network (the entries of each preset's `platforms` list).
+ * `maxChars` covers the full post text (caption, CTA and hashtags);
+ * `maxHashtags` is the platform limit or, where there is none, the recommended maximum.
+ */
+export const CAPTION_LIMITS = {
+  Instagram: { maxChars: 2200, maxHashtags: 30 },
+  'Instagram Ads': { maxChars: 2200, maxHashtags: 30 },
+  Facebook: { maxChars: 63206, maxHashtags: 10 },
+  'X/Twitter': { maxChars: 280, maxHashtags: 3 },
+  LinkedIn: { maxChars: 3000, maxHashtags: 5 },
+  TikTok: { maxChars: 4000, maxHashtags: 10 },
+  Pinterest: { maxChars: 500, maxHashtags: 20 },
+  YouTube: { maxChars: 5000, maxHashtags: 15 },
+  Reddit: { maxChars: 300, maxHashtags: 0 },
+  Snapchat: { maxChars: 250, maxHashtags: 3 },
+};
+
+/**
+ * Strictest caption rules across a preset's networks
+ * @param {string[]} networks - Network names
+ * @returns {{maxChars: number, maxHashtags: number}} Limits
+ */
+const getStrictestCaptionLimits = (networks) => networks.reduce((limits, network) => ({
+  maxChars: Math.min(limits.maxChars, CAPTION_LIMITS[network]?.maxChars ?? Infinity),
+  maxHashtags: Math.min(limits.maxHashtags, CAPTION_LIMITS[network]?.maxHashtags ?? Infinity)
+}), { maxChars: Infinity, maxHashtags: Infinity });
+
+const MB = 1024 * 1024;
+
+/**
+ * Platform presets.
+ *
+ * Sizes are in pixels. `safeZones` are the areas covered by the platform's own UI,
+ * as fractions of the frame measured from the top-left corner; headlines, CTAs and
+ * logos should stay out of them. `captionLimits` is the strictest rule across the
+ * preset's networks (CAPTION_LIMITS has the per-network rules). `chrome` is the
+ * kind of platform UI the preview mimics (see PlatformChrome); `color` codes the
+ * preset in the schedule calendar.
+ */
 export const SOCIAL_PLATFORMS = [
   {
     name: 'Instagram Story',
@@ -13,6 +54,17 @@ export const SOCIAL_PLATFORMS = [
     icon: '📸',
     platforms: ['Instagram', 'Snapchat', 'TikTok'],
     thumbnailRatio: 9 / 16,
+    chrome: 'story',
+    color: '#c13584',
+    recommendedSize: { width: 1080, height: 1920 },
+    minSize: { width: 600, height: 1067 },
+    maxSize: { width: 2160, height: 3840 },
+    maxFileSize: 30 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png'],
+    safeZones: [
+      { name: 'Profile header', x: 0, y: 0, width: 1, height: 0.13 },
+      { name: 'Reply bar', x: 0, y: 0.82, width: 1, height: 0.18 }
+    ],
   },
   {
     name: 'Instagram Post',
@@ -20,6 +72,14 @@ export const SOCIAL_PLATFORMS = [
     icon: '🖼️',
     platforms: ['Instagram', 'Facebook', 'LinkedIn'],
     thumbnailRatio: 1,
+    chrome: 'feed',
+    color: '#833ab4',
+    recommendedSize: { width: 1080, height: 1080 },
+    minSize: { width: 320, height: 320 },
+    maxSize: { width: 1440, height: 1440 },
+    maxFileSize: 30 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png'],
+    safeZones: [],
   },
   {
     name: 'Facebook Ad',
@@ -27,6 +87,14 @@ export const SOCIAL_PLATFORMS = [
     icon: '📢',
     platforms: ['Facebook', 'Instagram Ads'],
     thumbnailRatio: 4 / 5,
+    chrome: 'ad',
+    color: '#1877f2',
+    recommendedSize: { width: 1080, height: 1350 },
+    minSize: { width: 600, height: 750 },
+    maxSize: { width: 2160, height: 2700 },
+    maxFileSize: 30 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png'],
+    safeZones: [],
   },
   {
     name: 'YouTube Thumbnail',
@@ -34,6 +102,16 @@ export const SOCIAL_PLATFORMS = [
     icon: '📺',
     platforms: ['YouTube', 'Reddit', 'X/Twitter'],
     thumbnailRatio: 16 / 9,
+    chrome: 'video',
+    color: '#ff0000',
+    recommendedSize: { width: 1280, height: 720 },
+    minSize: { width: 640, height: 360 },
+    maxSize: { width: 3840, height: 2160 },
+    maxFileSize: 2 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png', 'image/gif'],
+    safeZones: [
+      { name: 'Video duration', x: 0.8, y: 0.84, width: 0.18, height: 0.12 }
+    ],
   },
   {
     name: 'Pinterest Pin',
@@ -41,6 +119,16 @@ export const SOCIAL_PLATFORMS = [
     icon: '📌',
     platforms: ['Pinterest'],
     thumbnailRatio: 2 / 3,
+    chrome: 'pin',
+    color: '#bd081c',
+    recommendedSize: { width: 1000, height: 1500 },
+    minSize: { width: 600, height: 900 },
+    maxSize: { width: 4000, height: 6000 },
+    maxFileSize: 20 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png', 'image/webp'],
+    safeZones: [
+      { name: 'Save button', x: 0.7, y: 0.02, width: 0.28, height: 0.08 }
+    ],
   },
   {
     name: 'X/Twitter Card',
@@ -48,6 +136,14 @@ export const SOCIAL_PLATFORMS = [
     icon: '🐦',
     platforms: ['X/Twitter', 'LinkedIn', 'Facebook'],
     thumbnailRatio: 1.91 / 1,
+    chrome: 'card',
+    color: '#0f1419',
+    recommendedSize: { width: 1200, height: 628 },
+    minSize: { width: 300, height: 157 },
+    maxSize: { width: 4096, height: 2144 },
+    maxFileSize: 5 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png', 'image/webp', 'image/gif'],
+    safeZones: [],
   },
   {
     name: 'TikTok Vertical',
@@ -55,6 +151,18 @@ export const SOCIAL_PLATFORMS = [
     icon: '🎵',
     platforms: ['TikTok', 'Snapchat'],
     thumbnailRatio: 9 / 16,
+    chrome: 'short-video',
+    color: '#25a3a0',
+    recommendedSize: { width: 1080, height: 1920 },
+    minSize: { width: 540, height: 960 },
+    maxSize: { width: 1080, height: 1920 },
+    maxFileSize: 20 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png', 'image/webp'],
+    safeZones: [
+      { name: 'Top tabs', x: 0, y: 0, width: 1, height: 0.08 },
+      { name: 'Action sidebar', x: 0.85, y: 0.35, width: 0.15, height: 0.45 },
+      { name: 'Caption area', x: 0, y: 0.8, width: 1, height: 0.2 }
+    ],
   },
   {
     name: 'Reddit Image',
@@ -62,5 +170,69 @@ export const SOCIAL_PLATFORMS = [
     icon: '👽',
     platforms: ['Reddit'],
     thumbnailRatio: 4 / 3,
+    chrome: 'forum',
+    color: '#ff4500',
+    recommendedSize: { width: 1200, height: 900 },
+    minSize: { width: 400, height: 300 },
+    maxSize: { width: 4096, height: 3072 },
+    maxFileSize: 20 * MB,
+    acceptedFormats: ['image/jpeg', 'image/png', 'image/gif'],
+    safeZones: [],
   },
-];
\ No newline at end of file
+].map((preset) => ({ ...preset, captionLimits: getStrictestCaptionLimits(preset.platforms) }));
+
+// Ratio used when no target platform is selected
+export const DEFAULT_RATIO = '1:1';
+
+/**
+ * Convert a ratio string (e.g. '16:9' or '1.91:1') to a number (width / height)
+ * @param {string} ratio - Ratio string
+ * @returns {number} Numeric aspect ratio
+ */
+export const parseRatio = (ratio) => {
+  const [width, height] = String(ratio).split(':').map(Number);
+  return width > 0 && height > 0 ? width / height : 1;
+};
+
+/**
+ * Look up a platform preset by name
+ * @param {string} name - Preset name (e.g. 'Instagram Story')
+ * @returns {object|null} The preset or null if unknown
+ */
+export const getPlatformByName = (name) => {
+  return SOCIAL_PLATFORMS.find((platform) => platform.name === name) || null;
+};
+
+/**
+ * Group selected presets by aspect ratio so each ratio is rendered once
+ * @param {string[]} platformNames - Selected preset names
+ * @returns {{ratio: string, platforms: string[]}[]} Unique ratios in selection order
+ */
+export const groupPlatformsByRatio = (platformNames = []) => {
+  const groups = new Map();
+  platformNames.forEach((name) => {
+    const platform = getPlatformByName(name);
+    if (!platform) return;
+    if (!groups.has(platform.ratio)) {
+      groups.set(platform.ratio, []);
+    }
+    groups.get(platform.ratio).push(platform.name);
+  });
+  return Array.from(groups, ([ratio, platforms]) => ({ ratio, platforms }));
+};
+
+// Networks captioned when no target platform is selected
+export const DEFAULT_CAPTION_NETWORKS = ['Instagram', 'Facebook', 'LinkedIn'];
+
+/**
+ * Collect the networks reached by the selected presets
+ * @param {string[]} platformNames - Selected preset names
+ * @returns {string[]} Unique network names in selection order
+ */
+export const getNetworksForPlatforms = (platformNames = []) => {
+  const networks = new Set();
+  platformNames.forEach((name) => {
+    getPlatformByName(name)?.platforms.forEach((network) => networks.add(network));
+  });
+  return networks.size > 0 ? Array.from(networks) : DEFAULT_CAPTION_NETWORKS;
+};
@@ -0,0 +1,82 @@
+/**
+ * Publish Worker
+ *
+ * Service worker that runs the publish queue (utils/publishing.runDuePosts)
+ * while every tab is closed. It runs when the browser fires Periodic Background
+ * Sync (Chromium, installed app; the browser picks the interval) and when
+ * the one-off sync the app registers on page hide fires. Series images are
+ * left for the app to render, the worker has no canvas.
+ *
+ * App preferences live in localStorage, which service workers cannot read, so
+ * the app sends the settings the worker needs (see configurePublishWorker) and
+ * the worker keeps them in the Cache API.
+ *
+ * Message from the app:
+ *   { type: 'configure', settings: { publisherId } }
+ * Message to the app after each run that changed something:
+ *   { type: 'publish-run', summary }
+ */
+
+import { runDuePostsExclusively, PUBLISH_WORKER_SYNC_TAG } from './utils/publishing.js';
+import { logError } from './utils/errorHandling.js';
+
+const SETTINGS_CACHE = 'visual-ai-publish-worker';
+const SETTINGS_KEY = '/publish-worker/settings';
+
+/**
+ * Settings last sent by the app
+ * @returns {Promise<{publisherId?: string}>} Settings, empty until the app has sent them
+ */
+const loadSettings = async () => {
+  const response = await (await caches.open(SETTINGS_CACHE)).match(SETTINGS_KEY);
+  return response ? response.json() : {};
+};
+
+/**
+ * Keep settings sent by the app
+ * @param {object} settings - Settings
+ * @returns {Promise<void>}
+ */
+const saveSettings = async (settings) => {
+  await (await caches.open(SETTINGS_CACHE)).put(SETTINGS_KEY, new Response(JSON.stringify(settings), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+};
+
+/**
+ * Run the queue once and tell open tabs what changed
+ * @returns {Promise<void>}
+ */
+const runQueue = async () => {
+  try {
+    const { publisherId } = await loadSettings();
+    const summary = await runDuePostsExclusively({ publisherId, regenerate: false });
+    if (!summary || !Object.values(summary).some(Boolean)) return;
+    const tabs = await self.clients.matchAll({ type: 'window' });
+    tabs.forEach((tab) => tab.postMessage({ type: 'publish-run', summary }));
+  } catch (error) {
+    logError(error, 'Publish worker');
+  }
+};
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('periodicsync', (event) => {
+  if (event.tag === PUBLISH_WORKER_SYNC_TAG) event.waitUntil(runQueue());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === PUBLISH_WORKER_SYNC_TAG) event.waitUntil(runQueue());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'configure') {
+    event.waitUntil(saveSettings(event.data.settings || {}));
+  }
+});
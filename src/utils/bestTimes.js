@@ -0,0 +1,308 @@
+/**
+ * Best Times to Post
+ *
+ * Suggests publish slots per network from engagement history the user imports
+ * (a CSV of past post metrics), and falls back to general per-network defaults
+ * where there is not enough history. Every suggestion carries the reason it was
+ * made.
+ *
+ * Only aggregates are kept (in localStorage, see dataStorage.loadEngagementStats):
+ *   {
+ *     timeZone,                 // zone the hours below are counted in (the first import's)
+ *     networks: {
+ *       [network]: {
+ *         metric,               // 'rate' (engagements / impressions) or 'engagements'
+ *         posts, total,         // number of posts and sum of their metric
+ *         slots: { ['weekday-hour']: { posts, total } }   // weekday 0 = Sunday
+ *       }
+ *     },
+ *     importedAt
+ *   }
+ *
+ * Engagement CSV columns (header row required, names are case-insensitive):
+ *   Date | Posted At | Published | Time      when the post went out
+ *   Network | Platform | Channel             network, or a preset name
+ *   Engagement Rate                          percentage; or
+ *   Engagements | Interactions               total engagements; or the sum of
+ *   Likes, Comments, Shares, Saves, Reactions, Retweets, Clicks
+ *   Impressions | Reach | Views              optional; turns engagements into a rate
+ */
+
+import { CAPTION_LIMITS, SOCIAL_PLATFORMS, getNetworksForPlatforms } from '../constants/platforms.js';
+import { zonedDateTimeToIso, isoToZonedDateTime } from './scheduler.js';
+import { parseCsvRecords } from './csv.js';
+import { loadEngagementStats, saveEngagementStats } from './dataStorage.js';
+
+export const NETWORKS = Object.keys(CAPTION_LIMITS);
+
+// History is used for a network once it has this many posts, and for a slot once it has this many
+const MIN_NETWORK_POSTS = 8;
+const MIN_SLOT_POSTS = 2;
+
+// Pulls thinly sampled slots toward the network average so one viral post does not win a slot
+const SHRINKAGE_POSTS = 2;
+
+// Suggestions closer than this are skipped
+const MIN_LEAD_MS = 15 * 60 * 1000;
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * General posting windows per network, as wall-clock times in the audience's
+ * time zone. These follow common industry guidance and are a starting point only.
+ */
+export const DEFAULT_POSTING_TIMES = {
+  Instagram: { slots: [[2, 11], [3, 11], [4, 11]], reason: 'Instagram use peaks around weekday lunch breaks' },
+  'Instagram Ads': { slots: [[2, 8], [3, 8], [1, 8]], reason: 'Ads are delivered over their whole run, so starting early on a weekday gives the first day full delivery' },
+  Facebook: { slots: [[3, 9], [2, 9], [4, 13]], reason: 'Facebook engagement is highest on weekday mornings and early afternoons' },
+  'X/Twitter': { slots: [[3, 9], [2, 9], [1, 9]], reason: 'X moves fastest on weekday mornings, when news and commentary are read' },
+  LinkedIn: { slots: [[2, 8], [3, 8], [4, 8]], reason: 'Professionals check LinkedIn before the workday starts, mid-week most of all' },
+  TikTok: { slots: [[2, 19], [4, 19], [5, 17]], reason: 'TikTok audiences are most active in the evening after school and work' },
+  Pinterest: { slots: [[6, 20], [5, 15], [0, 20]], reason: 'People plan projects and purchases on Pinterest in the evenings and at weekends' },
+  YouTube: { slots: [[4, 15], [5, 15], [6, 10]], reason: 'Publishing in the afternoon before the weekend gives videos time to be indexed before evening viewing peaks' },
+  Reddit: { slots: [[1, 7], [6, 7], [0, 8]], reason: 'Early-morning posts have time to collect votes before peak Reddit traffic' },
+  Snapchat: { slots: [[5, 20], [6, 20], [3, 20]], reason: 'Snapchat\'s younger audience is most active in the evening' }
+};
+
+const NETWORK_ALIASES = {
+  twitter: 'X/Twitter',
+  x: 'X/Twitter',
+  ig: 'Instagram',
+  fb: 'Facebook',
+  yt: 'YouTube'
+};
+
+/**
+ * Networks a CSV value refers to: a network name, a common alias or a preset name
+ * @param {string} value - Cell value
+ * @returns {string[]} Network names (empty if unknown)
+ */
+const resolveNetworks = (value) => {
+  const key = value.trim().toLowerCase();
+  const network = NETWORKS.find((name) => name.toLowerCase() === key) || NETWORK_ALIASES[key];
+  if (network) return [network];
+  const preset = SOCIAL_PLATFORMS.find((platform) => platform.name.toLowerCase() === key);
+  return preset ? getNetworksForPlatforms([preset.name]) : [];
+};
+
+const readColumn = (record, names) => {
+  const key = Object.keys(record).find((column) => names.includes(column.toLowerCase()));
+  return key ? record[key] : '';
+};
+
+// Empty cells read as NaN, not 0
+const readNumber = (text) => (String(text).trim() === '' ? NaN : Number(String(text).replace(/[%,\s]/g, '')));
+
+/**
+ * Read a post time from a CSV cell
+ * @param {string} time - 'YYYY-MM-DD HH:mm' (in timeZone) or ISO with an offset
+ * @param {string} timeZone - Zone for times without an offset
+ * @returns {string|null} ISO timestamp, null if unreadable
+ */
+const parsePostedAt = (time, timeZone) => {
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(time)) {
+    const date = new Date(time);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+  }
+  if (!/^\d{4}-\d{2}-\d{2}[ T]\d{1,2}:\d{2}/.test(time)) return null;
+  return zonedDateTimeToIso(time.replace(' ', 'T'), timeZone);
+};
+
+/**
+ * Read a CSV of past post metrics
+ * @param {string} text - CSV text (see the module header for the columns)
+ * @param {object} options - Options
+ * @param {string} options.timeZone - Zone for times without an offset
+ * @returns {{rows: {network: string, postedAt: string, value: number}[], metric: string, errors: {row: number, message: string}[]}} Usable rows, the metric they hold and rejected rows
+ */
+export const parseEngagementCsv = (text, { timeZone }) => {
+  const { columns, records } = parseCsvRecords(text);
+  const lower = columns.map((column) => column.toLowerCase());
+  const hasRate = lower.includes('engagement rate');
+  const hasReach = ['impressions', 'reach', 'views'].some((name) => lower.includes(name));
+  const countColumns = ['likes', 'comments', 'shares', 'saves', 'reactions', 'retweets', 'clicks'].filter((name) => lower.includes(name));
+  const hasCount = lower.includes('engagements') || lower.includes('interactions') || countColumns.length > 0;
+
+  if (!hasRate && !hasCount) {
+    throw new Error('The CSV needs an Engagement Rate, Engagements or Likes/Comments/Shares column.');
+  }
+  const metric = hasRate || hasReach ? 'rate' : 'engagements';
+
+  const rows = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const networks = resolveNetworks(readColumn(record, ['network', 'platform', 'channel', 'social network']));
+    if (networks.length === 0) {
+      errors.push({ row, message: 'Unknown or missing network' });
+      return;
+    }
+
+    const time = readColumn(record, ['date', 'posted at', 'published', 'publish time', 'time', 'posting time']);
+    const postedAt = parsePostedAt(time, timeZone);
+    if (!postedAt) {
+      errors.push({ row, message: `Cannot read the time "${time}"; use YYYY-MM-DD HH:mm` });
+      return;
+    }
+
+    let value;
+    if (hasRate) {
+      value = readNumber(readColumn(record, ['engagement rate'])) / 100;
+    } else {
+      const engagements = lower.includes('engagements') || lower.includes('interactions')
+        ? readNumber(readColumn(record, ['engagements', 'interactions']))
+        : countColumns.reduce((sum, name) => sum + (readNumber(readColumn(record, [name])) || 0), 0);
+      const reach = hasReach ? readNumber(readColumn(record, ['impressions', 'reach', 'views'])) : null;
+      value = hasReach ? (reach > 0 ? engagements / reach : NaN) : engagements;
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      errors.push({ row, message: 'Missing or invalid engagement numbers' });
+      return;
+    }
+
+    networks.forEach((network) => rows.push({ network, postedAt, value }));
+  });
+  return { rows, metric, errors };
+};
+
+/**
+ * Add parsed rows to the stored aggregates
+ * @param {object} stats - Current aggregates
+ * @param {object[]} rows - Rows from parseEngagementCsv
+ * @param {string} metric - Metric the rows hold
+ * @param {string} timeZone - Zone to count hours in if nothing was imported before
+ * @returns {{stats: object, replaced: string[]}} New aggregates, and networks whose older data used another metric and was dropped
+ */
+export const addEngagementRows = (stats, rows, metric, timeZone) => {
+  const zone = stats.timeZone || timeZone;
+  const networks = { ...stats.networks };
+  const replaced = [];
+
+  rows.forEach(({ network, postedAt, value }) => {
+    let entry = networks[network];
+    if (entry && entry.metric !== metric) {
+      if (!replaced.includes(network)) replaced.push(network);
+      entry = null;
+    }
+    entry = entry ? { ...entry, slots: { ...entry.slots } } : { metric, posts: 0, total: 0, slots: {} };
+
+    const wallClock = isoToZonedDateTime(postedAt, zone);
+    const weekday = new Date(`${wallClock.slice(0, 10)}T00:00:00Z`).getUTCDay();
+    const key = `${weekday}-${Number(wallClock.slice(11, 13))}`;
+    const slot = entry.slots[key] || { posts: 0, total: 0 };
+    entry.slots[key] = { posts: slot.posts + 1, total: slot.total + value };
+    entry.posts += 1;
+    entry.total += value;
+    networks[network] = entry;
+  });
+
+  return { stats: { timeZone: zone, networks, importedAt: new Date().toISOString() }, replaced };
+};
+
+/**
+ * Import a CSV of past post metrics into the stored aggregates
+ * @param {string} text - CSV text
+ * @param {object} options - Options
+ * @param {string} options.timeZone - Zone for times without an offset
+ * @returns {Promise<{imported: number, errors: object[], replaced: string[], stats: object}>} Result
+ */
+export const importEngagementCsv = async (text, { timeZone }) => {
+  const { rows, metric, errors } = parseEngagementCsv(text, { timeZone });
+  const { stats, replaced } = addEngagementRows(await loadEngagementStats(), rows, metric, timeZone);
+  if (rows.length > 0 && !(await saveEngagementStats(stats))) {
+    throw new Error('Failed to save the engagement data');
+  }
+  return { imported: rows.length, errors, replaced, stats };
+};
+
+/**
+ * The next moment a weekday and hour come round in a time zone
+ * @param {number} weekday - 0 = Sunday
+ * @param {number} hour - Hour of the day
+ * @param {string} timeZone - IANA time zone
+ * @param {number} now - Current time in milliseconds
+ * @returns {{scheduledAt: string, dateTime: string}} ISO timestamp and wall-clock 'YYYY-MM-DDTHH:mm'
+ */
+const nextSlot = (weekday, hour, timeZone, now) => {
+  const today = new Date(`${isoToZonedDateTime(new Date(now).toISOString(), timeZone).slice(0, 10)}T00:00:00Z`);
+  let slot = null;
+  // Nine days: a slot that already passed today, or that comes round tomorrow
+  // too soon to schedule (e.g. 00:00 at 23:50), is taken the week after
+  for (let offset = 0; offset <= 8 && !slot; offset++) {
+    const day = new Date(today.getTime() + offset * 24 * 60 * 60 * 1000);
+    if (day.getUTCDay() !== weekday) continue;
+    const dateTime = `${day.toISOString().slice(0, 10)}T${String(hour).padStart(2, '0')}:00`;
+    const scheduledAt = zonedDateTimeToIso(dateTime, timeZone);
+    if (new Date(scheduledAt).getTime() - now >= MIN_LEAD_MS) slot = { scheduledAt, dateTime };
+  }
+  return slot;
+};
+
+const formatMetric = (value, metric) => (metric === 'rate'
+  ? `${(value * 100).toFixed(value < 0.1 ? 2 : 1)}% engagement`
+  : `${Math.round(value).toLocaleString()} engagements`);
+
+const formatSlot = (weekday, hour) => `${DAY_NAMES[weekday]}s at ${String(hour).padStart(2, '0')}:00`;
+
+/**
+ * Best slots for one network from its history: slots with enough posts that
+ * beat the network average
+ * @param {object} entry - Network aggregates
+ * @param {string} network - Network name
+ * @param {string} zone - Zone the slots are counted in
+ * @returns {{weekday: number, hour: number, reason: string}[]} Slots, best first
+ */
+const getHistorySlots = (entry, network, zone) => {
+  const average = entry.total / entry.posts;
+  return Object.entries(entry.slots)
+    .filter(([, slot]) => slot.posts >= MIN_SLOT_POSTS)
+    .map(([key, slot]) => {
+      const [weekday, hour] = key.split('-').map(Number);
+      const score = (slot.total + SHRINKAGE_POSTS * average) / (slot.posts + SHRINKAGE_POSTS);
+      return { weekday, hour, score, slot };
+    })
+    .filter(({ score }) => score > average)
+    .sort((a, b) => b.score - a.score)
+    .map(({ weekday, hour, score, slot }) => ({
+      weekday,
+      hour,
+      reason: `Your ${slot.posts} ${network} posts on ${formatSlot(weekday, hour)} (${zone}) averaged ${formatMetric(slot.total / slot.posts, entry.metric)}, `
+        + `${(score / average).toFixed(1)}x your ${network} average of ${formatMetric(average, entry.metric)}.`
+    }));
+};
+
+/**
+ * Suggest publish slots for the networks a post reaches
+ * @param {string[]} platformNames - Selected preset names
+ * @param {object} options - Options
+ * @param {object} options.stats - Stored aggregates (see the module header)
+ * @param {string} options.timeZone - Zone of the datetime picker; default slots are read in it
+ * @param {number} options.perNetwork - Slots per network
+ * @param {number} options.now - Current time in milliseconds
+ * @returns {{network: string, source: string, slots: {scheduledAt: string, dateTime: string, source: string, reason: string}[]}[]} Suggestions per network
+ */
+export const suggestPostingTimes = (platformNames, { stats, timeZone, perNetwork = 3, now = Date.now() }) => {
+  return getNetworksForPlatforms(platformNames).map((network) => {
+    const entry = stats?.networks?.[network];
+    const hasHistory = entry && entry.posts >= MIN_NETWORK_POSTS;
+    const history = hasHistory
+      ? getHistorySlots(entry, network, stats.timeZone).slice(0, perNetwork).map((slot) => ({ ...slot, zone: stats.timeZone, source: 'history' }))
+      : [];
+
+    const defaults = DEFAULT_POSTING_TIMES[network] || DEFAULT_POSTING_TIMES.Instagram;
+    const fallbackReason = entry && !hasHistory
+      ? `Only ${entry.posts} ${network} post${entry.posts === 1 ? '' : 's'} imported (${MIN_NETWORK_POSTS} needed), so this is a general default: ${defaults.reason}.`
+      : hasHistory
+        ? `No other slot of yours stands out yet; general default: ${defaults.reason}.`
+        : `General default with no imported data: ${defaults.reason}. Import your metrics to tailor it.`;
+    const fallback = defaults.slots
+      .filter(([weekday, hour]) => !history.some((slot) => slot.weekday === weekday && slot.hour === hour))
+      .map(([weekday, hour]) => ({ weekday, hour, zone: timeZone, source: 'default', reason: fallbackReason }));
+
+    const slots = [...history, ...fallback].slice(0, perNetwork).map(({ weekday, hour, zone, source, reason }) => {
+      const { scheduledAt } = nextSlot(weekday, hour, zone, now);
+      return { scheduledAt, dateTime: isoToZonedDateTime(scheduledAt, timeZone), source, reason };
+    });
+    return { network, source: history.length > 0 ? 'history' : 'default', slots };
+  });
+};
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import { parseEngagementCsv, addEngagementRows, suggestPostingTimes, DEFAULT_POSTING_TIMES } from './bestTimes.js';
+
+const EMPTY_STATS = { timeZone: null, networks: {} };
+
+// 2025-06-02 is a Monday
+const MONDAY_NOON = Date.parse('2025-06-02T12:00:00Z');
+
+/**
+ * Pinterest history where Tuesdays at 00:00 UTC clearly beat Thursdays at 12:00
+ * @returns {object} Aggregates
+ */
+const pinterestStats = () => {
+  const rows = [6, 13, 20, 27].flatMap((day) => [
+    { network: 'Pinterest', postedAt: `2025-05-${String(day).padStart(2, '0')}T00:00:00.000Z`, value: 0.1 },
+    { network: 'Pinterest', postedAt: `2025-05-${String(day + 2).padStart(2, '0')}T12:00:00.000Z`, value: 0.02 }
+  ]);
+  return addEngagementRows(EMPTY_STATS, rows, 'rate', 'UTC').stats;
+};
+
+describe('parseEngagementCsv', () => {
+  it('reads engagement rates as fractions and networks from names, aliases and presets', () => {
+    const csv = 'Date,Network,Engagement Rate\n'
+      + '2025-05-06 09:00,Instagram,4.5%\n'
+      + '2025-05-06T09:00:00Z,twitter,1\n'
+      + '2025-05-06 09:00,Pinterest Pin,2\n';
+    const { rows, metric, errors } = parseEngagementCsv(csv, { timeZone: 'Europe/Paris' });
+    expect(metric).toBe('rate');
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { network: 'Instagram', postedAt: '2025-05-06T07:00:00.000Z', value: 0.045 },
+      { network: 'X/Twitter', postedAt: '2025-05-06T09:00:00.000Z', value: 0.01 },
+      { network: 'Pinterest', postedAt: '2025-05-06T07:00:00.000Z', value: 0.02 }
+    ]);
+  });
+
+  it('sums engagement columns and divides by reach when there is one', () => {
+    const csv = 'Posted At,Platform,Likes,Comments,Shares,Impressions\n2025-05-06 09:00,Facebook,"1,000",50,,21000\n';
+    const { rows, metric } = parseEngagementCsv(csv, { timeZone: 'UTC' });
+    expect(metric).toBe('rate');
+    expect(rows[0].value).toBeCloseTo(0.05);
+  });
+
+  it('keeps raw engagement counts without reach', () => {
+    const { rows, metric } = parseEngagementCsv('Date,Network,Engagements\n2025-05-06 09:00,LinkedIn,120\n', { timeZone: 'UTC' });
+    expect(metric).toBe('engagements');
+    expect(rows[0].value).toBe(120);
+  });
+
+  it('reports rows it cannot read', () => {
+    const csv = 'Date,Network,Engagement Rate\n2025-05-06 09:00,Myspace,1\nlast week,Instagram,1\n2025-05-06 09:00,Instagram,\n';
+    expect(parseEngagementCsv(csv, { timeZone: 'UTC' }).errors).toEqual([
+      { row: 2, message: 'Unknown or missing network' },
+      { row: 3, message: 'Cannot read the time "last week"; use YYYY-MM-DD HH:mm' },
+      { row: 4, message: 'Missing or invalid engagement numbers' }
+    ]);
+  });
+
+  it('needs an engagement column', () => {
+    expect(() => parseEngagementCsv('Date,Network\n2025-05-06 09:00,Instagram\n', { timeZone: 'UTC' }))
+      .toThrow('The CSV needs an Engagement Rate, Engagements or Likes/Comments/Shares column.');
+  });
+});
+
+describe('addEngagementRows', () => {
+  it('counts slots by weekday and hour in the first import\'s zone', () => {
+    const { stats } = addEngagementRows(EMPTY_STATS, [
+      { network: 'Instagram', postedAt: '2025-06-02T23:30:00.000Z', value: 0.04 }
+    ], 'rate', 'Asia/Tokyo');
+    // 23:30 UTC on Monday is 08:30 on Tuesday in Tokyo
+    expect(stats.timeZone).toBe('Asia/Tokyo');
+    expect(stats.networks.Instagram).toEqual({ metric: 'rate', posts: 1, total: 0.04, slots: { '2-8': { posts: 1, total: 0.04 } } });
+  });
+
+  it('replaces a network\'s data when the metric changes', () => {
+    const first = addEngagementRows(EMPTY_STATS, [{ network: 'Reddit', postedAt: '2025-06-02T09:00:00.000Z', value: 10 }], 'engagements', 'UTC');
+    const { stats, replaced } = addEngagementRows(first.stats, [{ network: 'Reddit', postedAt: '2025-06-02T09:00:00.000Z', value: 0.1 }], 'rate', 'UTC');
+    expect(replaced).toEqual(['Reddit']);
+    expect(stats.networks.Reddit).toMatchObject({ metric: 'rate', posts: 1, total: 0.1 });
+  });
+});
+
+describe('suggestPostingTimes', () => {
+  it('falls back to the network defaults without history', () => {
+    const [suggestion] = suggestPostingTimes(['Pinterest Pin'], { stats: EMPTY_STATS, timeZone: 'UTC', now: MONDAY_NOON });
+    expect(suggestion.network).toBe('Pinterest');
+    expect(suggestion.source).toBe('default');
+    // Saturday 20:00, Friday 15:00, Sunday 20:00
+    expect(suggestion.slots.map((slot) => slot.scheduledAt)).toEqual([
+      '2025-06-07T20:00:00.000Z',
+      '2025-06-06T15:00:00.000Z',
+      '2025-06-08T20:00:00.000Z'
+    ]);
+    expect(suggestion.slots[0].reason).toContain(DEFAULT_POSTING_TIMES.Pinterest.reason);
+  });
+
+  it('puts slots that beat the average first, then fills with defaults', () => {
+    const [suggestion] = suggestPostingTimes(['Pinterest Pin'], { stats: pinterestStats(), timeZone: 'UTC', now: MONDAY_NOON });
+    expect(suggestion.source).toBe('history');
+    expect(suggestion.slots.map((slot) => slot.source)).toEqual(['history', 'default', 'default']);
+    expect(suggestion.slots[0]).toMatchObject({ scheduledAt: '2025-06-03T00:00:00.000Z', dateTime: '2025-06-03T00:00' });
+    expect(suggestion.slots[0].reason).toContain('Your 4 Pinterest posts on Tuesdays at 00:00 (UTC)');
+  });
+
+  it('shows history slots in the picker\'s zone', () => {
+    const [suggestion] = suggestPostingTimes(['Pinterest Pin'], { stats: pinterestStats(), timeZone: 'America/New_York', perNetwork: 1, now: MONDAY_NOON });
+    expect(suggestion.slots).toEqual([expect.objectContaining({ scheduledAt: '2025-06-03T00:00:00.000Z', dateTime: '2025-06-02T20:00' })]);
+  });
+
+  it('moves a slot that is less than 15 minutes away to the following week', () => {
+    const now = Date.parse('2025-06-02T23:50:00Z');
+    const [suggestion] = suggestPostingTimes(['Pinterest Pin'], { stats: pinterestStats(), timeZone: 'UTC', perNetwork: 1, now });
+    expect(suggestion.slots[0].scheduledAt).toBe('2025-06-10T00:00:00.000Z');
+  });
+
+  it('moves a slot that already passed today to the following week', () => {
+    // Saturday 20:30, just after Pinterest's first default
+    const now = Date.parse('2025-06-07T20:30:00Z');
+    const [suggestion] = suggestPostingTimes(['Pinterest Pin'], { stats: EMPTY_STATS, timeZone: 'UTC', perNetwork: 1, now });
+    expect(suggestion.slots[0].scheduledAt).toBe('2025-06-14T20:00:00.000Z');
+  });
+
+  it('suggests for every network a preset reaches', () => {
+    const suggestions = suggestPostingTimes(['Instagram Post'], { stats: EMPTY_STATS, timeZone: 'UTC', now: MONDAY_NOON });
+    expect(suggestions.map((suggestion) => suggestion.network)).toEqual(['Instagram', 'Facebook', 'LinkedIn']);
+  });
+});
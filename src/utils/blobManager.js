@@ -128,10 +128,27 @@ export const useBlobUrlManager = () => {
   };
 };
 
+/**
+ * Save a blob as a file download, releasing its blob URL afterwards
+ * @param {Blob} blob - File contents
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = createBlobUrl(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => revokeBlobUrl(url), 1000);
+};
+
 // Automatic cleanup on page unload
 if (typeof window !== 'undefined') {
   window.addEventListener('beforeunload', revokeAllBlobUrls);
   
   // Also cleanup on page hide (for mobile browsers)
   window.addEventListener('pagehide', revokeAllBlobUrls);
-}
\ No newline at end of file
+}
@@ -0,0 +1,100 @@
+/**
+ * Brand Assets
+ *
+ * Each brand kit's library of approved images: logos (light and dark
+ * variants), icons and product photos. They live in IndexedDB (store
+ * `brandAssets`) rather than in the kit config, which is synced as JSON:
+ *   { id, brandKitId, kind, variant, name, imageBlob, mimeType, createdAt }
+ * `variant` is set on logos only: 'light' marks are made for dark
+ * backgrounds, 'dark' marks for light ones.
+ *
+ * Logos are drawn by the compositor, and any asset can be sent as a reference
+ * image with a generation so renders include the real brand marks.
+ */
+
+import { saveBrandAsset, getBrandAssets, deleteBrandAsset } from './dataStorage.js';
+import { fromStoredImage, parseDataUrl } from './imageData.js';
+
+export const ASSET_KINDS = [
+  { id: 'logo', label: 'Logo' },
+  { id: 'icon', label: 'Icon' },
+  { id: 'product', label: 'Product photo' }
+];
+
+export const LOGO_VARIANTS = [
+  { id: 'dark', label: 'Dark', description: 'for light backgrounds' },
+  { id: 'light', label: 'Light', description: 'for dark backgrounds' }
+];
+
+/**
+ * Add an uploaded image to a kit's library
+ * @param {string} brandKitId - Kit the asset belongs to
+ * @param {File} file - Uploaded image (validated by useImageUpload)
+ * @param {object} options - Options
+ * @param {string} options.kind - ASSET_KINDS id
+ * @param {string} options.variant - LOGO_VARIANTS id, for logos
+ * @returns {Promise<string>} Asset ID
+ */
+export const addBrandAsset = async (brandKitId, file, { kind, variant = null }) => {
+  if (!ASSET_KINDS.some((entry) => entry.id === kind)) {
+    throw new Error(`Unknown brand asset kind "${kind}"`);
+  }
+  const assetId = await saveBrandAsset({
+    brandKitId,
+    kind,
+    variant: kind === 'logo' ? variant || LOGO_VARIANTS[0].id : null,
+    name: file.name,
+    imageBlob: file,
+    mimeType: file.type
+  });
+  if (!assetId) {
+    throw new Error(`Could not save ${file.name}`);
+  }
+  return assetId;
+};
+
+/**
+ * A kit's assets, ready to display
+ * @param {string} brandKitId - Kit ID
+ * @returns {Promise<object[]>} Asset records with `image` (data URL), oldest first
+ */
+export const listBrandAssets = async (brandKitId) => {
+  if (!brandKitId) return [];
+  const records = await getBrandAssets(brandKitId);
+  return Promise.all(records.map(async (record) => {
+    // The blob becomes a data URL that <img>, the canvas and AI providers can all use
+    const { imageBlob: _imageBlob, ...fields } = record;
+    return { ...fields, image: await fromStoredImage(record) };
+  }));
+};
+
+/**
+ * Remove an asset from its library
+ * @param {string} assetId - Asset ID
+ * @returns {Promise<void>}
+ */
+export const removeBrandAsset = async (assetId) => {
+  if (!await deleteBrandAsset(assetId)) {
+    throw new Error('Could not delete the brand asset');
+  }
+};
+
+/**
+ * Short description of an asset for pickers
+ * @param {object} asset - Asset record
+ * @returns {string} e.g. 'Logo (light) - acme-white.png'
+ */
+export const describeBrandAsset = (asset) => {
+  const kind = ASSET_KINDS.find((entry) => entry.id === asset.kind)?.label || asset.kind;
+  return `${kind}${asset.variant ? ` (${asset.variant})` : ''} - ${asset.name}`;
+};
+
+/**
+ * An asset in the `{ mimeType, data }` shape sent to AI providers as a reference image
+ * @param {object} asset - Asset from listBrandAssets
+ * @returns {{mimeType: string, data: string}} Base64 payload
+ */
+export const brandAssetToInlineImage = (asset) => {
+  const { mimeType, base64Data } = parseDataUrl(asset.image);
+  return { mimeType: mimeType || asset.mimeType, data: base64Data };
+};
@@ -0,0 +1,277 @@
+/**
+ * Brand Kit Import and Export
+ *
+ * Moves brand kits between browsers, teammates and design tools (the
+ * Argonaut integration):
+ *   - Brand kit files: the portable JSON format below, exported from Settings
+ *     and imported back as new kits
+ *   - Design token files: W3C design tokens (`$value`/`$type`) or Style
+ *     Dictionary JSON (`value`, with `color`/`font` groups); colors and font
+ *     families are mapped into a new kit
+ *
+ * Brand kit file:
+ *   {
+ *     "format": "visual-ai-brand-kit",
+ *     "version": 1,
+ *     "exportedAt": "2025-01-31T09:00:00.000Z",
+ *     "brandKits": [{
+ *       "name": "Acme Coffee",                       // required, unique names are made on import
+ *       "colors": ["#6f4e37", "#f5deb3", "", "", ""], // up to 5 hex colors, "" for an unused slot
+ *       "typography": "Bold, modern, sans-serif",    // optional
+ *       "styleKeywords": ["Minimalist", "Warm"],      // optional, also accepted as a comma-separated string
+ *       "campaignVariable": "Summer Sale"            // optional
+ *     }]
+ *   }
+ * Unknown fields are ignored; version history, archive state and brand assets
+ * (logos, photos) are not part of the file.
+ */
+
+import { COLOR_SLOTS } from './brandKits.js';
+
+export const BRAND_KIT_FORMAT = 'visual-ai-brand-kit';
+export const BRAND_KIT_FORMAT_VERSION = 1;
+
+// Token names that put a color ahead of the rest when a file holds more than COLOR_SLOTS
+const COLOR_PRIORITY = ['primary', 'secondary', 'tertiary', 'accent', 'brand'];
+
+// How deep `{group.token}` references are followed before giving up
+const MAX_ALIAS_DEPTH = 10;
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// #abc => #aabbcc; color inputs only take the long form
+const expandHex = (hex) => (hex.length === 4 ? `#${[...hex.slice(1)].map((digit) => digit + digit).join('')}` : hex).toLowerCase();
+
+/**
+ * Write kits as a brand kit file
+ * @param {object[]} kits - Brand kits
+ * @returns {string} JSON text
+ */
+export const toBrandKitFile = (kits) => JSON.stringify({
+  format: BRAND_KIT_FORMAT,
+  version: BRAND_KIT_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  brandKits: kits.map((kit) => ({
+    name: kit.name,
+    colors: kit.colors,
+    typography: kit.typography,
+    styleKeywords: String(kit.styleKeywords || '').split(',').map((keyword) => keyword.trim()).filter(Boolean),
+    campaignVariable: kit.campaignVariable
+  }))
+}, null, 2);
+
+/**
+ * Check one kit of a brand kit file
+ * @param {*} kit - Entry of `brandKits`
+ * @param {string} where - Entry label for messages
+ * @returns {string[]} Problems, empty when valid
+ */
+const checkFileKit = (kit, where) => {
+  if (!kit || typeof kit !== 'object' || Array.isArray(kit)) return [`${where} is not an object`];
+  const problems = [];
+  if (typeof kit.name !== 'string' || !kit.name.trim()) problems.push(`${where} needs a name`);
+  if (kit.colors !== undefined) {
+    if (!Array.isArray(kit.colors)) {
+      problems.push(`${where}: colors must be a list`);
+    } else {
+      if (kit.colors.length > COLOR_SLOTS) problems.push(`${where}: at most ${COLOR_SLOTS} colors are allowed`);
+      kit.colors.forEach((color, index) => {
+        if (color !== '' && !HEX_COLOR.test(color)) problems.push(`${where}: color ${index + 1} is not a hex color`);
+      });
+    }
+  }
+  for (const field of ['typography', 'campaignVariable']) {
+    if (kit[field] !== undefined && typeof kit[field] !== 'string') problems.push(`${where}: ${field} must be text`);
+  }
+  const keywords = kit.styleKeywords;
+  if (keywords !== undefined && typeof keywords !== 'string'
+    && !(Array.isArray(keywords) && keywords.every((keyword) => typeof keyword === 'string'))) {
+    problems.push(`${where}: styleKeywords must be a list of text`);
+  }
+  return problems;
+};
+
+/**
+ * Check a parsed brand kit file against the format
+ * @param {object} data - Parsed JSON
+ * @returns {string[]} Problems, empty when valid
+ */
+export const validateBrandKitFile = (data) => {
+  if (data?.format !== BRAND_KIT_FORMAT) return [`format must be "${BRAND_KIT_FORMAT}"`];
+  if (data.version !== BRAND_KIT_FORMAT_VERSION) return [`version ${data.version} is not supported (expected ${BRAND_KIT_FORMAT_VERSION})`];
+  if (!Array.isArray(data.brandKits) || data.brandKits.length === 0) return ['brandKits must list at least one kit'];
+  return data.brandKits.flatMap((kit, index) => checkFileKit(kit, `Kit ${index + 1}`));
+};
+
+/**
+ * Kit fields from a valid file entry
+ * @param {object} kit - Entry of `brandKits`
+ * @returns {object} Fields for addBrandKit
+ */
+const fromFileKit = (kit) => ({
+  name: kit.name.trim(),
+  colors: (kit.colors || []).map((color) => expandHex(color)),
+  typography: kit.typography || '',
+  styleKeywords: Array.isArray(kit.styleKeywords) ? kit.styleKeywords.join(', ') : kit.styleKeywords || '',
+  campaignVariable: kit.campaignVariable || ''
+});
+
+/**
+ * Read a design token color value as hex
+ * @param {*} value - '#rrggbb', '#rrggbbaa', 'rgb()'/'rgba()', or a W3C color object with `hex` or sRGB `components`
+ * @returns {string|null} '#rrggbb', null if it is not a color this can read
+ */
+const toHexColor = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.hex === 'string') return toHexColor(value.hex);
+    if (value.colorSpace === 'srgb' && Array.isArray(value.components)) {
+      return `#${value.components.map((component) => Math.round(component * 255).toString(16).padStart(2, '0')).join('')}`;
+    }
+    return null;
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim();
+  // Alpha is dropped; brand colors are used solid
+  const hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})([0-9a-f]{2})?$/i);
+  if (hex && !(hex[1].length === 3 && hex[2])) return expandHex(`#${hex[1]}`);
+  const rgb = text.match(/^rgba?\(\s*(\d{1,3})[\s,]+(\d{1,3})[\s,]+(\d{1,3})/i);
+  if (rgb) return `#${rgb.slice(1, 4).map((channel) => Math.min(255, Number(channel)).toString(16).padStart(2, '0')).join('')}`;
+  return null;
+};
+
+/**
+ * Collect every token of a W3C or Style Dictionary file
+ * @param {object} node - Group
+ * @param {string[]} path - Group path
+ * @param {string} inheritedType - `$type` set on an enclosing group
+ * @param {object[]} tokens - Accumulator
+ * @returns {object[]} Tokens: { path, value, type }
+ */
+const collectTokens = (node, path = [], inheritedType = null, tokens = []) => {
+  const groupType = node.$type || inheritedType;
+  for (const [key, child] of Object.entries(node)) {
+    if (key.startsWith('$') || !child || typeof child !== 'object' || Array.isArray(child)) continue;
+    if ('$value' in child) {
+      tokens.push({ path: [...path, key], value: child.$value, type: child.$type || groupType });
+    } else if ('value' in child) {
+      tokens.push({ path: [...path, key], value: child.value, type: child.type || child.attributes?.category || groupType });
+    } else {
+      collectTokens(child, [...path, key], groupType, tokens);
+    }
+  }
+  return tokens;
+};
+
+/**
+ * Follow `{group.token}` references to their value
+ * @param {*} value - Token value
+ * @param {Map<string, object>} byPath - Tokens by dotted path
+ * @returns {*} Resolved value (the reference itself if it cannot be resolved)
+ */
+const resolveAlias = (value, byPath) => {
+  let resolved = value;
+  for (let depth = 0; depth < MAX_ALIAS_DEPTH; depth++) {
+    // Style Dictionary references may end in `.value`
+    const alias = typeof resolved === 'string' && resolved.match(/^\{([^}]+?)(\.value)?\}$/);
+    if (!alias || !byPath.has(alias[1])) break;
+    resolved = byPath.get(alias[1]).value;
+  }
+  return resolved;
+};
+
+const isColorToken = (token) => token.type === 'color' || (!token.type && /colou?r/i.test(token.path.join('.')));
+
+const isFontFamilyToken = (token) => token.type === 'fontFamily'
+  || (!token.type && /font/i.test(token.path.join('.')) && /family/i.test(token.path.join('.')));
+
+const fontFamilyName = (value) => (Array.isArray(value) ? value[0] : String(value).split(',')[0]).trim().replace(/^['"]|['"]$/g, '');
+
+/**
+ * Map a design token file into kit fields
+ * @param {object} data - Parsed W3C design tokens or Style Dictionary JSON
+ * @param {object} options - Options
+ * @param {string} options.name - Name for the new kit
+ * @returns {{fields: object, notes: string[]}|null} Kit fields and what was left out, null if it holds no colors or fonts
+ */
+export const fromDesignTokens = (data, { name }) => {
+  const tokens = collectTokens(data);
+  const byPath = new Map(tokens.map((token) => [token.path.join('.'), token]));
+  const resolved = tokens.map((token) => ({ ...token, value: resolveAlias(token.value, byPath) }));
+
+  const colors = [];
+  resolved.filter(isColorToken).forEach((token, order) => {
+    const hex = toHexColor(token.value);
+    if (!hex) return;
+    const label = token.path.join('.').toLowerCase();
+    const priority = COLOR_PRIORITY.findIndex((word) => label.includes(word));
+    const rank = priority === -1 ? COLOR_PRIORITY.length : priority;
+    // A color listed twice (e.g. a palette entry and the alias naming it primary) keeps its best rank
+    const existing = colors.find((color) => color.hex === hex);
+    if (existing) {
+      existing.rank = Math.min(existing.rank, rank);
+    } else {
+      colors.push({ hex, rank, order });
+    }
+  });
+  colors.sort((a, b) => a.rank - b.rank || a.order - b.order);
+
+  // Composite typography tokens name their family; fontFamily tokens are the family
+  const fonts = [];
+  for (const token of resolved) {
+    const family = token.type === 'typography' && token.value && typeof token.value === 'object'
+      ? resolveAlias(token.value.fontFamily, byPath)
+      : isFontFamilyToken(token) ? token.value : null;
+    if (!family) continue;
+    const familyName = fontFamilyName(family);
+    const role = token.path[token.path.length - 1];
+    if (familyName && !fonts.some((font) => font.familyName === familyName)) fonts.push({ familyName, role });
+  }
+
+  if (colors.length === 0 && fonts.length === 0) return null;
+
+  const notes = [];
+  if (colors.length > COLOR_SLOTS) notes.push(`kept ${COLOR_SLOTS} of ${colors.length} colors`);
+  return {
+    fields: {
+      name,
+      colors: colors.slice(0, COLOR_SLOTS).map((color) => color.hex),
+      typography: fonts.map((font) => `${font.familyName} (${font.role})`).join(', '),
+      styleKeywords: '',
+      campaignVariable: ''
+    },
+    notes
+  };
+};
+
+/**
+ * Read an imported file
+ * @param {string} text - File contents
+ * @param {object} options - Options
+ * @param {string} options.fileName - File name, used to name a kit made from design tokens
+ * @returns {{source: 'brand-kit'|'design-tokens', kits: object[], notes: string[]}} Kit fields to add and what was left out
+ */
+export const parseBrandKitFile = (text, { fileName = 'Imported tokens' } = {}) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('This file is not valid JSON');
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('This file holds no brand kit or design tokens');
+  }
+
+  if ('format' in data) {
+    const problems = validateBrandKitFile(data);
+    if (problems.length > 0) {
+      throw new Error(`This is not a valid brand kit file: ${problems.join('; ')}`);
+    }
+    return { source: 'brand-kit', kits: data.brandKits.map(fromFileKit), notes: [] };
+  }
+
+  const mapped = fromDesignTokens(data, { name: fileName.replace(/\.(tokens\.)?json$/i, '') });
+  if (!mapped) {
+    throw new Error('No colors or font families were found in this file');
+  }
+  return { source: 'design-tokens', kits: [mapped.fields], notes: mapped.notes };
+};
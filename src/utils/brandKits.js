@@ -0,0 +1,486 @@
+/**
+ * Brand Kits
+ *
+ * Named brand kits (one per client or brand) kept in the app config saved
+ * under `visual-ai-config-${appId}` (remote settings when Cloudflare storage
+ * is configured, localStorage otherwise). One kit is active: the Studio
+ * refines prompts with it, and generations and scheduled posts record its ID
+ * as `brandKitId`. Campaigns name a kit of their own: while a campaign is
+ * picked in the Studio, its kit is used instead of the active one, and
+ * generations and posts also record the campaign as `campaign: { id, name }`.
+ *
+ * Config shape:
+ *   {
+ *     brandKits: [{
+ *       id, name,
+ *       colors: string[5],              // hex, '' for unused slots
+ *       typography, styleKeywords, campaignVariable,
+ *       archived,                       // hidden from the switcher, kept for records that use it
+ *       createdAt, updatedAt
+ *     }],
+ *     activeBrandKitId,
+ *     campaigns: [{ id, name, brandKitId, createdAt, updatedAt }],
+ *     activeCampaignId                  // campaign picked in the Studio, null for none
+ *   }
+ * Configs saved before kits existed hold a single `brandKit`; it becomes the
+ * kit LEGACY_BRAND_KIT_ID the first time the config is loaded.
+ *
+ * Version history: every save that changes a kit's VERSIONED_FIELDS bumps its
+ * `version` and appends a snapshot to `brandKitVersions[kitId]`:
+ *   { version, savedAt, author, note, fields: { name, colors, typography, styleKeywords, campaignVariable } }
+ * Restoring an old version saves its fields as a new version, so history is
+ * never rewritten. Generations record `brandKitId` and `brandKitVersion`, the
+ * exact kit their prompt was refined with.
+ */
+
+import { getAppConfig } from './config.js';
+import { getStorage, storage, localStorageFallback } from './storage.js';
+import { getReviewerName } from './reviews.js';
+
+export const COLOR_SLOTS = 5;
+
+// ID of the kit migrated from the single brand kit, stable so records can point at it
+export const LEGACY_BRAND_KIT_ID = 'brand-kit-default';
+
+// Fields a version records; archiving and switching kits are not versioned
+export const VERSIONED_FIELDS = ['name', 'colors', 'typography', 'styleKeywords', 'campaignVariable'];
+
+// Versions kept per kit; the oldest are dropped beyond this
+const MAX_VERSIONS = 100;
+
+const EMPTY_FIELDS = {
+  colors: Array(COLOR_SLOTS).fill(''),
+  typography: '',
+  styleKeywords: '',
+  campaignVariable: ''
+};
+
+/**
+ * A new kit record
+ * @param {object} fields - Kit fields; name is required
+ * @param {string} id - ID to use (generated if omitted)
+ * @returns {object} Kit
+ */
+export const createBrandKit = (fields, id = `brand-kit-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`) => {
+  const now = new Date().toISOString();
+  const colors = [...(fields.colors || []), ...EMPTY_FIELDS.colors].slice(0, COLOR_SLOTS);
+  return { ...EMPTY_FIELDS, ...fields, colors, id, version: 1, archived: false, createdAt: now, updatedAt: now };
+};
+
+const pickVersioned = (kit) => Object.fromEntries(VERSIONED_FIELDS.map((field) => [field, kit[field]]));
+
+/**
+ * Append a kit's current fields to its history
+ * @param {object} versions - brandKitVersions of the config
+ * @param {object} kit - Kit after the change, with its new version number
+ * @param {string} author - Who saved it
+ * @param {string} note - What changed and why
+ * @returns {object} New brandKitVersions
+ */
+const recordVersion = (versions, kit, author, note = '') => {
+  const entry = { version: kit.version, savedAt: kit.updatedAt, author, note: note.trim(), fields: pickVersioned(kit) };
+  return { ...versions, [kit.id]: [...(versions[kit.id] || []), entry].slice(-MAX_VERSIONS) };
+};
+
+/**
+ * Bring a stored config to the current shape
+ * @param {object|null} stored - Stored config
+ * @returns {{config: object, migrated: boolean}} Config with brandKits and brandKitVersions, and whether it changed
+ */
+const migrateConfig = (stored) => {
+  let config = stored || {};
+  let migrated = false;
+  if (!config.brandKits) {
+    const { brandKit, ...rest } = config;
+    const kits = brandKit ? [createBrandKit({ ...brandKit, name: 'Default brand kit' }, LEGACY_BRAND_KIT_ID)] : [];
+    config = { ...rest, brandKits: kits, activeBrandKitId: kits[0]?.id || null };
+    migrated = kits.length > 0;
+  }
+  if (!config.brandKitVersions) {
+    // Kits saved before versions existed start their history at version 1
+    const brandKits = config.brandKits.map((kit) => ({ ...kit, version: kit.version || 1 }));
+    const brandKitVersions = brandKits.reduce((versions, kit) => recordVersion(versions, kit, 'Unknown', 'Version history started'), {});
+    config = { ...config, brandKits, brandKitVersions };
+    migrated = migrated || brandKits.length > 0;
+  }
+  return { config, migrated };
+};
+
+/**
+ * Load the app config with its brand kits
+ * @returns {Promise<object>} Config (see the module header)
+ */
+const loadConfig = async () => {
+  const appId = getAppConfig().appId;
+  const stored = await storage.loadConfig(appId).catch(() => null) || localStorageFallback.loadConfig(appId);
+  const { config, migrated } = migrateConfig(stored);
+  if (migrated) await saveConfig(config);
+  return config;
+};
+
+/**
+ * Save the app config locally, and remotely when Cloudflare storage is configured
+ * @param {object} config - Config
+ * @returns {Promise<object>} Saved config
+ */
+const saveConfig = async (config) => {
+  const appId = getAppConfig().appId;
+  const saved = localStorageFallback.saveConfig(appId, config);
+  if (getStorage().isConfigured) {
+    await storage.saveConfig(appId, config);
+  }
+  return saved;
+};
+
+/**
+ * All brand kits and the active one's ID
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits in creation order
+ */
+export const loadBrandKits = async () => {
+  const config = await loadConfig();
+  return { kits: config.brandKits, activeId: config.activeBrandKitId };
+};
+
+/**
+ * The kit to generate with: the active kit, else the first one not archived
+ * @param {object[]} kits - Kits
+ * @param {string} activeId - Active kit ID
+ * @returns {object|null} Kit, null if there is none
+ */
+export const pickActiveBrandKit = (kits, activeId) => {
+  const usable = kits.filter((kit) => !kit.archived);
+  return usable.find((kit) => kit.id === activeId) || usable[0] || null;
+};
+
+/**
+ * The active brand kit
+ * @returns {Promise<object|null>} Kit, null if none is configured
+ */
+export const loadActiveBrandKit = async () => {
+  const { kits, activeId } = await loadBrandKits();
+  return pickActiveBrandKit(kits, activeId);
+};
+
+/**
+ * A brand kit by ID, archived or not
+ * @param {string} kitId - Kit ID
+ * @returns {Promise<object|null>} Kit, null if it was deleted or never existed
+ */
+export const loadBrandKitById = async (kitId) => {
+  const { kits } = await loadBrandKits();
+  return kits.find((kit) => kit.id === kitId) || null;
+};
+
+/**
+ * Apply a change to the kits and save it
+ * @param {Function} change - Called with the config; returns the fields to merge into it
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits after the change
+ */
+const changeKits = async (change) => {
+  const config = await loadConfig();
+  const saved = await saveConfig({ ...config, ...change(config) });
+  return { kits: saved.brandKits, activeId: saved.activeBrandKitId };
+};
+
+/**
+ * Check a kit name: required and not used by another kit
+ * @param {object[]} kits - Current kits
+ * @param {string} name - Proposed name
+ * @param {string} kitId - Kit being named (ignored in the duplicate check)
+ * @returns {string} Trimmed name
+ */
+const checkName = (kits, name, kitId = null) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Give the brand kit a name');
+  }
+  if (kits.some((kit) => kit.id !== kitId && kit.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`There is already a brand kit called "${trimmed}"`);
+  }
+  return trimmed;
+};
+
+/**
+ * A name no kit uses yet, suffixing `(copy)`, `(copy 2)`... when taken
+ * @param {object[]} kits - Current kits
+ * @param {string} name - Wanted name
+ * @param {string} suffix - Word to add when the name is taken
+ * @returns {string} Free name
+ */
+const freeName = (kits, name, suffix) => {
+  const taken = (candidate) => kits.some((kit) => kit.name.toLowerCase() === candidate.toLowerCase());
+  if (!taken(name)) return name;
+  let candidate = `${name} (${suffix})`;
+  for (let n = 2; taken(candidate); n++) {
+    candidate = `${name} (${suffix} ${n})`;
+  }
+  return candidate;
+};
+
+/**
+ * Add a brand kit (its version 1)
+ * @param {object} fields - Kit fields with a name
+ * @param {object} options - Options
+ * @param {boolean} options.activate - Make it the active kit
+ * @param {string} options.note - Note for the first version
+ * @returns {Promise<{kits: object[], activeId: string|null, kit: object}>} Kits after the change and the new kit
+ */
+export const addBrandKit = async (fields, { activate = false, note = 'Created' } = {}) => {
+  const author = await getReviewerName();
+  let kit;
+  const result = await changeKits(({ brandKits, activeBrandKitId, brandKitVersions }) => {
+    kit = createBrandKit({ ...pickVersioned({ ...EMPTY_FIELDS, ...fields }), name: checkName(brandKits, fields.name) });
+    return {
+      brandKits: [...brandKits, kit],
+      // The first kit is active whatever was asked
+      activeBrandKitId: activate || !pickActiveBrandKit(brandKits, activeBrandKitId) ? kit.id : activeBrandKitId,
+      brandKitVersions: recordVersion(brandKitVersions, kit, author, note)
+    };
+  });
+  return { ...result, kit };
+};
+
+/**
+ * Copy a brand kit under a new name
+ * @param {string} kitId - Kit to copy
+ * @returns {Promise<{kits: object[], activeId: string|null, kit: object}>} Kits after the change and the copy
+ */
+export const duplicateBrandKit = async (kitId) => {
+  const { kits } = await loadBrandKits();
+  const source = kits.find((kit) => kit.id === kitId);
+  if (!source) {
+    throw new Error('Brand kit not found');
+  }
+  const name = freeName(kits, source.name, 'copy');
+  return addBrandKit({ ...pickVersioned(source), name }, { note: `Duplicated from "${source.name}" version ${source.version}` });
+};
+
+/**
+ * Add kits read from a file; names already in use get an `(imported)` suffix
+ * @param {object[]} fieldsList - Kit fields, each with a name
+ * @param {object} options - Options
+ * @param {string} options.note - Note for each kit's first version
+ * @returns {Promise<{kits: object[], activeId: string|null, imported: object[]}>} Kits after the change and the new kits
+ */
+export const importBrandKits = async (fieldsList, { note = 'Imported' } = {}) => {
+  const author = await getReviewerName();
+  const imported = [];
+  const result = await changeKits(({ brandKits, activeBrandKitId, brandKitVersions }) => {
+    let kits = brandKits;
+    let versions = brandKitVersions;
+    for (const fields of fieldsList) {
+      const name = freeName(kits, checkName([], fields.name), 'imported');
+      const kit = createBrandKit({ ...pickVersioned({ ...EMPTY_FIELDS, ...fields }), name });
+      kits = [...kits, kit];
+      versions = recordVersion(versions, kit, author, note);
+      imported.push(kit);
+    }
+    return {
+      brandKits: kits,
+      activeBrandKitId: pickActiveBrandKit(kits, activeBrandKitId)?.id || null,
+      brandKitVersions: versions
+    };
+  });
+  return { ...result, imported };
+};
+
+/**
+ * Change a brand kit's name or fields, saving a new version if anything changed
+ * @param {string} kitId - Kit ID
+ * @param {object} fields - Fields to merge (any of VERSIONED_FIELDS)
+ * @param {object} options - Options
+ * @param {string} options.note - What changed and why, kept with the version
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits after the change
+ */
+export const updateBrandKit = async (kitId, fields, { note = '' } = {}) => {
+  const author = await getReviewerName();
+  return changeKits(({ brandKits, brandKitVersions }) => {
+    const current = brandKits.find((kit) => kit.id === kitId);
+    if (!current) {
+      throw new Error('Brand kit not found');
+    }
+    const changed = { ...pickVersioned(current), ...pickVersioned({ ...current, ...fields }) };
+    if ('name' in fields) changed.name = checkName(brandKits, fields.name, kitId);
+    if (JSON.stringify(changed) === JSON.stringify(pickVersioned(current))) return {};
+
+    const kit = { ...current, ...changed, version: current.version + 1, updatedAt: new Date().toISOString() };
+    return {
+      brandKits: brandKits.map((candidate) => (candidate.id === kitId ? kit : candidate)),
+      brandKitVersions: recordVersion(brandKitVersions, kit, author, note)
+    };
+  });
+};
+
+/**
+ * A kit's saved versions
+ * @param {string} kitId - Kit ID
+ * @returns {Promise<object[]>} Versions, oldest first
+ */
+export const loadBrandKitVersions = async (kitId) => {
+  const config = await loadConfig();
+  return config.brandKitVersions[kitId] || [];
+};
+
+/**
+ * Roll a kit back to an earlier version; the old fields are saved as a new version
+ * @param {string} kitId - Kit ID
+ * @param {number} version - Version to restore
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits after the change
+ */
+export const restoreBrandKitVersion = async (kitId, version) => {
+  const entry = (await loadBrandKitVersions(kitId)).find((candidate) => candidate.version === version);
+  if (!entry) {
+    throw new Error(`Version ${version} of this brand kit is no longer kept`);
+  }
+  return updateBrandKit(kitId, entry.fields, { note: `Restored version ${version}` });
+};
+
+/**
+ * Split style keywords into a list
+ * @param {string} keywords - Comma-separated keywords
+ * @returns {string[]} Trimmed, non-empty keywords
+ */
+const splitKeywords = (keywords) => String(keywords || '').split(',').map((keyword) => keyword.trim()).filter(Boolean);
+
+/**
+ * What changed between two versions of a kit
+ * @param {object} before - Older fields (a version's `fields` or a kit)
+ * @param {object} after - Newer fields
+ * @returns {object[]} Changes: { field, label, before, after }; style keywords also list `added` and `removed`
+ */
+export const diffBrandKits = (before, after) => {
+  const changes = [];
+  const compare = (field, label, from, to) => {
+    if ((from || '') !== (to || '')) changes.push({ field, label, before: from || '', after: to || '' });
+  };
+  compare('name', 'Name', before.name, after.name);
+  for (let slot = 0; slot < COLOR_SLOTS; slot++) {
+    compare('colors', `Color ${slot + 1}`, before.colors?.[slot], after.colors?.[slot]);
+  }
+  compare('typography', 'Typography', before.typography, after.typography);
+  const beforeKeywords = splitKeywords(before.styleKeywords);
+  const afterKeywords = splitKeywords(after.styleKeywords);
+  const lower = (list) => list.map((keyword) => keyword.toLowerCase());
+  const added = afterKeywords.filter((keyword) => !lower(beforeKeywords).includes(keyword.toLowerCase()));
+  const removed = beforeKeywords.filter((keyword) => !lower(afterKeywords).includes(keyword.toLowerCase()));
+  if (added.length > 0 || removed.length > 0) {
+    changes.push({ field: 'styleKeywords', label: 'Style keywords', before: before.styleKeywords || '', after: after.styleKeywords || '', added, removed });
+  }
+  compare('campaignVariable', 'Campaign', before.campaignVariable, after.campaignVariable);
+  return changes;
+};
+
+/**
+ * Archive a brand kit, or bring it back. Archived kits leave the switcher but
+ * stay in storage so generations and posts can still name them.
+ * @param {string} kitId - Kit ID
+ * @param {boolean} archived - New state
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits after the change
+ */
+export const archiveBrandKit = (kitId, archived = true) => changeKits(({ brandKits, activeBrandKitId }) => {
+  const updated = brandKits.map((kit) => (kit.id === kitId ? { ...kit, archived, updatedAt: new Date().toISOString() } : kit));
+  return {
+    brandKits: updated,
+    activeBrandKitId: pickActiveBrandKit(updated, activeBrandKitId)?.id || null
+  };
+});
+
+/**
+ * Make a brand kit the active one
+ * @param {string} kitId - Kit ID
+ * @returns {Promise<{kits: object[], activeId: string|null}>} Kits after the change
+ */
+export const setActiveBrandKit = (kitId) => changeKits(({ brandKits }) => {
+  const kit = brandKits.find((candidate) => candidate.id === kitId);
+  if (!kit || kit.archived) {
+    throw new Error('Only a brand kit that is not archived can be active');
+  }
+  return { activeBrandKitId: kitId };
+});
+
+/**
+ * Campaigns and the one picked in the Studio
+ * @returns {Promise<{campaigns: object[], activeId: string|null}>} Campaigns in creation order
+ */
+export const loadCampaigns = async () => {
+  const config = await loadConfig();
+  return { campaigns: config.campaigns || [], activeId: config.activeCampaignId || null };
+};
+
+/**
+ * Apply a change to the campaigns and save it
+ * @param {Function} change - Called with the config (campaigns defaulted to []); returns the fields to merge into it
+ * @returns {Promise<{campaigns: object[], activeId: string|null}>} Campaigns after the change
+ */
+const changeCampaigns = async (change) => {
+  const config = await loadConfig();
+  const saved = await saveConfig({ ...config, ...change({ ...config, campaigns: config.campaigns || [] }) });
+  return { campaigns: saved.campaigns || [], activeId: saved.activeCampaignId || null };
+};
+
+/**
+ * Add a campaign, or rename it or assign it another kit
+ * @param {object} fields - Campaign fields
+ * @param {string} fields.id - Campaign to change; omit to add one
+ * @param {string} fields.name - Name, unique among campaigns
+ * @param {string} fields.brandKitId - Kit the campaign generates with
+ * @returns {Promise<{campaigns: object[], activeId: string|null}>} Campaigns after the change
+ */
+export const saveCampaign = ({ id = null, name, brandKitId }) => changeCampaigns(({ campaigns, brandKits }) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    throw new Error('Give the campaign a name');
+  }
+  if (campaigns.some((campaign) => campaign.id !== id && campaign.name.toLowerCase() === trimmed.toLowerCase())) {
+    throw new Error(`There is already a campaign called "${trimmed}"`);
+  }
+  if (!brandKits.some((kit) => kit.id === brandKitId && !kit.archived)) {
+    throw new Error('Pick a brand kit that is not archived for the campaign');
+  }
+  const now = new Date().toISOString();
+  if (!id) {
+    const campaign = { id: `campaign-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`, name: trimmed, brandKitId, createdAt: now, updatedAt: now };
+    return { campaigns: [...campaigns, campaign] };
+  }
+  if (!campaigns.some((campaign) => campaign.id === id)) {
+    throw new Error('Campaign not found');
+  }
+  return {
+    campaigns: campaigns.map((campaign) => (campaign.id === id ? { ...campaign, name: trimmed, brandKitId, updatedAt: now } : campaign))
+  };
+});
+
+/**
+ * Remove a campaign; generations and posts keep the name they recorded
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{campaigns: object[], activeId: string|null}>} Campaigns after the change
+ */
+export const deleteCampaign = (campaignId) => changeCampaigns(({ campaigns, activeCampaignId }) => ({
+  campaigns: campaigns.filter((campaign) => campaign.id !== campaignId),
+  activeCampaignId: activeCampaignId === campaignId ? null : activeCampaignId
+}));
+
+/**
+ * Pick the campaign the Studio generates for
+ * @param {string|null} campaignId - Campaign ID, null for none
+ * @returns {Promise<{campaigns: object[], activeId: string|null}>} Campaigns after the change
+ */
+export const setActiveCampaign = (campaignId) => changeCampaigns(({ campaigns }) => {
+  if (campaignId && !campaigns.some((campaign) => campaign.id === campaignId)) {
+    throw new Error('Campaign not found');
+  }
+  return { activeCampaignId: campaignId || null };
+});
+
+/**
+ * The kit to generate with for a campaign: the kit assigned to it, else (no
+ * campaign, or its kit was archived or deleted) the active kit
+ * @param {object[]} kits - Kits
+ * @param {string} activeId - Active kit ID
+ * @param {object|null} campaign - Picked campaign
+ * @returns {object|null} Kit, null if there is none
+ */
+export const pickCampaignBrandKit = (kits, activeId, campaign) => {
+  const assigned = campaign && kits.find((kit) => kit.id === campaign.brandKitId && !kit.archived);
+  return assigned || pickActiveBrandKit(kits, activeId);
+};
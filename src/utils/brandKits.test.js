@@ -0,0 +1,69 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  addBrandKit,
+  archiveBrandKit,
+  loadBrandKits,
+  loadCampaigns,
+  saveCampaign,
+  deleteCampaign,
+  setActiveCampaign,
+  pickCampaignBrandKit
+} from './brandKits.js';
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+/**
+ * The kit the Studio generates with for the picked campaign
+ * @returns {Promise<object|null>} Kit
+ */
+const studioKit = async () => {
+  const { kits, activeId } = await loadBrandKits();
+  const { campaigns, activeId: campaignId } = await loadCampaigns();
+  return pickCampaignBrandKit(kits, activeId, campaigns.find((campaign) => campaign.id === campaignId) || null);
+};
+
+describe('campaigns', () => {
+  it('generate with their own kit while picked, and with the active kit otherwise', async () => {
+    const { kit: acme } = await addBrandKit({ name: 'Acme' });
+    const { kit: globex } = await addBrandKit({ name: 'Globex' });
+    const { campaigns } = await saveCampaign({ name: 'Summer Sale', brandKitId: globex.id });
+
+    expect((await studioKit()).id).toBe(acme.id);
+    await setActiveCampaign(campaigns[0].id);
+    expect((await studioKit()).id).toBe(globex.id);
+    await setActiveCampaign(null);
+    expect((await studioKit()).id).toBe(acme.id);
+  });
+
+  it('fall back to the active kit once their kit is archived', async () => {
+    const { kit: acme } = await addBrandKit({ name: 'Acme' });
+    const { kit: globex } = await addBrandKit({ name: 'Globex' });
+    const { campaigns } = await saveCampaign({ name: 'Summer Sale', brandKitId: globex.id });
+    await setActiveCampaign(campaigns[0].id);
+
+    await archiveBrandKit(globex.id, true);
+    expect((await studioKit()).id).toBe(acme.id);
+  });
+
+  it('need a unique name and a kit that is not archived', async () => {
+    const { kit: acme } = await addBrandKit({ name: 'Acme' });
+    const { kit: globex } = await addBrandKit({ name: 'Globex' });
+    await archiveBrandKit(globex.id, true);
+    await saveCampaign({ name: 'Summer Sale', brandKitId: acme.id });
+
+    await expect(saveCampaign({ name: ' ', brandKitId: acme.id })).rejects.toThrow('Give the campaign a name');
+    await expect(saveCampaign({ name: 'summer sale', brandKitId: acme.id })).rejects.toThrow('There is already a campaign called "summer sale"');
+    await expect(saveCampaign({ name: 'Winter', brandKitId: globex.id })).rejects.toThrow('Pick a brand kit that is not archived');
+  });
+
+  it('are unpicked when deleted', async () => {
+    const { kit } = await addBrandKit({ name: 'Acme' });
+    const { campaigns } = await saveCampaign({ name: 'Summer Sale', brandKitId: kit.id });
+    await setActiveCampaign(campaigns[0].id);
+
+    expect(await deleteCampaign(campaigns[0].id)).toEqual({ campaigns: [], activeId: null });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Schedule Calendar
+ *
+ * Date math for the month/week/day views of the publishing queue, and conflict
+ * detection: two posts conflict when they target the same platform preset within
+ * the conflict window of each other. Days are in the browser's time zone; weeks
+ * start on Monday.
+ */
+
+import { POST_STATUS } from './scheduler.js';
+
+export const CALENDAR_VIEWS = {
+  MONTH: 'month',
+  WEEK: 'week',
+  DAY: 'day'
+};
+
+export const DEFAULT_CONFLICT_WINDOW_MINUTES = 60;
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Midnight at the start of a day
+ * @param {Date} date - Any moment in the day
+ * @returns {Date} Start of the day
+ */
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Move a date by whole days, keeping the time of day across DST changes
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {Date} New date
+ */
+export const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+/**
+ * Monday of the week a date falls in
+ * @param {Date} date - Date
+ * @returns {Date} Start of the week
+ */
+export const startOfWeek = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -((day.getDay() + 6) % 7));
+};
+
+/**
+ * Whether two dates fall on the same calendar day
+ * @param {Date} a - First date
+ * @param {Date} b - Second date
+ * @returns {boolean} True if same day
+ */
+export const isSameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+/**
+ * Days shown by a view around a date
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {Date} date - Date the view is on
+ * @returns {Date[]} Day starts; six full weeks for the month view
+ */
+export const getViewDays = (view, date) => {
+  if (view === CALENDAR_VIEWS.DAY) return [startOfDay(date)];
+  if (view === CALENDAR_VIEWS.WEEK) {
+    const monday = startOfWeek(date);
+    return Array.from({ length: 7 }, (_, i) => addDays(monday, i));
+  }
+  const firstShown = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+  return Array.from({ length: 42 }, (_, i) => addDays(firstShown, i));
+};
+
+/**
+ * Move a view forwards or backwards by one period
+ * @param {string} view - One of CALENDAR_VIEWS
+ * @param {Date} date - Date the view is on
+ * @param {number} step - 1 for next, -1 for previous
+ * @returns {Date} Date of the new period
+ */
+export const shiftViewDate = (view, date, step) => {
+  if (view === CALENDAR_VIEWS.MONTH) return new Date(date.getFullYear(), date.getMonth() + step, 1);
+  return addDays(date, step * (view === CALENDAR_VIEWS.WEEK ? 7 : 1));
+};
+
+/**
+ * Move a moment to another day (and optionally hour), keeping the rest of its time
+ * @param {string} iso - ISO timestamp
+ * @param {Date} day - Target day
+ * @param {number} [hour] - Target hour; keeps the current hour when omitted
+ * @returns {string} ISO timestamp
+ */
+export const moveToSlot = (iso, day, hour) => {
+  const current = new Date(iso);
+  const next = new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+    hour ?? current.getHours(), current.getMinutes());
+  return next.toISOString();
+};
+
+/**
+ * Group posts by the day they publish on
+ * @param {object[]} posts - Post records
+ * @returns {Map<number, object[]>} Posts keyed by day start timestamp, soonest first
+ */
+export const groupPostsByDay = (posts) => {
+  const days = new Map();
+  posts
+    .filter((post) => post.scheduledAt)
+    .sort((a, b) => a.scheduledAt.localeCompare(b.scheduledAt))
+    .forEach((post) => {
+      const key = startOfDay(new Date(post.scheduledAt)).getTime();
+      days.set(key, [...(days.get(key) || []), post]);
+    });
+  return days;
+};
+
+// Drafts hold no slot; published posts still count, and failed ones may be retried in theirs
+const occupiesSlot = (post) => Boolean(post.scheduledAt) && post.status !== POST_STATUS.DRAFT;
+
+/**
+ * Posts that clash with a candidate post
+ * @param {object} candidate - Post (or unsaved post fields) with scheduledAt and platforms
+ * @param {object[]} posts - Queue to check against
+ * @param {number} windowMinutes - Minimum gap between posts for the same platform
+ * @returns {{post: object, platforms: string[]}[]} Clashing posts and the platforms they share
+ */
+export const findConflictsFor = (candidate, posts, windowMinutes = DEFAULT_CONFLICT_WINDOW_MINUTES) => {
+  if (!candidate.scheduledAt) return [];
+  const time = new Date(candidate.scheduledAt).getTime();
+  return posts
+    .filter((post) => post.id !== candidate.id && occupiesSlot(post))
+    .filter((post) => Math.abs(new Date(post.scheduledAt).getTime() - time) < windowMinutes * MINUTE)
+    .map((post) => ({ post, platforms: post.platforms.filter((name) => candidate.platforms.includes(name)) }))
+    .filter(({ platforms }) => platforms.length > 0);
+};
+
+/**
+ * Every conflict in the queue
+ * @param {object[]} posts - Post records
+ * @param {number} windowMinutes - Minimum gap between posts for the same platform
+ * @returns {Object<string, {post: object, platforms: string[]}[]>} Conflicts keyed by post ID (posts without conflicts are left out)
+ */
+export const findConflicts = (posts, windowMinutes = DEFAULT_CONFLICT_WINDOW_MINUTES) => {
+  return Object.fromEntries(posts
+    .filter(occupiesSlot)
+    .map((post) => [post.id, findConflictsFor(post, posts, windowMinutes)])
+    .filter(([, conflicts]) => conflicts.length > 0));
+};
+
+/**
+ * One-line description of a post's conflicts
+ * @param {{post: object, platforms: string[]}[]} conflicts - Result of findConflictsFor
+ * @param {number} windowMinutes - Window the conflicts were found with
+ * @returns {string} Message, e.g. "Instagram Post within 60 min of another post"
+ */
+export const describeConflicts = (conflicts, windowMinutes = DEFAULT_CONFLICT_WINDOW_MINUTES) => {
+  const platforms = Array.from(new Set(conflicts.flatMap(({ platforms: shared }) => shared)));
+  const others = conflicts.length === 1 ? 'another post' : `${conflicts.length} other posts`;
+  return `${platforms.join(', ')} within ${windowMinutes} min of ${others}`;
+};
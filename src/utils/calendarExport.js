@@ -0,0 +1,258 @@
+/**
+ * Calendar Export and Import
+ *
+ * Moves the content calendar in and out of other tools:
+ *   - iCalendar (.ics) for Google Calendar, Outlook and Apple Calendar: one
+ *     VEVENT per post with its platforms and captions
+ *   - Bulk-upload CSV for Buffer (Text, Image URL, Tags, Posting Time) and
+ *     Hootsuite (date, message, link; no header row). Both tools upload to one
+ *     channel at a time, so these files hold the captions of one network.
+ *   - CSV import of planned posts, which become drafts in the queue
+ *
+ * Import columns (header row required, names are case-insensitive):
+ *   Text | Message        caption
+ *   Hashtags | Tags       hashtags, separated by spaces or commas
+ *   Posting Time | Date   'YYYY-MM-DD HH:mm' in the row's time zone, or ISO with an offset; empty for no time
+ *   Platforms             preset names separated by ';' (e.g. 'Instagram Post; Pinterest Pin')
+ *   Image URL             http(s) image every platform receives
+ *   Time Zone             IANA zone for Posting Time
+ */
+
+import { getNetworksForPlatforms, getPlatformByName, SOCIAL_PLATFORMS } from '../constants/platforms.js';
+import { composeCaption, normalizeHashtags } from './captions.js';
+import { POST_STATUS, zonedDateTimeToIso, isoToZonedDateTime, buildPostAssets } from './scheduler.js';
+import { parseCsvRecords, formatCsv } from './csv.js';
+
+export const EXPORT_FORMATS = {
+  ICAL: 'ical',
+  BUFFER: 'buffer',
+  HOOTSUITE: 'hootsuite'
+};
+
+// Length of each calendar event; posts are instants, this keeps them visible in calendar apps
+const EVENT_DURATION = 'PT15M';
+
+const PRODUCT_ID = '-//Visual AI Content Studio//Content Calendar//EN';
+
+/**
+ * Escape text for an iCalendar property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line at 75 octets, as iCalendar requires
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (continuations start with a space)
+ */
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 2025-01-31T09:00:00.000Z => 20250131T090000Z
+const toICalDate = (iso) => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Describe a post's captions for a calendar event
+ * @param {object} post - Post record
+ * @returns {string} Plain text with one block per network
+ */
+const describePost = (post) => {
+  const captions = Object.entries(post.captions || {})
+    .map(([network, caption]) => `${network}:\n${composeCaption(caption)}`);
+  return [
+    `Platforms: ${post.platforms.join(', ')}`,
+    `Status: ${post.status}`,
+    ...captions,
+    post.altText ? `Alt text: ${post.altText}` : null,
+    post.publication?.url ? `Published: ${post.publication.url}` : null
+  ].filter(Boolean).join('\n\n');
+};
+
+/**
+ * Write posts as an iCalendar file
+ * @param {object[]} posts - Post records; posts without a time are left out
+ * @param {object} options - Options
+ * @param {string} options.calendarName - Name calendar apps show for the import
+ * @returns {string} .ics text
+ */
+export const toICalendar = (posts, { calendarName = 'Content calendar' } = {}) => {
+  const stamp = toICalDate(new Date().toISOString());
+  const events = posts.filter((post) => post.scheduledAt).flatMap((post) => {
+    const firstCaption = Object.values(post.captions || {}).find((caption) => caption?.caption)?.caption || '';
+    const summary = `${post.platforms.join(', ')}${firstCaption ? `: ${firstCaption.split('\n')[0].slice(0, 60)}` : ''}`;
+    return [
+      'BEGIN:VEVENT',
+      `UID:${post.id}@visual-ai-content-studio`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${toICalDate(post.scheduledAt)}`,
+      `DURATION:${EVENT_DURATION}`,
+      `SUMMARY:${escapeText(summary)}`,
+      `DESCRIPTION:${escapeText(describePost(post))}`,
+      `CATEGORIES:${post.platforms.map(escapeText).join(',')}`,
+      `STATUS:${post.status === POST_STATUS.DRAFT ? 'TENTATIVE' : 'CONFIRMED'}`,
+      post.publication?.url ? `URL:${post.publication.url}` : null,
+      'END:VEVENT'
+    ].filter(Boolean);
+  });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(calendarName)}`,
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+};
+
+/**
+ * Posts a bulk-upload file can hold: scheduled, still ahead and reaching the network
+ * @param {object[]} posts - Post records
+ * @param {string} network - Network name (e.g. 'Instagram')
+ * @returns {object[]} Matching posts, soonest first
+ */
+const getBulkPosts = (posts, network) => posts
+  .filter((post) => post.status === POST_STATUS.SCHEDULED
+    && new Date(post.scheduledAt) > new Date()
+    && getNetworksForPlatforms(post.platforms).includes(network))
+  .sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+
+/**
+ * Public URL of the image a network receives, if it has one (uploaded files cannot be linked)
+ * @param {object} post - Post record
+ * @param {string} network - Network name
+ * @returns {string} URL or ''
+ */
+const getImageUrl = (post, network) => {
+  const name = post.platforms.find((platformName) => getPlatformByName(platformName)?.platforms.includes(network));
+  const url = post.assets?.[name]?.imageUrl || '';
+  return /^https?:\/\//.test(url) ? url : '';
+};
+
+/**
+ * Write one network's scheduled posts as a bulk-upload CSV
+ * @param {object[]} posts - Post records
+ * @param {object} options - Options
+ * @param {string} options.format - EXPORT_FORMATS.BUFFER or EXPORT_FORMATS.HOOTSUITE
+ * @param {string} options.network - Network whose captions to export
+ * @param {string} options.timeZone - Zone of the channel in the target tool; times are written in it
+ * @returns {{csv: string, count: number}} CSV text and the number of posts in it
+ */
+export const toBulkUploadCsv = (posts, { format, network, timeZone }) => {
+  const selected = getBulkPosts(posts, network);
+  const rows = selected.map((post) => {
+    const [date, time] = isoToZonedDateTime(post.scheduledAt, timeZone).split('T');
+    const text = composeCaption(post.captions?.[network]);
+    if (format === EXPORT_FORMATS.HOOTSUITE) {
+      const [year, month, day] = date.split('-');
+      return [`${day}/${month}/${year} ${time}`, text, getImageUrl(post, network)];
+    }
+    return [text, getImageUrl(post, network), '', `${date} ${time}`];
+  });
+  const header = format === EXPORT_FORMATS.HOOTSUITE ? [] : [['Text', 'Image URL', 'Tags', 'Posting Time']];
+  return { csv: formatCsv([...header, ...rows]), count: rows.length };
+};
+
+/**
+ * Read a column by any of its accepted names
+ * @param {object} record - CSV record
+ * @param {string[]} names - Accepted column names, lower case
+ * @returns {string} Value or ''
+ */
+const readColumn = (record, names) => {
+  const key = Object.keys(record).find((column) => names.includes(column.toLowerCase()));
+  return key ? record[key] : '';
+};
+
+/**
+ * Read a CSV of planned posts into draft posts
+ * @param {string} text - CSV text (see the module header for the columns)
+ * @param {object} options - Options
+ * @param {string[]} options.defaultPlatforms - Presets for rows without a Platforms column
+ * @param {string} options.timeZone - Zone for rows without a Time Zone column
+ * @returns {{posts: object[], errors: {row: number, message: string}[]}} Post fields ready for createScheduledPost, and rejected rows (1-based, counting the header)
+ */
+export const parsePlannedPostsCsv = (text, { defaultPlatforms = [], timeZone }) => {
+  const { columns, records } = parseCsvRecords(text);
+  if (!columns.some((column) => ['text', 'message'].includes(column.toLowerCase()))) {
+    throw new Error('The CSV needs a header row with a Text column.');
+  }
+
+  const posts = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const row = index + 2;
+    const listed = readColumn(record, ['platforms']).split(';').map((name) => name.trim()).filter(Boolean);
+    const platforms = listed.length > 0
+      ? listed.map((name) => SOCIAL_PLATFORMS.find((platform) => platform.name.toLowerCase() === name.toLowerCase())?.name || null)
+      : defaultPlatforms;
+    if (platforms.length === 0) {
+      errors.push({ row, message: 'No platforms: add a Platforms column or select platforms before importing' });
+      return;
+    }
+    if (platforms.includes(null)) {
+      errors.push({ row, message: `Unknown platform in "${readColumn(record, ['platforms'])}"` });
+      return;
+    }
+
+    const rowZone = readColumn(record, ['time zone', 'timezone']) || timeZone;
+    try {
+      new Intl.DateTimeFormat(undefined, { timeZone: rowZone });
+    } catch {
+      errors.push({ row, message: `Unknown time zone '${rowZone}'` });
+      return;
+    }
+    const time = readColumn(record, ['posting time', 'date', 'scheduled at']);
+    let scheduledAt = null;
+    try {
+      if (time) {
+        const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(time);
+        scheduledAt = hasOffset ? new Date(time).toISOString() : zonedDateTimeToIso(time.replace(' ', 'T'), rowZone);
+        if (Number.isNaN(new Date(scheduledAt).getTime())) throw new Error('Invalid time');
+      }
+    } catch {
+      errors.push({ row, message: `Cannot read the time "${time}"; use YYYY-MM-DD HH:mm` });
+      return;
+    }
+
+    const caption = {
+      caption: readColumn(record, ['text', 'message']),
+      hashtags: normalizeHashtags(readColumn(record, ['hashtags', 'tags']).split(/[\s,]+/)),
+      cta: ''
+    };
+    const imageUrl = readColumn(record, ['image url', 'image']);
+    posts.push({
+      platforms,
+      captions: Object.fromEntries(getNetworksForPlatforms(platforms).map((network) => [network, caption])),
+      assets: /^https?:\/\//.test(imageUrl) ? buildPostAssets(platforms, { image: imageUrl }) : {},
+      altText: '',
+      scheduledAt,
+      timeZone: rowZone,
+      status: POST_STATUS.DRAFT
+    });
+  });
+  return { posts, errors };
+};
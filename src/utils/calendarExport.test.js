@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { EXPORT_FORMATS, toICalendar, toBulkUploadCsv, parsePlannedPostsCsv } from './calendarExport.js';
+import { parseCsv } from './csv.js';
+
+const scheduledPost = (fields = {}) => ({
+  id: 'post-1',
+  platforms: ['Instagram Post'],
+  status: 'scheduled',
+  scheduledAt: '2099-03-01T09:00:00.000Z',
+  captions: { Instagram: { caption: 'Spring is here', hashtags: ['spring'], cta: '' } },
+  assets: {},
+  ...fields
+});
+
+// Undo iCalendar line folding
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('toICalendar', () => {
+  it('writes one event per post with a time, in UTC', () => {
+    const ics = unfold(toICalendar([scheduledPost(), scheduledPost({ id: 'post-2', scheduledAt: null })]));
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+    expect(ics).toContain('UID:post-1@visual-ai-content-studio');
+    expect(ics).toContain('DTSTART:20990301T090000Z');
+    expect(ics).toContain('SUMMARY:Instagram Post: Spring is here');
+    expect(ics).toContain('STATUS:CONFIRMED');
+  });
+
+  it('escapes text and marks drafts as tentative', () => {
+    const ics = unfold(toICalendar([scheduledPost({
+      status: 'draft',
+      captions: { Instagram: { caption: 'Sale; today, only\nsee bio', hashtags: [], cta: '' } }
+    })], { calendarName: 'Q1, planned' }));
+    expect(ics).toContain('X-WR-CALNAME:Q1\\, planned');
+    expect(ics).toContain('SUMMARY:Instagram Post: Sale\\; today\\, only');
+    expect(ics).toContain('Sale\\; today\\, only\\nsee bio');
+    expect(ics).toContain('STATUS:TENTATIVE');
+  });
+
+  it('folds lines longer than 75 octets', () => {
+    const ics = toICalendar([scheduledPost({ captions: { Instagram: { caption: 'é'.repeat(100), hashtags: [], cta: '' } } })]);
+    const lines = ics.split('\r\n');
+    expect(lines.every((line) => new TextEncoder().encode(line).length <= 75)).toBe(true);
+    expect(unfold(ics)).toContain(`Instagram:\\n${'é'.repeat(100)}`);
+  });
+});
+
+describe('toBulkUploadCsv', () => {
+  const posts = [
+    scheduledPost({ id: 'late', scheduledAt: '2099-03-02T09:00:00.000Z', assets: { 'Instagram Post': { imageUrl: 'https://cdn.example.com/a.png' } } }),
+    scheduledPost({ id: 'early' }),
+    scheduledPost({ id: 'past', scheduledAt: '2000-01-01T09:00:00.000Z' }),
+    scheduledPost({ id: 'draft', status: 'draft' }),
+    scheduledPost({ id: 'pin', platforms: ['Pinterest Pin'] })
+  ];
+
+  it('writes Buffer rows for one network, soonest first, in the channel zone', () => {
+    const { csv, count } = toBulkUploadCsv(posts, { format: EXPORT_FORMATS.BUFFER, network: 'Instagram', timeZone: 'Europe/Paris' });
+    expect(count).toBe(2);
+    expect(parseCsv(csv)).toEqual([
+      ['Text', 'Image URL', 'Tags', 'Posting Time'],
+      ['Spring is here\n\n#spring', '', '', '2099-03-01 10:00'],
+      ['Spring is here\n\n#spring', 'https://cdn.example.com/a.png', '', '2099-03-02 10:00']
+    ]);
+  });
+
+  it('writes Hootsuite rows with day-first dates and no header', () => {
+    const { csv } = toBulkUploadCsv(posts, { format: EXPORT_FORMATS.HOOTSUITE, network: 'Instagram', timeZone: 'UTC' });
+    expect(parseCsv(csv)[0]).toEqual(['01/03/2099 09:00', 'Spring is here\n\n#spring', '']);
+  });
+});
+
+describe('parsePlannedPostsCsv', () => {
+  it('reads rows into drafts with captions for every network reached', () => {
+    const csv = 'Text,Hashtags,Posting Time,Platforms,Image URL\n'
+      + '"Hello, spring","spring, #Sale sale",2025-03-01 09:00,Pinterest Pin,https://cdn.example.com/a.png\n';
+    const { posts, errors } = parsePlannedPostsCsv(csv, { timeZone: 'America/New_York' });
+    expect(errors).toEqual([]);
+    expect(posts).toHaveLength(1);
+    expect(posts[0]).toMatchObject({
+      platforms: ['Pinterest Pin'],
+      captions: { Pinterest: { caption: 'Hello, spring', hashtags: ['#spring', '#Sale'], cta: '' } },
+      scheduledAt: '2025-03-01T14:00:00.000Z',
+      timeZone: 'America/New_York',
+      status: 'draft'
+    });
+    expect(posts[0].assets['Pinterest Pin'].imageUrl).toBe('https://cdn.example.com/a.png');
+  });
+
+  it('takes ISO times with an offset, a per-row zone and the default platforms', () => {
+    const csv = 'message,date,time zone\nA,2025-03-01T09:00:00+02:00,\nB,2025-03-01 09:00,Asia/Tokyo\nC,,\n';
+    const { posts } = parsePlannedPostsCsv(csv, { defaultPlatforms: ['Instagram Post'], timeZone: 'UTC' });
+    expect(posts.map((post) => post.scheduledAt)).toEqual(['2025-03-01T07:00:00.000Z', '2025-03-01T00:00:00.000Z', null]);
+    expect(posts[1].timeZone).toBe('Asia/Tokyo');
+    expect(posts[0].platforms).toEqual(['Instagram Post']);
+  });
+
+  it('reports rows it cannot read, counting the header as row 1', () => {
+    const csv = 'Text,Posting Time,Platforms,Time Zone\n'
+      + 'A,2025-03-01 09:00,,\n'
+      + 'B,2025-03-01 09:00,Myspace,\n'
+      + 'C,next tuesday,Pinterest Pin,\n'
+      + 'D,2025-03-01 09:00,Pinterest Pin,Mars/Olympus\n';
+    const { posts, errors } = parsePlannedPostsCsv(csv, { timeZone: 'UTC' });
+    expect(posts).toEqual([]);
+    expect(errors).toEqual([
+      { row: 2, message: 'No platforms: add a Platforms column or select platforms before importing' },
+      { row: 3, message: 'Unknown platform in "Myspace"' },
+      { row: 4, message: 'Cannot read the time "next tuesday"; use YYYY-MM-DD HH:mm' },
+      { row: 5, message: "Unknown time zone 'Mars/Olympus'" }
+    ]);
+  });
+
+  it('needs a Text column', () => {
+    expect(() => parsePlannedPostsCsv('Caption,Date\nhi,2025', { timeZone: 'UTC' }))
+      .toThrow('The CSV needs a header row with a Text column.');
+  });
+});
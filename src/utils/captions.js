@@ -0,0 +1,101 @@
+/**
+ * Caption Utilities
+ *
+ * Helpers for composing social captions (caption text, CTA and hashtags) and
+ * keeping them within each network's length rules from CAPTION_LIMITS.
+ */
+
+import { CAPTION_LIMITS } from '../constants/platforms.js';
+
+const ELLIPSIS = '…';
+
+/**
+ * Create an empty caption entry
+ * @returns {{caption: string, hashtags: string[], cta: string}} Empty caption
+ */
+export const createEmptyCaption = () => ({ caption: '', hashtags: [], cta: '' });
+
+/**
+ * Normalize hashtags: prefix '#', strip whitespace and duplicates
+ * @param {string[]} hashtags - Raw hashtags
+ * @returns {string[]} Clean hashtags
+ */
+export const normalizeHashtags = (hashtags = []) => {
+  const seen = new Set();
+  return hashtags
+    .map((tag) => String(tag).replace(/\s+/g, '').replace(/^#+/, ''))
+    .filter((tag) => {
+      const key = tag.toLowerCase();
+      if (!tag || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((tag) => `#${tag}`);
+};
+
+/**
+ * Get the caption rules for a network
+ * @param {string} network - Network name (e.g. 'X/Twitter')
+ * @returns {{maxChars: number, maxHashtags: number}} Limits (unbounded for unknown networks)
+ */
+export const getCaptionLimits = (network) => {
+  return CAPTION_LIMITS[network] || { maxChars: Infinity, maxHashtags: Infinity };
+};
+
+/**
+ * Compose the full post text as it will be published
+ * @param {object} captionData - Caption ({ caption, hashtags, cta })
+ * @returns {string} Caption, CTA and hashtags separated by blank lines
+ */
+export const composeCaption = ({ caption = '', hashtags = [], cta = '' } = {}) => {
+  return [caption.trim(), cta.trim(), normalizeHashtags(hashtags).join(' ')]
+    .filter(Boolean)
+    .join('\n\n');
+};
+
+/**
+ * Measure a caption against a network's limits
+ * @param {object} captionData - Caption ({ caption, hashtags, cta })
+ * @param {string} network - Network name
+ * @returns {{length: number, maxChars: number, hashtagCount: number, maxHashtags: number, overLimit: boolean}} Stats
+ */
+export const getCaptionStats = (captionData, network) => {
+  const { maxChars, maxHashtags } = getCaptionLimits(network);
+  const length = composeCaption(captionData).length;
+  const hashtagCount = normalizeHashtags(captionData?.hashtags).length;
+  return {
+    length,
+    maxChars,
+    hashtagCount,
+    maxHashtags,
+    overLimit: length > maxChars || hashtagCount > maxHashtags
+  };
+};
+
+/**
+ * Trim a caption so it fits a network's limits.
+ * Extra hashtags are dropped first, then the caption text is shortened; the CTA is kept.
+ * @param {object} captionData - Caption ({ caption, hashtags, cta })
+ * @param {string} network - Network name
+ * @returns {{caption: string, hashtags: string[], cta: string}} Caption within limits
+ */
+export const fitCaptionToLimits = (captionData = {}, network) => {
+  const { maxChars, maxHashtags } = getCaptionLimits(network);
+  const fitted = {
+    caption: String(captionData.caption || '').trim(),
+    hashtags: normalizeHashtags(captionData.hashtags).slice(0, maxHashtags),
+    cta: String(captionData.cta || '').trim()
+  };
+
+  while (fitted.hashtags.length > 0 && composeCaption(fitted).length > maxChars) {
+    fitted.hashtags = fitted.hashtags.slice(0, -1);
+  }
+
+  const overflow = composeCaption(fitted).length - maxChars;
+  if (overflow > 0) {
+    const keep = Math.max(0, fitted.caption.length - overflow - ELLIPSIS.length);
+    fitted.caption = keep > 0 ? `${fitted.caption.slice(0, keep).trimEnd()}${ELLIPSIS}` : '';
+  }
+
+  return fitted;
+};
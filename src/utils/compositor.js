@@ -0,0 +1,283 @@
+/**
+ * Creative Compositor
+ *
+ * Renders the finished creative for a platform on a canvas: the image cropped
+ * to the platform ratio around its focal point, plus headline, CTA button and
+ * logo placed by the layout engine, in the brand's colors. Font sizes mirror
+ * LayoutOverlay so exports match what Preview shows.
+ */
+
+import { DEFAULT_LAYOUT } from './layoutEngine.js';
+import { loadImageElement, getCoverCrop } from './imageData.js';
+import { parseRatio } from '../constants/platforms.js';
+
+export const EXPORT_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg', quality: 0.92 }
+};
+
+// Short edge of exported files when a preset has no recommended size
+const DEFAULT_SHORT_EDGE = 1080;
+const FONT_FAMILY = 'Inter, "Helvetica Neue", Arial, sans-serif';
+// Relative to the output width, matching the cqw units in LayoutOverlay
+const HEADLINE_SIZE = 0.07;
+const CTA_SIZE = 0.04;
+const CTA_PADDING_X = 0.04;
+const CTA_PADDING_Y = 0.015;
+
+/**
+ * Output pixel size for a platform preset
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {{width: number, height: number}} Pixel size
+ */
+export const getExportSize = (platform) => {
+  if (platform.recommendedSize) {
+    return { ...platform.recommendedSize };
+  }
+  const ratio = parseRatio(platform.ratio);
+  return ratio >= 1
+    ? { width: Math.round(DEFAULT_SHORT_EDGE * ratio), height: DEFAULT_SHORT_EDGE }
+    : { width: DEFAULT_SHORT_EDGE, height: Math.round(DEFAULT_SHORT_EDGE / ratio) };
+};
+
+/**
+ * Pick black or white text for a background color
+ * @param {string} hex - Background color (#rgb or #rrggbb)
+ * @returns {string} '#111111' or '#ffffff'
+ */
+export const getContrastColor = (hex = '') => {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map((c) => c + c).join('') : value.slice(0, 6);
+  const [r, g, b] = [0, 2, 4].map((i) => parseInt(full.slice(i, i + 2), 16) || 0);
+  return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6 ? '#111111' : '#ffffff';
+};
+
+/**
+ * Break text into lines that fit a width
+ * @param {CanvasRenderingContext2D} context - Context with the font already set
+ * @param {string} text - Text to wrap
+ * @param {number} maxWidth - Maximum line width in pixels
+ * @returns {string[]} Lines
+ */
+const wrapText = (context, text, maxWidth) => {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+/**
+ * X position for aligned text inside a box
+ * @param {number} x - Box left edge
+ * @param {number} width - Box width
+ * @param {string} align - 'left' | 'center' | 'right'
+ * @returns {number} Anchor x
+ */
+const alignedX = (x, width, align) => {
+  if (align === 'center') return x + width / 2;
+  if (align === 'right') return x + width;
+  return x;
+};
+
+/**
+ * Set the headline font and wrap the text to its box
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {string} headline - Headline text
+ * @param {object} box - Layout headline box
+ * @param {number} width - Output width in pixels
+ * @returns {{fontSize: number, lines: string[], lineHeight: number}} Text metrics
+ */
+const measureHeadline = (context, headline, box, width) => {
+  const fontSize = Math.round(width * HEADLINE_SIZE);
+  context.font = `bold ${fontSize}px ${FONT_FAMILY}`;
+  return { fontSize, lines: wrapText(context, headline, box.width * width), lineHeight: fontSize * 1.15 };
+};
+
+/**
+ * Set the CTA font and compute the button rectangle
+ * @param {CanvasRenderingContext2D} context - Drawing context
+ * @param {string} cta - CTA text
+ * @param {object} box - Layout CTA box
+ * @param {number} width - Output width in pixels
+ * @param {number} height - Output height in pixels
+ * @returns {object} Font size, padding and pill rectangle in pixels
+ */
+const measureCtaPill = (context, cta, box, width, height) => {
+  const fontSize = Math.round(width * CTA_SIZE);
+  context.font = `600 ${fontSize}px ${FONT_FAMILY}`;
+  const paddingX = width * CTA_PADDING_X;
+  const paddingY = width * CTA_PADDING_Y;
+  const pillWidth = Math.min(context.measureText(cta).width + paddingX * 2, box.width * width);
+  const pillHeight = fontSize + paddingY * 2;
+  const pillX = alignedX(box.x * width, box.width * width, box.align) - (box.align === 'center' ? pillWidth / 2 : box.align === 'right' ? pillWidth : 0);
+  return { fontSize, paddingX, paddingY, pillX, pillY: box.y * height, pillWidth, pillHeight };
+};
+
+/**
+ * Render a finished creative to a canvas
+ * @param {object} options - Options
+ * @param {string} options.image - Image source (native render for the ratio, or the primary image)
+ * @param {object} options.platform - SOCIAL_PLATFORMS entry
+ * @param {object} options.layout - Layout from the layout engine (defaults to DEFAULT_LAYOUT)
+ * @param {string} options.headline - Headline text
+ * @param {string} options.cta - CTA text
+ * @param {string[]} options.brandColors - Brand colors; [0] fills the CTA, [1] underlines the headline
+ * @param {string} options.logo - Optional logo image source
+ * @param {{x: number, y: number}} options.focalPoint - Crop focal point (see utils/smartCrop.js; defaults to the center)
+ * @returns {Promise<HTMLCanvasElement>} Rendered canvas
+ */
+export const renderComposite = async ({ image, platform, layout = DEFAULT_LAYOUT, headline = '', cta = '', brandColors = [], logo, focalPoint }) => {
+  const { width, height } = getExportSize(platform);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+
+  const source = await loadImageElement(image);
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(source.naturalWidth || source.width, source.naturalHeight || source.height, width / height, focalPoint);
+  context.drawImage(source, sx, sy, sWidth, sHeight, 0, 0, width, height);
+
+  if (layout.scrim) {
+    const fromTop = layout.headline.y < 0.5;
+    const gradient = context.createLinearGradient(0, fromTop ? 0 : height, 0, fromTop ? height * 0.45 : height * 0.55);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0.45)');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+    context.fillStyle = gradient;
+    context.fillRect(0, 0, width, height);
+  }
+
+  context.textBaseline = 'top';
+
+  if (headline) {
+    const box = layout.headline;
+    const { fontSize, lines, lineHeight } = measureHeadline(context, headline, box, width);
+    context.fillStyle = layout.textColor;
+    context.textAlign = box.align;
+    lines.forEach((line, index) => {
+      context.fillText(line, alignedX(box.x * width, box.width * width, box.align), box.y * height + index * lineHeight);
+    });
+
+    if (brandColors[1]) {
+      const underlineWidth = Math.min(box.width * width, fontSize * 3);
+      const underlineX = box.align === 'center'
+        ? box.x * width + (box.width * width - underlineWidth) / 2
+        : box.align === 'right' ? (box.x + box.width) * width - underlineWidth : box.x * width;
+      context.fillStyle = brandColors[1];
+      context.fillRect(underlineX, box.y * height + lines.length * lineHeight + fontSize * 0.15, underlineWidth, Math.max(2, fontSize * 0.08));
+    }
+  }
+
+  if (cta) {
+    const { paddingX, paddingY, pillX, pillY, pillWidth, pillHeight } = measureCtaPill(context, cta, layout.cta, width, height);
+    const accent = brandColors[0] || '#2563eb';
+
+    context.fillStyle = accent;
+    context.beginPath();
+    context.roundRect(pillX, pillY, pillWidth, pillHeight, pillHeight / 2);
+    context.fill();
+
+    context.fillStyle = getContrastColor(accent);
+    context.textAlign = 'center';
+    context.fillText(cta, pillX + pillWidth / 2, pillY + paddingY, pillWidth - paddingX);
+  }
+
+  if (logo) {
+    const logoImage = await loadImageElement(logo);
+    const size = layout.logo.size * width;
+    const scale = Math.min(size / logoImage.width, size / logoImage.height);
+    const drawWidth = logoImage.width * scale;
+    const drawHeight = logoImage.height * scale;
+    context.drawImage(
+      logoImage,
+      layout.logo.x * width + (size - drawWidth) / 2,
+      layout.logo.y * height + (size - drawHeight) / 2,
+      drawWidth,
+      drawHeight
+    );
+  }
+
+  return canvas;
+};
+
+/**
+ * Where the headline, CTA and logo land when a creative is rendered, for
+ * checking them against platform safe zones
+ * @param {object} options - renderComposite options (image and colors are not needed)
+ * @returns {{name: string, x: number, y: number, width: number, height: number}[]} Boxes as fractions of the frame
+ */
+export const getElementBoxes = ({ platform, layout = DEFAULT_LAYOUT, headline = '', cta = '', logo }) => {
+  const { width, height } = getExportSize(platform);
+  const context = document.createElement('canvas').getContext('2d');
+  const boxes = [];
+
+  if (headline) {
+    const box = layout.headline;
+    const { lines, lineHeight } = measureHeadline(context, headline, box, width);
+    const textWidth = Math.max(...lines.map((line) => context.measureText(line).width));
+    const left = alignedX(box.x * width, box.width * width, box.align) - (box.align === 'center' ? textWidth / 2 : box.align === 'right' ? textWidth : 0);
+    boxes.push({ name: 'Headline', x: left / width, y: box.y, width: textWidth / width, height: (lines.length * lineHeight) / height });
+  }
+
+  if (cta) {
+    const { pillX, pillY, pillWidth, pillHeight } = measureCtaPill(context, cta, layout.cta, width, height);
+    boxes.push({ name: 'CTA', x: pillX / width, y: pillY / height, width: pillWidth / width, height: pillHeight / height });
+  }
+
+  if (logo) {
+    const { x, y, size } = layout.logo;
+    boxes.push({ name: 'Logo', x, y, width: size, height: (size * width) / height });
+  }
+
+  return boxes;
+};
+
+/**
+ * Encode a canvas as an image file
+ * @param {HTMLCanvasElement} canvas - Rendered canvas
+ * @param {string} format - Key of EXPORT_FORMATS ('png' | 'jpeg')
+ * @returns {Promise<Blob>} Encoded image
+ */
+export const canvasToBlob = (canvas, format = 'png') => {
+  const { mimeType, quality } = EXPORT_FORMATS[format] || EXPORT_FORMATS.png;
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Failed to encode ${format.toUpperCase()} export`));
+      }
+    }, mimeType, quality);
+  });
+};
+
+/**
+ * Render and encode a creative in one step
+ * @param {object} options - renderComposite options
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {Promise<Blob>} Encoded creative
+ */
+export const exportComposite = async (options, format = 'png') => {
+  const canvas = await renderComposite(options);
+  return canvasToBlob(canvas, format);
+};
+
+/**
+ * File name for an exported creative
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} File name (e.g. 'creative-instagram-story-1080x1920.png')
+ */
+export const getExportFileName = (platform, format = 'png') => {
+  const { width, height } = getExportSize(platform);
+  const slug = platform.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `creative-${slug}-${width}x${height}.${(EXPORT_FORMATS[format] || EXPORT_FORMATS.png).extension}`;
+};
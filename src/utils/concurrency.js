@@ -0,0 +1,37 @@
+/**
+ * Concurrency Utilities
+ *
+ * Helpers for running async work in parallel without flooding rate-limited APIs.
+ */
+
+/**
+ * Create a limiter that runs at most `maxConcurrent` tasks at a time.
+ * Tasks beyond the limit are queued in call order.
+ * @param {number} maxConcurrent - Maximum tasks running at once (minimum 1)
+ * @returns {Function} schedule(task) => Promise resolving with the task's result
+ */
+export const createConcurrencyLimiter = (maxConcurrent = 2) => {
+  const limit = Math.max(1, Math.floor(maxConcurrent) || 1);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= limit || queue.length === 0) return;
+
+    const { task, resolve, reject } = queue.shift();
+    active++;
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
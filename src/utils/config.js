@@ -109,9 +109,41 @@ export const getGeminiConfig = () => {
   
   return {
     apiKey,
+    // Default to the offline mock provider when no API key is available
+    provider: getEnvVar('REACT_APP_AI_PROVIDER', apiKey ? 'gemini' : 'mock', false),
     textModel: 'gemini-2.5-flash-preview-05-20',
     imageModel: 'gemini-2.5-flash-image-preview',
-    baseUrl: 'https://generativelanguage.googleapis.com/v1beta'
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    // Network resilience for API calls (see utils/fetchWithRetry.js)
+    timeoutMs: Number(getEnvVar('REACT_APP_GEMINI_TIMEOUT_MS', '60000', false)),
+    maxConcurrentRequests: Number(getEnvVar('REACT_APP_GEMINI_MAX_CONCURRENT', '2', false)),
+    retry: {
+      maxRetries: Number(getEnvVar('REACT_APP_GEMINI_MAX_RETRIES', '3', false)),
+      baseDelayMs: Number(getEnvVar('REACT_APP_GEMINI_RETRY_BASE_MS', '1000', false)),
+      maxDelayMs: Number(getEnvVar('REACT_APP_GEMINI_RETRY_MAX_MS', '30000', false))
+    }
+  };
+};
+
+/**
+ * Trend Suggester Configuration
+ */
+export const getTrendsConfig = () => {
+  return {
+    // 'auto' uses Gemini search grounding when online with an API key, otherwise the local feed
+    source: getEnvVar('REACT_APP_TRENDS_SOURCE', 'auto', false),
+    // JSON or RSS/Atom feed used by the local (offline) trend source
+    feedUrl: getEnvVar('REACT_APP_TRENDS_FEED_URL', '/trends.json', false)
+  };
+};
+
+/**
+ * Publishing Configuration
+ */
+export const getPublishingConfig = () => {
+  return {
+    // Publisher adapter used for scheduled posts (see utils/publishers)
+    publisher: getEnvVar('REACT_APP_PUBLISHER', 'local-outbox', false)
   };
 };
 
@@ -164,7 +196,7 @@ export const validateConfiguration = () => {
     if (gemini.apiKey) {
       console.log('✅ Gemini AI configured');
     } else {
-      console.log('ℹ️ Gemini AI not configured - some features may be limited');
+      console.log('ℹ️ Gemini AI not configured - using the offline mock provider');
     }
   } catch (error) {
     console.log('ℹ️ Gemini AI error:', error.message);
@@ -208,6 +240,7 @@ export const getConfigSummary = () => {
     } : null,
     gemini: {
       hasApiKey: !!gemini.apiKey,
+      provider: gemini.provider,
       textModel: gemini.textModel,
       imageModel: gemini.imageModel
     },
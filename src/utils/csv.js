@@ -0,0 +1,91 @@
+/**
+ * CSV
+ *
+ * Reading and writing comma-separated values as spreadsheets and scheduling
+ * tools produce them (RFC 4180): quoted fields may hold commas, quotes ("")
+ * and line breaks; rows end in CRLF or LF.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV text
+ * @param {object} options - Options
+ * @param {string} options.delimiter - Field separator (sniffed from the first line when omitted: ',', ';' or tab)
+ * @returns {string[][]} Rows; blank lines are skipped
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const separator = delimiter || [',', ';', '\t']
+    .map((candidate) => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by the (trimmed) column names
+ * @param {string} text - CSV text
+ * @returns {{columns: string[], records: Object<string, string>[]}} Column names and one object per data row
+ */
+export const parseCsvRecords = (text) => {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map((name) => name.trim());
+  return {
+    columns,
+    records: rows.map((row) => Object.fromEntries(columns.map((name, index) => [name, (row[index] ?? '').trim()])))
+  };
+};
+
+/**
+ * Quote a field when it needs it
+ * @param {*} value - Field value (null/undefined become empty)
+ * @returns {string} CSV field
+ */
+const formatField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array<Array<*>>} rows - Rows of fields (include the header row if there is one)
+ * @returns {string} CSV text with CRLF line endings
+ */
+export const formatCsv = (rows) => rows.map((row) => row.map(formatField).join(',')).join('\r\n') + '\r\n';
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, parseCsvRecords, formatCsv } from './csv.js';
+
+describe('parseCsv', () => {
+  it('splits rows on LF and CRLF and skips blank lines', () => {
+    expect(parseCsv('a,b\r\nc,d\n\ne,f\n')).toEqual([['a', 'b'], ['c', 'd'], ['e', 'f']]);
+  });
+
+  it('reads quoted fields with separators, doubled quotes and line breaks', () => {
+    expect(parseCsv('"Hello, world","She said ""hi""","two\nlines"')).toEqual([
+      ['Hello, world', 'She said "hi"', 'two\nlines']
+    ]);
+  });
+
+  it('keeps empty fields', () => {
+    expect(parseCsv('a,,c\n,,')).toEqual([['a', '', 'c'], ['', '', '']]);
+  });
+
+  it('strips a byte order mark', () => {
+    expect(parseCsv('﻿Text,Date\nhi,2025')).toEqual([['Text', 'Date'], ['hi', '2025']]);
+  });
+
+  it('sniffs semicolon and tab separators from the first line', () => {
+    expect(parseCsv('a;b;c\n1;2,5;3')).toEqual([['a', 'b', 'c'], ['1', '2,5', '3']]);
+    expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('uses a given delimiter over the sniffed one', () => {
+    expect(parseCsv('a;b,c', { delimiter: ',' })).toEqual([['a;b', 'c']]);
+  });
+
+  it('reads a last row without a line break', () => {
+    expect(parseCsv('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys rows by trimmed column names and fills missing fields', () => {
+    expect(parseCsvRecords(' Text , Date \n hi ,2025-01-31\nonly')).toEqual({
+      columns: ['Text', 'Date'],
+      records: [{ Text: 'hi', Date: '2025-01-31' }, { Text: 'only', Date: '' }]
+    });
+  });
+
+  it('returns no columns for empty text', () => {
+    expect(parseCsvRecords('')).toEqual({ columns: [], records: [] });
+  });
+});
+
+describe('formatCsv', () => {
+  it('quotes only the fields that need it and ends rows in CRLF', () => {
+    expect(formatCsv([['Text', 'Count'], ['a, b', 2], ['say "hi"', null], ['two\nlines', undefined]]))
+      .toBe('Text,Count\r\n"a, b",2\r\n"say ""hi""",\r\n"two\nlines",\r\n');
+  });
+
+  it('round-trips through parseCsv', () => {
+    const rows = [['Text', 'Tags'], ['Line one\nLine "two", three', '#a #b']];
+    expect(parseCsv(formatCsv(rows))).toEqual(rows);
+  });
+});
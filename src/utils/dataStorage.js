@@ -9,6 +9,7 @@
 import * as localStorage from './localStorage.js';
 import * as indexedDB from './indexedDB.js';
 import { logError } from './errorHandling.js';
+import { toStoredImage, fromStoredImage, blobToDataUrl, dataUrlToBlob } from './imageData.js';
 
 // Initialize storage systems
 let isInitialized = false;
@@ -175,6 +176,33 @@ export const loadAppPreferences = async () => {
   }
 };
 
+/**
+ * Save engagement statistics
+ * @param {object} stats - Aggregated engagement per network and hour of the week
+ * @returns {Promise<boolean>} True if saved successfully
+ */
+export const saveEngagementStats = async (stats) => {
+  try {
+    return localStorage.engagementStats.set(stats);
+  } catch (error) {
+    logError(error, 'Save engagement stats');
+    return false;
+  }
+};
+
+/**
+ * Load engagement statistics
+ * @returns {Promise<object>} Aggregated engagement (empty when nothing was imported)
+ */
+export const loadEngagementStats = async () => {
+  try {
+    return localStorage.engagementStats.get();
+  } catch (error) {
+    logError(error, 'Load engagement stats');
+    return localStorage.engagementStats.get();
+  }
+};
+
 // Generated Content Storage (replaces Firebase image storage)
 
 /**
@@ -192,6 +220,79 @@ export const saveGeneratedImage = async (imageData) => {
   }
 };
 
+/**
+ * Apply the same metadata updates to several stored images (e.g. star or reject candidates)
+ * @param {string[]} imageIds - Image IDs to update
+ * @param {object} updates - Fields to merge into each record
+ * @returns {Promise<boolean>} True if every image was updated
+ */
+export const updateGeneratedImages = async (imageIds, updates) => {
+  try {
+    await initializeStorage();
+    for (const imageId of imageIds) {
+      const existing = await indexedDB.images.get(imageId);
+      if (!existing) continue;
+      const savedId = await saveGeneratedImage({ ...existing, ...updates });
+      if (!savedId) return false;
+    }
+    return true;
+  } catch (error) {
+    logError(error, 'Update generated images');
+    return false;
+  }
+};
+
+/**
+ * Save the per-ratio renders of one generation as a linked variant set
+ * @param {{ratio: string, platforms: string[], image: string}[]} variants - Rendered variants
+ * @param {object} metadata - Shared metadata (prompt, etc.)
+ * @returns {Promise<{variantSetId: string, imageIds: string[]}|null>} Saved IDs, null on failure
+ */
+export const saveVariantSet = async (variants, metadata = {}) => {
+  try {
+    await initializeStorage();
+    const variantSetId = indexedDB.generateId();
+    const imageIds = [];
+
+    for (const [index, variant] of variants.entries()) {
+      const imageId = await saveGeneratedImage({
+        ...metadata,
+        variantSetId,
+        ratio: variant.ratio,
+        platforms: variant.platforms,
+        platform: variant.platforms[0] || null,
+        ...toStoredImage(variant.image),
+        isPrimary: index === 0
+      });
+      if (!imageId) {
+        throw new Error(`Failed to save ${variant.ratio} variant`);
+      }
+      imageIds.push(imageId);
+    }
+
+    return { variantSetId, imageIds };
+  } catch (error) {
+    logError(error, 'Save variant set');
+    return null;
+  }
+};
+
+/**
+ * Load all renders of a variant set
+ * @param {string} variantSetId - Variant set ID
+ * @returns {Promise<object[]>} Variant images (primary first)
+ */
+export const getVariantSet = async (variantSetId) => {
+  try {
+    await initializeStorage();
+    const variants = await indexedDB.images.getByVariantSet(variantSetId);
+    return variants.sort((a, b) => Number(b.isPrimary) - Number(a.isPrimary));
+  } catch (error) {
+    logError(error, 'Get variant set');
+    return [];
+  }
+};
+
 /**
  * Load a generated image by ID
  * @param {string} imageId - Image ID
@@ -237,6 +338,41 @@ export const searchImages = async (searchText) => {
   }
 };
 
+/**
+ * Get one page of generation history (one entry per generation), newest first
+ * @param {object} options - Paging options (offset, limit, query)
+ * @returns {Promise<{items: object[], total: number}>} Page of images and total match count
+ */
+export const getImageHistoryPage = async (options = {}) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.images.getPage(options);
+  } catch (error) {
+    logError(error, 'Get image history page');
+    return { items: [], total: 0 };
+  }
+};
+
+/**
+ * Delete every render of a variant set
+ * @param {string} variantSetId - Variant set ID
+ * @returns {Promise<boolean>} True if deleted successfully
+ */
+export const deleteVariantSet = async (variantSetId) => {
+  try {
+    await initializeStorage();
+    const variants = await indexedDB.images.getByVariantSet(variantSetId);
+    for (const variant of variants) {
+      await indexedDB.images.delete(variant.id);
+      await indexedDB.layouts.deleteByImageId(variant.id);
+    }
+    return true;
+  } catch (error) {
+    logError(error, 'Delete variant set');
+    return false;
+  }
+};
+
 /**
  * Delete a generated image
  * @param {string} imageId - Image ID to delete
@@ -245,6 +381,7 @@ export const searchImages = async (searchText) => {
 export const deleteGeneratedImage = async (imageId) => {
   try {
     await initializeStorage();
+    await indexedDB.layouts.deleteByImageId(imageId);
     return await indexedDB.images.delete(imageId);
   } catch (error) {
     logError(error, 'Delete generated image');
@@ -282,8 +419,228 @@ export const getLayoutsForImage = async (imageId) => {
   }
 };
 
+/**
+ * Save a scheduled post (creates or replaces by ID)
+ * @param {object} postData - Post record
+ * @returns {Promise<string|null>} Post ID if successful
+ */
+export const saveScheduledPost = async (postData) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.scheduledPosts.save(postData);
+  } catch (error) {
+    logError(error, 'Save scheduled post');
+    return null;
+  }
+};
+
+/**
+ * Load a scheduled post by ID
+ * @param {string} postId - Post ID
+ * @returns {Promise<object|null>} Post record or null if not found
+ */
+export const loadScheduledPost = async (postId) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.scheduledPosts.get(postId);
+  } catch (error) {
+    logError(error, 'Load scheduled post');
+    return null;
+  }
+};
+
+/**
+ * Claim a scheduled post: change it only if it still passes `check`, read and
+ * written in a single transaction so two tabs cannot both claim it
+ * @param {string} postId - Post ID
+ * @param {Function} check - Called with the stored post; returns true if it may be claimed
+ * @param {object} changes - Fields to merge
+ * @returns {Promise<object|null>} Updated post, null if it is gone or someone else got there first
+ */
+export const claimScheduledPost = async (postId, check, changes) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.scheduledPosts.updateIf(postId, check, changes);
+  } catch (error) {
+    logError(error, 'Claim scheduled post');
+    // Unlike a failed save, a failed claim must not read as "someone else got there first"
+    throw error;
+  }
+};
+
+/**
+ * Get every scheduled post, soonest first
+ * @returns {Promise<object[]>} Post records
+ */
+export const getScheduledPosts = async () => {
+  try {
+    await initializeStorage();
+    return await indexedDB.scheduledPosts.getAll();
+  } catch (error) {
+    logError(error, 'Get scheduled posts');
+    return [];
+  }
+};
+
+/**
+ * Delete a scheduled post
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>} True if deleted successfully
+ */
+export const deleteScheduledPost = async (postId) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.scheduledPosts.delete(postId);
+  } catch (error) {
+    logError(error, 'Delete scheduled post');
+    return false;
+  }
+};
+
+/**
+ * Save an outbox entry (a post bundle handed to the local outbox publisher)
+ * @param {object} entryData - Outbox entry
+ * @returns {Promise<string|null>} Entry ID if successful
+ */
+export const saveOutboxEntry = async (entryData) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.outbox.save(entryData);
+  } catch (error) {
+    logError(error, 'Save outbox entry');
+    return null;
+  }
+};
+
+/**
+ * Load an outbox entry by ID
+ * @param {string} entryId - Entry ID
+ * @returns {Promise<object|null>} Outbox entry or null if not found
+ */
+export const loadOutboxEntry = async (entryId) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.outbox.get(entryId);
+  } catch (error) {
+    logError(error, 'Load outbox entry');
+    return null;
+  }
+};
+
+/**
+ * Get every outbox entry, newest first
+ * @returns {Promise<object[]>} Outbox entries
+ */
+export const getOutboxEntries = async () => {
+  try {
+    await initializeStorage();
+    return await indexedDB.outbox.getAll();
+  } catch (error) {
+    logError(error, 'Get outbox entries');
+    return [];
+  }
+};
+
+/**
+ * Save a brand asset (creates or replaces by ID)
+ * @param {object} assetData - Asset record
+ * @returns {Promise<string|null>} Asset ID if successful
+ */
+export const saveBrandAsset = async (assetData) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.brandAssets.save(assetData);
+  } catch (error) {
+    logError(error, 'Save brand asset');
+    return null;
+  }
+};
+
+/**
+ * Get the assets of a brand kit, oldest first
+ * @param {string} brandKitId - Brand kit ID
+ * @returns {Promise<object[]>} Asset records
+ */
+export const getBrandAssets = async (brandKitId) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.brandAssets.getByBrandKitId(brandKitId);
+  } catch (error) {
+    logError(error, 'Get brand assets');
+    return [];
+  }
+};
+
+/**
+ * Delete a brand asset
+ * @param {string} assetId - Asset ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteBrandAsset = async (assetId) => {
+  try {
+    await initializeStorage();
+    return await indexedDB.brandAssets.delete(assetId);
+  } catch (error) {
+    logError(error, 'Delete brand asset');
+    return false;
+  }
+};
+
 // Data Management and Migration
 
+/*
+ * Blobs do not survive JSON, so an export carries every stored image as a
+ * data URL and an import turns it back into a Blob. Exports made before this
+ * held `{}` in place of each Blob; those images are dropped on import.
+ */
+
+/**
+ * Stored image fields (see imageData.toStoredImage) in their exported form
+ * @param {object} stored - Record or asset with `imageBlob` or `imageUrl`
+ * @returns {Promise<object>} Copy with the Blob as a data URL in `imageUrl`
+ */
+const toPortableImage = async (stored) => {
+  if (!(stored?.imageBlob instanceof Blob)) return stored;
+  const { imageBlob: _imageBlob, ...fields } = stored;
+  return { ...fields, imageUrl: await fromStoredImage(stored) };
+};
+
+/**
+ * Exported image fields back in their stored form
+ * @param {object} portable - Record or asset from an export
+ * @returns {object} Copy with a data URL `imageUrl` as a Blob
+ */
+const fromPortableImage = (portable) => {
+  if (!portable || typeof portable !== 'object') return portable;
+  const { imageBlob, imageUrl, ...fields } = portable;
+  if (imageUrl) return { ...fields, ...toStoredImage(imageUrl) };
+  return imageBlob instanceof Blob ? portable : fields;
+};
+
+/**
+ * Apply a conversion to each value of an object (a post's assets, an outbox entry's media)
+ * @param {object|null} object - Values by key
+ * @param {Function} convert - Called with each value
+ * @returns {Promise<object|null>} Converted copy
+ */
+const mapValues = async (object, convert) => {
+  if (!object) return object;
+  return Object.fromEntries(await Promise.all(Object.entries(object).map(async ([key, value]) => [key, await convert(value)])));
+};
+
+// Outbox media keep their file as `blob` (see publishers/localOutboxPublisher.js)
+const toPortableMedia = async (media) => {
+  if (!(media?.blob instanceof Blob)) return media;
+  const { blob, ...fields } = media;
+  return { ...fields, url: await blobToDataUrl(blob) };
+};
+
+const fromPortableMedia = (media) => {
+  if (!media?.url?.startsWith('data:')) return media;
+  const { url, ...fields } = media;
+  return { ...fields, blob: dataUrlToBlob(url) };
+};
+
 /**
  * Export all user data for backup/migration
  * @returns {Promise<object>} Complete data export
@@ -293,12 +650,29 @@ export const exportAllUserData = async () => {
     await initializeStorage();
     
     const localStorageData = localStorage.exportAllData();
-    const recentImages = await getRecentImages(100); // Export up to 100 recent images
+    // Every render, so restored posts and variant sets find all their images;
+    // converted one at a time to keep a single image's data URL in memory at once
+    const images = [];
+    for (const image of await indexedDB.images.getAll()) {
+      images.push(await toPortableImage(image));
+    }
+    const scheduledPosts = await Promise.all((await getScheduledPosts()).map(async (post) => ({
+      ...post,
+      assets: await mapValues(post.assets, toPortableImage)
+    })));
+    const outbox = await Promise.all((await getOutboxEntries()).map(async (entry) => ({
+      ...entry,
+      media: await mapValues(entry.media, toPortableMedia)
+    })));
+    const brandAssets = await Promise.all((await indexedDB.brandAssets.getAll()).map(toPortableImage));
     const dbInfo = await indexedDB.getDatabaseInfo();
     
     return {
       ...localStorageData,
-      images: recentImages,
+      images,
+      scheduledPosts,
+      outbox,
+      brandAssets,
       metadata: {
         exportedAt: new Date().toISOString(),
         version: '1.0.0',
@@ -327,7 +701,27 @@ export const importUserData = async (data) => {
     // Import images if present
     if (data.images && Array.isArray(data.images)) {
       for (const imageData of data.images) {
-        await saveGeneratedImage(imageData);
+        await saveGeneratedImage(fromPortableImage(imageData));
+      }
+    }
+
+    if (data.scheduledPosts && Array.isArray(data.scheduledPosts)) {
+      for (const postData of data.scheduledPosts) {
+        await saveScheduledPost({ ...postData, assets: await mapValues(postData.assets, fromPortableImage) });
+      }
+    }
+
+    if (data.outbox && Array.isArray(data.outbox)) {
+      for (const entryData of data.outbox) {
+        await saveOutboxEntry({ ...entryData, media: await mapValues(entryData.media, fromPortableMedia) });
+      }
+    }
+
+    if (data.brandAssets && Array.isArray(data.brandAssets)) {
+      for (const assetData of data.brandAssets) {
+        const asset = fromPortableImage(assetData);
+        // An asset is only its image; one lost in an old export is left out
+        if (asset.imageBlob) await saveBrandAsset(asset);
       }
     }
     
@@ -353,6 +747,9 @@ export const clearAllUserData = async () => {
     await indexedDB.images.clear();
     await indexedDB.layouts.clear();
     await indexedDB.projects.clear();
+    await indexedDB.scheduledPosts.clear();
+    await indexedDB.outbox.clear();
+    await indexedDB.brandAssets.clear();
     
     console.log('✅ All user data cleared successfully');
     return localCleared;
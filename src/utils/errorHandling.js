@@ -3,14 +3,28 @@
  * Use these functions instead of console.error throughout the application
  */
 
+import { API_ERROR_CODES, isAbortError } from './fetchWithRetry.js';
+
+/**
+ * Format a retry delay for display
+ * @param {number|null} retryAfterMs - Delay in milliseconds
+ * @returns {string} e.g. "in 30 seconds" or "in a few minutes"
+ */
+const formatRetryHint = (retryAfterMs) => {
+  if (!retryAfterMs) return 'in a few minutes';
+  const seconds = Math.ceil(retryAfterMs / 1000);
+  return seconds < 60 ? `in ${seconds} seconds` : `in ${Math.ceil(seconds / 60)} minutes`;
+};
+
 // Generic error logger that can be configured for different environments
 export const logError = (error, context = '', additionalInfo = {}) => {
   const errorDetails = {
     message: error.message || error.toString(),
     context,
     timestamp: new Date().toISOString(),
-    userAgent: navigator?.userAgent,
-    url: window?.location?.href,
+    // globalThis so logging also works in the publish worker, which has no window
+    userAgent: globalThis.navigator?.userAgent,
+    url: globalThis.location?.href,
     ...additionalInfo
   };
 
@@ -44,9 +58,12 @@ export const errorHandlers = {
   api: {
     // Image generation failures
     imageGeneration: (error, showError) => {
-      logError(error, 'Image Generation');
+      // Cancellations are user initiated - nothing to report
+      if (isAbortError(error)) return null;
+
+      logError(error, 'Image Generation', { status: error.status, code: error.code });
       
-      if (error.message?.includes('safety')) {
+      if (error.code === API_ERROR_CODES.SAFETY_BLOCKED || error.message?.includes('safety')) {
         return showError(
           'Image generation blocked due to content policy. Please try a different prompt.',
           {
@@ -58,7 +75,7 @@ export const errorHandlers = {
       
       if (error.message?.includes('quota') || error.status === 429) {
         return showError(
-          'Image generation limit reached. Please try again in a few minutes.',
+          `Image generation limit reached. Please try again ${formatRetryHint(error.retryAfterMs)}.`,
           {
             label: 'Try Text Only',
             onClick: () => document.getElementById('text-input')?.focus()
@@ -66,20 +83,51 @@ export const errorHandlers = {
         );
       }
       
+      if (error.code === API_ERROR_CODES.TIMEOUT) {
+        return showError('Image generation timed out. Please try again.');
+      }
+
+      if (error.status >= 500) {
+        return showError('The image service is temporarily unavailable. Please try again shortly.');
+      }
+      
       return showError('Failed to generate image. Please try again with a different prompt.');
     },
 
     // Text generation failures  
     textGeneration: (error, showError) => {
-      logError(error, 'Text Generation');
+      if (isAbortError(error)) return null;
+
+      logError(error, 'Text Generation', { status: error.status, code: error.code });
       
-      if (error.message?.includes('safety')) {
+      if (error.code === API_ERROR_CODES.SAFETY_BLOCKED || error.message?.includes('safety')) {
         return showError('Content generation blocked. Please try a different prompt.');
       }
+
+      if (error.status === 429) {
+        return showError(`Text generation limit reached. Please try again ${formatRetryHint(error.retryAfterMs)}.`);
+      }
+
+      if (error.code === API_ERROR_CODES.TIMEOUT) {
+        return showError('Text generation timed out. Please try again.');
+      }
       
       return showError('Failed to generate text. Please check your input and try again.');
     },
 
+    // Trend suggestion failures
+    trendSuggestion: (error, showError) => {
+      if (isAbortError(error)) return null;
+
+      logError(error, 'Trend Suggestion', { status: error.status, code: error.code });
+
+      if (error.status === 429) {
+        return showError(`Trend search limit reached. Please try again ${formatRetryHint(error.retryAfterMs)}.`);
+      }
+
+      return showError('Failed to load trend suggestions. Try the offline trend feed instead.');
+    },
+
     // Layout generation failures
     layoutGeneration: (error, showError) => {
       logError(error, 'Layout Generation');
@@ -90,6 +138,35 @@ export const errorHandlers = {
           onClick: () => window.location.reload()
         }
       );
+    },
+
+    // Focal point detection failures (vision model and local saliency)
+    focalPointDetection: (error, showError) => {
+      if (isAbortError(error)) return null;
+
+      logError(error, 'Focal Point Detection', { status: error.status });
+      return showError('Could not find the subject of this image. Click the image to set the focal point instead.');
+    },
+
+    // Publisher failures (authentication, validation, upload, post creation, status checks)
+    publishing: (error, showError) => {
+      if (isAbortError(error)) return null;
+
+      logError(error, 'Publishing', { status: error.status, code: error.code });
+
+      if (error.status === 422) {
+        return showError(error.message);
+      }
+
+      if (error.code === API_ERROR_CODES.UNAUTHORIZED) {
+        return showError('The publisher refused our credentials. Check the publisher settings and try again.');
+      }
+
+      if (error.status === 429) {
+        return showError(`The publisher is rate limiting requests. Please try again ${formatRetryHint(error.retryAfterMs)}.`);
+      }
+
+      return showError('Publishing failed. Please try again from the queue.');
     }
   },
 
@@ -231,6 +308,17 @@ export const errorHandlers = {
     processing: (error, showError) => {
       logError(error, 'File Processing');
       return showError('Failed to process file. Please try uploading again.');
+    },
+
+    export: (error, showError) => {
+      logError(error, 'File Export');
+
+      // Canvas exports fail when a remote image is not served with CORS headers
+      if (error.name === 'SecurityError') {
+        return showError('This image cannot be exported because its host does not allow cross-origin access.');
+      }
+
+      return showError('Failed to export creative. Please try again.');
     }
   }
 };
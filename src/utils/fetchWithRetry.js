@@ -0,0 +1,262 @@
+/**
+ * Fetch With Retry
+ *
+ * Network helper for AI/API calls: per-attempt timeouts, cancellation via
+ * AbortSignal, and exponential backoff with jitter that honors `Retry-After`.
+ * When the server asks for a longer wait than `maxDelayMs`, the request gives
+ * up with the rate-limit error (its `retryAfterMs` says when to try again).
+ * Failures are surfaced as structured errors carrying `status` and `code` so
+ * error handlers can branch on them.
+ */
+
+// Status codes that are worth retrying
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+export const API_ERROR_CODES = {
+  ABORTED: 'ABORTED',
+  TIMEOUT: 'TIMEOUT',
+  NETWORK: 'NETWORK',
+  RATE_LIMITED: 'RATE_LIMITED',
+  SAFETY_BLOCKED: 'SAFETY_BLOCKED',
+  BAD_REQUEST: 'BAD_REQUEST',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  SERVER_ERROR: 'SERVER_ERROR',
+  UNKNOWN: 'UNKNOWN'
+};
+
+export const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  timeoutMs: 60000
+};
+
+/**
+ * Create a structured API error
+ * @param {string} message - Human readable message
+ * @param {object} details - Extra error fields (status, code, retryAfterMs, ...)
+ * @returns {Error} Error with the details attached
+ */
+export const createApiError = (message, details = {}) => {
+  const error = new Error(message);
+  error.name = details.code === API_ERROR_CODES.ABORTED ? 'AbortError' : 'ApiError';
+  error.status = details.status ?? null;
+  error.code = details.code || codeForStatus(details.status);
+  error.retryAfterMs = details.retryAfterMs ?? null;
+  error.attempts = details.attempts ?? 1;
+  if (details.cause) error.cause = details.cause;
+  if (details.data) error.data = details.data;
+  return error;
+};
+
+/**
+ * Map an HTTP status to an API error code
+ * @param {number} status - HTTP status
+ * @returns {string} Error code
+ */
+export const codeForStatus = (status) => {
+  if (!status) return API_ERROR_CODES.UNKNOWN;
+  if (status === 429) return API_ERROR_CODES.RATE_LIMITED;
+  if (status === 401 || status === 403) return API_ERROR_CODES.UNAUTHORIZED;
+  if (status === 408) return API_ERROR_CODES.TIMEOUT;
+  if (status >= 500) return API_ERROR_CODES.SERVER_ERROR;
+  if (status >= 400) return API_ERROR_CODES.BAD_REQUEST;
+  return API_ERROR_CODES.UNKNOWN;
+};
+
+/**
+ * Check whether an error represents a user/caller cancellation
+ * @param {any} error - Error to check
+ * @returns {boolean} True if the request was aborted
+ */
+export const isAbortError = (error) => {
+  return error?.name === 'AbortError' || error?.code === API_ERROR_CODES.ABORTED;
+};
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+};
+
+/**
+ * Compute the delay before the next attempt (exponential backoff with full jitter)
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {object} options - Retry options
+ * @param {number|null} retryAfterMs - Server-provided delay, if any; used as is, even past maxDelayMs
+ * @returns {number} Delay in milliseconds
+ */
+export const computeBackoffDelay = (attempt, options = DEFAULT_RETRY_OPTIONS, retryAfterMs = null) => {
+  const { baseDelayMs, maxDelayMs } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  if (retryAfterMs !== null) {
+    return retryAfterMs;
+  }
+
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(Math.random() * exponential);
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+export const sleep = (ms, signal) => {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createApiError('Request cancelled', { code: API_ERROR_CODES.ABORTED }));
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createApiError('Request cancelled', { code: API_ERROR_CODES.ABORTED }));
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+};
+
+/**
+ * Read an error message from a failed response body
+ * @param {Response} response - Fetch response
+ * @returns {Promise<{message: string|null, data: any}>} Parsed error info
+ */
+const readErrorBody = async (response) => {
+  try {
+    const data = await response.json();
+    return { message: data?.error?.message || null, data };
+  } catch {
+    return { message: response.statusText || null, data: null };
+  }
+};
+
+/**
+ * Perform a single fetch attempt with a timeout linked to the caller's signal
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch init options
+ * @param {number} timeoutMs - Per-attempt timeout
+ * @param {AbortSignal} signal - Caller abort signal
+ * @returns {Promise<Response>} The response
+ */
+const fetchAttempt = async (url, init, timeoutMs, signal) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = timeoutMs > 0
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeoutMs)
+    : null;
+  const onAbort = () => controller.abort();
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      throw createApiError(`Request timed out after ${timeoutMs}ms`, {
+        code: API_ERROR_CODES.TIMEOUT,
+        cause: error
+      });
+    }
+    if (signal?.aborted || error.name === 'AbortError') {
+      throw createApiError('Request cancelled', { code: API_ERROR_CODES.ABORTED, cause: error });
+    }
+    throw createApiError(`Network request failed: ${error.message}`, {
+      code: API_ERROR_CODES.NETWORK,
+      cause: error
+    });
+  } finally {
+    if (timer) clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+};
+
+/**
+ * Fetch with timeout, cancellation and retries
+ * @param {string} url - Request URL
+ * @param {object} init - Fetch init options (method, headers, body)
+ * @param {object} options - Retry options
+ * @param {AbortSignal} options.signal - Cancels the request and any pending retry
+ * @param {number} options.maxRetries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Base backoff delay
+ * @param {number} options.maxDelayMs - Maximum backoff delay; a longer Retry-After ends the retries
+ * @param {number} options.timeoutMs - Per-attempt timeout (0 disables)
+ * @param {string} options.errorPrefix - Prefix for error messages
+ * @param {Function} options.onRetry - Called with ({ attempt, delayMs, error }) before each retry
+ * @returns {Promise<Response>} The successful response
+ */
+export const fetchWithRetry = async (url, init = {}, options = {}) => {
+  const {
+    signal,
+    maxRetries,
+    maxDelayMs,
+    timeoutMs,
+    errorPrefix = 'API Error',
+    onRetry
+  } = { ...DEFAULT_RETRY_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    let error;
+
+    try {
+      const response = await fetchAttempt(url, init, timeoutMs, signal);
+      if (response.ok) {
+        return response;
+      }
+
+      const { message, data } = await readErrorBody(response);
+      error = createApiError(`${errorPrefix}: ${message || `Request failed with status ${response.status}`}`, {
+        status: response.status,
+        retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+        attempts: attempt + 1,
+        data
+      });
+    } catch (fetchError) {
+      if (isAbortError(fetchError)) throw fetchError;
+      error = fetchError;
+      error.attempts = attempt + 1;
+    }
+
+    const retryable = error.status
+      ? RETRYABLE_STATUSES.includes(error.status)
+      : [API_ERROR_CODES.NETWORK, API_ERROR_CODES.TIMEOUT].includes(error.code);
+
+    if (!retryable || attempt >= maxRetries) {
+      throw error;
+    }
+
+    // Retrying sooner than the server allows would only be refused again
+    if (error.retryAfterMs !== null && error.retryAfterMs > maxDelayMs) {
+      throw error;
+    }
+
+    const delayMs = computeBackoffDelay(attempt, options, error.retryAfterMs);
+    onRetry?.({ attempt: attempt + 1, delayMs, error });
+    await sleep(delayMs, signal);
+  }
+};
@@ -1,116 +1,125 @@
 /**
  * Google Gemini AI Utilities
  *
- * This module provides helper functions to interact with the Google Gemini API
- * for text and image generation, prompt refinement, and other AI-powered features.
+ * This module provides helper functions for text and image generation, prompt
+ * refinement, and other AI-powered features. Calls are delegated to the active
+ * AI provider (see ./providers), so Gemini can be swapped for the offline mock
+ * provider or other backends without touching the callers.
  */
 
+import { getActiveProvider } from './providers/index.js';
 import { getGeminiConfig } from './config.js';
-
-const { apiKey, textModel, imageModel, baseUrl } = getGeminiConfig();
+import { createConcurrencyLimiter } from './concurrency.js';
+import { isAbortError } from './fetchWithRetry.js';
+import { DEFAULT_RATIO, DEFAULT_CAPTION_NETWORKS, groupPlatformsByRatio } from '../constants/platforms.js';
+import { fitCaptionToLimits } from './captions.js';
 
 /**
- * Makes a request to the Gemini API.
- * @param {string} model - The model to use (e.g., 'gemini-2.5-flash-preview-05-20').
- * @param {object} body - The request body.
- * @returns {Promise<object>} The API response data.
+ * Describes the active provider and its models (recorded with each generation).
+ * @returns {{provider: string, textModel: string, imageModel: string}} Model info.
  */
-const makeGeminiRequest = async (model, body) => {
-  if (!apiKey) {
-    throw new Error('Gemini API key is not configured. Please set REACT_APP_GEMINI_API_KEY.');
-  }
-
-  const url = `${baseUrl}/models/${model}:generateContent?key=${apiKey}`;
-
-  const response = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(body),
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    const errorMessage = errorData.error?.message || 'An unknown error occurred with the Gemini API.';
-    throw new Error(`Gemini API Error: ${errorMessage}`);
-  }
-
-  return response.json();
+export const getActiveModelInfo = () => {
+  const provider = getActiveProvider();
+  return { provider: provider.id, ...provider.getModelInfo() };
 };
 
 /**
  * Refines a user prompt using brand guidelines.
  * @param {string} basePrompt - The user's initial prompt.
  * @param {object} brandKit - The user's brand kit settings.
+ * @param {object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request and pending retries.
+ * @param {number} options.timeoutMs - Per-attempt timeout override.
  * @returns {Promise<string>} The refined, AI-enhanced prompt.
  */
-export const refinePrompt = async (basePrompt, brandKit) => {
-  const systemPrompt = `
-    You are an expert prompt engineer for an AI image generator.
-    Your task is to refine a user's base prompt using their brand kit to create a detailed, effective image generation prompt.
-
-    **Brand Kit:**
-    - Colors: ${brandKit.colors.join(', ') || 'Not specified'}
-    - Typography Mood: ${brandKit.typography || 'Not specified'}
-    - Style Keywords: ${brandKit.styleKeywords || 'Not specified'}
-    - Campaign Context: ${brandKit.campaignVariable || 'Not specified'}
-
-    **Instructions:**
-    1. Analyze the user's base prompt: "${basePrompt}".
-    2. Weave in the brand kit elements naturally. The final image should reflect the brand's mood and style.
-    3. Enhance the prompt with vivid details, considering composition, lighting, and subject matter.
-    4. The output must be ONLY the refined prompt text, ready for the image model. Do not include any other explanatory text.
-  `;
+export const refinePrompt = async (basePrompt, brandKit, options = {}) => {
+  return getActiveProvider().refinePrompt(basePrompt, brandKit, options);
+};
 
-  const requestBody = {
-    contents: [{
-      parts: [{ text: systemPrompt }],
-    }],
-  };
+/**
+ * Generates an image using the active provider's image model.
+ * @param {string} prompt - The detailed prompt for image generation.
+ * @param {object} options - Request options (aspectRatio, seed, signal, timeoutMs).
+ * @param {{mimeType: string, data: string}[]} options.referenceImages - Uploaded reference images (base64).
+ * @param {string} options.mode - Reference mode from IMAGE_MODES ('generate', 'edit', 'variation', 'style-transfer').
+ * @returns {Promise<string>} The image as a data URL (or URI).
+ */
+export const generateImage = async (prompt, options = {}) => {
+  return getActiveProvider().generateImage(prompt, options);
+};
 
-  const data = await makeGeminiRequest(textModel, requestBody);
-  return data.candidates[0].content.parts[0].text.trim();
+/**
+ * Generates one native render per aspect ratio needed by the selected platforms.
+ * @param {string} prompt - The detailed prompt for image generation.
+ * @param {string[]} platformNames - Selected SOCIAL_PLATFORMS names.
+ * @param {object} options - Request options (seed, signal, timeoutMs).
+ * @param {Function} options.schedule - Optional concurrency limiter from createConcurrencyLimiter.
+ * @returns {Promise<{ratio: string, platforms: string[], image: string}[]>} Variants in selection order.
+ */
+export const generateVariantSet = async (prompt, platformNames = [], { schedule, ...options } = {}) => {
+  const groups = groupPlatformsByRatio(platformNames);
+  const targets = groups.length > 0 ? groups : [{ ratio: DEFAULT_RATIO, platforms: [] }];
+  const run = schedule || ((task) => task());
+
+  return Promise.all(targets.map(async ({ ratio, platforms }) => ({
+    ratio,
+    platforms,
+    image: await run(() => generateImage(prompt, { ...options, aspectRatio: ratio }))
+  })));
 };
 
 /**
- * Generates an image using the Gemini image model.
+ * Generates several candidate variant sets for the same prompt in parallel.
+ * All image requests share one concurrency limit so rate limits are respected.
+ * Failed candidates are dropped; the call only rejects if every candidate fails.
  * @param {string} prompt - The detailed prompt for image generation.
- * @returns {Promise<string>} The base64-encoded image data.
+ * @param {string[]} platformNames - Selected SOCIAL_PLATFORMS names.
+ * @param {object} options - Request options
+ * @param {number} options.count - Number of candidates to generate.
+ * @param {number} options.concurrency - Max image requests in flight (defaults to config).
+ * @param {AbortSignal} options.signal - Cancels all pending requests.
+ * @returns {Promise<{seed: number, variants: object[]}[]>} Successful candidates in seed order.
  */
-export const generateImage = async (prompt) => {
-  const requestBody = {
-    contents: [{
-      parts: [{ text: prompt }],
-    }],
-  };
+export const generateCandidates = async (prompt, platformNames = [], { count = 1, concurrency, ...options } = {}) => {
+  const schedule = createConcurrencyLimiter(concurrency ?? getGeminiConfig().maxConcurrentRequests);
+  const seeds = Array.from({ length: Math.max(1, count) }, (_, index) => index);
 
-  const data = await makeGeminiRequest(imageModel, requestBody);
-  return data.candidates[0].content.parts[0].fileData.fileUri;
+  const results = await Promise.allSettled(seeds.map(async (seed) => ({
+    seed,
+    variants: await generateVariantSet(prompt, platformNames, { ...options, seed, schedule })
+  })));
+
+  const aborted = results.find((result) => result.status === 'rejected' && isAbortError(result.reason));
+  if (aborted) throw aborted.reason;
+
+  const candidates = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+  if (candidates.length === 0) {
+    throw results[0].reason;
+  }
+  return candidates;
 };
 
 /**
  * Generates alt text for an image.
  * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} options - Request options (mimeType, signal, timeoutMs).
  * @returns {Promise<string>} The generated alt text.
  */
-export const generateAltText = async (imageBase64) => {
-    const requestBody = {
-        contents: [
-            {
-                parts: [
-                    { text: "Describe this image for accessibility (alt text). Be concise and accurate." },
-                    {
-                        inline_data: {
-                            mime_type: "image/jpeg",
-                            data: imageBase64
-                        }
-                    }
-                ]
-            }
-        ]
-    };
+export const generateAltText = async (imageBase64, options = {}) => {
+  return getActiveProvider().generateAltText(imageBase64, options);
+};
+
+/**
+ * Generates a caption, hashtags and CTA per network for an image.
+ * Provider output is trimmed to each network's CAPTION_LIMITS.
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} context - Caption context (brandKit, mimeType, signal).
+ * @param {string[]} context.networks - Networks to caption (defaults to DEFAULT_CAPTION_NETWORKS).
+ * @returns {Promise<Object<string, {caption: string, hashtags: string[], cta: string}>>} Captions keyed by network.
+ */
+export const generateCaptions = async (imageBase64, { networks = DEFAULT_CAPTION_NETWORKS, ...context } = {}) => {
+  const captions = await getActiveProvider().generateCaptions(imageBase64, { ...context, networks });
+  return Object.fromEntries(networks.map((network) => [network, fitCaptionToLimits(captions[network], network)]));
+};
 
-    const data = await makeGeminiRequest(textModel, requestBody);
-    return data.candidates[0].content.parts[0].text.trim();
-};
\ No newline at end of file
+export { getActiveProvider, listProviders, registerProvider } from './providers/index.js';
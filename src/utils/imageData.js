@@ -0,0 +1,143 @@
+/**
+ * Image Data Utilities
+ *
+ * Helpers for converting between the image representations used in the app
+ * (data URLs returned by AI providers, base64 payloads sent to the API).
+ */
+
+/**
+ * Split a data URL into its MIME type and base64 payload.
+ * Non-data URLs are returned as-is in `base64Data` with no MIME type.
+ * @param {string} imageData - Data URL (or raw base64 / URI)
+ * @returns {{mimeType: string|undefined, base64Data: string}} Parsed parts
+ */
+export const parseDataUrl = (imageData) => {
+  const imageParts = imageData.split(',');
+  if (imageParts.length < 2) {
+    return { mimeType: undefined, base64Data: imageData };
+  }
+  return {
+    mimeType: imageParts[0].match(/^data:([^;]+)/)?.[1],
+    base64Data: imageParts[1]
+  };
+};
+
+/**
+ * Convert a base64 data URL to a Blob (for compact IndexedDB storage)
+ * @param {string} dataUrl - Data URL
+ * @returns {Blob} Binary image data
+ */
+export const dataUrlToBlob = (dataUrl) => {
+  const { mimeType, base64Data } = parseDataUrl(dataUrl);
+  const binary = atob(base64Data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType || 'application/octet-stream' });
+};
+
+/**
+ * Read a Blob back into a data URL
+ * @param {Blob} blob - Binary image data
+ * @returns {Promise<string>} Data URL
+ */
+export const blobToDataUrl = (blob) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error('Failed to read image data'));
+    reader.readAsDataURL(blob);
+  });
+};
+
+/**
+ * Split an image into the fields stored with a history record.
+ * Data URLs become a Blob; remote URIs are kept as a URL.
+ * @param {string} imageData - Data URL or URI
+ * @returns {{imageBlob?: Blob, mimeType?: string, imageUrl?: string}} Storage fields
+ */
+export const toStoredImage = (imageData) => {
+  if (imageData.startsWith('data:')) {
+    const imageBlob = dataUrlToBlob(imageData);
+    return { imageBlob, mimeType: imageBlob.type };
+  }
+  return { imageUrl: imageData };
+};
+
+/**
+ * Resolve a stored history record back to a displayable image URL
+ * @param {object} record - Image record from IndexedDB
+ * @returns {Promise<string|null>} Data URL / URI, or null if the record has no image
+ */
+export const fromStoredImage = async (record) => {
+  if (record.imageBlob) {
+    return blobToDataUrl(record.imageBlob);
+  }
+  // Records saved before blobs were stored kept the data URL inline
+  return record.imageUrl || record.image || null;
+};
+
+/**
+ * Read an uploaded file into the `{ mimeType, data }` shape sent to AI providers
+ * @param {File|Blob} file - Uploaded image
+ * @returns {Promise<{mimeType: string, data: string}>} Base64 payload
+ */
+export const fileToInlineImage = async (file) => {
+  const { mimeType, base64Data } = parseDataUrl(await blobToDataUrl(file));
+  return { mimeType: mimeType || file.type, data: base64Data };
+};
+
+/**
+ * Load an image element for drawing on a canvas
+ * @param {string} src - Data URL, blob URL or remote URL
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+export const loadImageElement = (src) => {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    // Remote images must allow CORS or the canvas becomes unreadable
+    if (/^https?:/.test(src)) {
+      image.crossOrigin = 'anonymous';
+    }
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error('Failed to load image'));
+    image.src = src;
+  });
+};
+
+/**
+ * Compute the source rectangle that crops an image to a ratio (the same framing
+ * as CSS `object-fit: cover`), centered on a focal point as far as the edges allow
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {number} targetRatio - Target width / height
+ * @param {{x: number, y: number}} focalPoint - Point to keep centered (fractions of the source; defaults to the center)
+ * @returns {{sx: number, sy: number, sWidth: number, sHeight: number}} Crop rectangle
+ */
+export const getCoverCrop = (width, height, targetRatio, focalPoint = { x: 0.5, y: 0.5 }) => {
+  const place = (size, cropSize, focus) => Math.min(size - cropSize, Math.max(0, focus * size - cropSize / 2));
+  if (width / height > targetRatio) {
+    const sWidth = height * targetRatio;
+    return { sx: place(width, sWidth, focalPoint.x), sy: 0, sWidth, sHeight: height };
+  }
+  const sHeight = width / targetRatio;
+  return { sx: 0, sy: place(height, sHeight, focalPoint.y), sWidth: width, sHeight };
+};
+
+/**
+ * Center-crop an image to a ratio on a canvas
+ * @param {string} src - Data URL, blob URL or CORS-enabled remote URL
+ * @param {number} targetRatio - Target width / height
+ * @returns {Promise<string>} Cropped image as a data URL (JPEG and WebP sources keep their format, others become PNG)
+ */
+export const cropImageToRatio = async (src, targetRatio) => {
+  const image = await loadImageElement(src);
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(image.naturalWidth, image.naturalHeight, targetRatio);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(sWidth);
+  canvas.height = Math.round(sHeight);
+  canvas.getContext('2d').drawImage(image, sx, sy, sWidth, sHeight, 0, 0, canvas.width, canvas.height);
+  const { mimeType } = parseDataUrl(src);
+  return canvas.toDataURL(['image/jpeg', 'image/webp'].includes(mimeType) ? mimeType : 'image/png');
+};
@@ -10,13 +10,16 @@ import { logError } from './errorHandling.js';
 
 // Database configuration
 const DB_NAME = 'VisualAIContentStudio';
-const DB_VERSION = 1;
+const DB_VERSION = 6;
 
 // Object store names
 export const STORES = {
   IMAGES: 'images',
   LAYOUTS: 'layouts',
-  PROJECTS: 'projects'
+  PROJECTS: 'projects',
+  SCHEDULED_POSTS: 'scheduledPosts',
+  OUTBOX: 'outbox',
+  BRAND_ASSETS: 'brandAssets'
 };
 
 // Global database instance
@@ -27,7 +30,8 @@ let dbInstance = null;
  * @returns {boolean} True if IndexedDB is supported
  */
 export const isIndexedDBAvailable = () => {
-  return 'indexedDB' in window && window.indexedDB !== null;
+  // globalThis, not window: the publish worker (a service worker) uses the same database
+  return 'indexedDB' in globalThis && globalThis.indexedDB !== null;
 };
 
 /**
@@ -68,6 +72,7 @@ const initDatabase = () => {
 
     request.onupgradeneeded = (event) => {
       const db = event.target.result;
+      const upgradeTransaction = event.target.transaction;
 
       // Create Images object store
       if (!db.objectStoreNames.contains(STORES.IMAGES)) {
@@ -100,6 +105,62 @@ const initDatabase = () => {
         projectStore.createIndex('createdAt', 'createdAt', { unique: false });
         projectStore.createIndex('updatedAt', 'updatedAt', { unique: false });
       }
+
+      // v2: link the per-ratio renders of one generation
+      if (event.oldVersion < 2) {
+        const imageStore = upgradeTransaction.objectStore(STORES.IMAGES);
+        if (!imageStore.indexNames.contains('variantSetId')) {
+          imageStore.createIndex('variantSetId', 'variantSetId', { unique: false });
+        }
+      }
+
+      // v3: index of history entries (primary renders only) so History can page with a cursor
+      if (event.oldVersion < 3) {
+        const imageStore = upgradeTransaction.objectStore(STORES.IMAGES);
+        if (!imageStore.indexNames.contains('historyAt')) {
+          imageStore.createIndex('historyAt', 'historyAt', { unique: false });
+        }
+        imageStore.openCursor().onsuccess = (cursorEvent) => {
+          const cursor = cursorEvent.target.result;
+          if (!cursor) return;
+          if (cursor.value.isPrimary !== false && !cursor.value.historyAt) {
+            cursor.update({ ...cursor.value, historyAt: cursor.value.createdAt });
+          }
+          cursor.continue();
+        };
+      }
+
+      // v4: publishing queue
+      if (event.oldVersion < 4 && !db.objectStoreNames.contains(STORES.SCHEDULED_POSTS)) {
+        const postStore = db.createObjectStore(STORES.SCHEDULED_POSTS, {
+          keyPath: 'id',
+          autoIncrement: false
+        });
+        postStore.createIndex('scheduledAt', 'scheduledAt', { unique: false });
+        postStore.createIndex('status', 'status', { unique: false });
+        postStore.createIndex('imageId', 'imageId', { unique: false });
+      }
+
+      // v5: bundles written by the local outbox publisher
+      if (event.oldVersion < 5 && !db.objectStoreNames.contains(STORES.OUTBOX)) {
+        const outboxStore = db.createObjectStore(STORES.OUTBOX, {
+          keyPath: 'id',
+          autoIncrement: false
+        });
+        outboxStore.createIndex('postId', 'postId', { unique: false });
+        outboxStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
+
+      // v6: logos, icons and product photos in each brand kit's asset library
+      if (event.oldVersion < 6 && !db.objectStoreNames.contains(STORES.BRAND_ASSETS)) {
+        const assetStore = db.createObjectStore(STORES.BRAND_ASSETS, {
+          keyPath: 'id',
+          autoIncrement: false
+        });
+        assetStore.createIndex('brandKitId', 'brandKitId', { unique: false });
+        assetStore.createIndex('kind', 'kind', { unique: false });
+        assetStore.createIndex('createdAt', 'createdAt', { unique: false });
+      }
     };
   });
 };
@@ -178,6 +239,45 @@ export const getItem = async (storeName, id) => {
   }
 };
 
+/**
+ * Change an item only if it still passes a check, read and written in one
+ * transaction so no other tab or runner can change it in between
+ * @param {string} storeName - Object store name
+ * @param {string} id - Item ID
+ * @param {Function} check - Called with the stored item; the update is skipped unless it returns true
+ * @param {object} changes - Fields to merge
+ * @returns {Promise<object|null>} The updated item, null if it is missing or failed the check
+ */
+export const updateItemIf = async (storeName, id, check, changes) => {
+  try {
+    const transaction = await getTransaction(storeName, 'readwrite');
+    const store = transaction.objectStore(storeName);
+    const request = store.get(id);
+
+    return new Promise((resolve, reject) => {
+      const fail = (error) => {
+        logError(error, `IndexedDB updateItemIf: ${storeName}/${id}`);
+        reject(error);
+      };
+      request.onsuccess = () => {
+        const item = request.result;
+        if (!item || !check(item)) {
+          resolve(null);
+          return;
+        }
+        const updated = { ...item, ...changes, updatedAt: new Date().toISOString() };
+        const put = store.put(updated);
+        put.onerror = () => fail(put.error);
+        transaction.oncomplete = () => resolve(updated);
+      };
+      request.onerror = () => fail(request.error);
+    });
+  } catch (error) {
+    logError(error, `IndexedDB updateItemIf: ${storeName}/${id}`);
+    throw error;
+  }
+};
+
 /**
  * Get all items from an object store with optional filtering
  * @param {string} storeName - Object store name
@@ -311,7 +411,7 @@ export const getDatabaseInfo = async () => {
  * Generate a unique ID for database entries
  * @returns {string} Unique identifier
  */
-const generateId = () => {
+export const generateId = () => {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 };
 
@@ -327,11 +427,14 @@ export const images = {
    * @returns {Promise<string>} Image ID
    */
   save: async (imageData) => {
+    const createdAt = imageData.createdAt || new Date().toISOString();
     const data = {
       ...imageData,
       id: imageData.id || generateId(),
       type: 'image',
-      createdAt: imageData.createdAt || new Date().toISOString()
+      createdAt,
+      // Only primary renders are indexed for History; the other ratios hang off their variant set
+      ...(imageData.isPrimary !== false && { historyAt: createdAt })
     };
     return await setItem(STORES.IMAGES, data);
   },
@@ -343,6 +446,12 @@ export const images = {
    */
   get: async (id) => await getItem(STORES.IMAGES, id),
 
+  /**
+   * Get every image (all renders of every generation), oldest first
+   * @returns {Promise<object[]>} Array of image objects
+   */
+  getAll: async () => await getAllItems(STORES.IMAGES, { orderBy: 'createdAt' }),
+
   /**
    * Get recent images with optional limit
    * @param {number} limit - Maximum number of images to return
@@ -368,6 +477,84 @@ export const images = {
     );
   },
 
+  /**
+   * Get one page of generations (primary renders only), newest first. Walks
+   * the `historyAt` index with a cursor: without a query it skips straight to
+   * the page, with one it reads each entry's metadata to match its prompts
+   * @param {object} options - Paging options
+   * @param {number} options.offset - Items to skip
+   * @param {number} options.limit - Page size
+   * @param {string} options.query - Optional text to match against prompts
+   * @returns {Promise<{items: object[], total: number}>} Page of images and total match count
+   */
+  getPage: async ({ offset = 0, limit = 12, query = '' } = {}) => {
+    const search = query.trim().toLowerCase();
+    const matches = (img) => [img.prompt, img.basePrompt, img.refinedPrompt]
+      .some(text => text && text.toLowerCase().includes(search));
+
+    try {
+      const transaction = await getTransaction(STORES.IMAGES, 'readonly');
+      const index = transaction.objectStore(STORES.IMAGES).index('historyAt');
+      const items = [];
+      let total = 0;
+
+      return new Promise((resolve, reject) => {
+        const fail = (error) => {
+          logError(error, 'IndexedDB images.getPage');
+          reject(error);
+        };
+
+        if (!search) {
+          const countRequest = index.count();
+          countRequest.onsuccess = () => {
+            total = countRequest.result;
+          };
+          countRequest.onerror = () => fail(countRequest.error);
+        }
+
+        let skipped = offset === 0;
+        const request = index.openCursor(null, 'prev');
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) return;
+
+          if (!search) {
+            if (!skipped) {
+              skipped = true;
+              cursor.advance(offset);
+              return;
+            }
+            items.push(cursor.value);
+            if (items.length < limit) cursor.continue();
+            return;
+          }
+
+          if (matches(cursor.value)) {
+            if (total >= offset && items.length < limit) items.push(cursor.value);
+            total++;
+          }
+          cursor.continue();
+        };
+        request.onerror = () => fail(request.error);
+        transaction.oncomplete = () => resolve({ items, total });
+      });
+    } catch (error) {
+      logError(error, 'IndexedDB images.getPage');
+      throw error;
+    }
+  },
+
+  /**
+   * Get all renders belonging to a variant set
+   * @param {string} variantSetId - Variant set ID
+   * @returns {Promise<object[]>} Variant images
+   */
+  getByVariantSet: async (variantSetId) => {
+    return await getAllItems(STORES.IMAGES, {
+      where: { variantSetId }
+    });
+  },
+
   /**
    * Delete an image
    * @param {string} id - Image ID
@@ -418,6 +605,19 @@ export const layouts = {
    */
   delete: async (id) => await deleteItem(STORES.LAYOUTS, id),
 
+  /**
+   * Delete every layout of an image
+   * @param {string} imageId - Image ID
+   * @returns {Promise<number>} Number of layouts deleted
+   */
+  deleteByImageId: async (imageId) => {
+    const imageLayouts = await layouts.getByImageId(imageId);
+    for (const layout of imageLayouts) {
+      await deleteItem(STORES.LAYOUTS, layout.id);
+    }
+    return imageLayouts.length;
+  },
+
   /**
    * Clear all layouts
    * @returns {Promise<boolean>} True if cleared
@@ -425,6 +625,179 @@ export const layouts = {
   clear: async () => await clearStore(STORES.LAYOUTS)
 };
 
+/**
+ * Scheduled post storage operations
+ */
+export const scheduledPosts = {
+  /**
+   * Save a scheduled post
+   * @param {object} postData - Post record
+   * @returns {Promise<string>} Post ID
+   */
+  save: async (postData) => {
+    const data = {
+      ...postData,
+      id: postData.id || generateId(),
+      type: 'scheduledPost'
+    };
+    return await setItem(STORES.SCHEDULED_POSTS, data);
+  },
+
+  /**
+   * Get a scheduled post by ID
+   * @param {string} id - Post ID
+   * @returns {Promise<object|null>} Post record
+   */
+  get: async (id) => await getItem(STORES.SCHEDULED_POSTS, id),
+
+  /**
+   * Change a post only if it still passes a check (see updateItemIf)
+   * @param {string} id - Post ID
+   * @param {Function} check - Called with the stored post
+   * @param {object} changes - Fields to merge
+   * @returns {Promise<object|null>} Updated post, null if it is gone or failed the check
+   */
+  updateIf: async (id, check, changes) => await updateItemIf(STORES.SCHEDULED_POSTS, id, check, changes),
+
+  /**
+   * Get every scheduled post, soonest first
+   * @returns {Promise<object[]>} Post records
+   */
+  getAll: async () => {
+    const items = await getAllItems(STORES.SCHEDULED_POSTS, { orderBy: 'scheduledAt' });
+    return items.sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt));
+  },
+
+  /**
+   * Get posts with a given status
+   * @param {string} status - Post status
+   * @returns {Promise<object[]>} Post records
+   */
+  getByStatus: async (status) => {
+    return await getAllItems(STORES.SCHEDULED_POSTS, {
+      where: { status }
+    });
+  },
+
+  /**
+   * Delete a scheduled post
+   * @param {string} id - Post ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  delete: async (id) => await deleteItem(STORES.SCHEDULED_POSTS, id),
+
+  /**
+   * Clear all scheduled posts
+   * @returns {Promise<boolean>} True if cleared
+   */
+  clear: async () => await clearStore(STORES.SCHEDULED_POSTS)
+};
+
+/**
+ * Outbox storage operations (post bundles from the local outbox publisher)
+ */
+export const outbox = {
+  /**
+   * Save an outbox entry
+   * @param {object} entryData - Outbox entry
+   * @returns {Promise<string>} Entry ID
+   */
+  save: async (entryData) => {
+    const data = {
+      ...entryData,
+      id: entryData.id || generateId(),
+      type: 'outboxEntry',
+      createdAt: entryData.createdAt || new Date().toISOString()
+    };
+    return await setItem(STORES.OUTBOX, data);
+  },
+
+  /**
+   * Get an outbox entry by ID
+   * @param {string} id - Entry ID
+   * @returns {Promise<object|null>} Outbox entry
+   */
+  get: async (id) => await getItem(STORES.OUTBOX, id),
+
+  /**
+   * Get every outbox entry, newest first
+   * @returns {Promise<object[]>} Outbox entries
+   */
+  getAll: async () => {
+    const items = await getAllItems(STORES.OUTBOX, { orderBy: 'createdAt' });
+    return items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  /**
+   * Delete an outbox entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  delete: async (id) => await deleteItem(STORES.OUTBOX, id),
+
+  /**
+   * Clear the outbox
+   * @returns {Promise<boolean>} True if cleared
+   */
+  clear: async () => await clearStore(STORES.OUTBOX)
+};
+
+/**
+ * Brand asset storage operations (logos, icons and product photos of a brand kit)
+ */
+export const brandAssets = {
+  /**
+   * Save a brand asset
+   * @param {object} assetData - Asset record
+   * @returns {Promise<string>} Asset ID
+   */
+  save: async (assetData) => {
+    const data = {
+      ...assetData,
+      id: assetData.id || generateId(),
+      type: 'brandAsset',
+      createdAt: assetData.createdAt || new Date().toISOString()
+    };
+    return await setItem(STORES.BRAND_ASSETS, data);
+  },
+
+  /**
+   * Get a brand asset by ID
+   * @param {string} id - Asset ID
+   * @returns {Promise<object|null>} Asset record
+   */
+  get: async (id) => await getItem(STORES.BRAND_ASSETS, id),
+
+  /**
+   * Get the assets of a brand kit, oldest first
+   * @param {string} brandKitId - Brand kit ID
+   * @returns {Promise<object[]>} Asset records
+   */
+  getByBrandKitId: async (brandKitId) => {
+    const items = await getAllItems(STORES.BRAND_ASSETS, { where: { brandKitId } });
+    return items.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  },
+
+  /**
+   * Get every brand asset
+   * @returns {Promise<object[]>} Asset records
+   */
+  getAll: async () => await getAllItems(STORES.BRAND_ASSETS),
+
+  /**
+   * Delete a brand asset
+   * @param {string} id - Asset ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  delete: async (id) => await deleteItem(STORES.BRAND_ASSETS, id),
+
+  /**
+   * Clear all brand assets
+   * @returns {Promise<boolean>} True if cleared
+   */
+  clear: async () => await clearStore(STORES.BRAND_ASSETS)
+};
+
 /**
  * Project storage operations (for future use)
  */
@@ -0,0 +1,276 @@
+/**
+ * Layout Engine
+ *
+ * Computes where the headline, CTA and logo should sit on each platform frame.
+ * Uses the active AI provider's vision model when it implements `suggestLayouts`,
+ * otherwise a local saliency heuristic that keeps text away from busy areas.
+ *
+ * Layout coordinates are fractions (0-1) of the platform frame:
+ *   {
+ *     headline: { x, y, width, align },  // top-left corner of the text box
+ *     cta: { x, y, width, align },
+ *     logo: { x, y, size },              // size is a fraction of the frame width
+ *     textColor, scrim                   // scrim: darken behind text for legibility
+ *   }
+ */
+
+import { getActiveProvider } from './providers/index.js';
+import { saveLayout, getLayoutsForImage } from './dataStorage.js';
+import { logError } from './errorHandling.js';
+import { isAbortError } from './fetchWithRetry.js';
+import { parseDataUrl, loadImageElement, getCoverCrop } from './imageData.js';
+import { SOCIAL_PLATFORMS, parseRatio } from '../constants/platforms.js';
+
+export const LAYOUT_SOURCES = {
+  VISION: 'vision',
+  HEURISTIC: 'heuristic',
+  DEFAULT: 'default'
+};
+
+// Used when the image cannot be analyzed (e.g. a cross-origin URL)
+export const DEFAULT_LAYOUT = {
+  headline: { x: 0.08, y: 0.06, width: 0.84, align: 'center' },
+  cta: { x: 0.2, y: 0.82, width: 0.6, align: 'center' },
+  logo: { x: 0.04, y: 0.04, size: 0.12 },
+  textColor: '#ffffff',
+  scrim: true
+};
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+const GRID_COLS = 3;
+const GRID_ROWS = 6;
+const SAMPLE_WIDTH = 48;
+const LOGO_SIZE = 0.12;
+const MARGIN = 0.05;
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, Number(value) || 0));
+
+/**
+ * Stable layout record ID so re-running the optimizer replaces old layouts
+ * @param {string} imageId - Image ID
+ * @param {string} platformName - Preset name
+ * @returns {string} Layout ID
+ */
+export const getLayoutId = (imageId, platformName) => `${imageId}:${platformName}`;
+
+/**
+ * Coerce a layout (e.g. from a model response) into the expected shape
+ * @param {object} layout - Raw layout
+ * @returns {object} Layout with clamped coordinates
+ */
+export const normalizeLayout = (layout = {}) => {
+  const box = (value = {}, fallback) => ({
+    x: clamp(value.x ?? fallback.x),
+    y: clamp(value.y ?? fallback.y),
+    width: clamp(value.width ?? fallback.width, 0.2, 1),
+    align: ALIGNMENTS.includes(value.align) ? value.align : fallback.align
+  });
+
+  return {
+    headline: box(layout.headline, DEFAULT_LAYOUT.headline),
+    cta: box(layout.cta, DEFAULT_LAYOUT.cta),
+    logo: {
+      x: clamp(layout.logo?.x ?? DEFAULT_LAYOUT.logo.x),
+      y: clamp(layout.logo?.y ?? DEFAULT_LAYOUT.logo.y),
+      size: clamp(layout.logo?.size ?? DEFAULT_LAYOUT.logo.size, 0.05, 0.3)
+    },
+    textColor: /^#[0-9a-f]{3,8}$/i.test(layout.textColor) ? layout.textColor : DEFAULT_LAYOUT.textColor,
+    scrim: Boolean(layout.scrim ?? DEFAULT_LAYOUT.scrim)
+  };
+};
+
+/**
+ * Measure visual busyness (edge energy) and brightness over a grid of the
+ * image as framed for a ratio
+ * @param {string} src - Image source
+ * @param {number} ratio - Frame width / height
+ * @param {{x: number, y: number}} focalPoint - Crop focal point (see utils/smartCrop.js)
+ * @returns {Promise<{energy: number[][], luminance: number[][]}>} Per-cell values (rows x cols, 0-1)
+ */
+export const analyzeSaliency = async (src, ratio, focalPoint) => {
+  const image = await loadImageElement(src);
+  const width = SAMPLE_WIDTH;
+  const height = Math.max(GRID_ROWS, Math.round(SAMPLE_WIDTH / ratio));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(image.naturalWidth || image.width, image.naturalHeight || image.height, ratio, focalPoint);
+  context.drawImage(image, sx, sy, sWidth, sHeight, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const lum = (px, py) => {
+    const i = (py * width + px) * 4;
+    return (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+  };
+
+  const energy = Array.from({ length: GRID_ROWS }, () => Array(GRID_COLS).fill(0));
+  const luminance = Array.from({ length: GRID_ROWS }, () => Array(GRID_COLS).fill(0));
+  const counts = Array.from({ length: GRID_ROWS }, () => Array(GRID_COLS).fill(0));
+
+  for (let py = 0; py < height - 1; py++) {
+    for (let px = 0; px < width - 1; px++) {
+      const row = Math.min(GRID_ROWS - 1, Math.floor((py / height) * GRID_ROWS));
+      const col = Math.min(GRID_COLS - 1, Math.floor((px / width) * GRID_COLS));
+      const value = lum(px, py);
+      energy[row][col] += Math.abs(value - lum(px + 1, py)) + Math.abs(value - lum(px, py + 1));
+      luminance[row][col] += value;
+      counts[row][col] += 1;
+    }
+  }
+
+  for (let row = 0; row < GRID_ROWS; row++) {
+    for (let col = 0; col < GRID_COLS; col++) {
+      const count = counts[row][col] || 1;
+      energy[row][col] /= count;
+      luminance[row][col] /= count;
+    }
+  }
+
+  return { energy, luminance };
+};
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / (values.length || 1);
+
+/**
+ * Place headline, CTA and logo in the calmest areas of the frame
+ * @param {{energy: number[][], luminance: number[][]}} saliency - Output of analyzeSaliency
+ * @returns {object} Layout
+ */
+export const computeHeuristicLayout = ({ energy, luminance }) => {
+  const bandRows = { top: [0, 1], bottom: [GRID_ROWS - 2, GRID_ROWS - 1] };
+  const bandEnergy = (band) => average(bandRows[band].flatMap((row) => energy[row]));
+  const headlineBand = bandEnergy('top') <= bandEnergy('bottom') ? 'top' : 'bottom';
+
+  // Logo goes in the calmest corner
+  const corners = [
+    { x: MARGIN, y: MARGIN, row: 0, col: 0, band: 'top' },
+    { x: 1 - MARGIN - LOGO_SIZE, y: MARGIN, row: 0, col: GRID_COLS - 1, band: 'top' },
+    { x: MARGIN, y: 1 - MARGIN - LOGO_SIZE, row: GRID_ROWS - 1, col: 0, band: 'bottom' },
+    { x: 1 - MARGIN - LOGO_SIZE, y: 1 - MARGIN - LOGO_SIZE, row: GRID_ROWS - 1, col: GRID_COLS - 1, band: 'bottom' }
+  ];
+  const logoCorner = corners.reduce((best, corner) => (
+    energy[corner.row][corner.col] < energy[best.row][best.col] ? corner : best
+  ));
+
+  // Align the headline to the calmest column of its band
+  const columnEnergy = Array.from({ length: GRID_COLS }, (_, col) => average(bandRows[headlineBand].map((row) => energy[row][col])));
+  const align = ALIGNMENTS[columnEnergy.indexOf(Math.min(...columnEnergy))];
+  const boxWidth = align === 'center' ? 0.84 : 0.62;
+  const boxX = align === 'left' ? MARGIN : align === 'right' ? 1 - MARGIN - boxWidth : (1 - boxWidth) / 2;
+
+  // Keep text clear of the logo when they share a band
+  const logoOffset = (band) => (logoCorner.band === band ? LOGO_SIZE + MARGIN / 2 : 0);
+  const headlineY = headlineBand === 'top' ? MARGIN + logoOffset('top') : 0.6 - logoOffset('bottom');
+  const ctaY = 0.82 - logoOffset('bottom');
+
+  const textRows = headlineBand === 'top' ? bandRows.top : bandRows.bottom;
+  const textLuminance = average(textRows.flatMap((row) => luminance[row]));
+  const busyness = average(textRows.flatMap((row) => energy[row]));
+  const overall = average(energy.flat());
+
+  return normalizeLayout({
+    headline: { x: boxX, y: headlineY, width: boxWidth, align },
+    cta: { x: align === 'center' ? 0.2 : boxX, y: ctaY, width: align === 'center' ? 0.6 : boxWidth, align },
+    logo: { x: logoCorner.x, y: logoCorner.y, size: LOGO_SIZE },
+    textColor: textLuminance > 0.6 ? '#111111' : '#ffffff',
+    scrim: busyness > overall
+  });
+};
+
+/**
+ * Heuristic layout for one platform, falling back to DEFAULT_LAYOUT if the image can't be read
+ * @param {string} image - Image source
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @param {{x: number, y: number}} focalPoint - Crop focal point
+ * @returns {Promise<{layout: object, source: string}>} Layout and how it was produced
+ */
+const heuristicLayoutFor = async (image, platform, focalPoint) => {
+  try {
+    const saliency = await analyzeSaliency(image, parseRatio(platform.ratio), focalPoint);
+    return { layout: computeHeuristicLayout(saliency), source: LAYOUT_SOURCES.HEURISTIC };
+  } catch (error) {
+    logError(error, 'Layout saliency analysis', { platform: platform.name });
+    return { layout: DEFAULT_LAYOUT, source: LAYOUT_SOURCES.DEFAULT };
+  }
+};
+
+/**
+ * Compute and save a layout for every platform preset
+ * @param {object} options - Options
+ * @param {string} options.imageId - History record ID the layouts belong to
+ * @param {string} options.generatedImage - Primary image
+ * @param {Object<string, string>} options.imageVariants - Native renders keyed by ratio
+ * @param {string} options.headline - Headline text stored with the layout
+ * @param {string} options.cta - CTA text stored with the layout
+ * @param {object[]} options.platforms - Presets to lay out (defaults to SOCIAL_PLATFORMS)
+ * @param {{x: number, y: number}} options.imageFocalPoint - Image focal point; saved platform overrides win
+ * @param {AbortSignal} options.signal - Cancels vision requests
+ * @returns {Promise<Object<string, object>>} Saved layout records keyed by preset name
+ */
+export const generateLayouts = async ({
+  imageId,
+  generatedImage,
+  imageVariants = {},
+  headline = '',
+  cta = '',
+  platforms = SOCIAL_PLATFORMS,
+  imageFocalPoint,
+  signal
+}) => {
+  const provider = getActiveProvider();
+  // Records may already hold a platform's focal point override; keep it
+  const existing = Object.fromEntries((await getLayoutsForImage(imageId)).map((record) => [record.platform, record]));
+  const focalPointFor = (platform) => existing[platform.name]?.focalPoint || imageFocalPoint;
+
+  // Presets sharing a source image are sent to the vision model together
+  const groups = new Map();
+  platforms.forEach((platform) => {
+    const image = imageVariants[platform.ratio] || generatedImage;
+    if (!groups.has(image)) groups.set(image, []);
+    groups.get(image).push(platform);
+  });
+
+  const results = {};
+  for (const [image, groupPlatforms] of groups) {
+    let suggestions = null;
+    if (typeof provider.suggestLayouts === 'function' && image.startsWith('data:')) {
+      try {
+        const { base64Data, mimeType } = parseDataUrl(image);
+        suggestions = await provider.suggestLayouts(base64Data, {
+          mimeType,
+          platforms: groupPlatforms.map((platform) => ({ name: platform.name, ratio: platform.ratio, focalPoint: focalPointFor(platform) })),
+          signal
+        });
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        logError(error, 'Vision layout suggestion', { provider: provider.id });
+      }
+    }
+
+    for (const platform of groupPlatforms) {
+      const { layout, source } = suggestions?.[platform.name]
+        ? { layout: normalizeLayout(suggestions[platform.name]), source: LAYOUT_SOURCES.VISION }
+        : await heuristicLayoutFor(image, platform, focalPointFor(platform));
+
+      const record = {
+        id: getLayoutId(imageId, platform.name),
+        imageId,
+        platform: platform.name,
+        ratio: platform.ratio,
+        ...layout,
+        headlineText: headline,
+        ctaText: cta,
+        source,
+        focalPoint: existing[platform.name]?.focalPoint || null
+      };
+      const saved = await saveLayout(record);
+      if (!saved) {
+        throw new Error(`Failed to save layout for ${platform.name}`);
+      }
+      results[platform.name] = record;
+    }
+  }
+
+  return results;
+};
@@ -14,7 +14,8 @@ export const STORAGE_KEYS = {
   USER_INFO: 'visualai_user_info', 
   CAMPAIGN_VARIABLE: 'visualai_campaign_variable',
   APP_PREFERENCES: 'visualai_app_preferences',
-  RECENT_PROMPTS: 'visualai_recent_prompts'
+  RECENT_PROMPTS: 'visualai_recent_prompts',
+  ENGAGEMENT_STATS: 'visualai_engagement_stats'
 };
 
 /**
@@ -210,7 +211,8 @@ export const appPreferences = {
     theme: 'light',
     autoSave: true,
     notifications: true,
-    defaultPlatforms: ['instagram', 'tiktok']
+    defaultPlatforms: ['instagram', 'tiktok'],
+    aiProvider: null // null = use the provider from getGeminiConfig()
   }),
   
   set: (preferences) => setStorageItem(STORAGE_KEYS.APP_PREFERENCES, preferences),
@@ -238,6 +240,21 @@ export const recentPrompts = {
   clear: () => removeStorageItem(STORAGE_KEYS.RECENT_PROMPTS)
 };
 
+/**
+ * Engagement statistics storage operations (aggregated from imported post metrics)
+ */
+export const engagementStats = {
+  get: () => getStorageItem(STORAGE_KEYS.ENGAGEMENT_STATS, {
+    timeZone: null,
+    networks: {},
+    importedAt: null
+  }),
+
+  set: (stats) => setStorageItem(STORAGE_KEYS.ENGAGEMENT_STATS, stats),
+
+  clear: () => removeStorageItem(STORAGE_KEYS.ENGAGEMENT_STATS)
+};
+
 /**
  * Export all user data for backup/migration
  * @returns {object} All user data in a single object
@@ -249,6 +266,7 @@ export const exportAllData = () => {
     campaignVariable: campaignVariable.get(),
     appPreferences: appPreferences.get(),
     recentPrompts: recentPrompts.get(),
+    engagementStats: engagementStats.get(),
     exportedAt: new Date().toISOString()
   };
 };
@@ -265,6 +283,7 @@ export const importAllData = (data) => {
     if (data.campaignVariable) campaignVariable.set(data.campaignVariable);
     if (data.appPreferences) appPreferences.set(data.appPreferences);
     if (data.recentPrompts) setStorageItem(STORAGE_KEYS.RECENT_PROMPTS, data.recentPrompts);
+    if (data.engagementStats) engagementStats.set(data.engagementStats);
     
     return true;
   } catch (error) {
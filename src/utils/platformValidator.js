@@ -0,0 +1,204 @@
+/**
+ * Platform Validator
+ *
+ * Checks a rendered asset against its target preset from SOCIAL_PLATFORMS:
+ * pixel size and aspect ratio, file size and format, whether the headline,
+ * CTA and logo stay clear of the platform's UI safe zones, and the caption
+ * rules of the preset's networks.
+ *
+ * Every check returns a list of issues:
+ *   { severity: 'error' | 'warning', code, message }
+ * Errors mean the platform will reject or visibly break the post and block
+ * scheduling; warnings are advisory (e.g. the image will be downscaled).
+ */
+
+import { parseRatio, getPlatformByName } from '../constants/platforms.js';
+import { getCaptionStats } from './captions.js';
+import { getElementBoxes } from './compositor.js';
+import { loadImageElement } from './imageData.js';
+
+export const ISSUE_SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Relative aspect ratio difference tolerated before a post counts as off-ratio
+const RATIO_TOLERANCE = 0.02;
+
+const issue = (severity, code, message) => ({ severity, code, message });
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.ceil(bytes / 1024)} KB`);
+
+const formatName = (mimeType = '') => mimeType.replace('image/', '').toUpperCase();
+
+/**
+ * Read the pixel size, byte size and format of an image
+ * @param {string} src - Data URL, blob URL or same-origin URL
+ * @returns {Promise<{width: number, height: number, fileSize: number|null, mimeType: string|null}>} Asset facts
+ */
+export const measureAsset = async (src) => {
+  const image = await loadImageElement(src);
+  let blob = null;
+  try {
+    const response = await fetch(src);
+    blob = await response.blob();
+  } catch (error) {
+    // Cross-origin images can be drawn but not read; size and format checks are skipped
+  }
+  return {
+    width: image.naturalWidth || image.width,
+    height: image.naturalHeight || image.height,
+    fileSize: blob ? blob.size : null,
+    mimeType: blob?.type || null
+  };
+};
+
+/**
+ * Check an asset's dimensions, file size and format
+ * @param {{width: number, height: number, fileSize: number|null, mimeType: string|null}} asset - Output of measureAsset
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {object[]} Issues
+ */
+export const validateAsset = (asset, platform) => {
+  const issues = [];
+  const { width, height, fileSize, mimeType } = asset;
+  const { minSize, maxSize, recommendedSize, maxFileSize, acceptedFormats } = platform;
+
+  if (mimeType && acceptedFormats && !acceptedFormats.includes(mimeType)) {
+    issues.push(issue(ISSUE_SEVERITY.ERROR, 'format',
+      `${formatName(mimeType)} is not accepted (use ${acceptedFormats.map(formatName).join(', ')}).`));
+  }
+
+  if (fileSize != null && maxFileSize && fileSize > maxFileSize) {
+    issues.push(issue(ISSUE_SEVERITY.ERROR, 'file-size',
+      `File is ${formatBytes(fileSize)}; the limit is ${formatBytes(maxFileSize)}.`));
+  }
+
+  if (minSize && (width < minSize.width || height < minSize.height)) {
+    issues.push(issue(ISSUE_SEVERITY.ERROR, 'too-small',
+      `${width}×${height} is below the minimum of ${minSize.width}×${minSize.height}.`));
+  } else if (recommendedSize && (width < recommendedSize.width || height < recommendedSize.height)) {
+    issues.push(issue(ISSUE_SEVERITY.WARNING, 'below-recommended',
+      `${width}×${height} is below the recommended ${recommendedSize.width}×${recommendedSize.height}.`));
+  }
+
+  if (maxSize && (width > maxSize.width || height > maxSize.height)) {
+    issues.push(issue(ISSUE_SEVERITY.WARNING, 'too-large',
+      `${width}×${height} exceeds ${maxSize.width}×${maxSize.height} and will be downscaled.`));
+  }
+
+  const expected = parseRatio(platform.ratio);
+  if (height > 0 && Math.abs(width / height - expected) / expected > RATIO_TOLERANCE) {
+    issues.push(issue(ISSUE_SEVERITY.WARNING, 'ratio',
+      `Aspect ratio differs from ${platform.ratio}; the platform will crop or letterbox it.`));
+  }
+
+  return issues;
+};
+
+const overlaps = (a, b) => a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+
+/**
+ * Find layout elements that fall under the platform's UI
+ * @param {object} options - getElementBoxes options ({ layout, headline, cta, logo })
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {{element: object, zone: object}[]} Overlapping element/safe-zone pairs
+ */
+export const findSafeZoneViolations = (options, platform) => {
+  const zones = platform.safeZones || [];
+  if (zones.length === 0) return [];
+  return getElementBoxes({ ...options, platform }).flatMap((element) => (
+    zones.filter((zone) => overlaps(element, zone)).map((zone) => ({ element, zone }))
+  ));
+};
+
+/**
+ * Check that text and logo stay out of the platform's safe zones
+ * @param {object} options - getElementBoxes options ({ layout, headline, cta, logo })
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {object[]} Issues
+ */
+export const validateLayout = (options, platform) => {
+  return findSafeZoneViolations(options, platform).map(({ element, zone }) => issue(
+    ISSUE_SEVERITY.WARNING,
+    'safe-zone',
+    `${element.name} overlaps the ${zone.name.toLowerCase()}.`
+  ));
+};
+
+/**
+ * Check captions against the rules of each network the preset posts to
+ * @param {Object<string, object>} captions - Captions keyed by network
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {object[]} Issues
+ */
+export const validateCaptions = (captions = {}, platform) => {
+  return platform.platforms.flatMap((network) => {
+    if (!captions[network]) return [];
+    const stats = getCaptionStats(captions[network], network);
+    const issues = [];
+    if (stats.length > stats.maxChars) {
+      issues.push(issue(ISSUE_SEVERITY.ERROR, 'caption-length',
+        `${network} caption is ${stats.length} characters; the limit is ${stats.maxChars}.`));
+    }
+    if (stats.hashtagCount > stats.maxHashtags) {
+      issues.push(issue(ISSUE_SEVERITY.ERROR, 'hashtags',
+        `${network} caption has ${stats.hashtagCount} hashtags; the limit is ${stats.maxHashtags}.`));
+    }
+    return issues;
+  });
+};
+
+/**
+ * Run every check that has input
+ * @param {object} target - What to check; omit a field to skip its checks
+ * @param {object} target.asset - Output of measureAsset
+ * @param {object} target.layout - Layout to check against safe zones
+ * @param {string} target.headline - Headline text
+ * @param {string} target.cta - CTA text
+ * @param {boolean|string} target.logo - Whether a logo is drawn
+ * @param {Object<string, object>} target.captions - Captions keyed by network
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @returns {{valid: boolean, issues: object[]}} Report; valid is false when any error was found
+ */
+export const validateCreative = ({ asset, layout, headline, cta, logo, captions }, platform) => {
+  const issues = [
+    ...(asset ? validateAsset(asset, platform) : []),
+    ...(layout ? validateLayout({ layout, headline, cta, logo }, platform) : []),
+    ...(captions ? validateCaptions(captions, platform) : [])
+  ];
+  return {
+    valid: !issues.some((entry) => entry.severity === ISSUE_SEVERITY.ERROR),
+    issues
+  };
+};
+
+/**
+ * Check a queued post before it is handed to a publisher: every preset is known
+ * and has a file, and the captions fit. Stored files are not measured again; the
+ * schedule form checked them when the post was queued.
+ * @param {object} post - Post record (see utils/scheduler.js)
+ * @returns {object[]} Issues
+ */
+export const validatePost = (post) => {
+  if (!post.platforms?.length) {
+    return [issue(ISSUE_SEVERITY.ERROR, 'no-platforms', 'The post has no target platforms.')];
+  }
+
+  const issues = post.platforms.flatMap((name) => {
+    const platform = getPlatformByName(name);
+    if (!platform) {
+      return [issue(ISSUE_SEVERITY.ERROR, 'unknown-platform', `${name} is not a supported platform.`)];
+    }
+    const asset = post.assets?.[name];
+    return [
+      ...(asset?.imageBlob || asset?.imageUrl ? [] : [issue(ISSUE_SEVERITY.ERROR, 'missing-asset', `${name} has no file to publish.`)]),
+      ...validateCaptions(post.captions, platform)
+    ];
+  });
+
+  // Presets share networks, so the same caption issue can come up more than once
+  return issues.filter((entry, index) => issues.findIndex((other) => other.message === entry.message) === index);
+};
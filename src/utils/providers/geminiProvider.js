@@ -0,0 +1,392 @@
+/**
+ * Gemini AI Provider
+ *
+ * Adapter that implements the AI provider interface on top of Google's
+ * Gemini `generateContent` REST endpoint.
+ */
+
+import { getGeminiConfig } from '../config.js';
+import { fetchWithRetry, createApiError, API_ERROR_CODES } from '../fetchWithRetry.js';
+import { parseRatio, CAPTION_LIMITS } from '../../constants/platforms.js';
+import { buildModePrompt } from '../../constants/imageModes.js';
+import { cropImageToRatio } from '../imageData.js';
+
+// Aspect ratios the Gemini image model can render natively
+const SUPPORTED_ASPECT_RATIOS = ['1:1', '2:3', '3:2', '3:4', '4:3', '4:5', '5:4', '9:16', '16:9', '21:9'];
+
+// Finish reasons that mean the model refused for policy reasons
+const SAFETY_FINISH_REASONS = ['SAFETY', 'IMAGE_SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
+/**
+ * Throws a structured error if Gemini blocked the prompt or response for safety reasons.
+ * @param {object} data - The API response data.
+ */
+const assertNotBlocked = (data) => {
+  const blockReason = data.promptFeedback?.blockReason;
+  const finishReason = data.candidates?.[0]?.finishReason;
+
+  if (blockReason || SAFETY_FINISH_REASONS.includes(finishReason)) {
+    throw createApiError(
+      `Gemini API Error: content blocked due to safety policies (${blockReason || finishReason})`,
+      { status: 400, code: API_ERROR_CODES.SAFETY_BLOCKED, data }
+    );
+  }
+};
+
+/**
+ * Map a requested ratio to the closest ratio Gemini can render natively.
+ * @param {string} ratio - Requested ratio (e.g. '1.91:1').
+ * @returns {string} Supported ratio (e.g. '16:9').
+ */
+const toSupportedAspectRatio = (ratio) => {
+  if (SUPPORTED_ASPECT_RATIOS.includes(ratio)) return ratio;
+  const target = parseRatio(ratio);
+  return SUPPORTED_ASPECT_RATIOS.reduce((closest, candidate) => (
+    Math.abs(parseRatio(candidate) - target) < Math.abs(parseRatio(closest) - target) ? candidate : closest
+  ));
+};
+
+/**
+ * Center-crop a render made at the closest supported ratio to the requested one
+ * (e.g. 16:9 to 1.91:1), so the variant really has the platform's ratio.
+ * File URIs that cannot be read cross-origin are returned uncropped; the
+ * platform validator then reports the ratio mismatch.
+ * @param {string} image - Data URL or file URI from the model
+ * @param {string} ratio - Requested ratio
+ * @returns {Promise<string>} Image at the requested ratio when it could be cropped
+ */
+const cropToRequestedRatio = async (image, ratio) => {
+  if (!ratio || toSupportedAspectRatio(ratio) === ratio) return image;
+  try {
+    return await cropImageToRatio(image, parseRatio(ratio));
+  } catch (error) {
+    if (image.startsWith('data:')) throw error;
+    return image;
+  }
+};
+
+/**
+ * Makes a request to the Gemini API.
+ * Configuration is read on every call so runtime changes take effect immediately.
+ * @param {string} model - The model to use (e.g., 'gemini-2.5-flash-preview-05-20').
+ * @param {object} body - The request body.
+ * @param {object} options - Request options
+ * @param {AbortSignal} options.signal - Cancels the request and pending retries
+ * @param {number} options.timeoutMs - Per-attempt timeout override
+ * @returns {Promise<object>} The API response data.
+ */
+export const makeGeminiRequest = async (model, body, { signal, timeoutMs } = {}) => {
+  const config = getGeminiConfig();
+
+  if (!config.apiKey) {
+    throw createApiError('Gemini API key is not configured. Please set REACT_APP_GEMINI_API_KEY.', {
+      code: API_ERROR_CODES.UNAUTHORIZED
+    });
+  }
+
+  const url = `${config.baseUrl}/models/${model}:generateContent?key=${config.apiKey}`;
+
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  }, {
+    ...config.retry,
+    timeoutMs: timeoutMs ?? config.timeoutMs,
+    signal,
+    errorPrefix: 'Gemini API Error'
+  });
+
+  const data = await response.json();
+  assertNotBlocked(data);
+  return data;
+};
+
+/**
+ * Extracts the first text part from a Gemini response.
+ * @param {object} data - The API response data.
+ * @returns {string} The trimmed text.
+ */
+export const getResponseText = (data) => {
+  const parts = data.candidates?.[0]?.content?.parts || [];
+  const textPart = parts.find(part => typeof part.text === 'string');
+  if (!textPart) {
+    throw new Error('Gemini API Error: response did not contain any text.');
+  }
+  return textPart.text.trim();
+};
+
+/**
+ * Refines a user prompt using brand guidelines.
+ * @param {string} basePrompt - The user's initial prompt.
+ * @param {object} brandKit - The user's brand kit settings.
+ * @param {object} options - Request options (signal, timeoutMs).
+ * @returns {Promise<string>} The refined, AI-enhanced prompt.
+ */
+const refinePrompt = async (basePrompt, brandKit, options = {}) => {
+  const { textModel } = getGeminiConfig();
+  const systemPrompt = `
+    You are an expert prompt engineer for an AI image generator.
+    Your task is to refine a user's base prompt using their brand kit to create a detailed, effective image generation prompt.
+
+    **Brand Kit:**
+    - Colors: ${brandKit.colors.join(', ') || 'Not specified'}
+    - Typography Mood: ${brandKit.typography || 'Not specified'}
+    - Style Keywords: ${brandKit.styleKeywords || 'Not specified'}
+    - Campaign Context: ${brandKit.campaignVariable || 'Not specified'}
+
+    **Instructions:**
+    1. Analyze the user's base prompt: "${basePrompt}".
+    2. Weave in the brand kit elements naturally. The final image should reflect the brand's mood and style.
+    3. Enhance the prompt with vivid details, considering composition, lighting, and subject matter.
+    4. The output must be ONLY the refined prompt text, ready for the image model. Do not include any other explanatory text.
+  `;
+
+  const requestBody = {
+    contents: [{
+      parts: [{ text: systemPrompt }],
+    }],
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, options);
+  return getResponseText(data);
+};
+
+/**
+ * Generates an image using the Gemini image model.
+ * @param {string} prompt - The detailed prompt for image generation.
+ * @param {object} options - Request options
+ * @param {string} options.aspectRatio - Target ratio; rendered at the closest supported ratio, then center-cropped to it.
+ * @param {number} options.seed - Optional seed so parallel candidates differ.
+ * @param {{mimeType: string, data: string}[]} options.referenceImages - Base64 images sent as inline_data parts.
+ * @param {string} options.mode - How references are used ('edit', 'variation', 'style-transfer').
+ * @param {AbortSignal} options.signal - Cancels the request.
+ * @returns {Promise<string>} The image as a data URL (or file URI when returned by reference).
+ */
+const generateImage = async (prompt, { aspectRatio, seed, referenceImages = [], mode = 'generate', ...options } = {}) => {
+  const { imageModel } = getGeminiConfig();
+  const references = mode === 'generate' ? [] : referenceImages;
+  const requestBody = {
+    contents: [{
+      parts: [
+        { text: references.length > 0 ? buildModePrompt(prompt, mode) : prompt },
+        ...references.map(({ mimeType, data }) => ({
+          inline_data: { mime_type: mimeType, data }
+        }))
+      ],
+    }],
+  };
+
+  if (aspectRatio || seed !== undefined) {
+    requestBody.generationConfig = {
+      responseModalities: ['IMAGE'],
+      ...(aspectRatio && { imageConfig: { aspectRatio: toSupportedAspectRatio(aspectRatio) } }),
+      ...(seed !== undefined && { seed })
+    };
+  }
+
+  const data = await makeGeminiRequest(imageModel, requestBody, options);
+  const parts = data.candidates?.[0]?.content?.parts || [];
+
+  const inlinePart = parts.find(part => part.inlineData || part.inline_data);
+  if (inlinePart) {
+    const inline = inlinePart.inlineData || inlinePart.inline_data;
+    return cropToRequestedRatio(`data:${inline.mimeType || inline.mime_type || 'image/png'};base64,${inline.data}`, aspectRatio);
+  }
+
+  const filePart = parts.find(part => part.fileData);
+  if (filePart) {
+    return cropToRequestedRatio(filePart.fileData.fileUri, aspectRatio);
+  }
+
+  throw new Error('Gemini API Error: response did not contain an image.');
+};
+
+/**
+ * Generates alt text for an image.
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} options - Request options
+ * @param {string} options.mimeType - The image MIME type.
+ * @param {AbortSignal} options.signal - Cancels the request.
+ * @returns {Promise<string>} The generated alt text.
+ */
+const generateAltText = async (imageBase64, { mimeType = 'image/jpeg', ...options } = {}) => {
+  const { textModel } = getGeminiConfig();
+  const requestBody = {
+    contents: [
+      {
+        parts: [
+          { text: 'Describe this image for accessibility (alt text). Be concise and accurate.' },
+          {
+            inline_data: {
+              mime_type: mimeType,
+              data: imageBase64
+            }
+          }
+        ]
+      }
+    ]
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, options);
+  return getResponseText(data);
+};
+
+/**
+ * Generates social media captions for an image, one per network.
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} context - Caption context
+ * @param {object} context.brandKit - The user's brand kit settings (incl. campaignVariable)
+ * @param {string[]} context.networks - Networks to write for (keys of CAPTION_LIMITS)
+ * @param {string} context.mimeType - The image MIME type
+ * @param {AbortSignal} context.signal - Cancels the request
+ * @returns {Promise<Object<string, {caption: string, hashtags: string[], cta: string}>>} Captions keyed by network
+ */
+const generateCaptions = async (imageBase64, { brandKit = {}, networks = [], mimeType = 'image/jpeg', ...options } = {}) => {
+  const { textModel } = getGeminiConfig();
+  const networkRules = networks.map((network) => {
+    const limits = CAPTION_LIMITS[network];
+    return limits
+      ? `- ${network}: at most ${limits.maxChars} characters in total (caption, CTA and hashtags), at most ${limits.maxHashtags} hashtags`
+      : `- ${network}`;
+  }).join('\n');
+
+  const instructions = `
+    Write a social media caption for this image for each of the networks below,
+    matching each network's tone and length rules.
+    Brand style keywords: ${brandKit.styleKeywords || 'Not specified'}.
+    Typography mood: ${brandKit.typography || 'Not specified'}.
+    Campaign context: ${brandKit.campaignVariable || 'Not specified'}.
+
+    Networks:
+    ${networkRules}
+
+    Respond with JSON only, shaped as {"<network>": {"caption": string, "hashtags": string[], "cta": string}}
+    using the network names exactly as listed.
+  `;
+
+  const requestBody = {
+    contents: [{
+      parts: [
+        { text: instructions },
+        { inline_data: { mime_type: mimeType, data: imageBase64 } }
+      ]
+    }],
+    generationConfig: { responseMimeType: 'application/json' }
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, options);
+  const parsed = JSON.parse(getResponseText(data));
+  return Object.fromEntries(networks.map((network) => {
+    const entry = parsed[network] || {};
+    return [network, {
+      caption: entry.caption || '',
+      hashtags: Array.isArray(entry.hashtags) ? entry.hashtags : [],
+      cta: entry.cta || ''
+    }];
+  }));
+};
+
+/**
+ * Suggests headline, CTA and logo placement for each platform frame.
+ * Optional provider method used by the layout engine (utils/layoutEngine.js).
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} context - Layout context
+ * @param {{name: string, ratio: string, focalPoint: object}[]} context.platforms - Frames to lay out (cropped to ratio around the focal point, centered when missing)
+ * @param {string} context.mimeType - The image MIME type
+ * @param {AbortSignal} context.signal - Cancels the request
+ * @returns {Promise<Object<string, object>>} Raw layouts keyed by platform name
+ */
+const suggestLayouts = async (imageBase64, { platforms = [], mimeType = 'image/jpeg', ...options } = {}) => {
+  const { textModel } = getGeminiConfig();
+  const instructions = `
+    You are a social media art director. For each frame below, the image is cropped to the given aspect ratio,
+    keeping the listed focal point (fractions of the full image) as close to the center as possible.
+    Place a headline, a call-to-action button and a small logo so they do not cover the main subject or busy areas.
+
+    Frames:
+    ${platforms.map(({ name, ratio, focalPoint = { x: 0.5, y: 0.5 } }) => `- ${name} (${ratio}, focal point x=${focalPoint.x.toFixed(2)}, y=${focalPoint.y.toFixed(2)})`).join('\n')}
+
+    Use coordinates as fractions (0-1) of the cropped frame, measured from the top-left corner.
+    Respond with JSON only, shaped as
+    {"<frame name>": {
+      "headline": {"x": number, "y": number, "width": number, "align": "left" | "center" | "right"},
+      "cta": {"x": number, "y": number, "width": number, "align": "left" | "center" | "right"},
+      "logo": {"x": number, "y": number, "size": number},
+      "textColor": "#rrggbb",
+      "scrim": boolean
+    }}
+    using the frame names exactly as listed. "scrim" means a dark gradient is needed behind the text for legibility.
+  `;
+
+  const requestBody = {
+    contents: [{
+      parts: [
+        { text: instructions },
+        { inline_data: { mime_type: mimeType, data: imageBase64 } }
+      ]
+    }],
+    generationConfig: { responseMimeType: 'application/json' }
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, options);
+  return JSON.parse(getResponseText(data));
+};
+
+/**
+ * Finds the main subject of an image, which crops keep in frame.
+ * Optional provider method used by smart crop (utils/smartCrop.js).
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} context - Detection context
+ * @param {string} context.mimeType - The image MIME type
+ * @param {AbortSignal} context.signal - Cancels the request
+ * @returns {Promise<{x: number, y: number}>} Subject center as fractions of the image
+ */
+const detectFocalPoint = async (imageBase64, { mimeType = 'image/jpeg', ...options } = {}) => {
+  const { textModel } = getGeminiConfig();
+  const instructions = `
+    Find the main subject of this image: the area that must stay visible when the image is cropped
+    to narrow or wide formats (faces and eyes first, then products, then the most prominent object).
+    Respond with JSON only, shaped as {"x": number, "y": number}: the center of the subject as fractions (0-1)
+    of the image width and height, measured from the top-left corner.
+  `;
+
+  const requestBody = {
+    contents: [{
+      parts: [
+        { text: instructions },
+        { inline_data: { mime_type: mimeType, data: imageBase64 } }
+      ]
+    }],
+    generationConfig: { responseMimeType: 'application/json' }
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, options);
+  return JSON.parse(getResponseText(data));
+};
+
+/**
+ * Describe the models used by this provider (recorded with each generation).
+ * @returns {{textModel: string, imageModel: string}} Model names.
+ */
+const getModelInfo = () => {
+  const { textModel, imageModel } = getGeminiConfig();
+  return { textModel, imageModel };
+};
+
+export const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  requiresNetwork: true,
+  getModelInfo,
+  refinePrompt,
+  generateImage,
+  generateAltText,
+  generateCaptions,
+  suggestLayouts,
+  detectFocalPoint
+};
+
+export default geminiProvider;
@@ -0,0 +1,88 @@
+/**
+ * AI Provider Registry
+ *
+ * Every provider implements the same interface:
+ *   - id, name, requiresNetwork
+ *   - getModelInfo() => {textModel, imageModel}
+ *   - refinePrompt(basePrompt, brandKit, options) => Promise<string>
+ *   - generateImage(prompt, options) => Promise<string>  (data URL or URI; honors options.aspectRatio,
+ *     options.referenceImages [{mimeType, data}] and options.mode from constants/imageModes.js)
+ *   - generateAltText(imageBase64, options) => Promise<string>
+ *   - generateCaptions(imageBase64, context) => Promise<{[network]: {caption, hashtags, cta}}>  (one entry per context.networks)
+ *
+ * Optional methods (callers fall back to local behavior when missing):
+ *   - suggestLayouts(imageBase64, context) => Promise<{[platformName]: layout}>  (see utils/layoutEngine.js)
+ *   - detectFocalPoint(imageBase64, context) => Promise<{x, y}>  (see utils/smartCrop.js)
+ *
+ * `options`/`context` may carry an AbortSignal as `signal`; providers must
+ * reject with an AbortError (see fetchWithRetry.isAbortError) when it fires.
+ *
+ * The active provider is resolved at call time: the `aiProvider` app preference
+ * wins, otherwise `getGeminiConfig().provider` is used.
+ */
+
+import { getGeminiConfig } from '../config.js';
+import { appPreferences } from '../localStorage.js';
+import { geminiProvider } from './geminiProvider.js';
+import { mockProvider } from './mockProvider.js';
+
+const REQUIRED_METHODS = ['getModelInfo', 'refinePrompt', 'generateImage', 'generateAltText', 'generateCaptions'];
+
+const providers = new Map();
+
+/**
+ * Register an AI provider
+ * @param {object} provider - Provider implementing the interface above
+ */
+export const registerProvider = (provider) => {
+  if (!provider || !provider.id) {
+    throw new Error('AI provider must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`AI provider "${provider.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.id, provider);
+};
+
+/**
+ * Get a registered provider by ID
+ * @param {string} id - Provider ID
+ * @returns {object|null} The provider or null if not registered
+ */
+export const getProvider = (id) => providers.get(id) || null;
+
+/**
+ * List all registered providers
+ * @returns {{id: string, name: string, requiresNetwork: boolean}[]} Provider summaries
+ */
+export const listProviders = () => Array.from(providers.values()).map(({ id, name, requiresNetwork }) => ({
+  id,
+  name,
+  requiresNetwork
+}));
+
+/**
+ * Resolve which provider ID should be used right now
+ * @returns {string} Provider ID
+ */
+export const resolveProviderId = () => {
+  const preferred = appPreferences.get()?.aiProvider;
+  if (preferred && providers.has(preferred)) {
+    return preferred;
+  }
+
+  const configured = getGeminiConfig().provider;
+  return providers.has(configured) ? configured : mockProvider.id;
+};
+
+/**
+ * Get the provider that should handle AI requests
+ * @returns {object} The active provider
+ */
+export const getActiveProvider = () => providers.get(resolveProviderId());
+
+registerProvider(geminiProvider);
+registerProvider(mockProvider);
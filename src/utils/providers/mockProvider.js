@@ -0,0 +1,176 @@
+/**
+ * Mock AI Provider
+ *
+ * Local, deterministic implementation of the AI provider interface.
+ * Produces the same output for the same input without any network access,
+ * so Studio flows can be developed and tested offline.
+ */
+
+import { sleep } from '../fetchWithRetry.js';
+import { parseRatio } from '../../constants/platforms.js';
+
+// Simulated latency so loading states (and cancellation) remain visible during development
+const MOCK_LATENCY_MS = 400;
+
+/**
+ * Deterministic 32-bit string hash (FNV-1a)
+ * @param {string} value - Input string
+ * @returns {number} Unsigned hash
+ */
+const hashString = (value = '') => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Picks a stable HSL color from a hash
+ * @param {number} hash - Hash value
+ * @param {number} offset - Hue offset in degrees
+ * @returns {string} CSS color
+ */
+const colorFromHash = (hash, offset = 0) => `hsl(${(hash + offset) % 360}, 65%, 55%)`;
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const delay = (signal) => sleep(MOCK_LATENCY_MS, signal);
+
+/**
+ * Encodes a UTF-8 string as base64 (btoa only handles Latin-1)
+ * @param {string} text - Text to encode
+ * @returns {string} Base64 string
+ */
+const toBase64 = (text) => btoa(unescape(encodeURIComponent(text)));
+
+/**
+ * Builds a placeholder SVG image that is unique per prompt
+ * @param {string} prompt - Prompt text
+ * @param {string} aspectRatio - Target ratio (e.g. '9:16')
+ * @param {number} seed - Optional seed; different seeds give different images
+ * @param {{mimeType: string, data: string}} reference - Optional reference image drawn into the scene
+ * @returns {string} SVG markup
+ */
+const buildPlaceholderSvg = (prompt, aspectRatio = '1:1', seed, reference) => {
+  const hash = hashString(seed === undefined ? prompt : `${prompt}#${seed}`);
+  const ratio = parseRatio(aspectRatio);
+  const width = ratio >= 1 ? 1024 : Math.round(1024 * ratio);
+  const height = ratio >= 1 ? Math.round(1024 / ratio) : 1024;
+  const radius = Math.round(Math.min(width, height) * 0.15);
+  const label = escapeXml(prompt.length > 60 ? `${prompt.slice(0, 57)}...` : prompt);
+  const referenceSize = Math.round(Math.min(width, height) * 0.5);
+  const referenceImage = reference
+    ? `<image href="data:${reference.mimeType};base64,${reference.data}" x="${Math.round((width - referenceSize) / 2)}" y="${Math.round((height - referenceSize) / 2)}" width="${referenceSize}" height="${referenceSize}" preserveAspectRatio="xMidYMid meet"/>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${colorFromHash(hash)}"/>
+      <stop offset="100%" stop-color="${colorFromHash(hash, 140)}"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <circle cx="${Math.round(width * (0.3 + (hash % 40) / 100))}" cy="${Math.round(height * (0.3 + ((hash >> 8) % 40) / 100))}" r="${radius}" fill="${colorFromHash(hash, 250)}" opacity="0.6"/>
+  ${referenceImage}
+  <text x="50%" y="92%" text-anchor="middle" font-family="sans-serif" font-size="32" fill="#ffffff">${label}</text>
+</svg>`;
+};
+
+/**
+ * Refines a user prompt using brand guidelines.
+ * @param {string} basePrompt - The user's initial prompt.
+ * @param {object} brandKit - The user's brand kit settings.
+ * @param {object} options - Request options (signal).
+ * @returns {Promise<string>} The refined prompt.
+ */
+const refinePrompt = async (basePrompt, brandKit = {}, { signal } = {}) => {
+  await delay(signal);
+  const colors = (brandKit.colors || []).filter(Boolean);
+  const details = [
+    colors.length > 0 ? `color palette of ${colors.join(', ')}` : null,
+    brandKit.typography ? `${brandKit.typography} mood` : null,
+    brandKit.styleKeywords ? `${brandKit.styleKeywords} style` : null,
+    brandKit.campaignVariable ? `for the "${brandKit.campaignVariable}" campaign` : null
+  ].filter(Boolean);
+
+  return details.length > 0
+    ? `${basePrompt.trim()}, ${details.join(', ')}, balanced composition, soft studio lighting`
+    : `${basePrompt.trim()}, balanced composition, soft studio lighting`;
+};
+
+/**
+ * Generates a placeholder image for a prompt.
+ * In edit/variation modes the first reference image is composited into the scene;
+ * style transfer only varies the background.
+ * @param {string} prompt - The prompt for image generation.
+ * @param {object} options - Request options (aspectRatio, seed, referenceImages, mode, signal).
+ * @returns {Promise<string>} SVG image as a data URL.
+ */
+const generateImage = async (prompt, { aspectRatio, seed, referenceImages = [], mode = 'generate', signal } = {}) => {
+  await delay(signal);
+  const reference = ['edit', 'variation'].includes(mode) ? referenceImages[0] : undefined;
+  const seedKey = mode === 'generate' || referenceImages.length === 0
+    ? seed
+    : `${seed ?? 0}:${mode}:${referenceImages.map(({ data }) => hashString(data)).join(',')}`;
+  const svg = buildPlaceholderSvg(prompt, aspectRatio, seedKey, reference);
+  return `data:image/svg+xml;base64,${toBase64(svg)}`;
+};
+
+/**
+ * Generates alt text for an image.
+ * @param {string} imageBase64 - The base64-encoded image data.
+ * @param {object} options - Request options (mimeType, signal).
+ * @returns {Promise<string>} The generated alt text.
+ */
+const generateAltText = async (imageBase64, { signal } = {}) => {
+  await delay(signal);
+  const hash = hashString(imageBase64 || '');
+  return `Abstract gradient artwork with a soft circular highlight (mock #${hash.toString(16).slice(0, 6)}).`;
+};
+
+/**
+ * Generates social media captions for an image, one per network.
+ * Short-form networks get a shorter caption so limits can be exercised offline.
+ * @param {string} _imageBase64 - The base64-encoded image data (unused).
+ * @param {object} context - Caption context (brandKit, networks, signal)
+ * @returns {Promise<Object<string, {caption: string, hashtags: string[], cta: string}>>} Captions keyed by network
+ */
+const generateCaptions = async (_imageBase64, { brandKit = {}, networks = [], signal } = {}) => {
+  await delay(signal);
+  const keywords = String(brandKit.styleKeywords || '')
+    .split(',')
+    .map(keyword => keyword.trim())
+    .filter(Boolean);
+  const campaign = brandKit.campaignVariable || 'our latest drop';
+  const hashtags = keywords.map(keyword => `#${keyword.replace(/\s+/g, '')}`);
+  const shortForm = ['X/Twitter', 'Snapchat', 'Reddit'];
+
+  return Object.fromEntries(networks.map((network) => [network, shortForm.includes(network)
+    ? { caption: `Fresh visuals for ${campaign}.`, hashtags, cta: 'Tap to see more' }
+    : {
+      caption: `Fresh visuals for ${campaign}.${keywords.length > 0 ? ` ${keywords.join(', ')} vibes only.` : ''} Made for ${network}.`,
+      hashtags: [...hashtags, `#${network.replace(/[^a-z0-9]/gi, '')}`],
+      cta: 'Learn more at the link in bio'
+    }
+  ]));
+};
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Local Mock (offline)',
+  requiresNetwork: false,
+  getModelInfo: () => ({ textModel: 'mock-text', imageModel: 'mock-image' }),
+  refinePrompt,
+  generateImage,
+  generateAltText,
+  generateCaptions
+};
+
+export default mockProvider;
@@ -0,0 +1,157 @@
+/**
+ * Publisher Registry
+ *
+ * A publisher delivers a queued post (see utils/scheduler.js) to a platform.
+ * Every publisher implements the same interface:
+ *   - id, name, requiresNetwork
+ *   - authenticate(options) => Promise<{account}>  (rejects with status 401 when credentials are missing or refused)
+ *   - validate(post, options) => Promise<issue[]>  (issues as from platformValidator; any error blocks publishing)
+ *   - uploadMedia(media, options) => Promise<{mediaId}>
+ *     where media is { platform, fileName, mimeType, blob } or { platform, fileName, url }
+ *   - createPost(request, options) => Promise<{remoteId, status, url?}>
+ *     where request is { post, media: {[platformName]: mediaId} }
+ *   - fetchStatus(remoteId, options) => Promise<{status, url?, error?}>
+ *
+ * `status` is POST_STATUS.PUBLISHING while the platform is still processing the
+ * post, then POST_STATUS.PUBLISHED or POST_STATUS.FAILED. `options` may carry an
+ * AbortSignal as `signal`; publishers must reject with an AbortError (see
+ * fetchWithRetry.isAbortError) when it fires.
+ *
+ * The active publisher is resolved at call time: the `publisher` app preference
+ * wins, otherwise `getPublishingConfig().publisher` is used.
+ */
+
+import { getPublishingConfig } from '../config.js';
+import { appPreferences } from '../localStorage.js';
+import { ISSUE_SEVERITY } from '../platformValidator.js';
+import { localOutboxPublisher } from './localOutboxPublisher.js';
+import { mockHttpPublisher } from './mockHttpPublisher.js';
+
+const REQUIRED_METHODS = ['authenticate', 'validate', 'uploadMedia', 'createPost', 'fetchStatus'];
+
+const publishers = new Map();
+
+/**
+ * Register a publisher
+ * @param {object} publisher - Publisher implementing the interface above
+ */
+export const registerPublisher = (publisher) => {
+  if (!publisher || !publisher.id) {
+    throw new Error('Publisher must have an id');
+  }
+
+  const missing = REQUIRED_METHODS.filter(method => typeof publisher[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Publisher "${publisher.id}" is missing: ${missing.join(', ')}`);
+  }
+
+  publishers.set(publisher.id, publisher);
+};
+
+/**
+ * Get a registered publisher by ID
+ * @param {string} id - Publisher ID
+ * @returns {object|null} The publisher or null if not registered
+ */
+export const getPublisher = (id) => publishers.get(id) || null;
+
+/**
+ * List all registered publishers
+ * @returns {{id: string, name: string, requiresNetwork: boolean}[]} Publisher summaries
+ */
+export const listPublishers = () => Array.from(publishers.values()).map(({ id, name, requiresNetwork }) => ({
+  id,
+  name,
+  requiresNetwork
+}));
+
+/**
+ * Resolve which publisher ID should be used right now
+ * @returns {string} Publisher ID
+ */
+export const resolvePublisherId = () => {
+  const preferred = appPreferences.get()?.publisher;
+  if (preferred && publishers.has(preferred)) {
+    return preferred;
+  }
+
+  const configured = getPublishingConfig().publisher;
+  return publishers.has(configured) ? configured : localOutboxPublisher.id;
+};
+
+/**
+ * File extension for a MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string} Extension without the dot
+ */
+const extensionFor = (mimeType = '') => ({ 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' }[mimeType] || mimeType.split('/')[1] || 'bin');
+
+/**
+ * Turn a post's stored asset into the media object publishers upload
+ * @param {object} post - Post record
+ * @param {string} platformName - Preset name
+ * @returns {object} Media ({ platform, fileName, mimeType, blob } or { platform, fileName, url })
+ */
+const toMedia = (post, platformName) => {
+  const stored = post.assets[platformName];
+  const baseName = `${post.id}-${platformName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+  if (stored.imageBlob) {
+    const mimeType = stored.mimeType || stored.imageBlob.type;
+    return { platform: platformName, fileName: `${baseName}.${extensionFor(mimeType)}`, mimeType, blob: stored.imageBlob };
+  }
+  return { platform: platformName, fileName: baseName, url: stored.imageUrl };
+};
+
+/**
+ * Run a post through a publisher: authenticate, validate, upload each
+ * platform's file, then create the post
+ * @param {object} post - Post record
+ * @param {object} options - Options
+ * @param {string} options.publisherId - Publisher to use (defaults to the active one)
+ * @param {AbortSignal} options.signal - Cancels the run
+ * @returns {Promise<{publisherId: string, account: string, remoteId: string, status: string, url: string|null}>} Publication details
+ */
+export const publishPost = async (post, { publisherId = resolvePublisherId(), signal } = {}) => {
+  const publisher = getPublisher(publisherId);
+  if (!publisher) {
+    throw new Error(`Publisher "${publisherId}" is not registered`);
+  }
+
+  const { account } = await publisher.authenticate({ signal });
+
+  const errors = (await publisher.validate(post, { signal }))
+    .filter((entry) => entry.severity === ISSUE_SEVERITY.ERROR);
+  if (errors.length > 0) {
+    const error = new Error(`${publisher.name} rejected the post: ${errors.map((entry) => entry.message).join(' ')}`);
+    error.status = 422;
+    error.issues = errors;
+    throw error;
+  }
+
+  const media = {};
+  for (const platformName of post.platforms) {
+    const { mediaId } = await publisher.uploadMedia(toMedia(post, platformName), { signal });
+    media[platformName] = mediaId;
+  }
+
+  const { remoteId, status, url = null } = await publisher.createPost({ post, media }, { signal });
+  return { publisherId, account, remoteId, status, url };
+};
+
+/**
+ * Ask a publisher for the current state of a post it created
+ * @param {{publisherId: string, remoteId: string}} publication - Details returned by publishPost
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{status: string, url?: string, error?: string}>} Remote status
+ */
+export const fetchPublicationStatus = async ({ publisherId, remoteId }, { signal } = {}) => {
+  const publisher = getPublisher(publisherId);
+  if (!publisher) {
+    throw new Error(`Publisher "${publisherId}" is not registered`);
+  }
+  return publisher.fetchStatus(remoteId, { signal });
+};
+
+registerPublisher(localOutboxPublisher);
+registerPublisher(mockHttpPublisher);
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { registerPublisher, publishPost, fetchPublicationStatus } from './index.js';
+import { createMockHttpPublisher, createMockPublishingServer } from './mockHttpPublisher.js';
+
+const post = (fields = {}) => ({
+  id: 'post-1',
+  platforms: ['Instagram Post'],
+  assets: { 'Instagram Post': { imageUrl: 'https://cdn.example.com/a.png' } },
+  captions: { Instagram: { caption: 'Spring is here', hashtags: ['#spring'], cta: '' } },
+  altText: '',
+  ...fields
+});
+
+let registered = 0;
+
+/**
+ * Register a mock HTTP publisher bound to its own instant fake server
+ * @param {object} options - Server options (failures, processingMs)
+ * @returns {string} Publisher ID
+ */
+const useMockServer = (options = {}) => {
+  const id = `mock-http-test-${++registered}`;
+  registerPublisher({
+    ...createMockHttpPublisher({ fetch: createMockPublishingServer({ latencyMs: 0, ...options }) }),
+    id
+  });
+  return id;
+};
+
+describe('publishPost', () => {
+  it('authenticates, uploads and creates the post, which the server then publishes', async () => {
+    const publisherId = useMockServer({ processingMs: 0 });
+    const publication = await publishPost(post(), { publisherId });
+    expect(publication).toMatchObject({ publisherId, account: '@mock-brand', status: 'publishing', url: null });
+    expect(publication.remoteId).toMatch(/^post_/);
+
+    const remote = await fetchPublicationStatus(publication);
+    expect(remote).toEqual({ status: 'published', url: `https://publisher.mock/p/${publication.remoteId}` });
+  });
+
+  it('keeps a post processing until the server is done with it', async () => {
+    const publication = await publishPost(post(), { publisherId: useMockServer({ processingMs: 60000 }) });
+    expect(await fetchPublicationStatus(publication)).toEqual({ status: 'publishing', url: null });
+  });
+
+  it.each([
+    ['refused credentials', { token: 401 }, 401],
+    ['a rejected post', { posts: 422 }, 422],
+    ['an unavailable server', { media: 503 }, 503]
+  ])('rejects with the status of %s', async (_label, failures, status) => {
+    const publisherId = useMockServer({ failures });
+    await expect(publishPost(post(), { publisherId })).rejects.toMatchObject({ status });
+  });
+
+  it('rejects a post that fails validation with 422 before uploading anything', async () => {
+    const publisherId = useMockServer({ failures: { media: 503 } });
+    await expect(publishPost(post({ assets: {} }), { publisherId })).rejects.toMatchObject({
+      status: 422,
+      message: 'Mock HTTP API (testing) rejected the post: Instagram Post has no file to publish.'
+    });
+  });
+
+  it('rejects an unknown publisher', async () => {
+    await expect(publishPost(post(), { publisherId: 'nope' })).rejects.toThrow('Publisher "nope" is not registered');
+  });
+
+  it('answers 404 for a post the server does not know', async () => {
+    const publisherId = useMockServer();
+    await expect(fetchPublicationStatus({ publisherId, remoteId: 'post_missing' })).rejects.toMatchObject({ status: 404 });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Local Outbox Publisher
+ *
+ * First-party publisher that never leaves the browser: each published post is
+ * written to the IndexedDB outbox as a bundle (files, captions, alt text,
+ * targets and time) that can be downloaded as JSON and posted by hand or by
+ * another tool. Lets the Schedule → Publish path run end to end offline.
+ *
+ * Outbox entry:
+ *   { id, postId, platforms, altText, captions, scheduledAt, timeZone,
+ *     media: { [platformName]: { fileName, mimeType, blob } | { fileName, url } }, createdAt }
+ */
+
+import { POST_STATUS } from '../scheduler.js';
+import { validatePost } from '../platformValidator.js';
+import { saveOutboxEntry, loadOutboxEntry } from '../dataStorage.js';
+import { blobToDataUrl } from '../imageData.js';
+import { downloadBlob } from '../blobManager.js';
+import { createApiError, API_ERROR_CODES } from '../fetchWithRetry.js';
+
+// Uploaded files wait here until createPost writes them into a bundle
+const stagedMedia = new Map();
+
+let mediaCounter = 0;
+
+const throwIfAborted = (signal) => {
+  if (signal?.aborted) {
+    throw createApiError('Request cancelled', { code: API_ERROR_CODES.ABORTED });
+  }
+};
+
+const authenticate = async () => ({ account: 'local' });
+
+const validate = async (post) => validatePost(post);
+
+const uploadMedia = async (media, { signal } = {}) => {
+  throwIfAborted(signal);
+  const { platform, ...file } = media;
+  const mediaId = `media-${Date.now()}-${++mediaCounter}`;
+  stagedMedia.set(mediaId, { platform, file });
+  return { mediaId };
+};
+
+const createPost = async ({ post, media }, { signal } = {}) => {
+  throwIfAborted(signal);
+  const files = Object.fromEntries(Object.entries(media).map(([platformName, mediaId]) => {
+    const staged = stagedMedia.get(mediaId);
+    if (!staged) {
+      throw new Error(`Outbox media ${mediaId} was not uploaded`);
+    }
+    return [platformName, staged.file];
+  }));
+
+  const id = await saveOutboxEntry({
+    postId: post.id,
+    platforms: post.platforms,
+    altText: post.altText || '',
+    captions: post.captions || {},
+    scheduledAt: post.scheduledAt,
+    timeZone: post.timeZone,
+    media: files
+  });
+  Object.values(media).forEach((mediaId) => stagedMedia.delete(mediaId));
+
+  if (!id) {
+    throw new Error('Failed to write the post to the outbox');
+  }
+  return { remoteId: id, status: POST_STATUS.PUBLISHED, url: null };
+};
+
+const fetchStatus = async (remoteId) => {
+  const entry = await loadOutboxEntry(remoteId);
+  return entry
+    ? { status: POST_STATUS.PUBLISHED }
+    : { status: POST_STATUS.FAILED, error: 'The outbox entry was deleted.' };
+};
+
+/**
+ * Download an outbox entry as a JSON bundle with the files inlined as data URLs
+ * @param {string} entryId - Outbox entry ID (the publication's remoteId)
+ * @returns {Promise<boolean>} False if the entry no longer exists
+ */
+export const downloadOutboxBundle = async (entryId) => {
+  const entry = await loadOutboxEntry(entryId);
+  if (!entry) return false;
+
+  const media = Object.fromEntries(await Promise.all(Object.entries(entry.media).map(async ([platformName, file]) => [
+    platformName,
+    file.blob ? { fileName: file.fileName, mimeType: file.mimeType, dataUrl: await blobToDataUrl(file.blob) } : file
+  ])));
+  const bundle = { ...entry, media };
+  downloadBlob(new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }), `outbox-${entry.postId}.json`);
+  return true;
+};
+
+export const localOutboxPublisher = {
+  id: 'local-outbox',
+  name: 'Local outbox',
+  requiresNetwork: false,
+  authenticate,
+  validate,
+  uploadMedia,
+  createPost,
+  fetchStatus
+};
+
+export default localOutboxPublisher;
@@ -0,0 +1,187 @@
+/**
+ * Mock HTTP Publisher
+ *
+ * Publisher that talks to a REST API the way a real network adapter would
+ * (token auth, multipart media upload, asynchronous post processing, status
+ * polling), backed by an in-memory fake server instead of the network. Use it
+ * to exercise the publish path, including failures, without any account.
+ * The fake server keeps its state in memory, so it forgets posts on reload.
+ *
+ * Fake API:
+ *   POST /oauth/token  => { access_token, account }
+ *   POST /media        => 201 { id }                 (multipart `file`, or JSON { url })
+ *   POST /posts        => 202 { id, status: 'processing' }
+ *   GET  /posts/:id    => { id, status: 'processing' | 'published', url }
+ */
+
+import { POST_STATUS } from '../scheduler.js';
+import { validatePost } from '../platformValidator.js';
+import { sleep, createApiError } from '../fetchWithRetry.js';
+
+const BASE_URL = 'https://publisher.mock';
+
+// Remote status names mapped to post statuses
+const REMOTE_STATUSES = {
+  processing: POST_STATUS.PUBLISHING,
+  published: POST_STATUS.PUBLISHED,
+  failed: POST_STATUS.FAILED
+};
+
+const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: { 'Content-Type': 'application/json' }
+});
+
+const errorResponse = (status, message) => jsonResponse(status, { error: { message } });
+
+/**
+ * Create an in-memory server with a `fetch`-compatible signature
+ * @param {object} options - Server behavior
+ * @param {number} options.latencyMs - Delay before every response
+ * @param {number} options.processingMs - Time a post stays 'processing' after it is created
+ * @param {Object<string, number>} options.failures - HTTP status to answer with per route ('token', 'media', 'posts', 'status')
+ * @returns {Function} fetch(url, init) => Promise<Response>
+ */
+export const createMockPublishingServer = ({ latencyMs = 200, processingMs = 2000, failures = {} } = {}) => {
+  const tokens = new Set();
+  const media = new Map();
+  const posts = new Map();
+  let counter = 0;
+  const nextId = (prefix) => `${prefix}_${Date.now().toString(36)}${(++counter).toString(36)}`;
+
+  return async (url, { method = 'GET', headers = {}, body, signal } = {}) => {
+    await sleep(latencyMs, signal);
+    const path = new URL(url).pathname;
+    const route = path === '/oauth/token' ? 'token'
+      : path === '/media' ? 'media'
+        : path === '/posts' ? 'posts'
+          : path.startsWith('/posts/') ? 'status'
+            : null;
+
+    if (!route) return errorResponse(404, `No route for ${method} ${path}`);
+    if (failures[route]) return errorResponse(failures[route], `Simulated ${route} failure`);
+
+    if (route === 'token') {
+      const token = nextId('tok');
+      tokens.add(token);
+      return jsonResponse(200, { access_token: token, account: '@mock-brand' });
+    }
+
+    if (!tokens.has(String(headers.Authorization).replace('Bearer ', ''))) {
+      return errorResponse(401, 'Missing or expired access token');
+    }
+
+    if (route === 'media') {
+      const file = body instanceof FormData ? body.get('file') : JSON.parse(body).url;
+      if (!file) return errorResponse(400, 'No file in upload');
+      const id = nextId('med');
+      media.set(id, file);
+      return jsonResponse(201, { id });
+    }
+
+    if (route === 'posts') {
+      const request = JSON.parse(body);
+      const unknown = request.media_ids.filter((id) => !media.has(id));
+      if (unknown.length > 0) return errorResponse(400, `Unknown media: ${unknown.join(', ')}`);
+      const id = nextId('post');
+      posts.set(id, { id, createdAt: Date.now() });
+      return jsonResponse(202, { id, status: 'processing' });
+    }
+
+    const post = posts.get(path.slice('/posts/'.length));
+    if (!post) return errorResponse(404, 'Post not found');
+    const done = Date.now() - post.createdAt >= processingMs;
+    return jsonResponse(200, {
+      id: post.id,
+      status: done ? 'published' : 'processing',
+      url: done ? `${BASE_URL}/p/${post.id}` : null
+    });
+  };
+};
+
+/**
+ * Create a publisher bound to a mock server
+ * @param {object} options - Options
+ * @param {Function} options.fetch - Server to talk to (defaults to a new createMockPublishingServer())
+ * @returns {object} Publisher
+ */
+export const createMockHttpPublisher = ({ fetch: fetchImpl = createMockPublishingServer() } = {}) => {
+  let accessToken = null;
+
+  const request = async (path, { method = 'GET', json, formData, signal } = {}) => {
+    const headers = accessToken ? { Authorization: `Bearer ${accessToken}` } : {};
+    if (json) headers['Content-Type'] = 'application/json';
+    const response = await fetchImpl(`${BASE_URL}${path}`, {
+      method,
+      headers,
+      body: formData || (json ? JSON.stringify(json) : undefined),
+      signal
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+      if (response.status === 401) accessToken = null;
+      throw createApiError(`Mock publisher: ${data?.error?.message || `Request failed with status ${response.status}`}`, {
+        status: response.status,
+        data
+      });
+    }
+    return data;
+  };
+
+  const authenticate = async ({ signal } = {}) => {
+    const { access_token: token, account } = await request('/oauth/token', {
+      method: 'POST',
+      json: { grant_type: 'client_credentials' },
+      signal
+    });
+    accessToken = token;
+    return { account };
+  };
+
+  const validate = async (post) => validatePost(post);
+
+  const uploadMedia = async ({ fileName, blob, url }, { signal } = {}) => {
+    let formData;
+    if (blob) {
+      formData = new FormData();
+      formData.append('file', blob, fileName);
+    }
+    const { id } = await request('/media', { method: 'POST', formData, json: blob ? undefined : { url }, signal });
+    return { mediaId: id };
+  };
+
+  const createPost = async ({ post, media }, { signal } = {}) => {
+    const { id, status } = await request('/posts', {
+      method: 'POST',
+      json: {
+        media_ids: Object.values(media),
+        platforms: post.platforms,
+        captions: post.captions || {},
+        alt_text: post.altText || ''
+      },
+      signal
+    });
+    return { remoteId: id, status: REMOTE_STATUSES[status] || POST_STATUS.PUBLISHING };
+  };
+
+  const fetchStatus = async (remoteId, { signal } = {}) => {
+    if (!accessToken) await authenticate({ signal });
+    const { status, url } = await request(`/posts/${remoteId}`, { signal });
+    return { status: REMOTE_STATUSES[status] || POST_STATUS.PUBLISHING, url };
+  };
+
+  return {
+    id: 'mock-http',
+    name: 'Mock HTTP API (testing)',
+    requiresNetwork: false,
+    authenticate,
+    validate,
+    uploadMedia,
+    createPost,
+    fetchStatus
+  };
+};
+
+export const mockHttpPublisher = createMockHttpPublisher();
+
+export default mockHttpPublisher;
@@ -0,0 +1,429 @@
+/**
+ * Publishing
+ *
+ * Hands queued posts to a publisher (see utils/publishers) and keeps their
+ * status in the queue in step: scheduled → publishing → published, or failed.
+ * A publisher may accept a post and finish it later; such posts stay
+ * `publishing` until refreshPublicationStatus sees the final state.
+ *
+ * The publish runner checks the queue on an interval while the app is open and
+ * publishes every post whose time has come. The publish worker (a service
+ * worker, see src/publishWorker.js) runs the same queue while every tab is
+ * closed, when the browser fires Periodic Background Sync. Each try is
+ * recorded on the post:
+ *   attempts: [{ at, status, error }]   // oldest first
+ *   lastError                           // message of the latest failed try, null after a success
+ *   nextAttemptAt                       // ISO time of the next automatic retry
+ * Failed tries are retried with exponential backoff until MAX_PUBLISH_ATTEMPTS;
+ * after that, or when the publisher rejects the post outright, it is failed.
+ * Only one tab or worker runs the queue at a time, and every publish, manual
+ * or by the runner, first claims the post by moving it to `publishing` in a
+ * single IndexedDB transaction, so a post is never handed to a publisher twice.
+ *
+ * The runner also drives post series (see utils/series.js): it renders fresh
+ * images for occurrences as soon as they are queued, fails occurrences that
+ * were not approved in time, and queues the next occurrence once a series post
+ * is published or failed.
+ */
+
+import { loadScheduledPost, claimScheduledPost } from './dataStorage.js';
+import { POST_STATUS, REVIEW_STATUS, isPostEditable, getReviewStatus, recordPostStatus, listScheduledPosts } from './scheduler.js';
+import { publishPost, fetchPublicationStatus, resolvePublisherId } from './publishers/index.js';
+import {
+  queueNextOccurrence,
+  needsRegeneration,
+  regenerateOccurrence,
+  recordRegenerationFailure,
+  isOccurrenceMissed,
+  skipMissedOccurrence
+} from './series.js';
+import { isAbortError, computeBackoffDelay } from './fetchWithRetry.js';
+import { logError } from './errorHandling.js';
+
+export const MAX_PUBLISH_ATTEMPTS = 5;
+
+// Backoff between automatic retries: up to 1, 2, 4, 8 minutes (with jitter), capped at 30
+export const PUBLISH_RETRY_OPTIONS = {
+  baseDelayMs: 60 * 1000,
+  maxDelayMs: 30 * 60 * 1000
+};
+
+const RUNNER_INTERVAL_MS = 30 * 1000;
+
+// A publish still unfinished after this long was interrupted (e.g. the tab closed mid-upload)
+const STALE_PUBLISH_MS = 10 * 60 * 1000;
+
+// Status checks answered with 404 in a row before a processing post counts as lost
+const MAX_STATUS_MISSES = 3;
+
+const RUNNER_LOCK = 'visual-ai-publish-runner';
+
+// Built to the site root so the worker's scope covers the whole app (see vite.config.js)
+const PUBLISH_WORKER_URL = '/publish-worker.js';
+
+export const PUBLISH_WORKER_SYNC_TAG = 'visual-ai-publish-queue';
+
+// Periodic Background Sync never fires more often than the browser allows; this is the floor asked for
+const PUBLISH_WORKER_MIN_INTERVAL_MS = 15 * 60 * 1000;
+
+const listeners = new Set();
+
+/**
+ * Be told when the runner changes posts
+ * @param {Function} listener - Called with the run summary
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToPublishRunner = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Whether a failure is worth retrying: the publisher did not reject the post
+ * itself and did not refuse our credentials
+ * @param {Error} error - Publish error
+ * @returns {boolean} True if a later try may succeed
+ */
+const isRetryable = (error) => ![401, 403, 409, 422].includes(error.status);
+
+/**
+ * Record a try on the post
+ * @param {object} post - Post record
+ * @param {string} status - Status after the try
+ * @param {object} fields - Other fields to merge
+ * @param {Error} error - Failure, if the try failed
+ * @returns {Promise<object>} Saved post
+ */
+const recordAttempt = (post, status, fields, error = null) => {
+  const attempt = { at: new Date().toISOString(), status, error: error ? error.message : null };
+  return recordPostStatus(post, status, {
+    ...fields,
+    attempts: [...(post.attempts || []), attempt],
+    lastError: attempt.error,
+    nextAttemptAt: fields.nextAttemptAt ?? null
+  });
+};
+
+/**
+ * Publish a queued post now
+ * @param {string} postId - Post ID
+ * @param {object} options - Options
+ * @param {string} options.publisherId - Publisher to use (defaults to the active one)
+ * @param {boolean} options.retry - Schedule an automatic retry if the try fails (used by the runner)
+ * @param {AbortSignal} options.signal - Cancels the run; the post keeps its previous status
+ * @returns {Promise<object>} Saved post
+ */
+export const publishScheduledPost = async (postId, { publisherId, retry = false, signal } = {}) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) {
+    throw new Error('Scheduled post not found');
+  }
+  if (!isPostEditable(post)) {
+    const error = new Error(`A ${post.status} post cannot be published again`);
+    error.status = 409;
+    throw error;
+  }
+  if (getReviewStatus(post) !== REVIEW_STATUS.APPROVED) {
+    const error = new Error('Only approved posts can be published');
+    error.status = 409;
+    throw error;
+  }
+
+  // Another tab or the runner may have picked the post up since it was loaded
+  const claimed = await claimScheduledPost(postId, (current) => current.status === post.status
+    && getReviewStatus(current) === REVIEW_STATUS.APPROVED, {
+    status: POST_STATUS.PUBLISHING,
+    publishingStartedAt: new Date().toISOString()
+  });
+  if (!claimed) {
+    const error = new Error('This post is already being published');
+    error.status = 409;
+    throw error;
+  }
+
+  try {
+    const { status, ...publication } = await publishPost(claimed, { publisherId, signal });
+    return await recordAttempt(claimed, status, {
+      publication: {
+        ...publication,
+        status,
+        publishedAt: status === POST_STATUS.PUBLISHED ? new Date().toISOString() : null
+      }
+    });
+  } catch (error) {
+    if (isAbortError(error)) {
+      await recordPostStatus(claimed, post.status);
+      throw error;
+    }
+    const attempts = (claimed.attempts?.length || 0) + 1;
+    if (retry && isRetryable(error) && attempts < MAX_PUBLISH_ATTEMPTS) {
+      const delayMs = computeBackoffDelay(attempts - 1, PUBLISH_RETRY_OPTIONS, error.retryAfterMs ?? null);
+      await recordAttempt(claimed, POST_STATUS.SCHEDULED, {
+        nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+      }, error);
+    } else {
+      await recordAttempt(claimed, POST_STATUS.FAILED, {}, error);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Ask the publisher whether a post that is still processing has gone out
+ * @param {string} postId - Post ID
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<object>} Saved post (unchanged if it was never handed to a publisher; failed once the publisher has answered 404 MAX_STATUS_MISSES times in a row)
+ */
+export const refreshPublicationStatus = async (postId, { signal } = {}) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) {
+    throw new Error('Scheduled post not found');
+  }
+  if (!post.publication) return post;
+
+  let remote;
+  try {
+    remote = await fetchPublicationStatus(post.publication, { signal });
+  } catch (error) {
+    if (error.status !== 404) throw error;
+    // The publisher lost the post (the mock server forgets everything on reload); give up after a few checks
+    const statusMisses = (post.publication.statusMisses || 0) + 1;
+    if (statusMisses < MAX_STATUS_MISSES) {
+      await recordPostStatus(post, post.status, { publication: { ...post.publication, statusMisses } });
+      throw error;
+    }
+    return recordPostStatus(post, POST_STATUS.FAILED, {
+      lastError: `${error.message}. The publisher no longer knows this post; publish it again.`,
+      publication: { ...post.publication, status: POST_STATUS.FAILED, statusMisses }
+    });
+  }
+
+  const { status, url, error } = remote;
+  if (status === post.status) {
+    return post.publication.statusMisses
+      ? recordPostStatus(post, status, { publication: { ...post.publication, statusMisses: 0 } })
+      : post;
+  }
+  return recordPostStatus(post, status, {
+    lastError: error || (status === POST_STATUS.FAILED ? 'The publisher could not publish this post.' : post.lastError ?? null),
+    publication: {
+      ...post.publication,
+      statusMisses: 0,
+      status,
+      url: url || post.publication.url,
+      publishedAt: status === POST_STATUS.PUBLISHED ? new Date().toISOString() : post.publication.publishedAt
+    }
+  });
+};
+
+/**
+ * Whether the runner should publish a post now
+ * @param {object} post - Post record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if scheduled, due and not waiting for a retry
+ */
+export const isPostDue = (post, now = Date.now()) => {
+  return post.status === POST_STATUS.SCHEDULED
+    && Boolean(post.scheduledAt)
+    && new Date(post.scheduledAt).getTime() <= now
+    && (!post.nextAttemptAt || new Date(post.nextAttemptAt).getTime() <= now);
+};
+
+/**
+ * Publish every due post, follow up on posts still processing and keep series going
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the run
+ * @param {string} options.publisherId - Publisher to use (defaults to the active one)
+ * @param {boolean} options.regenerate - Render series images; the publish worker has no canvas and leaves them to the app
+ * @returns {Promise<{published: number, retrying: number, failed: number, checked: number, regenerated: number, missed: number, continued: number}>} What changed
+ */
+export const runDuePosts = async ({ signal, publisherId, regenerate = true } = {}) => {
+  const summary = { published: 0, retrying: 0, failed: 0, checked: 0, regenerated: 0, missed: 0, continued: 0 };
+  const now = Date.now();
+  const posts = await listScheduledPosts();
+
+  for (const post of posts) {
+    if (signal?.aborted) break;
+
+    if (post.status === POST_STATUS.PUBLISHED || post.status === POST_STATUS.FAILED) {
+      try {
+        if (await queueNextOccurrence(post, now)) summary.continued++;
+      } catch (error) {
+        logError(error, 'Publish runner series', { postId: post.id, seriesId: post.seriesId });
+      }
+      continue;
+    }
+
+    if (isOccurrenceMissed(post, now)) {
+      try {
+        await skipMissedOccurrence(post);
+        summary.missed++;
+      } catch (error) {
+        logError(error, 'Publish runner series', { postId: post.id, seriesId: post.seriesId });
+      }
+      continue;
+    }
+
+    if (regenerate && needsRegeneration(post, now)) {
+      try {
+        await regenerateOccurrence(post, { signal });
+        summary.regenerated++;
+        // The new image waits in the review queue; it is not published until approved
+        continue;
+      } catch (error) {
+        if (isAbortError(error)) break;
+        logError(error, 'Publish runner regeneration', { postId: post.id, seriesId: post.seriesId });
+        await recordRegenerationFailure(post.id, error);
+        summary.regenerated++;
+      }
+    }
+
+    if (post.status === POST_STATUS.PUBLISHING) {
+      if (post.publication) {
+        try {
+          const saved = await refreshPublicationStatus(post.id, { signal });
+          if (saved.status !== post.status) summary.checked++;
+        } catch (error) {
+          if (!isAbortError(error)) logError(error, 'Publish runner status check', { postId: post.id });
+        }
+      } else if (now - new Date(post.publishingStartedAt).getTime() > STALE_PUBLISH_MS) {
+        const attempts = (post.attempts?.length || 0) + 1;
+        const error = new Error('Publishing was interrupted');
+        if (attempts < MAX_PUBLISH_ATTEMPTS) {
+          const delayMs = computeBackoffDelay(attempts - 1, PUBLISH_RETRY_OPTIONS);
+          await recordAttempt(post, POST_STATUS.SCHEDULED, {
+            nextAttemptAt: new Date(now + delayMs).toISOString()
+          }, error);
+          summary.retrying++;
+        } else {
+          await recordAttempt(post, POST_STATUS.FAILED, {}, error);
+          summary.failed++;
+        }
+      }
+      continue;
+    }
+
+    if (!isPostDue(post, now)) continue;
+
+    try {
+      const saved = await publishScheduledPost(post.id, { publisherId, retry: true, signal });
+      summary[saved.status === POST_STATUS.PUBLISHED ? 'published' : 'checked']++;
+    } catch (error) {
+      if (isAbortError(error)) break;
+      logError(error, 'Publish runner', { postId: post.id, status: error.status });
+      const saved = await loadScheduledPost(post.id);
+      summary[saved?.status === POST_STATUS.FAILED ? 'failed' : 'retrying']++;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Run the queue once, unless another tab or the publish worker is already running it
+ * @param {object} options - Options for runDuePosts
+ * @returns {Promise<object|null>} Run summary, null if the queue was busy
+ */
+export const runDuePostsExclusively = async (options = {}) => {
+  const locks = globalThis.navigator?.locks;
+  if (!locks) return runDuePosts(options);
+  return locks.request(RUNNER_LOCK, { ifAvailable: true }, (lock) => (lock ? runDuePosts(options) : null));
+};
+
+/**
+ * Tell the listeners what a run changed
+ * @param {object|null} summary - Run summary
+ */
+const notifyListeners = (summary) => {
+  if (summary && Object.values(summary).some(Boolean)) {
+    listeners.forEach((listener) => listener(summary));
+  }
+};
+
+/**
+ * Run the queue on an interval while the app is open
+ * @param {object} options - Options
+ * @param {number} options.intervalMs - Time between checks
+ * @returns {Function} Stops the runner
+ */
+export const startPublishRunner = ({ intervalMs = RUNNER_INTERVAL_MS } = {}) => {
+  const controller = new AbortController();
+  let timer = null;
+
+  const tick = async () => {
+    // With several tabs open, only the one holding the lock publishes
+    try {
+      notifyListeners(await runDuePostsExclusively({ signal: controller.signal }));
+    } catch (error) {
+      logError(error, 'Publish runner');
+    }
+    if (!controller.signal.aborted) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  tick();
+  return () => {
+    controller.abort();
+    clearTimeout(timer);
+  };
+};
+
+/**
+ * Send the publish worker the settings it cannot read itself (app preferences
+ * live in localStorage, which service workers have no access to)
+ * @returns {Promise<void>}
+ */
+export const configurePublishWorker = async () => {
+  if (!('serviceWorker' in navigator)) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  registration?.active?.postMessage({ type: 'configure', settings: { publisherId: resolvePublisherId() } });
+};
+
+/**
+ * Install the publish worker so the queue keeps running while every tab is
+ * closed. Needs Periodic Background Sync (Chromium, installed app); elsewhere
+ * the worker only finishes runs started by the app. Production builds only:
+ * the dev server does not bundle the worker. Failures are logged, the in-app
+ * runner keeps publishing either way.
+ * @returns {Function} Stops relaying the worker's runs to subscribers
+ */
+export const registerPublishWorker = () => {
+  if (import.meta.env.DEV || !('serviceWorker' in navigator)) return () => {};
+
+  // Runs the worker makes are reported like the in-app runner's
+  const handleMessage = (event) => {
+    if (event.data?.type === 'publish-run') notifyListeners(event.data.summary);
+  };
+  // A run cut short by closing the tab is finished by the worker
+  const handlePageHide = () => {
+    navigator.serviceWorker.ready
+      .then((registration) => registration.sync?.register(PUBLISH_WORKER_SYNC_TAG))
+      .catch((error) => logError(error, 'Publish worker sync'));
+  };
+
+  navigator.serviceWorker.addEventListener('message', handleMessage);
+  window.addEventListener('pagehide', handlePageHide);
+
+  (async () => {
+    try {
+      await navigator.serviceWorker.register(PUBLISH_WORKER_URL, { type: 'module' });
+      const registration = await navigator.serviceWorker.ready;
+      await configurePublishWorker();
+      if (registration.periodicSync) {
+        const { state } = await navigator.permissions.query({ name: 'periodic-background-sync' });
+        if (state === 'granted') {
+          await registration.periodicSync.register(PUBLISH_WORKER_SYNC_TAG, { minInterval: PUBLISH_WORKER_MIN_INTERVAL_MS });
+        }
+      }
+    } catch (error) {
+      logError(error, 'Publish worker registration');
+    }
+  })();
+
+  return () => {
+    navigator.serviceWorker.removeEventListener('message', handleMessage);
+    window.removeEventListener('pagehide', handlePageHide);
+  };
+};
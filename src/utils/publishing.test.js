@@ -0,0 +1,194 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, beforeAll, afterEach } from 'vitest';
+import { publishScheduledPost, refreshPublicationStatus, runDuePosts, runDuePostsExclusively, MAX_PUBLISH_ATTEMPTS, PUBLISH_RETRY_OPTIONS } from './publishing.js';
+import { POST_STATUS, REVIEW_STATUS, createScheduledPost, listScheduledPosts } from './scheduler.js';
+import { loadScheduledPost, deleteScheduledPost } from './dataStorage.js';
+import { registerPublisher } from './publishers/index.js';
+import { createMockHttpPublisher, createMockPublishingServer } from './publishers/mockHttpPublisher.js';
+import { appPreferences } from './localStorage.js';
+
+const MINUTE = 60 * 1000;
+
+const HEALTHY = 'mock-http-healthy';
+const DOWN = 'mock-http-down';
+const REJECTING = 'mock-http-rejecting';
+
+/**
+ * Queue an approved post for Instagram
+ * @param {object} fields - Fields to override
+ * @returns {Promise<object>} Saved post
+ */
+const queuePost = (fields = {}) => createScheduledPost({
+  platforms: ['Instagram Post'],
+  assets: { 'Instagram Post': { imageUrl: 'https://cdn.example.com/a.png' } },
+  captions: { Instagram: { caption: 'Spring is here', hashtags: [], cta: '' } },
+  altText: '',
+  scheduledAt: new Date(Date.now() - MINUTE).toISOString(),
+  timeZone: 'UTC',
+  status: POST_STATUS.SCHEDULED,
+  review: { status: REVIEW_STATUS.APPROVED, comments: [], history: [] },
+  ...fields
+});
+
+const failedAttempts = (count) => Array.from({ length: count }, () => ({ at: new Date().toISOString(), status: POST_STATUS.SCHEDULED, error: 'Simulated media failure' }));
+
+beforeAll(() => {
+  const publisher = (id, failures = {}) => registerPublisher({
+    ...createMockHttpPublisher({ fetch: createMockPublishingServer({ latencyMs: 0, processingMs: 0, failures }) }),
+    id
+  });
+  publisher(HEALTHY);
+  publisher(DOWN, { media: 503 });
+  publisher(REJECTING, { posts: 422 });
+});
+
+afterEach(async () => {
+  appPreferences.clear();
+  await Promise.all((await listScheduledPosts()).map((post) => deleteScheduledPost(post.id)));
+});
+
+describe('publishScheduledPost', () => {
+  it('hands the post to the publisher and records the try', async () => {
+    const { id } = await queuePost();
+    const saved = await publishScheduledPost(id, { publisherId: HEALTHY });
+    expect(saved.status).toBe(POST_STATUS.PUBLISHING);
+    expect(saved.publication).toMatchObject({ publisherId: HEALTHY, status: POST_STATUS.PUBLISHING, publishedAt: null });
+    expect(saved.attempts).toEqual([expect.objectContaining({ status: POST_STATUS.PUBLISHING, error: null })]);
+    expect((await loadScheduledPost(id)).status).toBe(POST_STATUS.PUBLISHING);
+
+    const refreshed = await refreshPublicationStatus(id);
+    expect(refreshed.status).toBe(POST_STATUS.PUBLISHED);
+    expect(refreshed.publication.url).toBe(`https://publisher.mock/p/${saved.publication.remoteId}`);
+  });
+
+  it('schedules a retry with backoff when the runner\'s try fails', async () => {
+    const { id } = await queuePost();
+    const before = Date.now();
+    await expect(publishScheduledPost(id, { publisherId: DOWN, retry: true })).rejects.toMatchObject({ status: 503 });
+
+    const saved = await loadScheduledPost(id);
+    expect(saved.status).toBe(POST_STATUS.SCHEDULED);
+    expect(saved.lastError).toBe('Mock publisher: Simulated media failure');
+    expect(saved.attempts).toHaveLength(1);
+    const nextAttemptAt = new Date(saved.nextAttemptAt).getTime();
+    expect(nextAttemptAt).toBeGreaterThanOrEqual(before);
+    expect(nextAttemptAt).toBeLessThanOrEqual(Date.now() + PUBLISH_RETRY_OPTIONS.baseDelayMs);
+  });
+
+  it('fails a manual try without scheduling a retry', async () => {
+    const { id } = await queuePost();
+    await expect(publishScheduledPost(id, { publisherId: DOWN })).rejects.toMatchObject({ status: 503 });
+    expect(await loadScheduledPost(id)).toMatchObject({ status: POST_STATUS.FAILED, nextAttemptAt: null });
+  });
+
+  it('fails a post the publisher rejects, even from the runner', async () => {
+    const { id } = await queuePost();
+    await expect(publishScheduledPost(id, { publisherId: REJECTING, retry: true })).rejects.toMatchObject({ status: 422 });
+    expect((await loadScheduledPost(id)).status).toBe(POST_STATUS.FAILED);
+  });
+
+  it('fails a post once it runs out of tries', async () => {
+    const { id } = await queuePost({ attempts: failedAttempts(MAX_PUBLISH_ATTEMPTS - 1) });
+    await expect(publishScheduledPost(id, { publisherId: DOWN, retry: true })).rejects.toMatchObject({ status: 503 });
+    const saved = await loadScheduledPost(id);
+    expect(saved.status).toBe(POST_STATUS.FAILED);
+    expect(saved.attempts).toHaveLength(MAX_PUBLISH_ATTEMPTS);
+  });
+
+  it('hands a post to the publisher only once when two publishes race', async () => {
+    const { id } = await queuePost();
+    const results = await Promise.allSettled([
+      publishScheduledPost(id, { publisherId: HEALTHY }),
+      publishScheduledPost(id, { publisherId: HEALTHY })
+    ]);
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({
+      status: 409,
+      message: 'This post is already being published'
+    });
+    expect((await loadScheduledPost(id)).attempts).toHaveLength(1);
+  });
+
+  it('refuses posts that are not approved', async () => {
+    const { id } = await queuePost({ status: POST_STATUS.DRAFT, review: { status: REVIEW_STATUS.IN_REVIEW, comments: [], history: [] } });
+    await expect(publishScheduledPost(id, { publisherId: HEALTHY })).rejects.toMatchObject({
+      status: 409,
+      message: 'Only approved posts can be published'
+    });
+  });
+});
+
+describe('refreshPublicationStatus', () => {
+  it('fails a processing post after the publisher has answered 404 three times in a row', async () => {
+    const { id } = await queuePost({
+      status: POST_STATUS.PUBLISHING,
+      publication: { publisherId: HEALTHY, remoteId: 'post_lost', status: POST_STATUS.PUBLISHING }
+    });
+    await expect(refreshPublicationStatus(id)).rejects.toMatchObject({ status: 404 });
+    await expect(refreshPublicationStatus(id)).rejects.toMatchObject({ status: 404 });
+    expect((await loadScheduledPost(id)).publication.statusMisses).toBe(2);
+
+    const saved = await refreshPublicationStatus(id);
+    expect(saved.status).toBe(POST_STATUS.FAILED);
+    expect(saved.lastError).toContain('The publisher no longer knows this post');
+  });
+});
+
+describe('runDuePosts', () => {
+  it('publishes due posts with the active publisher and leaves the rest', async () => {
+    appPreferences.update({ publisher: HEALTHY });
+    const due = await queuePost();
+    const later = await queuePost({ scheduledAt: new Date(Date.now() + 60 * MINUTE).toISOString() });
+    const waiting = await queuePost({ nextAttemptAt: new Date(Date.now() + MINUTE).toISOString() });
+    const draft = await queuePost({ status: POST_STATUS.DRAFT });
+
+    const summary = await runDuePosts();
+    expect(summary).toMatchObject({ published: 0, checked: 1, retrying: 0, failed: 0 });
+    expect((await loadScheduledPost(due.id)).status).toBe(POST_STATUS.PUBLISHING);
+    for (const post of [later, waiting, draft]) {
+      expect((await loadScheduledPost(post.id)).status).toBe(post.status);
+    }
+
+    // The next run sees that the publisher finished the post
+    expect(await runDuePosts()).toMatchObject({ checked: 1 });
+    expect((await loadScheduledPost(due.id)).status).toBe(POST_STATUS.PUBLISHED);
+  });
+
+  it('runs with the publisher and series settings the publish worker passes', async () => {
+    const due = await queuePost();
+    const occurrence = await queuePost({
+      scheduledAt: new Date(Date.now() + 60 * MINUTE).toISOString(),
+      seriesId: 'series-1',
+      recurrence: { rule: 'FREQ=WEEKLY', start: '2025-05-26T09:00', timeZone: 'UTC' },
+      occurrence: 1,
+      regenerate: { promptTemplate: 'Sale on {weekday}' }
+    });
+
+    expect(await runDuePostsExclusively({ publisherId: HEALTHY, regenerate: false })).toMatchObject({ checked: 1, regenerated: 0 });
+    expect((await loadScheduledPost(due.id)).publication.publisherId).toBe(HEALTHY);
+    expect((await loadScheduledPost(occurrence.id)).regeneration).toBeUndefined();
+  });
+
+  it('counts retries and failures of due posts', async () => {
+    appPreferences.update({ publisher: DOWN });
+    const retrying = await queuePost();
+    const exhausted = await queuePost({ attempts: failedAttempts(MAX_PUBLISH_ATTEMPTS - 1) });
+
+    expect(await runDuePosts()).toMatchObject({ retrying: 1, failed: 1 });
+    expect((await loadScheduledPost(retrying.id)).status).toBe(POST_STATUS.SCHEDULED);
+    expect((await loadScheduledPost(exhausted.id)).status).toBe(POST_STATUS.FAILED);
+  });
+
+  it('requeues an interrupted publish with backoff', async () => {
+    const { id } = await queuePost({
+      status: POST_STATUS.PUBLISHING,
+      publishingStartedAt: new Date(Date.now() - 30 * MINUTE).toISOString()
+    });
+
+    expect(await runDuePosts()).toMatchObject({ retrying: 1 });
+    const saved = await loadScheduledPost(id);
+    expect(saved).toMatchObject({ status: POST_STATUS.SCHEDULED, lastError: 'Publishing was interrupted' });
+    expect(saved.nextAttemptAt).not.toBeNull();
+    expect(new Date(saved.nextAttemptAt).getTime()).toBeLessThanOrEqual(Date.now() + PUBLISH_RETRY_OPTIONS.baseDelayMs);
+  });
+});
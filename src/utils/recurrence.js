@@ -0,0 +1,239 @@
+/**
+ * Recurrence Rules
+ *
+ * Repeat rules for post series, written as a subset of iCalendar RRULE
+ * (RFC 5545), e.g. 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO':
+ *   - FREQ: DAILY, WEEKLY or MONTHLY
+ *   - INTERVAL: every n days/weeks/months (default 1)
+ *   - BYDAY: weekdays (MO..SU). DAILY keeps only those days, WEEKLY posts on each
+ *     of them, MONTHLY takes an optional ordinal: 1MO is the first Monday, -1FR the
+ *     last Friday, a bare MO every Monday of the month
+ *   - COUNT: total number of occurrences
+ *   - UNTIL: last possible date (YYYYMMDD or YYYYMMDDTHHmmss; compared in wall-clock time)
+ * Without BYDAY, WEEKLY repeats on the start's weekday and MONTHLY on its day of
+ * the month (months without that day are skipped).
+ *
+ * Occurrences are computed in wall-clock time in the series' time zone, so a
+ * 9:00 post stays at 9:00 across DST changes.
+ */
+
+import { zonedDateTimeToIso } from './scheduler.js';
+
+export const FREQUENCIES = {
+  DAILY: 'DAILY',
+  WEEKLY: 'WEEKLY',
+  MONTHLY: 'MONTHLY'
+};
+
+// RRULE weekday codes in JavaScript getDay() order
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+const DAY = 24 * 60 * 60 * 1000;
+
+// Stops runaway rules (e.g. BYDAY=5MO with a long interval) from looping forever
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse an RRULE string
+ * @param {string} text - Rule, with or without the 'RRULE:' prefix
+ * @returns {{freq: string, interval: number, byDay: {weekday: string, ordinal: number|null}[], count: number|null, until: string|null}} Rule
+ * @throws {Error} If the rule uses unsupported parts or values
+ */
+export const parseRRule = (text) => {
+  const parts = Object.fromEntries(String(text).trim().replace(/^RRULE:/i, '').split(';')
+    .filter(Boolean)
+    .map((part) => {
+      const [key, value = ''] = part.split('=');
+      return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+    }));
+
+  const unsupported = Object.keys(parts).filter((key) => !['FREQ', 'INTERVAL', 'BYDAY', 'COUNT', 'UNTIL'].includes(key));
+  if (unsupported.length > 0) {
+    throw new Error(`Unsupported rule parts: ${unsupported.join(', ')}`);
+  }
+  if (!Object.values(FREQUENCIES).includes(parts.FREQ)) {
+    throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+  }
+
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('INTERVAL must be a whole number of at least 1');
+  }
+
+  const byDay = (parts.BYDAY ? parts.BYDAY.split(',') : []).map((entry) => {
+    const match = entry.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/);
+    if (!match) {
+      throw new Error(`Invalid BYDAY value: ${entry}`);
+    }
+    const ordinal = match[1] ? Number(match[1]) : null;
+    if (ordinal !== null && (parts.FREQ !== FREQUENCIES.MONTHLY || !ORDINALS[ordinal])) {
+      throw new Error(`Invalid BYDAY value: ${entry}`);
+    }
+    return { weekday: match[2], ordinal };
+  });
+
+  const count = parts.COUNT ? Number(parts.COUNT) : null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) {
+    throw new Error('COUNT must be a whole number of at least 1');
+  }
+  if (parts.UNTIL && !/^\d{8}(T\d{6}Z?)?$/.test(parts.UNTIL)) {
+    throw new Error('UNTIL must look like 20250131 or 20250131T235959');
+  }
+
+  return { freq: parts.FREQ, interval, byDay, count, until: parts.UNTIL || null };
+};
+
+/**
+ * Write a rule as an RRULE string
+ * @param {object} rule - Rule from parseRRule
+ * @returns {string} e.g. 'FREQ=WEEKLY;INTERVAL=1;BYDAY=MO'
+ */
+export const formatRRule = (rule) => [
+  `FREQ=${rule.freq}`,
+  `INTERVAL=${rule.interval || 1}`,
+  rule.byDay?.length ? `BYDAY=${rule.byDay.map(({ weekday, ordinal }) => `${ordinal ?? ''}${weekday}`).join(',')}` : null,
+  rule.count ? `COUNT=${rule.count}` : null,
+  rule.until ? `UNTIL=${rule.until}` : null
+].filter(Boolean).join(';');
+
+/**
+ * Describe a rule in plain words
+ * @param {object} rule - Rule from parseRRule
+ * @returns {string} e.g. 'Every 2 weeks on Monday, 6 times'
+ */
+export const describeRule = (rule) => {
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' }[rule.freq];
+  const every = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+  const days = rule.byDay.map(({ weekday, ordinal }) => (
+    `${ordinal !== null ? `the ${ORDINALS[ordinal]} ` : ''}${WEEKDAY_NAMES[WEEKDAYS.indexOf(weekday)]}`
+  ));
+  const on = days.length > 0 ? ` on ${days.join(', ')}` : '';
+  const until = rule.until ? `, until ${rule.until.slice(0, 4)}-${rule.until.slice(4, 6)}-${rule.until.slice(6, 8)}` : '';
+  const count = rule.count ? `, ${rule.count} time${rule.count === 1 ? '' : 's'}` : '';
+  return `${every}${on}${count}${until}`;
+};
+
+/**
+ * Wall-clock date and time as a Date whose UTC fields hold it
+ * @param {string} dateTime - 'YYYY-MM-DDTHH:mm'
+ * @returns {Date} Naive date
+ */
+const toNaive = (dateTime) => new Date(`${dateTime.slice(0, 16)}:00Z`);
+
+const fromNaive = (date) => date.toISOString().slice(0, 16);
+
+// UNTIL as a naive date; a date-only UNTIL includes the whole day
+const untilToNaive = (until) => (until.length === 8
+  ? new Date(Date.UTC(Number(until.slice(0, 4)), Number(until.slice(4, 6)) - 1, Number(until.slice(6, 8)), 23, 59, 59))
+  : new Date(`${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}T${until.slice(9, 11)}:${until.slice(11, 13)}:${until.slice(13, 15)}Z`));
+
+const addNaiveDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+/**
+ * Candidate dates for one period of the rule, in order
+ * @param {object} rule - Rule
+ * @param {Date} start - Naive start
+ * @param {number} period - Zero-based period number
+ * @returns {Date[]} Naive dates at the start's time of day
+ */
+const getPeriodDates = (rule, start, period) => {
+  const weekdays = rule.byDay.map(({ weekday }) => WEEKDAYS.indexOf(weekday));
+
+  if (rule.freq === FREQUENCIES.DAILY) {
+    const date = addNaiveDays(start, period * rule.interval);
+    return weekdays.length === 0 || weekdays.includes(date.getUTCDay()) ? [date] : [];
+  }
+
+  if (rule.freq === FREQUENCIES.WEEKLY) {
+    // Weeks start on Monday, as in the calendar
+    const monday = addNaiveDays(start, -((start.getUTCDay() + 6) % 7) + period * rule.interval * 7);
+    const days = weekdays.length > 0 ? weekdays : [start.getUTCDay()];
+    return days
+      .map((weekday) => addNaiveDays(monday, (weekday + 6) % 7))
+      .sort((a, b) => a - b);
+  }
+
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth() + period * rule.interval;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const atDay = (day) => new Date(Date.UTC(year, month, day, start.getUTCHours(), start.getUTCMinutes()));
+
+  if (rule.byDay.length === 0) {
+    return start.getUTCDate() <= daysInMonth ? [atDay(start.getUTCDate())] : [];
+  }
+
+  const dates = rule.byDay.flatMap(({ weekday, ordinal }) => {
+    const target = WEEKDAYS.indexOf(weekday);
+    const matches = Array.from({ length: daysInMonth }, (_, i) => i + 1)
+      .filter((day) => atDay(day).getUTCDay() === target);
+    if (ordinal === null) return matches.map(atDay);
+    const day = ordinal > 0 ? matches[ordinal - 1] : matches[matches.length + ordinal];
+    return day ? [atDay(day)] : [];
+  });
+  return dates.sort((a, b) => a - b);
+};
+
+/**
+ * Walk a rule's occurrences in order, honoring COUNT and UNTIL
+ * @param {object} rule - Rule from parseRRule
+ * @param {string} start - First possible occurrence, wall-clock 'YYYY-MM-DDTHH:mm'
+ * @yields {Date} Naive occurrence dates
+ */
+function* iterateOccurrences(rule, start) {
+  const naiveStart = toNaive(start);
+  const until = rule.until ? untilToNaive(rule.until) : null;
+  let yielded = 0;
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const date of getPeriodDates(rule, naiveStart, period)) {
+      if (date < naiveStart) continue;
+      if (until && date > until) return;
+      yield date;
+      if (rule.count && ++yielded >= rule.count) return;
+    }
+  }
+}
+
+/**
+ * List a rule's first occurrences
+ * @param {object|string} rule - Rule from parseRRule, or an RRULE string
+ * @param {string} start - First possible occurrence, wall-clock 'YYYY-MM-DDTHH:mm'
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @param {object} options - Options
+ * @param {number} options.limit - Maximum number of occurrences to return
+ * @returns {string[]} ISO timestamps, in order
+ */
+export const getOccurrences = (rule, start, timeZone, { limit = 10 } = {}) => {
+  const occurrences = [];
+  if (limit < 1) return occurrences;
+  for (const date of iterateOccurrences(typeof rule === 'string' ? parseRRule(rule) : rule, start)) {
+    occurrences.push(zonedDateTimeToIso(fromNaive(date), timeZone));
+    if (occurrences.length >= limit) break;
+  }
+  return occurrences;
+};
+
+/**
+ * Find the first occurrence after a given index and moment
+ * @param {object|string} rule - Rule from parseRRule, or an RRULE string
+ * @param {string} start - First possible occurrence, wall-clock 'YYYY-MM-DDTHH:mm'
+ * @param {string} timeZone - IANA time zone the series runs in
+ * @param {object} options - Options
+ * @param {number} options.afterIndex - Occurrences up to this zero-based index are skipped
+ * @param {string} options.after - Occurrences at or before this ISO time are skipped
+ * @returns {{index: number, scheduledAt: string}|null} Next occurrence, null once the rule has ended
+ */
+export const getNextOccurrence = (rule, start, timeZone, { afterIndex = -1, after } = {}) => {
+  const afterTime = after ? new Date(after).getTime() : -Infinity;
+  let index = 0;
+  for (const date of iterateOccurrences(typeof rule === 'string' ? parseRRule(rule) : rule, start)) {
+    if (index > afterIndex) {
+      const scheduledAt = zonedDateTimeToIso(fromNaive(date), timeZone);
+      if (new Date(scheduledAt).getTime() > afterTime) return { index, scheduledAt };
+    }
+    index++;
+  }
+  return null;
+};
@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { parseRRule, formatRRule, describeRule, getOccurrences, getNextOccurrence } from './recurrence.js';
+
+describe('parseRRule', () => {
+  it('reads every supported part, with or without the RRULE: prefix', () => {
+    expect(parseRRule('RRULE:FREQ=monthly;INTERVAL=2;BYDAY=-1FR,1MO;COUNT=6;UNTIL=20251231')).toEqual({
+      freq: 'MONTHLY',
+      interval: 2,
+      byDay: [{ weekday: 'FR', ordinal: -1 }, { weekday: 'MO', ordinal: 1 }],
+      count: 6,
+      until: '20251231'
+    });
+  });
+
+  it('defaults to an interval of 1 with no days, count or end', () => {
+    expect(parseRRule('FREQ=DAILY')).toEqual({ freq: 'DAILY', interval: 1, byDay: [], count: null, until: null });
+  });
+
+  it.each([
+    ['FREQ=YEARLY', 'FREQ must be DAILY, WEEKLY or MONTHLY'],
+    ['INTERVAL=2', 'FREQ must be DAILY, WEEKLY or MONTHLY'],
+    ['FREQ=WEEKLY;BYMONTH=1', 'Unsupported rule parts: BYMONTH'],
+    ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a whole number of at least 1'],
+    ['FREQ=DAILY;INTERVAL=1.5', 'INTERVAL must be a whole number of at least 1'],
+    ['FREQ=WEEKLY;BYDAY=XX', 'Invalid BYDAY value: XX'],
+    ['FREQ=WEEKLY;BYDAY=1MO', 'Invalid BYDAY value: 1MO'],
+    ['FREQ=MONTHLY;BYDAY=6MO', 'Invalid BYDAY value: 6MO'],
+    ['FREQ=DAILY;COUNT=0', 'COUNT must be a whole number of at least 1'],
+    ['FREQ=DAILY;UNTIL=2025-01-31', 'UNTIL must look like 20250131 or 20250131T235959']
+  ])('rejects %s', (text, message) => {
+    expect(() => parseRRule(text)).toThrow(message);
+  });
+
+  it('round-trips through formatRRule', () => {
+    const text = 'FREQ=MONTHLY;INTERVAL=1;BYDAY=-1FR;COUNT=6';
+    expect(formatRRule(parseRRule(text))).toBe(text);
+  });
+});
+
+describe('describeRule', () => {
+  it('describes intervals, ordinal weekdays, counts and end dates', () => {
+    expect(describeRule(parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=6'))).toBe('Every 2 weeks on Monday, 6 times');
+    expect(describeRule(parseRRule('FREQ=MONTHLY;BYDAY=-1FR;UNTIL=20251231'))).toBe('Every month on the last Friday, until 2025-12-31');
+    expect(describeRule(parseRRule('FREQ=DAILY;COUNT=1'))).toBe('Every day, 1 time');
+  });
+});
+
+describe('getOccurrences', () => {
+  it('repeats weekly on the listed days, in order, from the start', () => {
+    // 2025-06-04 is a Wednesday, so that week's Monday is skipped
+    expect(getOccurrences('FREQ=WEEKLY;BYDAY=FR,MO', '2025-06-04T09:00', 'UTC', { limit: 4 })).toEqual([
+      '2025-06-06T09:00:00.000Z',
+      '2025-06-09T09:00:00.000Z',
+      '2025-06-13T09:00:00.000Z',
+      '2025-06-16T09:00:00.000Z'
+    ]);
+  });
+
+  it('takes the last weekday of each month', () => {
+    expect(getOccurrences('FREQ=MONTHLY;BYDAY=-1FR', '2025-01-01T12:00', 'UTC', { limit: 3 })).toEqual([
+      '2025-01-31T12:00:00.000Z',
+      '2025-02-28T12:00:00.000Z',
+      '2025-03-28T12:00:00.000Z'
+    ]);
+  });
+
+  it('skips months without the start day', () => {
+    expect(getOccurrences('FREQ=MONTHLY', '2025-01-31T08:00', 'UTC', { limit: 3 })).toEqual([
+      '2025-01-31T08:00:00.000Z',
+      '2025-03-31T08:00:00.000Z',
+      '2025-05-31T08:00:00.000Z'
+    ]);
+  });
+
+  it('keeps only the listed days for a daily rule', () => {
+    // 2025-06-06 is a Friday
+    expect(getOccurrences('FREQ=DAILY;BYDAY=MO,FR', '2025-06-06T10:00', 'UTC', { limit: 3 })).toEqual([
+      '2025-06-06T10:00:00.000Z',
+      '2025-06-09T10:00:00.000Z',
+      '2025-06-13T10:00:00.000Z'
+    ]);
+  });
+
+  it('stops at COUNT and at a date-only UNTIL, which includes that day', () => {
+    expect(getOccurrences('FREQ=DAILY;COUNT=2', '2025-06-01T10:00', 'UTC')).toHaveLength(2);
+    expect(getOccurrences('FREQ=DAILY;UNTIL=20250603', '2025-06-01T23:30', 'UTC')).toEqual([
+      '2025-06-01T23:30:00.000Z',
+      '2025-06-02T23:30:00.000Z',
+      '2025-06-03T23:30:00.000Z'
+    ]);
+  });
+
+  it('keeps the wall-clock time across a DST change', () => {
+    // New York moves from UTC-5 to UTC-4 on 2025-03-09
+    expect(getOccurrences('FREQ=DAILY', '2025-03-08T09:00', 'America/New_York', { limit: 2 })).toEqual([
+      '2025-03-08T14:00:00.000Z',
+      '2025-03-09T13:00:00.000Z'
+    ]);
+  });
+
+  it('returns nothing for a limit below 1', () => {
+    expect(getOccurrences('FREQ=DAILY', '2025-06-01T10:00', 'UTC', { limit: 0 })).toEqual([]);
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('returns the occurrence after the given index', () => {
+    expect(getNextOccurrence('FREQ=WEEKLY', '2025-06-02T09:00', 'UTC', { afterIndex: 0 })).toEqual({
+      index: 1,
+      scheduledAt: '2025-06-09T09:00:00.000Z'
+    });
+  });
+
+  it('skips occurrences at or before the given time', () => {
+    expect(getNextOccurrence('FREQ=WEEKLY', '2025-06-02T09:00', 'UTC', {
+      afterIndex: 0,
+      after: '2025-06-16T09:00:00.000Z'
+    })).toEqual({ index: 3, scheduledAt: '2025-06-23T09:00:00.000Z' });
+  });
+
+  it('returns null once the rule has ended', () => {
+    expect(getNextOccurrence('FREQ=DAILY;COUNT=2', '2025-06-01T10:00', 'UTC', { afterIndex: 1 })).toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Reviews
+ *
+ * Approval workflow for queued posts. A post's content moves
+ *   draft → in_review → approved | changes_requested
+ * and only approved posts can be scheduled or published (enforced in
+ * utils/scheduler.js). Editing the content of an approved post sends it back
+ * to draft; requesting changes on a scheduled post takes it out of the queue.
+ *
+ * Review record on a post:
+ *   review: {
+ *     status,                                   // one of REVIEW_STATUS
+ *     comments: [{ id, author, text, platform, region, createdAt, resolved }],
+ *     history: [{ status, by, at, note }]       // oldest first
+ *   }
+ * `region` pins a comment to part of the platform's image as fractions of its
+ * size ({ x, y, width, height }), or is null for a comment on the whole post.
+ */
+
+import {
+  POST_STATUS,
+  REVIEW_STATUS,
+  getReviewStatus,
+  isPostEditable,
+  recordPostStatus,
+  listScheduledPosts
+} from './scheduler.js';
+import { loadScheduledPost, loadAppPreferences } from './dataStorage.js';
+
+// Allowed moves from each status
+const TRANSITIONS = {
+  [REVIEW_STATUS.DRAFT]: [REVIEW_STATUS.IN_REVIEW],
+  [REVIEW_STATUS.IN_REVIEW]: [REVIEW_STATUS.APPROVED, REVIEW_STATUS.CHANGES_REQUESTED, REVIEW_STATUS.DRAFT],
+  [REVIEW_STATUS.CHANGES_REQUESTED]: [REVIEW_STATUS.IN_REVIEW, REVIEW_STATUS.DRAFT],
+  [REVIEW_STATUS.APPROVED]: [REVIEW_STATUS.CHANGES_REQUESTED, REVIEW_STATUS.DRAFT]
+};
+
+export const REVIEW_LABELS = {
+  [REVIEW_STATUS.DRAFT]: 'Draft',
+  [REVIEW_STATUS.IN_REVIEW]: 'In review',
+  [REVIEW_STATUS.APPROVED]: 'Approved',
+  [REVIEW_STATUS.CHANGES_REQUESTED]: 'Changes requested'
+};
+
+/**
+ * Name recorded on review actions and brand kit versions (set on the review page or in Settings)
+ * @returns {Promise<string>} Reviewer name
+ */
+export const getReviewerName = async () => {
+  const preferences = await loadAppPreferences();
+  return preferences?.reviewerName?.trim() || 'Anonymous';
+};
+
+/**
+ * Whether a post's review can move to a status
+ * @param {object} post - Post record
+ * @param {string} status - Target REVIEW_STATUS
+ * @returns {boolean} True if allowed
+ */
+export const canChangeReviewStatus = (post, status) => {
+  return isPostEditable(post) && (TRANSITIONS[getReviewStatus(post)] || []).includes(status);
+};
+
+/**
+ * The post's review record, filled in for posts saved before reviews existed
+ * @param {object} post - Post record
+ * @returns {object} Review record
+ */
+const getReview = (post) => post.review || { status: getReviewStatus(post), comments: [], history: [] };
+
+/**
+ * Review history entry for a change
+ * @param {string} status - New REVIEW_STATUS
+ * @param {string} by - Author
+ * @param {string} note - Optional note
+ * @returns {object} History entry
+ */
+const historyEntry = (status, by, note = '') => ({ status, by, at: new Date().toISOString(), note: note.trim() });
+
+/**
+ * Review fields for an edit to the content of a post: approval is withdrawn
+ * @param {object} post - Post record before the edit
+ * @param {string} by - Author of the edit
+ * @param {string} note - Note for the history
+ * @returns {object} Fields to merge (empty if the post was not approved)
+ */
+export const reopenReviewOnEdit = (post, by, note = 'Edited after approval') => {
+  if (getReviewStatus(post) !== REVIEW_STATUS.APPROVED) return {};
+  const review = getReview(post);
+  return {
+    review: {
+      ...review,
+      status: REVIEW_STATUS.DRAFT,
+      history: [...review.history, historyEntry(REVIEW_STATUS.DRAFT, by, note)]
+    }
+  };
+};
+
+/**
+ * Move a post's review to a new status
+ * @param {string} postId - Post ID
+ * @param {string} status - Target REVIEW_STATUS
+ * @param {object} options - Options
+ * @param {string} options.note - Note for the history (required when requesting changes)
+ * @returns {Promise<object>} Saved post
+ */
+export const changeReviewStatus = async (postId, status, { note = '' } = {}) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) {
+    throw new Error('Post not found');
+  }
+  if (!canChangeReviewStatus(post, status)) {
+    const error = new Error(`A post that is ${REVIEW_LABELS[getReviewStatus(post)].toLowerCase()} cannot be marked ${REVIEW_LABELS[status].toLowerCase()}`);
+    error.status = 409;
+    throw error;
+  }
+  if (status === REVIEW_STATUS.CHANGES_REQUESTED && !note.trim()) {
+    throw new Error('Say what needs to change');
+  }
+
+  const review = getReview(post);
+  const by = await getReviewerName();
+  // Withdrawing approval takes a scheduled post out of the queue; approving a
+  // series occurrence that left it for review puts it back while its time is ahead
+  const requeue = status === REVIEW_STATUS.APPROVED && post.requeueOnApproval && post.status === POST_STATUS.DRAFT
+    && new Date(post.scheduledAt).getTime() > Date.now();
+  const queueStatus = requeue ? POST_STATUS.SCHEDULED
+    : status !== REVIEW_STATUS.APPROVED && post.status === POST_STATUS.SCHEDULED ? POST_STATUS.DRAFT
+      : post.status;
+  return recordPostStatus(post, queueStatus, {
+    ...(requeue && { requeueOnApproval: false }),
+    review: { ...review, status, history: [...review.history, historyEntry(status, by, note)] }
+  });
+};
+
+/**
+ * Add a comment to a post, optionally pinned to a region of one platform's image
+ * @param {string} postId - Post ID
+ * @param {object} comment - Comment
+ * @param {string} comment.text - Text
+ * @param {string} comment.platform - Preset name of the image the region is on
+ * @param {object} comment.region - { x, y, width, height } as fractions of the image, or null
+ * @returns {Promise<object>} Saved post
+ */
+export const addReviewComment = async (postId, { text, platform = null, region = null }) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) {
+    throw new Error('Post not found');
+  }
+  if (!text.trim()) {
+    throw new Error('The comment is empty');
+  }
+  const review = getReview(post);
+  const comment = {
+    id: `comment-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 5)}`,
+    author: await getReviewerName(),
+    text: text.trim(),
+    platform,
+    region,
+    createdAt: new Date().toISOString(),
+    resolved: false
+  };
+  return recordPostStatus(post, post.status, { review: { ...review, comments: [...review.comments, comment] } });
+};
+
+/**
+ * Mark a comment resolved or open again
+ * @param {string} postId - Post ID
+ * @param {string} commentId - Comment ID
+ * @param {boolean} resolved - New state
+ * @returns {Promise<object>} Saved post
+ */
+export const setReviewCommentResolved = async (postId, commentId, resolved) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) {
+    throw new Error('Post not found');
+  }
+  const review = getReview(post);
+  return recordPostStatus(post, post.status, {
+    review: {
+      ...review,
+      comments: review.comments.map((comment) => (comment.id === commentId ? { ...comment, resolved } : comment))
+    }
+  });
+};
+
+/**
+ * Posts grouped by review status, for the review queue; posts already
+ * publishing or published are left out
+ * @returns {Promise<Object<string, object[]>>} Posts keyed by REVIEW_STATUS, most recently changed first
+ */
+export const listReviewQueue = async () => {
+  const posts = (await listScheduledPosts()).filter(isPostEditable);
+  const lastChange = (post) => post.review?.history?.at(-1)?.at || post.createdAt || '';
+  const groups = Object.fromEntries(Object.values(REVIEW_STATUS).map((status) => [status, []]));
+  posts
+    .sort((a, b) => lastChange(b).localeCompare(lastChange(a)))
+    .forEach((post) => groups[getReviewStatus(post)].push(post));
+  return groups;
+};
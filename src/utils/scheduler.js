@@ -0,0 +1,306 @@
+/**
+ * Post Scheduler
+ *
+ * The publishing queue: posts saved in IndexedDB with the asset each platform
+ * receives, the captions, the target platforms and the publish time.
+ *
+ * Post record:
+ *   {
+ *     id, imageId, altText,
+ *     brandKitId,                           // kit the image was generated with, see utils/brandKits.js
+ *     campaign: { id, name } | null,        // campaign the image was generated for
+ *     platforms: string[],                  // SOCIAL_PLATFORMS names
+ *     assets: { [platformName]: storedImage },  // see imageData.toStoredImage; isCreative marks exported creatives
+ *     captions: { [network]: { caption, hashtags, cta } },
+ *     scheduledAt,                          // ISO timestamp (UTC)
+ *     timeZone,                             // IANA zone the time was picked in, e.g. 'Europe/Berlin'
+ *     status,                               // one of POST_STATUS
+ *     publication,                          // set once published: { publisherId, account, remoteId, status, url, publishedAt }
+ *     attempts, lastError, nextAttemptAt    // publish tries, see utils/publishing.js
+ *     review                                // approval state, comments and history, see utils/reviews.js
+ *   }
+ *
+ * Only approved posts can be scheduled or published.
+ */
+
+import { saveScheduledPost, loadScheduledPost, getScheduledPosts, deleteScheduledPost } from './dataStorage.js';
+import { toStoredImage, fromStoredImage } from './imageData.js';
+
+export const POST_STATUS = {
+  DRAFT: 'draft',
+  SCHEDULED: 'scheduled',
+  PUBLISHING: 'publishing',
+  PUBLISHED: 'published',
+  FAILED: 'failed'
+};
+
+// Approval states of a post's content (separate from its place in the queue)
+export const REVIEW_STATUS = {
+  DRAFT: 'draft',
+  IN_REVIEW: 'in_review',
+  APPROVED: 'approved',
+  CHANGES_REQUESTED: 'changes_requested'
+};
+
+/**
+ * Where a post is in review
+ * @param {object} post - Post record
+ * @returns {string} One of REVIEW_STATUS; posts queued before reviews existed count as approved unless they are drafts
+ */
+export const getReviewStatus = (post) => {
+  if (post.review) return post.review.status;
+  return post.status === POST_STATUS.DRAFT ? REVIEW_STATUS.DRAFT : REVIEW_STATUS.APPROVED;
+};
+
+/**
+ * Refuse to queue a post as scheduled before it is approved
+ * @param {object} record - Post record about to be saved
+ * @throws {Error} With status 409 if the post is scheduled but not approved
+ */
+export const assertSchedulable = (record) => {
+  if (record.status === POST_STATUS.SCHEDULED && getReviewStatus(record) !== REVIEW_STATUS.APPROVED) {
+    const error = new Error('Only approved posts can be scheduled. Submit it for review first');
+    error.status = 409;
+    throw error;
+  }
+};
+
+// Clears the publish tries of a post that is (re)scheduled, so it gets a fresh set of retries
+export const CLEARED_ATTEMPTS = { attempts: [], lastError: null, nextAttemptAt: null };
+
+// Posts in these states can still be edited, rescheduled or deleted
+export const EDITABLE_STATUSES = [POST_STATUS.DRAFT, POST_STATUS.SCHEDULED, POST_STATUS.FAILED];
+
+/**
+ * Whether a post can still be changed
+ * @param {object} post - Post record
+ * @returns {boolean} True unless it is publishing or published
+ */
+export const isPostEditable = (post) => EDITABLE_STATUSES.includes(post.status);
+
+/**
+ * Whether a draft's publish time passed while it waited, e.g. for approval
+ * @param {object} post - Post record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if it needs a new time or will be skipped (series occurrences)
+ */
+export const isPastDue = (post, now = Date.now()) => {
+  return post.status === POST_STATUS.DRAFT && Boolean(post.scheduledAt) && new Date(post.scheduledAt).getTime() <= now;
+};
+
+/**
+ * The browser's time zone
+ * @returns {string} IANA time zone name
+ */
+export const getLocalTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+/**
+ * Time zones offered when scheduling
+ * @returns {string[]} IANA time zone names
+ */
+export const getTimeZones = () => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return Array.from(new Set([getLocalTimeZone(), 'UTC', ...zones]));
+};
+
+/**
+ * Offset of a time zone from UTC at a given moment
+ * @param {Date} date - Moment
+ * @param {string} timeZone - IANA time zone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date).map(({ type, value }) => [type, Number(value)]));
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an ISO timestamp
+ * @param {string} dateTime - Local date and time ('YYYY-MM-DDTHH:mm', as from a datetime-local input)
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} ISO timestamp (UTC)
+ */
+export const zonedDateTimeToIso = (dateTime, timeZone) => {
+  const [date, time = '00:00'] = dateTime.split('T');
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  let offset = getTimeZoneOffset(new Date(wallClock), timeZone);
+  // Recheck once: the offset can differ on the other side of a DST change
+  const corrected = getTimeZoneOffset(new Date(wallClock - offset), timeZone);
+  if (corrected !== offset) offset = corrected;
+  return new Date(wallClock - offset).toISOString();
+};
+
+/**
+ * Convert an ISO timestamp to wall-clock time in a time zone
+ * @param {string} iso - ISO timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} 'YYYY-MM-DDTHH:mm' for a datetime-local input
+ */
+export const isoToZonedDateTime = (iso, timeZone) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() + getTimeZoneOffset(date, timeZone)).toISOString().slice(0, 16);
+};
+
+/**
+ * Format a post's publish time in its own time zone
+ * @param {object} post - Post record
+ * @returns {string} Human-readable time with the zone name
+ */
+export const formatScheduledTime = (post) => {
+  return new Date(post.scheduledAt).toLocaleString(undefined, {
+    timeZone: post.timeZone,
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZoneName: 'short'
+  });
+};
+
+/**
+ * Time left until a moment, for countdowns
+ * @param {string} iso - ISO timestamp
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} e.g. '2d 4h', '3h 12m' or '4m 09s'; '' once the time has passed
+ */
+export const formatCountdown = (iso, now = Date.now()) => {
+  const total = Math.floor((new Date(iso).getTime() - now) / 1000);
+  if (total <= 0) return '';
+  const days = Math.floor(total / 86400);
+  const hours = Math.floor((total % 86400) / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${String(total % 60).padStart(2, '0')}s`;
+};
+
+/**
+ * Store the file each platform receives: its exported creative, else the raw render
+ * @param {string[]} platforms - Preset names
+ * @param {object} sources - Images to choose from
+ * @param {Object<string, string>} sources.creatives - Exported creatives keyed by preset name
+ * @param {string} sources.image - Raw render
+ * @returns {Object<string, object>} Stored images keyed by preset name
+ */
+export const buildPostAssets = (platforms, { creatives = {}, image }) => {
+  return Object.fromEntries(platforms.map((name) => [name, {
+    ...toStoredImage(creatives[name] || image),
+    isCreative: Boolean(creatives[name])
+  }]));
+};
+
+/**
+ * Resolve a post's stored assets to displayable images
+ * @param {object} post - Post record
+ * @returns {Promise<Object<string, string>>} Data URLs / URIs keyed by preset name
+ */
+export const resolvePostAssets = async (post) => {
+  const entries = await Promise.all(Object.entries(post.assets || {}).map(async ([name, stored]) => [
+    name,
+    await fromStoredImage(stored)
+  ]));
+  return Object.fromEntries(entries);
+};
+
+/**
+ * Add a post to the queue
+ * @param {object} post - Post fields (see the module header); status defaults to draft and review to a fresh draft
+ * @returns {Promise<object>} Saved post
+ */
+export const createScheduledPost = async (post) => {
+  const record = {
+    status: POST_STATUS.DRAFT,
+    timeZone: getLocalTimeZone(),
+    review: { status: REVIEW_STATUS.DRAFT, comments: [], history: [] },
+    ...post
+  };
+  assertSchedulable(record);
+  const id = await saveScheduledPost(record);
+  if (!id) {
+    throw new Error('Failed to save the scheduled post');
+  }
+  return { ...record, id };
+};
+
+/**
+ * Change a queued post
+ * @param {string} postId - Post ID
+ * @param {object} updates - Fields to merge
+ * @returns {Promise<object>} Saved post
+ */
+export const updateScheduledPost = async (postId, updates) => {
+  const existing = await loadScheduledPost(postId);
+  if (!existing) {
+    throw new Error('Scheduled post not found');
+  }
+  if (!isPostEditable(existing)) {
+    const error = new Error(`A ${existing.status} post cannot be changed`);
+    error.status = 409;
+    throw error;
+  }
+  const record = { ...existing, ...updates };
+  assertSchedulable(record);
+  if (!(await saveScheduledPost(record))) {
+    throw new Error('Failed to save the scheduled post');
+  }
+  return record;
+};
+
+/**
+ * Save a post's publishing state; unlike updateScheduledPost this works on posts
+ * that are no longer editable
+ * @param {object} post - Current post record
+ * @param {string} status - One of POST_STATUS
+ * @param {object} fields - Other fields to merge
+ * @returns {Promise<object>} Saved post
+ */
+export const recordPostStatus = async (post, status, fields = {}) => {
+  const record = { ...post, ...fields, status };
+  if (!(await saveScheduledPost(record))) {
+    throw new Error('Failed to save the scheduled post');
+  }
+  return record;
+};
+
+/**
+ * Move a post to a new time; it is (re)queued as scheduled with fresh retries
+ * @param {string} postId - Post ID
+ * @param {string} scheduledAt - ISO timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {Promise<object>} Saved post
+ */
+export const reschedulePost = (postId, scheduledAt, timeZone) => {
+  return updateScheduledPost(postId, { ...CLEARED_ATTEMPTS, scheduledAt, timeZone, status: POST_STATUS.SCHEDULED });
+};
+
+/**
+ * Take a post out of the queue without deleting it (it becomes a draft)
+ * @param {string} postId - Post ID
+ * @returns {Promise<object>} Saved post
+ */
+export const cancelScheduledPost = (postId) => {
+  return updateScheduledPost(postId, { status: POST_STATUS.DRAFT });
+};
+
+/**
+ * Delete a post
+ * @param {string} postId - Post ID
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const removeScheduledPost = (postId) => deleteScheduledPost(postId);
+
+/**
+ * All queued posts, soonest first
+ * @returns {Promise<object[]>} Post records
+ */
+export const listScheduledPosts = () => getScheduledPosts();
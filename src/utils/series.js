@@ -0,0 +1,238 @@
+/**
+ * Post Series
+ *
+ * Recurring posts. Each occurrence of a series is its own post in the queue;
+ * the next one is queued when the current one leaves the queue (published or
+ * failed), so a series always has exactly one upcoming post that can be edited,
+ * moved or cancelled like any other. Cancelling it pauses the series until it
+ * is scheduled again; deleting it ends the series. New occurrences inherit the
+ * approval of the series (see utils/reviews.js), except when they get a fresh
+ * image: the runner renders it as soon as the occurrence is queued, which sends
+ * the occurrence back to draft until it is approved again. Approving it puts it
+ * back in the queue; if its time passes first, the occurrence is failed as
+ * missed so the series moves on to the next one.
+ *
+ * Series fields on a post:
+ *   seriesId                                // shared by every occurrence
+ *   recurrence: { rule, start, timeZone }   // RRULE string (see utils/recurrence.js), first wall-clock time, IANA zone
+ *   occurrence                              // zero-based index of this post in the series
+ *   regenerate: { promptTemplate } | null   // render a fresh image for each later occurrence
+ *   regeneration: { at, error }             // set once this occurrence's image was (re)rendered or the try failed
+ *   requeueOnApproval                       // draft occurrence that returns to the queue once approved
+ *   nextOccurrenceId                        // set once the following occurrence is queued
+ */
+
+import { getNextOccurrence } from './recurrence.js';
+import { POST_STATUS, REVIEW_STATUS, CLEARED_ATTEMPTS, getReviewStatus, createScheduledPost, updateScheduledPost, recordPostStatus } from './scheduler.js';
+import { refinePrompt, generateVariantSet, generateAltText, getActiveModelInfo } from './gemini.js';
+import { saveVariantSet, updateGeneratedImages, loadScheduledPost } from './dataStorage.js';
+import { loadActiveBrandKit, loadBrandKitById } from './brandKits.js';
+import { parseDataUrl, toStoredImage } from './imageData.js';
+import { reopenReviewOnEdit } from './reviews.js';
+
+// Placeholders a prompt template may use
+export const PROMPT_TEMPLATE_VARIABLES = ['{date}', '{weekday}', '{month}', '{occurrence}', '{campaign}'];
+
+/**
+ * Series fields for a post that repeats
+ * @param {object} options - Series settings
+ * @param {string} options.rule - RRULE string
+ * @param {string} options.start - First occurrence, wall-clock 'YYYY-MM-DDTHH:mm'
+ * @param {string} options.timeZone - IANA time zone
+ * @param {string} options.promptTemplate - Template to render each occurrence from, or null to reuse the image
+ * @param {object} options.existing - Post being edited; it keeps its series and place in it while the rule is unchanged
+ * @returns {object} Fields to merge into the post
+ */
+export const buildSeriesFields = ({ rule, start, timeZone, promptTemplate = null, existing = null }) => {
+  const unchanged = existing?.recurrence?.rule === rule && existing.recurrence.timeZone === timeZone;
+  return {
+    seriesId: existing?.seriesId || `series-${Date.now().toString(36)}${Math.random().toString(36).substr(2, 6)}`,
+    recurrence: unchanged ? existing.recurrence : { rule, start, timeZone },
+    occurrence: unchanged ? existing.occurrence : 0,
+    regenerate: promptTemplate ? { promptTemplate } : null
+  };
+};
+
+// Fields that stop a post from repeating (it keeps its seriesId for reference)
+export const NO_SERIES = { recurrence: null, regenerate: null };
+
+/**
+ * Fill in a prompt template for one occurrence
+ * @param {string} template - Prompt with placeholders from PROMPT_TEMPLATE_VARIABLES
+ * @param {object} post - Occurrence (scheduledAt, timeZone, occurrence)
+ * @param {object} brandKit - Series' brand kit
+ * @returns {string} Prompt
+ */
+export const expandPromptTemplate = (template, post, brandKit = null) => {
+  const date = new Date(post.scheduledAt);
+  const format = (options) => date.toLocaleDateString('en-US', { timeZone: post.timeZone, ...options });
+  const values = {
+    date: format({ dateStyle: 'long' }),
+    weekday: format({ weekday: 'long' }),
+    month: format({ month: 'long' }),
+    occurrence: String((post.occurrence || 0) + 1),
+    campaign: brandKit?.campaignVariable || ''
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? values[name] : match)).trim();
+};
+
+/**
+ * Queue the occurrence after a post that has left the queue
+ * @param {object} post - Published or failed series post
+ * @param {number} now - Current time in milliseconds; occurrences already past are skipped
+ * @returns {Promise<object|null>} The new post, null if the series has ended or already continued
+ */
+export const queueNextOccurrence = async (post, now = Date.now()) => {
+  if (!post.recurrence || post.nextOccurrenceId) return null;
+  if (![POST_STATUS.PUBLISHED, POST_STATUS.FAILED].includes(post.status)) return null;
+
+  const { rule, start, timeZone } = post.recurrence;
+  const after = Math.max(now, new Date(post.scheduledAt).getTime());
+  const next = getNextOccurrence(rule, start, timeZone, {
+    afterIndex: post.occurrence ?? 0,
+    after: new Date(after).toISOString()
+  });
+  if (!next) return null;
+
+  // A series whose approval was withdrawn continues as drafts until it is approved again
+  const approved = getReviewStatus(post) === REVIEW_STATUS.APPROVED;
+  const created = await createScheduledPost({
+    ...CLEARED_ATTEMPTS,
+    imageId: post.imageId,
+    brandKitId: post.brandKitId || null,
+    campaign: post.campaign || null,
+    altText: post.altText,
+    platforms: post.platforms,
+    assets: post.assets,
+    captions: post.captions,
+    scheduledAt: next.scheduledAt,
+    timeZone,
+    status: approved ? POST_STATUS.SCHEDULED : POST_STATUS.DRAFT,
+    seriesId: post.seriesId,
+    recurrence: post.recurrence,
+    occurrence: next.index,
+    regenerate: post.regenerate || null,
+    requeueOnApproval: !approved,
+    review: { status: getReviewStatus(post), comments: [], history: post.review?.history || [] }
+  });
+  await recordPostStatus(post, post.status, { nextOccurrenceId: created.id });
+  return created;
+};
+
+/**
+ * Whether the runner should render a fresh image for an occurrence now
+ * @param {object} post - Post record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if it regenerates, has not been rendered yet and its time is still ahead
+ */
+export const needsRegeneration = (post, now = Date.now()) => {
+  return Boolean(post.regenerate?.promptTemplate)
+    && (post.occurrence || 0) > 0
+    && !post.regeneration
+    && (post.status === POST_STATUS.SCHEDULED || (post.status === POST_STATUS.DRAFT && Boolean(post.requeueOnApproval)))
+    && Boolean(post.scheduledAt)
+    && new Date(post.scheduledAt).getTime() > now;
+};
+
+/**
+ * Whether an occurrence waiting for approval let its time pass
+ * @param {object} post - Post record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} True if the series is stuck on it
+ */
+export const isOccurrenceMissed = (post, now = Date.now()) => {
+  return Boolean(post.recurrence)
+    && Boolean(post.requeueOnApproval)
+    && post.status === POST_STATUS.DRAFT
+    && Boolean(post.scheduledAt)
+    && new Date(post.scheduledAt).getTime() <= now;
+};
+
+/**
+ * Fail a missed occurrence so the runner queues the next one
+ * @param {object} post - Occurrence for which isOccurrenceMissed is true
+ * @returns {Promise<object>} Saved post
+ */
+export const skipMissedOccurrence = (post) => {
+  return recordPostStatus(post, POST_STATUS.FAILED, {
+    requeueOnApproval: false,
+    lastError: 'Not approved before its publish time; the series moved on to the next occurrence'
+  });
+};
+
+/**
+ * The brand kit a series renders with: the kit it was scheduled with, else the active kit
+ * @param {object} post - Series post
+ * @returns {Promise<object|null>} Brand kit, null if none is configured
+ */
+const loadSeriesBrandKit = async (post) => {
+  return (post.brandKitId && await loadBrandKitById(post.brandKitId)) || loadActiveBrandKit();
+};
+
+/**
+ * Render an occurrence's image from its prompt template and the series' brand kit,
+ * and swap it into the post. Nobody has reviewed the new image, so the post
+ * leaves the queue as a draft whose approval is withdrawn until it is approved
+ * again. If it throws, the post keeps its previous image (see recordRegenerationFailure).
+ * @param {object} post - Series post with `regenerate`
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Cancels the AI requests
+ * @returns {Promise<object>} Saved post
+ */
+export const regenerateOccurrence = async (post, { signal } = {}) => {
+  const brandKit = await loadSeriesBrandKit(post);
+  const basePrompt = expandPromptTemplate(post.regenerate.promptTemplate, post, brandKit);
+  const prompt = brandKit ? await refinePrompt(basePrompt, brandKit, { signal }) : basePrompt;
+  const variants = await generateVariantSet(prompt, post.platforms, { signal });
+  const { base64Data, mimeType } = parseDataUrl(variants[0].image);
+  const altText = await generateAltText(base64Data, { mimeType, signal });
+
+  const saved = await saveVariantSet(variants, {
+    prompt,
+    basePrompt,
+    refinedPrompt: brandKit ? prompt : null,
+    brandKit: brandKit ? { ...brandKit } : null,
+    brandKitId: brandKit?.id || null,
+    brandKitVersion: brandKit?.version || null,
+    campaign: post.campaign || null,
+    ...getActiveModelInfo(),
+    targetPlatforms: post.platforms,
+    mode: 'generate',
+    referenceImageNames: [],
+    seriesId: post.seriesId,
+    status: 'selected',
+    starred: false
+  });
+  if (saved) {
+    await updateGeneratedImages(saved.imageIds, { altText });
+  }
+
+  // Each platform gets the render in its own aspect ratio
+  const images = Object.fromEntries(variants.flatMap((variant) => variant.platforms.map((name) => [name, variant.image])));
+  return updateScheduledPost(post.id, {
+    ...reopenReviewOnEdit(post, 'Series regeneration', 'New image rendered for this occurrence'),
+    status: POST_STATUS.DRAFT,
+    requeueOnApproval: true,
+    imageId: saved?.imageIds[0] || post.imageId,
+    altText,
+    assets: Object.fromEntries(post.platforms.map((name) => [name, {
+      ...toStoredImage(images[name] || variants[0].image),
+      isCreative: false
+    }])),
+    regeneration: { at: new Date().toISOString(), error: null }
+  });
+};
+
+/**
+ * Record a failed regeneration so the runner does not retry it on every tick
+ * @param {string} postId - Post ID
+ * @param {Error} error - Failure
+ * @returns {Promise<object|null>} Saved post, null if it is gone
+ */
+export const recordRegenerationFailure = async (postId, error) => {
+  const post = await loadScheduledPost(postId);
+  if (!post) return null;
+  return recordPostStatus(post, post.status, {
+    regeneration: { at: new Date().toISOString(), error: error.message }
+  });
+};
@@ -0,0 +1,107 @@
+import 'fake-indexeddb/auto';
+import { describe, it, expect, afterEach } from 'vitest';
+import { needsRegeneration, isOccurrenceMissed, queueNextOccurrence } from './series.js';
+import { POST_STATUS, REVIEW_STATUS, createScheduledPost, listScheduledPosts } from './scheduler.js';
+import { changeReviewStatus } from './reviews.js';
+import { runDuePosts } from './publishing.js';
+import { loadScheduledPost, deleteScheduledPost } from './dataStorage.js';
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse('2025-06-02T09:00:00Z');
+
+const review = (status) => ({ status, comments: [], history: [] });
+
+/**
+ * A weekly series occurrence
+ * @param {object} fields - Fields to override
+ * @returns {object} Post fields
+ */
+const occurrence = (fields = {}) => ({
+  platforms: ['Instagram Post'],
+  assets: { 'Instagram Post': { imageUrl: 'https://cdn.example.com/a.png' } },
+  captions: {},
+  scheduledAt: new Date(NOW + 48 * HOUR).toISOString(),
+  timeZone: 'UTC',
+  status: POST_STATUS.SCHEDULED,
+  review: review(REVIEW_STATUS.APPROVED),
+  seriesId: 'series-1',
+  recurrence: { rule: 'FREQ=WEEKLY', start: '2025-05-26T09:00', timeZone: 'UTC' },
+  occurrence: 1,
+  regenerate: { promptTemplate: 'Sale on {weekday}' },
+  ...fields
+});
+
+afterEach(async () => {
+  await Promise.all((await listScheduledPosts()).map((post) => deleteScheduledPost(post.id)));
+});
+
+describe('needsRegeneration', () => {
+  it('renders an occurrence as soon as it is queued, days ahead of its time', () => {
+    expect(needsRegeneration(occurrence(), NOW)).toBe(true);
+    expect(needsRegeneration(occurrence({ status: POST_STATUS.DRAFT, requeueOnApproval: true }), NOW)).toBe(true);
+  });
+
+  it('skips first occurrences, rendered or paused occurrences and times already past', () => {
+    expect(needsRegeneration(occurrence({ occurrence: 0 }), NOW)).toBe(false);
+    expect(needsRegeneration(occurrence({ regeneration: { at: new Date(NOW).toISOString(), error: null } }), NOW)).toBe(false);
+    expect(needsRegeneration(occurrence({ status: POST_STATUS.DRAFT }), NOW)).toBe(false);
+    expect(needsRegeneration(occurrence({ scheduledAt: new Date(NOW - HOUR).toISOString() }), NOW)).toBe(false);
+  });
+});
+
+describe('queueNextOccurrence', () => {
+  it('queues the following occurrence and links it from the one that went out', async () => {
+    const published = await createScheduledPost(occurrence({ status: POST_STATUS.PUBLISHED }));
+    const next = await queueNextOccurrence(published, NOW);
+    expect(next).toMatchObject({ status: POST_STATUS.SCHEDULED, seriesId: 'series-1', occurrence: 2 });
+    expect((await loadScheduledPost(published.id)).nextOccurrenceId).toBe(next.id);
+    expect(await queueNextOccurrence(await loadScheduledPost(published.id), NOW)).toBeNull();
+  });
+});
+
+describe('isOccurrenceMissed', () => {
+  it('flags an occurrence still waiting for approval once its time has passed', () => {
+    const waiting = occurrence({ status: POST_STATUS.DRAFT, requeueOnApproval: true, review: review(REVIEW_STATUS.IN_REVIEW) });
+    expect(isOccurrenceMissed(waiting, NOW)).toBe(false);
+    expect(isOccurrenceMissed(waiting, NOW + 72 * HOUR)).toBe(true);
+    // A paused series (cancelled back to draft) is left alone
+    expect(isOccurrenceMissed(occurrence({ status: POST_STATUS.DRAFT }), NOW + 72 * HOUR)).toBe(false);
+  });
+});
+
+describe('series occurrences waiting for approval', () => {
+  it('queue as drafts while the series is not approved', async () => {
+    const published = await createScheduledPost(occurrence({ status: POST_STATUS.PUBLISHED, review: review(REVIEW_STATUS.IN_REVIEW) }));
+    const next = await queueNextOccurrence(published, NOW);
+    expect(next).toMatchObject({ status: POST_STATUS.DRAFT, requeueOnApproval: true, occurrence: 2 });
+  });
+
+  it('return to the queue when approved in time', async () => {
+    const { id } = await createScheduledPost(occurrence({
+      status: POST_STATUS.DRAFT,
+      scheduledAt: new Date(Date.now() + 48 * HOUR).toISOString(),
+      requeueOnApproval: true,
+      review: review(REVIEW_STATUS.IN_REVIEW)
+    }));
+    expect(await changeReviewStatus(id, REVIEW_STATUS.APPROVED)).toMatchObject({ status: POST_STATUS.SCHEDULED, requeueOnApproval: false });
+  });
+
+  it('are skipped once their time passes, and the series moves on', async () => {
+    const { id } = await createScheduledPost(occurrence({
+      status: POST_STATUS.DRAFT,
+      scheduledAt: new Date(Date.now() - HOUR).toISOString(),
+      requeueOnApproval: true,
+      review: review(REVIEW_STATUS.IN_REVIEW)
+    }));
+
+    expect(await runDuePosts()).toMatchObject({ missed: 1 });
+    const missed = await loadScheduledPost(id);
+    expect(missed.status).toBe(POST_STATUS.FAILED);
+    expect(missed.lastError).toContain('Not approved before its publish time');
+
+    expect(await runDuePosts()).toMatchObject({ continued: 1 });
+    const next = await loadScheduledPost((await loadScheduledPost(id)).nextOccurrenceId);
+    expect(next).toMatchObject({ status: POST_STATUS.DRAFT, seriesId: 'series-1' });
+    expect(new Date(next.scheduledAt).getTime()).toBeGreaterThan(Date.now());
+  });
+});
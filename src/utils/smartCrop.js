@@ -0,0 +1,196 @@
+/**
+ * Smart Crop
+ *
+ * Decides which part of an image survives when it is cropped to each platform
+ * ratio. An image has one focal point ({x, y} as fractions of the image, from the
+ * top-left corner) and crops are centered on it as far as the image edges allow.
+ *
+ * The focal point is set by clicking the image, or detected with the active AI
+ * provider's vision model when it implements `detectFocalPoint`, otherwise with a
+ * local saliency heuristic. It is stored on the image record; a platform can
+ * override it, and overrides are stored on that platform's layout record.
+ */
+
+import { getActiveProvider } from './providers/index.js';
+import { updateGeneratedImages, saveLayout, getLayoutsForImage } from './dataStorage.js';
+import { logError } from './errorHandling.js';
+import { isAbortError } from './fetchWithRetry.js';
+import { parseDataUrl, loadImageElement, getCoverCrop } from './imageData.js';
+import { getLayoutId } from './layoutEngine.js';
+
+export const CENTER_FOCAL_POINT = { x: 0.5, y: 0.5 };
+
+export const FOCAL_SOURCES = {
+  MANUAL: 'manual',
+  VISION: 'vision',
+  HEURISTIC: 'heuristic'
+};
+
+const SAMPLE_WIDTH = 64;
+
+const clamp = (value) => Math.min(1, Math.max(0, Number(value) || 0));
+
+/**
+ * Coerce a focal point (e.g. from a model response) into range
+ * @param {object} point - Raw point
+ * @returns {{x: number, y: number}} Point with coordinates in 0-1
+ */
+export const normalizeFocalPoint = (point) => {
+  if (!point) return CENTER_FOCAL_POINT;
+  return { x: clamp(point.x ?? 0.5), y: clamp(point.y ?? 0.5) };
+};
+
+/**
+ * Find the visual center of interest: the centroid of edge energy, weighted
+ * towards the busiest areas
+ * @param {string} src - Image source
+ * @returns {Promise<{x: number, y: number}>} Focal point
+ */
+export const detectSaliencyFocalPoint = async (src) => {
+  const image = await loadImageElement(src);
+  const naturalWidth = image.naturalWidth || image.width;
+  const naturalHeight = image.naturalHeight || image.height;
+  const width = SAMPLE_WIDTH;
+  const height = Math.max(2, Math.round((SAMPLE_WIDTH * naturalHeight) / naturalWidth));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  context.drawImage(image, 0, 0, width, height);
+  const { data } = context.getImageData(0, 0, width, height);
+
+  const lum = (px, py) => {
+    const i = (py * width + px) * 4;
+    return (0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]) / 255;
+  };
+
+  let total = 0;
+  let sumX = 0;
+  let sumY = 0;
+  for (let py = 0; py < height - 1; py++) {
+    for (let px = 0; px < width - 1; px++) {
+      const value = lum(px, py);
+      const energy = Math.abs(value - lum(px + 1, py)) + Math.abs(value - lum(px, py + 1));
+      // Squaring favors strongly detailed areas over uniform texture
+      const weight = energy * energy;
+      total += weight;
+      sumX += weight * (px + 0.5);
+      sumY += weight * (py + 0.5);
+    }
+  }
+
+  if (total === 0) return CENTER_FOCAL_POINT;
+  return normalizeFocalPoint({ x: sumX / total / width, y: sumY / total / height });
+};
+
+/**
+ * Detect an image's focal point with the vision model, falling back to saliency
+ * @param {object} options - Options
+ * @param {string} options.image - Image source
+ * @param {AbortSignal} options.signal - Cancels the vision request
+ * @returns {Promise<{focalPoint: {x: number, y: number}, source: string}>} Focal point and how it was found
+ */
+export const detectFocalPoint = async ({ image, signal }) => {
+  const provider = getActiveProvider();
+  if (typeof provider.detectFocalPoint === 'function' && image.startsWith('data:')) {
+    try {
+      const { base64Data, mimeType } = parseDataUrl(image);
+      const point = await provider.detectFocalPoint(base64Data, { mimeType, signal });
+      return { focalPoint: normalizeFocalPoint(point), source: FOCAL_SOURCES.VISION };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      logError(error, 'Vision focal point detection', { provider: provider.id });
+    }
+  }
+  return { focalPoint: await detectSaliencyFocalPoint(image), source: FOCAL_SOURCES.HEURISTIC };
+};
+
+/**
+ * Focal point used for a platform: its override, else the image's, else the center
+ * @param {string} platformName - Preset name
+ * @param {object} focus - Saved focus
+ * @param {{x: number, y: number}} focus.imageFocalPoint - Image focal point
+ * @param {Object<string, {x: number, y: number}>} focus.overrides - Per-platform overrides keyed by preset name
+ * @returns {{x: number, y: number}} Focal point
+ */
+export const resolveFocalPoint = (platformName, { imageFocalPoint, overrides = {} } = {}) => {
+  return overrides[platformName] || imageFocalPoint || CENTER_FOCAL_POINT;
+};
+
+/**
+ * CSS `object-position` that frames an image like getCoverCrop
+ * @param {{width: number, height: number}} size - Natural image size (null if not loaded yet)
+ * @param {number} targetRatio - Frame width / height
+ * @param {{x: number, y: number}} focalPoint - Focal point
+ * @returns {string} object-position value
+ */
+export const getFocalObjectPosition = (size, targetRatio, focalPoint = CENTER_FOCAL_POINT) => {
+  if (!size) {
+    return `${focalPoint.x * 100}% ${focalPoint.y * 100}%`;
+  }
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(size.width, size.height, targetRatio, focalPoint);
+  const percent = (offset, cropSize, fullSize) => (fullSize > cropSize ? (offset / (fullSize - cropSize)) * 100 : 50);
+  return `${percent(sx, sWidth, size.width)}% ${percent(sy, sHeight, size.height)}%`;
+};
+
+/**
+ * Convert a point clicked in a cropped frame to image coordinates
+ * @param {{width: number, height: number}} size - Natural image size (null if not loaded yet)
+ * @param {number} targetRatio - Frame width / height
+ * @param {{x: number, y: number}} focalPoint - Focal point the frame is cropped around
+ * @param {{x: number, y: number}} point - Point as fractions of the frame
+ * @returns {{x: number, y: number}} Point as fractions of the image
+ */
+export const frameToImagePoint = (size, targetRatio, focalPoint, point) => {
+  if (!size) return normalizeFocalPoint(point);
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(size.width, size.height, targetRatio, focalPoint);
+  return normalizeFocalPoint({
+    x: (sx + point.x * sWidth) / size.width,
+    y: (sy + point.y * sHeight) / size.height
+  });
+};
+
+/**
+ * Convert an image point to its position in a cropped frame
+ * @param {{width: number, height: number}} size - Natural image size (null if not loaded yet)
+ * @param {number} targetRatio - Frame width / height
+ * @param {{x: number, y: number}} focalPoint - Focal point the frame is cropped around
+ * @returns {{x: number, y: number}} Focal point as fractions of the frame
+ */
+export const imageToFramePoint = (size, targetRatio, focalPoint) => {
+  if (!size) return focalPoint;
+  const { sx, sy, sWidth, sHeight } = getCoverCrop(size.width, size.height, targetRatio, focalPoint);
+  return {
+    x: (focalPoint.x * size.width - sx) / sWidth,
+    y: (focalPoint.y * size.height - sy) / sHeight
+  };
+};
+
+/**
+ * Save the focal point of an image
+ * @param {string} imageId - Image record ID
+ * @param {{x: number, y: number}} focalPoint - Focal point
+ * @param {string} source - One of FOCAL_SOURCES
+ * @returns {Promise<boolean>} True if saved
+ */
+export const saveImageFocalPoint = (imageId, focalPoint, source = FOCAL_SOURCES.MANUAL) => {
+  return updateGeneratedImages([imageId], { focalPoint: normalizeFocalPoint(focalPoint), focalPointSource: source });
+};
+
+/**
+ * Save or clear a platform's focal point override on its layout record
+ * @param {string} imageId - Image record ID
+ * @param {object} platform - SOCIAL_PLATFORMS entry
+ * @param {{x: number, y: number}|null} focalPoint - Override, or null to follow the image focal point
+ * @returns {Promise<object|null>} Saved layout record, null on failure
+ */
+export const savePlatformFocalPoint = async (imageId, platform, focalPoint) => {
+  const id = getLayoutId(imageId, platform.name);
+  const existing = (await getLayoutsForImage(imageId)).find((layout) => layout.id === id);
+  const record = {
+    ...(existing || { id, imageId, platform: platform.name, ratio: platform.ratio }),
+    focalPoint: focalPoint ? normalizeFocalPoint(focalPoint) : null
+  };
+  const saved = await saveLayout(record);
+  return saved ? record : null;
+};
@@ -0,0 +1,76 @@
+/**
+ * Gemini Trend Source
+ *
+ * Finds current social media trends with Gemini's Google Search grounding tool.
+ */
+
+import { getGeminiConfig } from '../config.js';
+import { makeGeminiRequest, getResponseText } from '../providers/geminiProvider.js';
+
+/**
+ * Extract the JSON array from a grounded response.
+ * Search grounding cannot be combined with JSON mode, so the model answers in
+ * free text and the array is cut out of it. The text may also hold citation
+ * markers such as "[1]" before or after the list, so the cut starts at the
+ * first list of objects and ends at the last bracket that closes it.
+ * @param {string} text - Response text
+ * @returns {object[]} Parsed trends
+ */
+const parseTrendList = (text) => {
+  const start = text.search(/\[\s*[{\]]/);
+  if (start !== -1) {
+    for (let end = text.lastIndexOf(']'); end > start; end = text.lastIndexOf(']', end - 1)) {
+      try {
+        const trends = JSON.parse(text.slice(start, end + 1));
+        if (Array.isArray(trends)) return trends;
+      } catch {
+        // Not the end of the list; try the bracket before
+      }
+    }
+  }
+  throw new Error('Gemini API Error: trend response did not contain a JSON list.');
+};
+
+/**
+ * Fetch trends relevant to the brand.
+ * @param {object} query - Trend query
+ * @param {string[]} query.keywords - Brand style keywords
+ * @param {string} query.campaign - Campaign variable
+ * @param {number} query.limit - Maximum number of trends
+ * @param {AbortSignal} query.signal - Cancels the request
+ * @returns {Promise<object[]>} Trends ({ title, summary, promptIdea, tags, url })
+ */
+const fetchTrends = async ({ keywords = [], campaign = '', limit = 8, signal } = {}) => {
+  const { textModel } = getGeminiConfig();
+  const instructions = `
+    Search for what is trending on social media right now (this week) that a brand could create visual content about.
+    Brand style keywords: ${keywords.join(', ') || 'Not specified'}.
+    Campaign context: ${campaign || 'Not specified'}.
+
+    Return up to ${limit} trends that fit the brand's style and campaign as a JSON array only, shaped as
+    [{"title": string, "summary": string, "promptIdea": string, "tags": string[], "url": string}],
+    where "promptIdea" is a one-sentence image generation prompt inspired by the trend.
+  `;
+
+  const requestBody = {
+    contents: [{ parts: [{ text: instructions }] }],
+    tools: [{ google_search: {} }]
+  };
+
+  const data = await makeGeminiRequest(textModel, requestBody, { signal });
+
+  // Grounding chunks cite spans of the text, not trends, so they cannot stand in for a missing link
+  return parseTrendList(getResponseText(data)).map((trend) => ({
+    ...trend,
+    url: trend.url || null
+  }));
+};
+
+export const geminiTrendSource = {
+  id: 'gemini',
+  name: 'Google Search (Gemini grounding)',
+  requiresNetwork: true,
+  fetchTrends
+};
+
+export default geminiTrendSource;
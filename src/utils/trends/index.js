@@ -0,0 +1,129 @@
+/**
+ * Trend Source Registry
+ *
+ * Every trend source implements the same interface:
+ *   - id, name, requiresNetwork
+ *   - fetchTrends({ keywords, campaign, limit, signal }) => Promise<trend[]>
+ *     where a trend is { title, summary, promptIdea?, tags?, url?, publishedAt? }
+ *
+ * `suggestTrends` picks a source, then filters and ranks its trends by the
+ * brand kit's style keywords and campaign variable so every source behaves the same.
+ */
+
+import { getGeminiConfig, getTrendsConfig } from '../config.js';
+import { geminiTrendSource } from './geminiTrendSource.js';
+import { localTrendSource } from './localTrendSource.js';
+
+export const AUTO_TREND_SOURCE = 'auto';
+
+const DEFAULT_LIMIT = 8;
+
+const sources = new Map();
+
+/**
+ * Register a trend source
+ * @param {object} source - Source implementing the interface above
+ */
+export const registerTrendSource = (source) => {
+  if (!source || !source.id || typeof source.fetchTrends !== 'function') {
+    throw new Error('Trend source must have an id and a fetchTrends() method');
+  }
+  sources.set(source.id, source);
+};
+
+/**
+ * List all registered trend sources
+ * @returns {{id: string, name: string, requiresNetwork: boolean}[]} Source summaries
+ */
+export const listTrendSources = () => Array.from(sources.values()).map(({ id, name, requiresNetwork }) => ({
+  id,
+  name,
+  requiresNetwork
+}));
+
+/**
+ * Resolve which trend source to use
+ * @param {string} preferred - Source ID or 'auto' (defaults to getTrendsConfig().source)
+ * @returns {string} Source ID
+ */
+export const resolveTrendSourceId = (preferred = getTrendsConfig().source) => {
+  if (preferred !== AUTO_TREND_SOURCE && sources.has(preferred)) {
+    return preferred;
+  }
+
+  const isOnline = typeof navigator === 'undefined' || navigator.onLine !== false;
+  return isOnline && getGeminiConfig().apiKey ? geminiTrendSource.id : localTrendSource.id;
+};
+
+/**
+ * Split brand kit style keywords and the campaign variable into search terms
+ * @param {object} brandKit - Brand kit ({ styleKeywords, campaignVariable })
+ * @returns {{keywords: string[], campaign: string}} Terms
+ */
+export const getTrendTerms = (brandKit = {}) => ({
+  keywords: String(brandKit.styleKeywords || '')
+    .split(',')
+    .map((keyword) => keyword.trim())
+    .filter(Boolean),
+  campaign: String(brandKit.campaignVariable || '').trim()
+});
+
+/**
+ * Score a trend by how many brand terms it mentions
+ * @param {object} trend - Trend
+ * @param {string[]} terms - Lower-case search terms
+ * @returns {number} Number of matching terms
+ */
+const scoreTrend = (trend, terms) => {
+  const haystack = [trend.title, trend.summary, trend.promptIdea, ...(trend.tags || [])]
+    .join(' ')
+    .toLowerCase();
+  return terms.filter((term) => haystack.includes(term)).length;
+};
+
+/**
+ * Build an image prompt idea for a trend that has none
+ * @param {object} trend - Trend
+ * @param {string[]} keywords - Brand style keywords
+ * @returns {string} Prompt idea
+ */
+const buildPromptIdea = (trend, keywords) => {
+  const style = keywords.length > 0 ? `, ${keywords.join(', ')} style` : '';
+  return `${trend.title}${trend.summary ? ` - ${trend.summary}` : ''}${style}`;
+};
+
+/**
+ * Suggest prompt ideas from current trends
+ * @param {object} options - Options
+ * @param {object} options.brandKit - Brand kit used for filtering
+ * @param {string} options.sourceId - Source ID or 'auto'
+ * @param {number} options.limit - Maximum number of suggestions
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @returns {Promise<{sourceId: string, trends: object[]}>} Ranked suggestions and the source used
+ */
+export const suggestTrends = async ({ brandKit, sourceId, limit = DEFAULT_LIMIT, signal } = {}) => {
+  const resolvedId = resolveTrendSourceId(sourceId);
+  const { keywords, campaign } = getTrendTerms(brandKit);
+  const trends = await sources.get(resolvedId).fetchTrends({ keywords, campaign, limit, signal });
+
+  const terms = [...keywords, ...campaign.split(/\s+/).filter((word) => word.length > 3)]
+    .map((term) => term.toLowerCase());
+  const scored = trends
+    .filter((trend) => trend && trend.title)
+    .map((trend, index) => ({
+      ...trend,
+      id: `${resolvedId}-${index}`,
+      source: resolvedId,
+      promptIdea: trend.promptIdea || buildPromptIdea(trend, keywords),
+      score: scoreTrend(trend, terms)
+    }));
+
+  // Keep only on-brand trends when any match; otherwise show the feed as-is
+  const matching = scored.filter((trend) => trend.score > 0);
+  const ranked = (matching.length > 0 ? matching : scored).sort((a, b) => b.score - a.score);
+
+  return { sourceId: resolvedId, trends: ranked.slice(0, limit) };
+};
+
+registerTrendSource(geminiTrendSource);
+registerTrendSource(localTrendSource);
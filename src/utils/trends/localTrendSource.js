@@ -0,0 +1,73 @@
+/**
+ * Local Trend Source
+ *
+ * Offline stand-in for live trend search. Reads a JSON file or an RSS/Atom feed
+ * (by default `public/trends.json`) so the trend panel works without an API key.
+ */
+
+import { getTrendsConfig } from '../config.js';
+
+/**
+ * Read text content of the first matching child element
+ * @param {Element} element - Parent element
+ * @param {string} selector - Child selector
+ * @returns {string} Trimmed text ('' if missing)
+ */
+const childText = (element, selector) => element.querySelector(selector)?.textContent?.trim() || '';
+
+/**
+ * Parse an RSS or Atom feed into trends
+ * @param {string} xml - Feed XML
+ * @returns {object[]} Trends ({ title, summary, tags, url, publishedAt })
+ */
+const parseFeed = (xml) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.querySelector('parsererror')) {
+    throw new Error('Trend feed is not valid RSS/Atom XML.');
+  }
+
+  return Array.from(doc.querySelectorAll('item, entry')).map((item) => ({
+    title: childText(item, 'title'),
+    summary: childText(item, 'description, summary, content').replace(/<[^>]+>/g, ''),
+    tags: Array.from(item.querySelectorAll('category')).map((category) => (
+      category.getAttribute('term') || category.textContent.trim()
+    )),
+    url: childText(item, 'link') || item.querySelector('link')?.getAttribute('href') || null,
+    publishedAt: childText(item, 'pubDate, published, updated') || null
+  }));
+};
+
+/**
+ * Fetch trends from the configured feed. Filtering by brand keywords is
+ * done by the caller (see trends/index.js).
+ * @param {object} query - Trend query
+ * @param {AbortSignal} query.signal - Cancels the request
+ * @returns {Promise<object[]>} Trends
+ */
+const fetchTrends = async ({ signal } = {}) => {
+  const { feedUrl } = getTrendsConfig();
+  const response = await fetch(feedUrl, { signal });
+
+  if (!response.ok) {
+    const error = new Error(`Trend feed request failed: ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const text = await response.text();
+  if (text.trim().startsWith('<')) {
+    return parseFeed(text);
+  }
+
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.trends || [];
+};
+
+export const localTrendSource = {
+  id: 'local',
+  name: 'Local trend feed (offline)',
+  requiresNetwork: false,
+  fetchTrends
+};
+
+export default localTrendSource;
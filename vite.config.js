@@ -13,7 +13,13 @@ export default defineConfig({
     sourcemap: true,
     // Bundle optimization
     rollupOptions: {
+      // The publish worker (src/publishWorker.js) is built to the site root so its scope covers the app
+      input: {
+        main: 'index.html',
+        'publish-worker': 'src/publishWorker.js'
+      },
       output: {
+        entryFileNames: (chunk) => (chunk.name === 'publish-worker' ? 'publish-worker.js' : 'assets/[name]-[hash].js'),
         manualChunks: {
           // Separate vendor chunks for better caching
           'react-vendor': ['react', 'react-dom'],
@@ -27,4 +33,9 @@ export default defineConfig({
     // Chunk size warnings
     chunkSizeWarningLimit: 1000,
   },
+  // Unit tests (npm test) run next to the modules they cover, in a browser-like DOM
+  test: {
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx}']
+  },
 })
\ No newline at end of file